@@ -5,36 +5,58 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./access/roles/EducRoles.sol";
 import "./config/constants/SystemConstants.sol";
 import "./core/token/EducToken.sol";
 import "./core/educator/EducEducator.sol";
 import "./core/student/EducStudent.sol";
 import "./core/course/EducCourse.sol";
+import "./core/certificate/EducCertificate.sol";
 import "./config/EducConfig.sol";
-import "./security/pause/EducPause.sol";
+import "./security/pause/EducPauseControlled.sol";
 import "./governance/multisig/EducMultisig.sol";
 import "./governance/proposal/EducProposal.sol";
 import "./interfaces/IEducLearning.sol";
 /**
  * @title EducLearning
- * @dev Comprehensive integration contract for the educational ecosystem with enhanced reward system
+ * @dev Comprehensive integration contract for the educational ecosystem with enhanced reward system.
+ * Educators complete courses directly with completeCourse, or sign completion attestations
+ * off-chain that students or a relayer claim with claimCompletion.
  */
-contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable, IEducLearning {
+contract EducLearning is
+    AccessControl,
+    Pausable,
+    ReentrancyGuard,
+    Initializable,
+    EIP712,
+    EducPauseControlled,
+    IEducLearning
+{
+    // EIP-712 type of CompletionAttestation
+    bytes32 public constant COMPLETION_ATTESTATION_TYPEHASH = keccak256(
+        "CompletionAttestation(address student,string courseId,uint256 courseVersion,uint256 nonce,uint256 expiry)"
+    );
+
     // Contract references
     EducToken public token;
     EducEducator public educator;
     EducStudent public student;
     EducCourse public course;
     EducConfig public config;
-    EducPause public pauseControl;
     EducMultisig public multisig;
     EducProposal public proposal;
+    EducCertificate public certificate;
     
     // Daily minting tracking
     uint256 public dailyMintingLimit;
     mapping(uint256 => uint256) public dailyMinting; // day => amount
 
+    // Attestation nonces claimed or canceled, per educator. Nonces are unordered, so
+    // attestations can be claimed in any order.
+    mapping(address => mapping(uint256 => bool)) private usedAttestationNonces;
+
     // Enhanced events
     event SystemInitialized(
         address token,
@@ -72,11 +94,24 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         uint256 timestamp
     );
 
+    event CertificateContractSet(address indexed certificate);
+
+    event CompletionClaimed(
+        address indexed student,
+        string courseId,
+        address indexed educator,
+        uint256 nonce,
+        address claimant,
+        uint256 timestamp
+    );
+
+    event AttestationCanceled(address indexed educator, uint256 nonce, uint256 timestamp);
+
     /**
      * @dev Constructor sets up initial roles
      * @param admin Primary administrator address
      */
-    constructor(address admin) {
+    constructor(address admin) EIP712("EducLearning", "1") {
         require(admin != address(0), "EducLearning: Invalid admin address");
 
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
@@ -120,10 +155,12 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         student = EducStudent(_student);
         course = EducCourse(_course);
         config = EducConfig(_config);
-        pauseControl = EducPause(_pauseControl);
         multisig = EducMultisig(_multisig);
-        proposal = EducProposal(_proposal);
+        proposal = EducProposal(payable(_proposal));
         
+        // Consult the shared pause control for granular pauses
+        _setPauseControl(_pauseControl);
+
         // Set student contract in token for activity tracking
         token.setStudentContract(_student);
 
@@ -149,53 +186,98 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
     ) 
         external 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant 
     {
         // Comprehensive validation
         require(educator.isActiveEducator(msg.sender), "EducLearning: Caller not an active educator");
         require(course.isCourseActive(msg.sender, courseId), "EducLearning: Course not active");
-        require(!student.hasCourseCompletion(studentAddress, courseId), "EducLearning: Course already completed");
-
-        // Validate student is registered, or register if not
-        if (!student.isStudent(studentAddress)) {
-            student.registerStudent(studentAddress);
-        }
 
-        // Get course reward
-        uint256 rewardAmount = course.getCourseReward(msg.sender, courseId);
-        
-        // Track daily minting limits
-        uint256 today = block.timestamp / 1 days;
-        dailyMinting[today] += rewardAmount;
-        require(dailyMinting[today] <= dailyMintingLimit, "EducLearning: Daily mint limit exceeded");
-        
-        // Record course completion
-        student.recordCourseCompletion(studentAddress, courseId, rewardAmount);
-        course.incrementCompletionCount(msg.sender, courseId);
-        educator.recordMint(msg.sender, rewardAmount);
+        _completeCourse(msg.sender, studentAddress, courseId);
+    }
 
-        // Mint tokens with specific reason
-        string memory reason = string(abi.encodePacked(
-            "Course Completion: ", courseId
-        ));
-        token.mintReward(studentAddress, rewardAmount, reason);
+    /**
+     * @dev Processes a course completion attested by the educator who owns the course.
+     * Anyone may submit the attestation (the student or a relayer); the reward, limits
+     * and records are the same as for completeCourse by the educator.
+     * @param attestation Student, course ID and version, nonce and expiry signed by the educator
+     * @param signature EIP-712 signature of the attestation
+     */
+    function claimCompletion(
+        CompletionAttestation calldata attestation,
+        bytes calldata signature
+    )
+        external
+        whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
+        nonReentrant
+    {
+        require(attestation.student != address(0), "EducLearning: Invalid student address");
+        require(block.timestamp <= attestation.expiry, "EducLearning: Attestation expired");
 
-        emit CourseCompletionProcessed(
-            studentAddress,
-            courseId,
-            msg.sender,
-            rewardAmount,
-            block.timestamp
+        (address signer, ECDSA.RecoverError recoverError, ) = ECDSA.tryRecover(
+            _hashTypedDataV4(_completionAttestationStructHash(attestation)),
+            signature
         );
-        
-        emit RewardIssued(
-            studentAddress,
-            rewardAmount,
-            reason,
+        require(recoverError == ECDSA.RecoverError.NoError, "EducLearning: Invalid signature");
+        require(educator.isActiveEducator(signer), "EducLearning: Signer not an active educator");
+        require(course.isCourseActive(signer, attestation.courseId), "EducLearning: Course not active");
+        require(
+            course.getCourseInfo(signer, attestation.courseId).version == attestation.courseVersion,
+            "EducLearning: Course version mismatch"
+        );
+        require(!usedAttestationNonces[signer][attestation.nonce], "EducLearning: Attestation already used");
+
+        usedAttestationNonces[signer][attestation.nonce] = true;
+
+        _completeCourse(signer, attestation.student, attestation.courseId);
+
+        emit CompletionClaimed(
+            attestation.student,
+            attestation.courseId,
+            signer,
+            attestation.nonce,
             msg.sender,
             block.timestamp
         );
     }
+
+    /**
+     * @dev Cancels an unclaimed attestation of the caller
+     * @param nonce Nonce of the attestation
+     */
+    function cancelAttestation(uint256 nonce) external {
+        require(!usedAttestationNonces[msg.sender][nonce], "EducLearning: Attestation already used");
+
+        usedAttestationNonces[msg.sender][nonce] = true;
+
+        emit AttestationCanceled(msg.sender, nonce, block.timestamp);
+    }
+
+    /**
+     * @dev Checks if an attestation nonce of an educator was claimed or canceled
+     * @param educatorAddress Address of the educator
+     * @param nonce Nonce of the attestation
+     * @return used Whether the nonce can no longer be claimed
+     */
+    function isAttestationNonceUsed(address educatorAddress, uint256 nonce) external view returns (bool used) {
+        return usedAttestationNonces[educatorAddress][nonce];
+    }
+
+    /**
+     * @dev Gets the EIP-712 digest an educator signs for an attestation
+     * @param attestation The attestation
+     * @return digest The typed data hash
+     */
+    function hashCompletionAttestation(CompletionAttestation calldata attestation)
+        external
+        view
+        returns (bytes32 digest)
+    {
+        return _hashTypedDataV4(_completionAttestationStructHash(attestation));
+    }
     
     /**
      * @dev Issues additional educational rewards with tracking
@@ -210,6 +292,7 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
     )
         external
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant
     {
         require(educator.isActiveEducator(msg.sender), "EducLearning: Caller not an active educator");
@@ -217,6 +300,8 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         require(amount > 0, "EducLearning: Invalid reward amount");
         require(bytes(reason).length > 0, "EducLearning: Reason cannot be empty");
         
+        _validateMintAmount(amount);
+        
         // Validate student is registered, or register if not
         if (!student.isStudent(studentAddress)) {
             student.registerStudent(studentAddress);
@@ -228,7 +313,7 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         require(dailyMinting[today] <= dailyMintingLimit, "EducLearning: Daily mint limit exceeded");
         
         // Record educator mint and student activity
-        educator.recordMint(msg.sender, amount);
+        educator.recordRewardMint(msg.sender, amount);
         student.recordCustomActivity(studentAddress, "Reward", reason);
         
         // Mint tokens
@@ -256,6 +341,7 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
     )
         external
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant
     {
         require(educator.isActiveEducator(msg.sender), "EducLearning: Caller not an active educator");
@@ -276,6 +362,7 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
             
             totalAmount += amounts[i];
         }
+        _validateMintAmount(totalAmount);
         
         // Track daily minting limits
         uint256 today = block.timestamp / 1 days;
@@ -283,7 +370,7 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         require(dailyMinting[today] <= dailyMintingLimit, "EducLearning: Daily mint limit exceeded");
         
         // Record educator mint
-        educator.recordMint(msg.sender, totalAmount);
+        educator.recordRewardMint(msg.sender, totalAmount);
         
         // Process each student
         for (uint256 i = 0; i < studentsLength; i++) {
@@ -320,6 +407,7 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         external
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN)
         nonReentrant
     {
         require(studentAddress != address(0), "EducLearning: Invalid student address");
@@ -344,6 +432,20 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         dailyMintingLimit = newLimit;
     }
     
+    /**
+     * @dev Sets the certificate contract; completeCourse issues a certificate once it is set
+     * @param _certificate Address of the EducCertificate contract
+     */
+    function setCertificateContract(address _certificate)
+        external
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        require(_certificate != address(0), "EducLearning: Certificate address invalid");
+        certificate = EducCertificate(_certificate);
+
+        emit CertificateContractSet(_certificate);
+    }
+
     /**
      * @dev Gets the remaining daily minting capacity
      * @return Remaining amount that can be minted today
@@ -359,6 +461,104 @@ contract EducLearning is AccessControl, Pausable, ReentrancyGuard, Initializable
         return dailyMintingLimit - usedToday;
     }
 
+    /**
+     * @dev Records a completion of a validated course and mints its reward: the path
+     * shared by completeCourse and claimCompletion
+     * @param educatorAddress Educator who owns the course and is credited with the mint
+     * @param studentAddress Student who completed the course
+     * @param courseId Course ID
+     */
+    function _completeCourse(address educatorAddress, address studentAddress, string calldata courseId) private {
+        require(!student.hasCourseCompletion(studentAddress, courseId), "EducLearning: Course already completed");
+
+        // Validate student is registered, or register if not
+        if (!student.isStudent(studentAddress)) {
+            student.registerStudent(studentAddress);
+        }
+
+        // Get course reward
+        uint256 rewardAmount = course.getCourseReward(educatorAddress, courseId);
+        _validateMintAmount(rewardAmount);
+        
+        // Track daily minting limits
+        uint256 today = block.timestamp / 1 days;
+        dailyMinting[today] += rewardAmount;
+        require(dailyMinting[today] <= dailyMintingLimit, "EducLearning: Daily mint limit exceeded");
+        
+        // Record course completion
+        student.recordCourseCompletion(studentAddress, courseId, rewardAmount);
+        course.incrementCompletionCount(educatorAddress, courseId);
+        educator.recordMint(educatorAddress, rewardAmount);
+
+        // Mint tokens with specific reason
+        string memory reason = string(abi.encodePacked(
+            "Course Completion: ", courseId
+        ));
+        token.mintReward(studentAddress, rewardAmount, reason);
+
+        if (address(certificate) != address(0)) {
+            _issueCertificate(educatorAddress, studentAddress, courseId);
+        }
+
+        emit CourseCompletionProcessed(
+            studentAddress,
+            courseId,
+            educatorAddress,
+            rewardAmount,
+            block.timestamp
+        );
+        
+        emit RewardIssued(
+            studentAddress,
+            rewardAmount,
+            reason,
+            educatorAddress,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Hashes the fields of an attestation as its EIP-712 struct
+     */
+    function _completionAttestationStructHash(CompletionAttestation calldata attestation)
+        private
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(
+            COMPLETION_ATTESTATION_TYPEHASH,
+            attestation.student,
+            keccak256(bytes(attestation.courseId)),
+            attestation.courseVersion,
+            attestation.nonce,
+            attestation.expiry
+        ));
+    }
+
+    /**
+     * @dev Enforces the live EducConfig maximum amount an educator can mint per transaction
+     * @param amount Total amount minted by the transaction
+     */
+    function _validateMintAmount(uint256 amount) private view {
+        require(amount <= config.getMaxMintAmount(), "EducLearning: Amount exceeds max mint amount");
+    }
+
+    /**
+     * @dev Issues the completion certificate for the course version the student completed
+     */
+    function _issueCertificate(address educatorAddress, address studentAddress, string calldata courseId) private {
+        CourseTypes.Course memory courseInfo = course.getCourseInfo(educatorAddress, courseId);
+
+        certificate.issueCertificate(CertificateTypes.CertificateParams({
+            student: studentAddress,
+            courseId: courseId,
+            courseName: courseInfo.courseName,
+            educator: educatorAddress,
+            courseVersion: courseInfo.version,
+            metadataHash: courseInfo.metadataHash
+        }));
+    }
+
     /**
      * @dev Pauses entire system
      */
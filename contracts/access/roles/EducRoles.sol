@@ -14,6 +14,7 @@ library EducRoles {
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
     bytes32 public constant EMERGENCY_ROLE = keccak256("EMERGENCY_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
 
     /**
      * @dev Checks if a role is a valid system role
@@ -27,7 +28,8 @@ library EducRoles {
             role == MINTER_ROLE ||
             role == PAUSER_ROLE ||
             role == UPGRADER_ROLE ||
-            role == EMERGENCY_ROLE
+            role == EMERGENCY_ROLE ||
+            role == GUARDIAN_ROLE
         );
     }
 
@@ -43,6 +45,7 @@ library EducRoles {
         if (role == PAUSER_ROLE) return "Pauser";
         if (role == UPGRADER_ROLE) return "Upgrader";
         if (role == EMERGENCY_ROLE) return "Emergency";
+        if (role == GUARDIAN_ROLE) return "Guardian";
         return "Unknown";
     }
     
@@ -51,13 +54,14 @@ library EducRoles {
      * @return roles Array of all system roles
      */
     function getAllRoles() internal pure returns (bytes32[] memory roles) {
-        roles = new bytes32[](6);
+        roles = new bytes32[](7);
         roles[0] = ADMIN_ROLE;
         roles[1] = EDUCATOR_ROLE;
         roles[2] = MINTER_ROLE;
         roles[3] = PAUSER_ROLE;
         roles[4] = UPGRADER_ROLE;
         roles[5] = EMERGENCY_ROLE;
+        roles[6] = GUARDIAN_ROLE;
         return roles;
     }
 }
\ No newline at end of file
@@ -5,12 +5,13 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "../access/roles/EducRoles.sol";
 import "./constants/SystemConstants.sol";
+import "../interfaces/IEducConfig.sol";
 
 /**
  * @title EducConfig
  * @dev Advanced configuration management for the educational ecosystem
  */
-contract EducConfig is AccessControl, Pausable {
+contract EducConfig is AccessControl, Pausable, IEducConfig {
     // Configuration parameters with enhanced tracking
     struct SystemConfig {
         uint16 maxEducators;
@@ -21,14 +22,25 @@ contract EducConfig is AccessControl, Pausable {
         address configManager;
     }
 
+    // Token governance parameters read by EducGovernor
+    struct GovernanceConfig {
+        uint32 votingPeriod;
+        uint16 quorumBps;
+    }
+
     // Current system configuration
     SystemConfig public currentConfig;
 
+    // Current governance configuration
+    GovernanceConfig public governanceConfig;
+
     // Constraints
     uint16 public constant MAX_EDUCATORS_LIMIT = 1000;
     uint16 public constant MAX_COURSES_LIMIT = 500;
     uint256 public constant MAX_MINT_LIMIT = 1_000_000 * 10**18;
     uint256 public constant MAX_COOLDOWN_PERIOD = 30 days;
+    uint32 public constant MAX_VOTING_PERIOD = 1_296_000; // ~6 months of 12s blocks
+    uint16 public constant MAX_QUORUM_BPS = 10_000;
 
     // Events with detailed logging
     event ConfigUpdated(
@@ -66,6 +78,10 @@ contract EducConfig is AccessControl, Pausable {
             lastUpdatedAt: block.timestamp,
             configManager: admin
         });
+        governanceConfig = GovernanceConfig({
+            votingPeriod: 50_400, // ~1 week of 12s blocks
+            quorumBps: 400
+        });
     }
 
     /**
@@ -78,6 +94,7 @@ contract EducConfig is AccessControl, Pausable {
         uint256 _mintCooldownPeriod
     ) 
         external 
+        override
         onlyRole(EducRoles.ADMIN_ROLE)
     {
         _validateConfigParams(_maxEducators, _maxCoursesPerEducator, _maxMintAmount, _mintCooldownPeriod);
@@ -186,6 +203,88 @@ contract EducConfig is AccessControl, Pausable {
         return false;
     }
 
+    /**
+     * @dev Updates the token governance parameters, zero values keep the current value
+     * @param _votingPeriod Number of blocks a governor proposal is open for voting
+     * @param _quorumBps Share of the total supply, in basis points, that must vote for or abstain
+     */
+    function updateGovernanceConfig(uint32 _votingPeriod, uint16 _quorumBps)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        require(
+            _votingPeriod <= MAX_VOTING_PERIOD && _quorumBps <= MAX_QUORUM_BPS,
+            "EducConfig: Invalid parameter values"
+        );
+
+        GovernanceConfig memory oldConfig = governanceConfig;
+        bool configChanged = false;
+
+        if (_votingPeriod > 0 && _votingPeriod != oldConfig.votingPeriod) {
+            governanceConfig.votingPeriod = _votingPeriod;
+            emit ConfigParameterChanged("votingPeriod", oldConfig.votingPeriod, _votingPeriod, msg.sender);
+            configChanged = true;
+        }
+        if (_quorumBps > 0 && _quorumBps != oldConfig.quorumBps) {
+            governanceConfig.quorumBps = _quorumBps;
+            emit ConfigParameterChanged("quorumBps", oldConfig.quorumBps, _quorumBps, msg.sender);
+            configChanged = true;
+        }
+
+        if (configChanged) {
+            emit ConfigUpdated(msg.sender, block.timestamp, "GovernanceConfigUpdate");
+        }
+    }
+
+    /**
+     * @dev Gets the maximum number of registered educators
+     * @return maxEducators The current limit
+     */
+    function getMaxEducators() external view override returns (uint16 maxEducators) {
+        return currentConfig.maxEducators;
+    }
+
+    /**
+     * @dev Gets the maximum number of courses per educator
+     * @return maxCoursesPerEducator The current limit
+     */
+    function getMaxCoursesPerEducator() external view override returns (uint16 maxCoursesPerEducator) {
+        return currentConfig.maxCoursesPerEducator;
+    }
+
+    /**
+     * @dev Gets the maximum amount an educator can mint in one transaction
+     * @return maxMintAmount The current limit
+     */
+    function getMaxMintAmount() external view override returns (uint256 maxMintAmount) {
+        return currentConfig.maxMintAmount;
+    }
+
+    /**
+     * @dev Gets the minimum time between two mints by the same educator
+     * @return mintCooldownPeriod The current cooldown in seconds
+     */
+    function getMintCooldownPeriod() external view override returns (uint256 mintCooldownPeriod) {
+        return currentConfig.mintCooldownPeriod;
+    }
+
+    /**
+     * @dev Gets the voting period of governor proposals
+     * @return votingPeriod The current period in blocks
+     */
+    function getVotingPeriod() external view override returns (uint32 votingPeriod) {
+        return governanceConfig.votingPeriod;
+    }
+
+    /**
+     * @dev Gets the quorum of governor proposals
+     * @return quorumBps The current quorum in basis points of the total supply
+     */
+    function getQuorumBps() external view override returns (uint16 quorumBps) {
+        return governanceConfig.quorumBps;
+    }
+
     /**
      * @dev Pauses configuration updates
      */
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title CertificateEvents
+ * @dev Defines events for the Certificate module
+ */
+library CertificateEvents {
+    /**
+     * @dev Emitted when a course completion certificate is issued
+     * @param tokenId ID of the certificate token
+     * @param student Address of the certificate holder
+     * @param courseId ID of the completed course
+     * @param educator Address of the course educator
+     * @param courseVersion Course version that was completed
+     * @param metadataHash Course metadata hash
+     * @param timestamp When the certificate was issued
+     */
+    event CertificateIssued(
+        uint256 indexed tokenId,
+        address indexed student,
+        string courseId,
+        address indexed educator,
+        uint32 courseVersion,
+        bytes32 metadataHash,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when a certificate is revoked
+     * @param tokenId ID of the certificate token
+     * @param student Address of the former certificate holder
+     * @param revokedBy Address that revoked the certificate
+     * @param reason Why the certificate was revoked
+     * @param timestamp When the certificate was revoked
+     */
+    event CertificateRevoked(
+        uint256 indexed tokenId,
+        address indexed student,
+        address indexed revokedBy,
+        string reason,
+        uint256 timestamp
+    );
+}
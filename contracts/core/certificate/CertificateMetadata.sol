@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./types/CertificateTypes.sol";
+
+/**
+ * @title CertificateMetadata
+ * @dev Renders certificate metadata as an on-chain JSON data URI with an SVG image,
+ * so wallets can display certificates without external hosting
+ */
+library CertificateMetadata {
+    using Strings for uint256;
+    using Strings for address;
+
+    bytes16 private constant HEX_DIGITS = "0123456789abcdef";
+
+    /**
+     * @dev Builds the token URI of a certificate
+     * @param tokenId ID of the certificate
+     * @param certificate The certificate
+     * @return uri data:application/json;base64 URI of the metadata
+     */
+    function tokenURI(uint256 tokenId, CertificateTypes.Certificate memory certificate)
+        internal
+        pure
+        returns (string memory uri)
+    {
+        string memory json = string.concat(
+            "{\"name\":\"",
+            escapeJson(certificate.courseName),
+            " Certificate #",
+            tokenId.toString(),
+            "\",\"description\":\"Soulbound certificate of completion of course ",
+            escapeJson(certificate.courseId),
+            ", issued through EducLearning.\",\"image\":\"data:image/svg+xml;base64,",
+            Base64.encode(bytes(_image(tokenId, certificate))),
+            "\",\"attributes\":",
+            _attributes(certificate),
+            "}"
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Escapes quotes, backslashes and control characters for a JSON string
+     */
+    function escapeJson(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        uint256 extra = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == "\"" || char == "\\") {
+                extra += 1;
+            } else if (uint8(char) < 0x20) {
+                extra += 5;
+            }
+        }
+        if (extra == 0) {
+            return value;
+        }
+
+        bytes memory output = new bytes(input.length + extra);
+        uint256 j = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == "\"" || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = HEX_DIGITS[uint8(char) >> 4];
+                output[j++] = HEX_DIGITS[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+
+    /**
+     * @dev Escapes the characters with a special meaning in XML
+     */
+    function escapeXml(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        string memory output = "";
+        uint256 start = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            string memory entity;
+            bytes1 char = input[i];
+            if (char == "&") entity = "&amp;";
+            else if (char == "<") entity = "&lt;";
+            else if (char == ">") entity = "&gt;";
+            else if (char == "\"") entity = "&quot;";
+            else if (char == "'") entity = "&apos;";
+            else continue;
+
+            output = string.concat(output, _slice(input, start, i), entity);
+            start = i + 1;
+        }
+        return start == 0 ? value : string.concat(output, _slice(input, start, input.length));
+    }
+
+    function _slice(bytes memory input, uint256 start, uint256 end) private pure returns (string memory) {
+        bytes memory output = new bytes(end - start);
+        for (uint256 i = start; i < end; i++) {
+            output[i - start] = input[i];
+        }
+        return string(output);
+    }
+
+    function _attributes(CertificateTypes.Certificate memory certificate) private pure returns (string memory) {
+        return string.concat(
+            "[{\"trait_type\":\"Course ID\",\"value\":\"",
+            escapeJson(certificate.courseId),
+            "\"},{\"trait_type\":\"Course Name\",\"value\":\"",
+            escapeJson(certificate.courseName),
+            "\"},{\"trait_type\":\"Educator\",\"value\":\"",
+            certificate.educator.toChecksumHexString(),
+            "\"},{\"trait_type\":\"Course Version\",\"display_type\":\"number\",\"value\":",
+            uint256(certificate.courseVersion).toString(),
+            "},{\"trait_type\":\"Metadata Hash\",\"value\":\"",
+            uint256(certificate.metadataHash).toHexString(32),
+            "\"},{\"trait_type\":\"Issued\",\"display_type\":\"date\",\"value\":",
+            certificate.issuedAt.toString(),
+            "}]"
+        );
+    }
+
+    function _image(uint256 tokenId, CertificateTypes.Certificate memory certificate) private pure returns (string memory) {
+        return string.concat(
+            "<svg xmlns=\"http://www.w3.org/2000/svg\" viewBox=\"0 0 600 400\">",
+            "<rect width=\"600\" height=\"400\" fill=\"#f8f5ec\"/>",
+            "<rect x=\"15\" y=\"15\" width=\"570\" height=\"370\" fill=\"none\" stroke=\"#1f3a5f\" stroke-width=\"4\"/>",
+            "<text x=\"300\" y=\"90\" font-family=\"serif\" font-size=\"30\" text-anchor=\"middle\" fill=\"#1f3a5f\">Certificate of Completion</text>",
+            "<text x=\"300\" y=\"180\" font-family=\"serif\" font-size=\"24\" text-anchor=\"middle\">",
+            escapeXml(certificate.courseName),
+            "</text><text x=\"300\" y=\"220\" font-family=\"monospace\" font-size=\"16\" text-anchor=\"middle\">",
+            escapeXml(certificate.courseId),
+            "</text><text x=\"300\" y=\"300\" font-family=\"monospace\" font-size=\"12\" text-anchor=\"middle\">",
+            certificate.student.toChecksumHexString(),
+            "</text><text x=\"300\" y=\"350\" font-family=\"serif\" font-size=\"14\" text-anchor=\"middle\" fill=\"#1f3a5f\">EducToken #",
+            tokenId.toString(),
+            "</text></svg>"
+        );
+    }
+}
@@ -0,0 +1,258 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "../../access/roles/EducRoles.sol";
+import "../../config/constants/SystemConstants.sol";
+import "../../interfaces/IEducCertificate.sol";
+import "../../interfaces/IERC5192.sol";
+import "./CertificateEvents.sol";
+import "./CertificateMetadata.sol";
+import "./types/CertificateTypes.sol";
+
+/**
+ * @title EducCertificate
+ * @dev Soulbound (ERC-5192) ERC-721 certificates of course completion, issued by
+ * EducLearning and revocable by administrators
+ */
+contract EducCertificate is ERC721, AccessControl, Pausable, IEducCertificate, IERC5192 {
+    // Certificate storage
+    mapping(uint256 => CertificateTypes.Certificate) private certificates;
+    mapping(bytes32 => uint256) private completionCertificates;
+    mapping(address => uint256[]) private studentCertificates;
+
+    uint256 public totalIssued;
+
+    /**
+     * @dev Constructor sets up initial admin role
+     * @param admin Address with administrative privileges
+     */
+    constructor(address admin) ERC721("EducToken Course Certificate", "EDUCCERT") {
+        require(admin != address(0), "EducCertificate: Invalid admin address");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(EducRoles.ADMIN_ROLE, admin);
+    }
+
+    /**
+     * @dev Issues a certificate for a course completion
+     * @param params Certificate parameters
+     * @return tokenId ID of the new certificate
+     */
+    function issueCertificate(CertificateTypes.CertificateParams calldata params)
+        external
+        override
+        onlyRole(EducRoles.MINTER_ROLE)
+        whenNotPaused
+        returns (uint256 tokenId)
+    {
+        require(params.student != address(0), "EducCertificate: Invalid student address");
+        require(params.educator != address(0), "EducCertificate: Invalid educator address");
+        require(bytes(params.courseId).length > 0, "EducCertificate: Course ID cannot be empty");
+        require(
+            bytes(params.courseId).length <= SystemConstants.MAX_COURSE_ID_LENGTH,
+            "EducCertificate: Course ID too long"
+        );
+
+        bytes32 completionKey = _generateCompletionKey(params.student, params.educator, params.courseId);
+        require(completionCertificates[completionKey] == 0, "EducCertificate: Certificate already issued");
+
+        tokenId = ++totalIssued;
+        completionCertificates[completionKey] = tokenId;
+        studentCertificates[params.student].push(tokenId);
+
+        certificates[tokenId] = CertificateTypes.Certificate({
+            student: params.student,
+            courseId: params.courseId,
+            courseName: params.courseName,
+            educator: params.educator,
+            courseVersion: params.courseVersion,
+            metadataHash: params.metadataHash,
+            issuedAt: block.timestamp,
+            revoked: false,
+            revokedAt: 0,
+            revocationReason: ""
+        });
+
+        _mint(params.student, tokenId);
+
+        emit Locked(tokenId);
+        emit CertificateEvents.CertificateIssued(
+            tokenId,
+            params.student,
+            params.courseId,
+            params.educator,
+            params.courseVersion,
+            params.metadataHash,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Revokes a certificate, e.g. when the completion turns out to be fraudulent.
+     * The token is burned; the certificate record is kept with its revocation details.
+     * @param tokenId ID of the certificate
+     * @param reason Why the certificate is revoked
+     */
+    function revokeCertificate(uint256 tokenId, string calldata reason)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        CertificateTypes.Certificate storage certificate = certificates[tokenId];
+        require(certificate.student != address(0), "EducCertificate: Certificate not found");
+        require(!certificate.revoked, "EducCertificate: Certificate already revoked");
+        require(bytes(reason).length > 0, "EducCertificate: Reason cannot be empty");
+        require(
+            bytes(reason).length <= SystemConstants.MAX_DESCRIPTION_LENGTH,
+            "EducCertificate: Reason too long"
+        );
+
+        certificate.revoked = true;
+        certificate.revokedAt = block.timestamp;
+        certificate.revocationReason = reason;
+
+        _burn(tokenId);
+
+        emit CertificateEvents.CertificateRevoked(
+            tokenId,
+            certificate.student,
+            msg.sender,
+            reason,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Gets a certificate, including revoked ones
+     * @param tokenId ID of the certificate
+     * @return certificate The certificate data structure
+     */
+    function getCertificate(uint256 tokenId)
+        external
+        view
+        override
+        returns (CertificateTypes.Certificate memory certificate)
+    {
+        certificate = certificates[tokenId];
+        require(certificate.student != address(0), "EducCertificate: Certificate not found");
+    }
+
+    /**
+     * @dev Gets the certificate issued for a course completion
+     * @param student Address of the student
+     * @param educator Address of the course educator
+     * @param courseId ID of the course
+     * @return tokenId ID of the certificate, 0 if none was issued
+     */
+    function getCertificateId(address student, address educator, string calldata courseId)
+        external
+        view
+        override
+        returns (uint256 tokenId)
+    {
+        return completionCertificates[_generateCompletionKey(student, educator, courseId)];
+    }
+
+    /**
+     * @dev Gets every certificate issued to a student, including revoked ones
+     * @param student Address of the student
+     * @return tokenIds IDs of the certificates
+     */
+    function getStudentCertificates(address student)
+        external
+        view
+        override
+        returns (uint256[] memory tokenIds)
+    {
+        return studentCertificates[student];
+    }
+
+    /**
+     * @dev Checks if a certificate exists and has not been revoked
+     * @param tokenId ID of the certificate
+     * @return valid Whether the certificate is valid
+     */
+    function isValidCertificate(uint256 tokenId) external view override returns (bool valid) {
+        return certificates[tokenId].student != address(0) && !certificates[tokenId].revoked;
+    }
+
+    /**
+     * @dev Every certificate is locked to its holder
+     * @param tokenId ID of the certificate
+     * @return Always true for existing certificates
+     */
+    function locked(uint256 tokenId) external view override returns (bool) {
+        _requireOwned(tokenId);
+        return true;
+    }
+
+    /**
+     * @dev Renders the certificate metadata as on-chain JSON
+     * @param tokenId ID of the certificate
+     * @return The data URI of the metadata
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+        return CertificateMetadata.tokenURI(tokenId, certificates[tokenId]);
+    }
+
+    /**
+     * @dev Certificates cannot be approved for transfer
+     */
+    function approve(address, uint256) public pure override {
+        revert("EducCertificate: Certificates are soulbound");
+    }
+
+    /**
+     * @dev Certificates cannot be approved for transfer
+     */
+    function setApprovalForAll(address, bool) public pure override {
+        revert("EducCertificate: Certificates are soulbound");
+    }
+
+    /**
+     * @dev Pauses certificate issuance
+     */
+    function pause() external override onlyRole(EducRoles.ADMIN_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Unpauses certificate issuance
+     */
+    function unpause() external override onlyRole(EducRoles.ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        override(ERC721, AccessControl)
+        returns (bool)
+    {
+        return interfaceId == type(IERC5192).interfaceId || super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Only allows minting and burning, never transfers between holders
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        address from = _ownerOf(tokenId);
+        require(from == address(0) || to == address(0), "EducCertificate: Certificates are soulbound");
+        return super._update(to, tokenId, auth);
+    }
+
+    function _generateCompletionKey(address student, address educator, string memory courseId)
+        private
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encode(student, educator, courseId));
+    }
+}
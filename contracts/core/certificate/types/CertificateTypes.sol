@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title CertificateTypes
+ * @dev Defines type structures for the Certificate module
+ */
+library CertificateTypes {
+    /**
+     * @dev Represents a course completion certificate
+     */
+    struct Certificate {
+        // Completion details
+        address student;             // Address of the certificate holder
+        string courseId;             // ID of the completed course
+        string courseName;           // Name of the course when the certificate was issued
+        address educator;            // Address of the course educator
+        uint32 courseVersion;        // Course version that was completed
+        bytes32 metadataHash;        // Course metadata hash when the certificate was issued
+
+        // Status
+        uint256 issuedAt;            // When the certificate was issued
+        bool revoked;                // Whether the certificate was revoked
+        uint256 revokedAt;           // When the certificate was revoked
+        string revocationReason;     // Why the certificate was revoked
+    }
+
+    /**
+     * @dev Parameters for issuing a certificate
+     */
+    struct CertificateParams {
+        address student;             // Address of the student
+        string courseId;             // ID of the completed course
+        string courseName;           // Name of the course
+        address educator;            // Address of the course educator
+        uint32 courseVersion;        // Course version that was completed
+        bytes32 metadataHash;        // Course metadata hash
+    }
+}
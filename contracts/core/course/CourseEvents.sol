@@ -79,4 +79,10 @@ library CourseEvents {
         bytes32 newMetadataHash,
         uint256 timestamp
     );
-}
\ No newline at end of file
+
+    /**
+     * @dev Emitted when the EducConfig contract providing the live limits is set
+     * @param configContract Address of the config contract
+     */
+    event ConfigContractSet(address indexed configContract);
+}
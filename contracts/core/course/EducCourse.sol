@@ -6,6 +6,8 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../../access/roles/EducRoles.sol";
 import "../../config/constants/SystemConstants.sol";
+import "../../security/pause/EducPauseControlled.sol";
+import "../../interfaces/IEducConfig.sol";
 import "../../interfaces/IEducCourse.sol";
 import "../../interfaces/IEducEducator.sol";
 import "./CourseEvents.sol";
@@ -15,7 +17,7 @@ import "./types/CourseTypes.sol";
  * @title EducCourse
  * @dev Advanced course management with enhanced tracking and governance
  */
-contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
+contract EducCourse is AccessControl, Pausable, ReentrancyGuard, EducPauseControlled, IEducCourse {
     // Storage mappings with enhanced tracking
     mapping(bytes32 => CourseTypes.Course) public courses;
     mapping(bytes32 => CourseTypes.CourseHistory[]) public courseHistories;
@@ -24,6 +26,9 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
     // Reference to educator contract
     IEducEducator public educatorContract;
 
+    // Live limits, SystemConstants apply until set
+    IEducConfig public configContract;
+
     /**
      * @dev Constructor sets up admin and educator contract reference
      * @param admin Administrator address
@@ -39,6 +44,16 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         educatorContract = IEducEducator(_educatorContract);
     }
 
+    /**
+     * @dev Sets the config contract whose limits apply to course creation
+     * @param _configContract Address of the EducConfig contract
+     */
+    function setConfigContract(address _configContract) external override onlyRole(EducRoles.ADMIN_ROLE) {
+        require(_configContract != address(0), "EducCourse: Invalid config contract");
+        configContract = IEducConfig(_configContract);
+        emit CourseEvents.ConfigContractSet(_configContract);
+    }
+
     /**
      * @dev Creates a new course with structured parameters
      * @param params Course creation parameters
@@ -47,12 +62,30 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         external
         override 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_COURSE)
         nonReentrant 
     {
-        _validateCourseCreation(params);
-        _createCourse(params);
+        _validateCourseCreation(msg.sender, params);
+        _createCourse(msg.sender, params);
     }
     
+    /**
+     * @dev Creates a course owned by an educator, on behalf of governance
+     * @param educator Address of the educator who will own the course
+     * @param params Course creation parameters
+     */
+    function createCourseForEducator(address educator, CourseTypes.CourseCreationParams calldata params)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+        whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_COURSE)
+        nonReentrant
+    {
+        _validateCourseCreation(educator, params);
+        _createCourse(educator, params);
+    }
+
     /**
      * @dev Legacy method for compatibility - creates a new course
      * @param courseId Unique identifier for the course
@@ -69,6 +102,7 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         external
         override
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_COURSE)
         nonReentrant
     {
         CourseTypes.CourseCreationParams memory params = CourseTypes.CourseCreationParams({
@@ -78,26 +112,38 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
             metadataHash: metadataHash
         });
         
-        _validateCourseCreation(params);
-        _createCourse(params);
+        _validateCourseCreation(msg.sender, params);
+        _createCourse(msg.sender, params);
     }
     
     /**
      * @dev Validates course creation parameters
+     * @param educator Address of the educator who will own the course
      * @param params Course creation parameters to validate
      */
-    function _validateCourseCreation(CourseTypes.CourseCreationParams memory params) private view {
-        _validateEducator(msg.sender);
+    function _validateCourseCreation(address educator, CourseTypes.CourseCreationParams memory params) private view {
+        _validateEducator(educator);
+        _validateCourseLimit(educator);
         _validateCourseId(params.courseId);
         _validateCourseName(params.courseName);
         _validateRewardAmount(params.rewardAmount);
-        _validateCourseUniqueness(msg.sender, params.courseId);
+        _validateCourseUniqueness(educator, params.courseId);
     }
 
     function _validateEducator(address educator) private view {
         require(educatorContract.isActiveEducator(educator), "EducCourse: Caller not an active educator");
     }
 
+    function _validateCourseLimit(address educator) private view {
+        uint16 maxCourses = address(configContract) == address(0)
+            ? SystemConstants.MAX_COURSES_PER_EDUCATOR
+            : configContract.getMaxCoursesPerEducator();
+        require(
+            educatorContract.getEducatorInfo(educator).courseCount < maxCourses,
+            "EducCourse: Maximum courses per educator reached"
+        );
+    }
+
     function _validateCourseId(string memory courseId) private pure {
         require(bytes(courseId).length > 0 && bytes(courseId).length <= SystemConstants.MAX_COURSE_ID_LENGTH, 
             "EducCourse: Invalid course ID");
@@ -119,16 +165,17 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
     
     /**
      * @dev Internal implementation of course creation
+     * @param educator Address of the educator who will own the course
      * @param params Course creation parameters
      */
-    function _createCourse(CourseTypes.CourseCreationParams memory params) private {
-        bytes32 courseKey = _generateCourseKey(msg.sender, params.courseId);
+    function _createCourse(address educator, CourseTypes.CourseCreationParams memory params) private {
+        bytes32 courseKey = _generateCourseKey(educator, params.courseId);
         uint256 currentTime = block.timestamp;
 
         CourseTypes.Course memory newCourse = CourseTypes.Course({
             courseId: params.courseId,
             courseName: params.courseName,
-            educator: msg.sender,
+            educator: educator,
             rewardAmount: params.rewardAmount,
             completionCount: 0,
             isActive: true,
@@ -142,12 +189,12 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         courses[courseKey] = newCourse;
         courseKeys.push(courseKey);
         
-        educatorContract.incrementCourseCount(msg.sender);
+        educatorContract.incrementCourseCount(educator);
 
         emit CourseEvents.CourseCreated(
             params.courseId,
             params.courseName,
-            msg.sender,
+            educator,
             params.rewardAmount,
             currentTime
         );
@@ -161,12 +208,30 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         external 
         override 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_COURSE)
         nonReentrant 
     {
-        _validateCourseUpdate(params);
-        _updateCourse(params);
+        _validateCourseUpdate(msg.sender, params);
+        _updateCourse(msg.sender, params);
     }
     
+    /**
+     * @dev Updates a course owned by an educator, on behalf of governance
+     * @param educator Address of the educator who owns the course
+     * @param params Course update parameters
+     */
+    function updateCourseForEducator(address educator, CourseTypes.CourseUpdateParams calldata params)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+        whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_COURSE)
+        nonReentrant
+    {
+        _validateCourseUpdate(educator, params);
+        _updateCourse(educator, params);
+    }
+
     /**
      * @dev Legacy method for compatibility - updates an existing course
      * @param courseId ID of the course to update
@@ -187,6 +252,7 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         external 
         override 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_COURSE)
         nonReentrant 
     {
         CourseTypes.CourseUpdateParams memory params = CourseTypes.CourseUpdateParams({
@@ -198,17 +264,18 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
             changeDescription: changeDescription
         });
         
-        _validateCourseUpdate(params);
-        _updateCourse(params);
+        _validateCourseUpdate(msg.sender, params);
+        _updateCourse(msg.sender, params);
     }
     
     /**
      * @dev Validates course update parameters
+     * @param educator Address of the educator who owns the course
      * @param params Course update parameters to validate
      */
-    function _validateCourseUpdate(CourseTypes.CourseUpdateParams memory params) private view {
+    function _validateCourseUpdate(address educator, CourseTypes.CourseUpdateParams memory params) private view {
         _validateChangeDescription(params.changeDescription);
-        _validateCourseOwnership(msg.sender, params.courseId);
+        _validateCourseOwnership(educator, params.courseId);
     }
 
     function _validateChangeDescription(string memory changeDescription) private pure {
@@ -223,10 +290,11 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
     
     /**
      * @dev Internal implementation of course update
+     * @param educator Address of the educator who owns the course
      * @param params Course update parameters
      */
-    function _updateCourse(CourseTypes.CourseUpdateParams memory params) private {
-        bytes32 courseKey = _generateCourseKey(msg.sender, params.courseId);
+    function _updateCourse(address educator, CourseTypes.CourseUpdateParams memory params) private {
+        bytes32 courseKey = _generateCourseKey(educator, params.courseId);
         CourseTypes.Course storage course = courses[courseKey];
         
         _storePreviousValues(course, params, courseKey);
@@ -246,7 +314,7 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
             
             CourseTypes.CourseHistory memory history = CourseTypes.CourseHistory({
                 courseId: params.courseId,
-                educator: msg.sender,
+                educator: course.educator,
                 version: course.version,
                 previousName: previousName,
                 previousReward: previousReward,
@@ -261,7 +329,7 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
             
             emit CourseEvents.CourseUpdated(
                 params.courseId,
-                msg.sender,
+                course.educator,
                 course.version,
                 previousName,
                 course.courseName,
@@ -293,7 +361,7 @@ contract EducCourse is AccessControl, Pausable, ReentrancyGuard, IEducCourse {
         if (params.metadataHash != bytes32(0)) {
             emit CourseEvents.CourseMetadataUpdated(
                 params.courseId,
-                msg.sender,
+                course.educator,
                 course.metadataHash,
                 params.metadataHash,
                 block.timestamp
@@ -6,6 +6,8 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../../access/roles/EducRoles.sol";
 import "../../config/constants/SystemConstants.sol";
+import "../../security/pause/EducPauseControlled.sol";
+import "../../interfaces/IEducConfig.sol";
 import "../../interfaces/IEducEducator.sol";
 import "./EducatorEvents.sol";
 import "./types/EducatorTypes.sol";
@@ -14,11 +16,18 @@ import "./types/EducatorTypes.sol";
  * @title EducEducator
  * @dev Manages educator accounts and permissions in the EducLearning system
  */
-contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator {
+contract EducEducator is AccessControl, Pausable, ReentrancyGuard, EducPauseControlled, IEducEducator {
     // Storage
     mapping(address => EducatorTypes.Educator) private educators;
     uint16 public totalEducators;
 
+    // Live limits, SystemConstants apply until set
+    IEducConfig public configContract;
+
+    // Time of each educator's last reward recorded through recordRewardMint. Course
+    // completions go through recordMint and never start the mint cooldown.
+    mapping(address => uint256) private lastRewardTimes;
+
     // Modifiers
     modifier educatorExists(address educator) {
         require(educators[educator].educatorAddress != address(0), "EducEducator: educator does not exist");
@@ -54,6 +63,8 @@ contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_REGISTER)
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_EDUCATOR)
         nonReentrant
         validAddress(params.educatorAddress)
         educatorNotExists(params.educatorAddress)
@@ -72,6 +83,8 @@ contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_REGISTER)
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_EDUCATOR)
         nonReentrant
         validAddress(educator)
         educatorNotExists(educator)
@@ -95,7 +108,7 @@ contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator
      * @param mintLimit Maximum tokens the educator can mint
      */
     function _registerEducator(address educator, uint256 mintLimit) private {
-        require(totalEducators < type(uint16).max, "EducEducator: max educators limit reached");
+        require(totalEducators < _maxEducators(), "EducEducator: max educators limit reached");
         
         uint256 currentTime = block.timestamp;
 
@@ -121,6 +134,68 @@ contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator
         );
     }
 
+    /**
+     * @dev Sets the config contract whose limits apply to registration
+     * @param _configContract Address of the EducConfig contract
+     */
+    function setConfigContract(address _configContract)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+        validAddress(_configContract)
+    {
+        configContract = IEducConfig(_configContract);
+        emit EducatorEvents.ConfigContractSet(_configContract);
+    }
+
+    /**
+     * @dev Gets the current maximum number of educators
+     * @return The limit from the config contract, or the SystemConstants limit when unset
+     */
+    function _maxEducators() private view returns (uint16) {
+        if (address(configContract) == address(0)) {
+            return SystemConstants.MAX_EDUCATORS_LIMIT;
+        }
+        return configContract.getMaxEducators();
+    }
+
+    /**
+     * @dev Cooldown between rewards of the same educator
+     * @return The configured cooldown, or SystemConstants.TWO_HOURS if no config is set
+     */
+    function _mintCooldownPeriod() private view returns (uint256) {
+        if (address(configContract) == address(0)) {
+            return SystemConstants.TWO_HOURS;
+        }
+        return configContract.getMintCooldownPeriod();
+    }
+
+    /**
+     * @dev Checks the educator's status and limit, then adds the amount to their mint statistics
+     * @param educator Address of the educator
+     * @param amount Amount that was minted
+     */
+    function _recordMint(address educator, uint256 amount) private {
+        EducatorTypes.Educator storage educatorData = educators[educator];
+
+        require(educatorData.isActive, "EducEducator: educator is not active");
+
+        require(
+            educatorData.totalMinted + amount <= educatorData.mintLimit,
+            "EducEducator: mint limit exceeded"
+        );
+
+        educatorData.totalMinted += amount;
+        educatorData.lastMintTime = block.timestamp;
+        
+        emit EducatorEvents.EducatorMintRecorded(
+            educator,
+            amount,
+            educatorData.totalMinted,
+            block.timestamp
+        );
+    }
+
     /**
      * @dev Updates an educator's status with structured parameters
      * @param params Status update parameters (educator, active status, mint limit)
@@ -199,19 +274,52 @@ contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator
         onlyRole(EducRoles.ADMIN_ROLE)
         educatorExists(educator)
     {
-        EducatorTypes.Educator storage educatorData = educators[educator];
-
-        require(educatorData.isActive, "EducEducator: educator is not active");
+        _recordMint(educator, amount);
+    }
 
+    /**
+     * @dev Updates educator's mint statistics for a discretionary reward and enforces the
+     * mint cooldown, shared by every contract that issues rewards on the educator's behalf
+     * @param educator Address of the educator
+     * @param amount Amount that was minted
+     */
+    function recordRewardMint(address educator, uint256 amount)
+        external
+        override
+        nonReentrant
+        onlyRole(EducRoles.ADMIN_ROLE)
+        educatorExists(educator)
+    {
+        uint256 lastReward = lastRewardTimes[educator];
         require(
-            educatorData.totalMinted + amount <= educatorData.mintLimit,
-            "EducEducator: mint limit exceeded"
+            lastReward == 0 || block.timestamp >= lastReward + _mintCooldownPeriod(),
+            "EducEducator: mint cooldown not elapsed"
         );
 
-        educatorData.totalMinted += amount;
-        educatorData.lastMintTime = block.timestamp;
-        
-        emit EducatorEvents.EducatorMintRecorded(
+        lastRewardTimes[educator] = block.timestamp;
+        _recordMint(educator, amount);
+    }
+
+    /**
+     * @dev Gives back part of an educator's recorded mint allowance, e.g. rewards
+     * that were reserved for a distribution epoch but never claimed
+     * @param educator Address of the educator
+     * @param amount Amount to remove from the educator's total minted
+     */
+    function releaseMint(address educator, uint256 amount)
+        external
+        override
+        nonReentrant
+        onlyRole(EducRoles.ADMIN_ROLE)
+        educatorExists(educator)
+    {
+        EducatorTypes.Educator storage educatorData = educators[educator];
+
+        require(amount <= educatorData.totalMinted, "EducEducator: release exceeds total minted");
+
+        educatorData.totalMinted -= amount;
+
+        emit EducatorEvents.EducatorMintReleased(
             educator,
             amount,
             educatorData.totalMinted,
@@ -286,6 +394,20 @@ contract EducEducator is AccessControl, Pausable, ReentrancyGuard, IEducEducator
     {
         return educators[educator].totalMinted;
     }
+
+    /**
+     * @dev Gets the time of an educator's last reward recorded through recordRewardMint
+     * @param educator Address of the educator
+     * @return lastRewardTime Timestamp of the last reward, 0 if none
+     */
+    function getEducatorLastRewardTime(address educator)
+        external
+        view
+        override
+        returns (uint256 lastRewardTime)
+    {
+        return lastRewardTimes[educator];
+    }
     
     /**
      * @dev Gets all information about an educator
@@ -47,6 +47,20 @@ library EducatorEvents {
         uint256 totalMinted,
         uint256 timestamp
     );
+
+    /**
+     * @dev Emitted when part of an educator's recorded mints is released back to their allowance
+     * @param educator Address of the educator
+     * @param amount Amount released
+     * @param totalMinted New total amount minted by this educator
+     * @param timestamp When the release occurred
+     */
+    event EducatorMintReleased(
+        address indexed educator,
+        uint256 amount,
+        uint256 totalMinted,
+        uint256 timestamp
+    );
     
     /**
      * @dev Emitted when an educator's course count is increased
@@ -59,4 +73,10 @@ library EducatorEvents {
         uint16 newCourseCount,
         uint256 timestamp
     );
-}
\ No newline at end of file
+
+    /**
+     * @dev Emitted when the EducConfig contract providing the live limits is set
+     * @param configContract Address of the config contract
+     */
+    event ConfigContractSet(address indexed configContract);
+}
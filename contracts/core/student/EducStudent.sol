@@ -6,6 +6,8 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../../access/roles/EducRoles.sol";
 import "../../config/constants/SystemConstants.sol";
+import "../../security/pause/EducPauseControlled.sol";
+import "../../metatx/EducMetaTxRecipient.sol";
 import "../../interfaces/IEducStudent.sol";
 import "./StudentEvents.sol";
 import "./types/StudentTypes.sol";
@@ -14,7 +16,14 @@ import "./types/StudentTypes.sol";
  * @title EducStudent
  * @dev Manages student accounts and their educational achievements with enhanced tracking
  */
-contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
+contract EducStudent is
+    AccessControl,
+    Pausable,
+    ReentrancyGuard,
+    EducPauseControlled,
+    EducMetaTxRecipient,
+    IEducStudent
+{
     // Mappings for comprehensive tracking
     mapping(address => StudentTypes.Student) public students;
     mapping(address => mapping(string => bool)) public courseCompletions;
@@ -44,6 +53,8 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         external
         override
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_REGISTER)
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
         onlyRole(EducRoles.ADMIN_ROLE)
     {
@@ -59,6 +70,8 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         external
         override
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_REGISTER)
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
         onlyRole(EducRoles.ADMIN_ROLE)
     {
@@ -75,6 +88,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.EDUCATOR_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
     {
         _validateCourseCompletion(params.studentAddress, params.courseId);
@@ -98,6 +112,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.EDUCATOR_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
     {
         _validateCourseCompletion(student, courseId);
@@ -119,6 +134,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
     {
         _validateTokenUsage(params.studentAddress, params.tokensUsed, params.purpose);
@@ -140,6 +156,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
     {
         _validateTokenUsage(student, tokensUsed, purpose);
@@ -156,6 +173,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
     {
         _validateActivityCategory(student, category);
         _addActivityCategory(student, category);
@@ -170,6 +188,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
     {
         _validateCustomActivity(params.studentAddress, params.category);
@@ -191,6 +210,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         override
         onlyRole(EducRoles.ADMIN_ROLE)
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_STUDENT)
         nonReentrant
     {
         _validateCustomActivity(student, category);
@@ -404,7 +424,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         completionRecords[completionKey] = StudentTypes.CourseCompletion({
             student: student,
             courseId: courseId,
-            verifiedBy: msg.sender,
+            verifiedBy: _msgSender(),
             completionTime: currentTime,
             tokensAwarded: tokensAwarded,
             additionalMetadata: keccak256(abi.encodePacked(student, courseId, currentTime))
@@ -413,7 +433,7 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
         emit StudentEvents.CourseCompletionRecorded(
             student,
             courseId,
-            msg.sender,
+            _msgSender(),
             tokensAwarded,
             currentTime
         );
@@ -592,4 +612,25 @@ contract EducStudent is AccessControl, Pausable, ReentrancyGuard, IEducStudent {
     function unpause() external onlyRole(EducRoles.ADMIN_ROLE) {
         _unpause();
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Attributes calls from the trusted forwarder to their signer
+     */
+    function _msgSender() internal view override(Context, EducMetaTxRecipient) returns (address) {
+        return super._msgSender();
+    }
+
+    /**
+     * @dev Strips the signer appended by the trusted forwarder
+     */
+    function _msgData() internal view override(Context, EducMetaTxRecipient) returns (bytes calldata) {
+        return super._msgData();
+    }
+
+    /**
+     * @dev Length of the signer appended by the trusted forwarder
+     */
+    function _contextSuffixLength() internal view override(Context, EducMetaTxRecipient) returns (uint256) {
+        return super._contextSuffixLength();
+    }
+}
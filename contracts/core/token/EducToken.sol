@@ -2,6 +2,8 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
@@ -9,14 +11,29 @@ import "../../access/roles/EducRoles.sol";
 import "../../interfaces/IEducToken.sol";
 import "../../interfaces/IEducStudent.sol";
 import "../../config/constants/SystemConstants.sol";
+import "../../security/pause/EducPauseControlled.sol";
+import "../../metatx/EducMetaTxRecipient.sol";
 import "./TokenEvents.sol";
 import "./types/TokenTypes.sol";
 
 /**
  * @title EducToken
- * @dev ERC20 token for educational incentives with enhanced reward system and activity tracking
+ * @dev ERC20 token for educational incentives with enhanced reward system and activity tracking.
+ * Holders delegate their balance as votes, checkpointed by block for EducGovernor, and
+ * approve spenders with EIP-2612 signed permits, which need no ETH. Transfers, burns and
+ * delegations can be relayed as ERC-2771 meta-transactions through the trusted forwarder.
  */
-contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToken {
+contract EducToken is
+    ERC20,
+    ERC20Permit,
+    ERC20Votes,
+    AccessControl,
+    Pausable,
+    ReentrancyGuard,
+    EducPauseControlled,
+    EducMetaTxRecipient,
+    IEducToken
+{
     // Total counters
     uint256 public totalMinted;
     uint256 public totalBurned;
@@ -29,12 +46,12 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
 
     // Modifiers
     modifier onlyAdmin() {
-        require(hasRole(EducRoles.ADMIN_ROLE, msg.sender), "EducToken: caller is not an admin");
+        require(hasRole(EducRoles.ADMIN_ROLE, _msgSender()), "EducToken: caller is not an admin");
         _;
     }
 
     modifier onlyMinter() {
-        require(hasRole(EducRoles.MINTER_ROLE, msg.sender), "EducToken: caller is not a minter");
+        require(hasRole(EducRoles.MINTER_ROLE, _msgSender()), "EducToken: caller is not a minter");
         _;
     }
 
@@ -52,7 +69,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
      * @dev Constructor that initializes the token with name, symbol and initial supply
      * @param admin The address that will be granted the admin role
      */
-    constructor(address admin) ERC20("EducToken", "EDUC") validAddress(admin) {
+    constructor(address admin) ERC20("EducToken", "EDUC") ERC20Permit("EducToken") validAddress(admin) {
         _setupRoles(admin);
         _mintInitialSupply(admin);
     }
@@ -113,6 +130,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         override 
         onlyMinter 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant 
         validAddress(to) 
         positiveAmount(amount)
@@ -121,7 +139,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         _trackDailyMinting(amount);
         _performMint(to, amount);
         
-        emit TokenEvents.TokensMinted(to, amount, msg.sender);
+        emit TokenEvents.TokensMinted(to, amount, _msgSender());
     }
     
     /**
@@ -132,6 +150,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         external
         onlyMinter
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant
         validAddress(params.student)
         positiveAmount(params.amount)
@@ -142,7 +161,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         _performMint(params.student, params.amount);
         
         emit TokenEvents.RewardIssued(params.student, params.amount, params.reason);
-        emit TokenEvents.TokensMinted(params.student, params.amount, msg.sender);
+        emit TokenEvents.TokensMinted(params.student, params.amount, _msgSender());
     }
     
     /**
@@ -156,6 +175,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         override
         onlyMinter 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant 
         validAddress(student)
         positiveAmount(amount)
@@ -166,7 +186,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         _performMint(student, amount);
         
         emit TokenEvents.RewardIssued(student, amount, reason);
-        emit TokenEvents.TokensMinted(student, amount, msg.sender);
+        emit TokenEvents.TokensMinted(student, amount, _msgSender());
     }
     
     /**
@@ -177,6 +197,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         external
         onlyMinter
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant
     {
         _validateBatchInputs(params.students, params.amounts, params.reasons);
@@ -205,6 +226,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         override
         onlyMinter 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant 
     {
         _validateBatchInputs(students, amounts, reasons);
@@ -226,15 +248,16 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         external 
         override 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN)
         nonReentrant 
         positiveAmount(amount)
     {
-        _validateBurnAmount(msg.sender, amount);
+        _validateBurnAmount(_msgSender(), amount);
 
-        _burn(msg.sender, amount);
+        _burn(_msgSender(), amount);
         totalBurned += amount;
 
-        emit TokenEvents.TokensBurned(msg.sender, amount);
+        emit TokenEvents.TokensBurned(_msgSender(), amount);
     }
 
     /**
@@ -245,6 +268,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         external
         onlyAdmin
         whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN)
         nonReentrant
         validAddress(params.from)
         positiveAmount(params.amount)
@@ -254,7 +278,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         _burn(params.from, params.amount);
         totalBurned += params.amount;
 
-        emit TokenEvents.TokensBurnedFrom(params.from, params.amount, msg.sender, params.reason);
+        emit TokenEvents.TokensBurnedFrom(params.from, params.amount, _msgSender(), params.reason);
     }
     
     /**
@@ -268,6 +292,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         override 
         onlyAdmin 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN)
         nonReentrant 
         validAddress(from)
         positiveAmount(amount)
@@ -277,7 +302,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         _burn(from, amount);
         totalBurned += amount;
 
-        emit TokenEvents.TokensBurnedFrom(from, amount, msg.sender, reason);
+        emit TokenEvents.TokensBurnedFrom(from, amount, _msgSender(), reason);
     }
 
     /**
@@ -287,6 +312,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         public 
         override(ERC20, IEducToken) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_TRANSFER)
         returns (bool) 
     {
         return super.transfer(to, amount);
@@ -303,11 +329,26 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         public 
         override(ERC20, IEducToken) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_TRANSFER)
         returns (bool) 
     {
         return super.transferFrom(from, to, amount);
     }
 
+    /**
+     * @dev Moves voting power along with every mint, burn and transfer
+     */
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Permits and vote delegations by signature share one nonce per account
+     */
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
     /**
      * @dev Validates the mint amount is within limits
      * @param amount Amount to validate
@@ -397,7 +438,7 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
             _mint(students[i], amounts[i]);
             
             emit TokenEvents.RewardIssued(students[i], amounts[i], reasons[i]);
-            emit TokenEvents.TokensMinted(students[i], amounts[i], msg.sender);
+            emit TokenEvents.TokensMinted(students[i], amounts[i], _msgSender());
         }
     }
 
@@ -487,4 +528,25 @@ contract EducToken is ERC20, AccessControl, Pausable, ReentrancyGuard, IEducToke
         require(balanceOf(from) >= amount, "EducToken: burn amount exceeds balance");
         require(_isAccountInactive(from), "EducToken: account is not inactive");
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Attributes calls from the trusted forwarder to their signer
+     */
+    function _msgSender() internal view override(Context, EducMetaTxRecipient) returns (address) {
+        return super._msgSender();
+    }
+
+    /**
+     * @dev Strips the signer appended by the trusted forwarder
+     */
+    function _msgData() internal view override(Context, EducMetaTxRecipient) returns (bytes calldata) {
+        return super._msgData();
+    }
+
+    /**
+     * @dev Length of the signer appended by the trusted forwarder
+     */
+    function _contextSuffixLength() internal view override(Context, EducMetaTxRecipient) returns (uint256) {
+        return super._contextSuffixLength();
+    }
+}
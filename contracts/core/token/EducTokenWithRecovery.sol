@@ -1,22 +1,27 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "./EducToken.sol";
 import "../../security/emergency/EducEmergencyEnabled.sol";
 import "../../config/constants/SystemConstants.sol";
 import "../../access/roles/EducRoles.sol";
+import "../../security/pause/EducPauseControlled.sol";
 
 /**
  * @title EducTokenWithRecovery
- * @dev ERC20 token for educational incentives with emergency recovery mechanisms
+ * @dev ERC20 token for educational incentives with emergency recovery mechanisms.
+ * Holders approve spenders with EIP-2612 signed permits, which need no ETH.
  */
 contract EducTokenWithRecovery is 
     ERC20, 
+    ERC20Permit,
     AccessControl, 
     Pausable, 
     ReentrancyGuard, 
     IEducToken,
-    EducEmergencyEnabled 
+    EducEmergencyEnabled,
+    EducPauseControlled
 {
     // Total counters
     uint256 public totalMinted;
@@ -40,6 +45,7 @@ contract EducTokenWithRecovery is
         address emergencyRecoveryContract
     ) 
         ERC20("EducToken", "EDUC")
+        ERC20Permit("EducToken")
         EducEmergencyEnabled(treasury, emergencyRecoveryContract) 
     {
         require(admin != address(0), "EducToken: admin cannot be zero address");
@@ -81,7 +87,7 @@ contract EducTokenWithRecovery is
      * @param to The address that will receive the minted tokens
      * @param amount The amount of tokens to mint
      */
-    function mint(address to, uint256 amount) external override onlyRole(EducRoles.MINTER_ROLE) whenNotPaused nonReentrant {
+    function mint(address to, uint256 amount) external override onlyRole(EducRoles.MINTER_ROLE) whenNotPaused whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT) nonReentrant {
         validateMint(to, amount);
         trackDailyMinting(amount);
 
@@ -101,6 +107,7 @@ contract EducTokenWithRecovery is
         external 
         onlyRole(EducRoles.MINTER_ROLE) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant 
     {
         validateMint(student, amount);
@@ -117,6 +124,7 @@ contract EducTokenWithRecovery is
     function mintReward(TokenTypes.MintRewardParams calldata params) external override 
     onlyRole(EducRoles.MINTER_ROLE) 
     whenNotPaused 
+    whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
     nonReentrant 
     {
         validateMint(params.student, params.amount);
@@ -133,6 +141,7 @@ contract EducTokenWithRecovery is
     function batchMintReward(TokenTypes.BatchMintRewardParams calldata params) external override 
         onlyRole(EducRoles.MINTER_ROLE) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant 
     {
         validateBatchMint(params.students, params.amounts, params.reasons);
@@ -152,6 +161,7 @@ contract EducTokenWithRecovery is
     function burnFromInactive(TokenTypes.BurnInactiveParams calldata params) external override 
         onlyRole(EducRoles.ADMIN_ROLE) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN)
         nonReentrant 
     {
         validateBurn(params.from, params.amount);
@@ -185,6 +195,7 @@ contract EducTokenWithRecovery is
         external 
         onlyRole(EducRoles.MINTER_ROLE) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
         nonReentrant 
     {
         validateBatchMint(students, amounts, reasons);
@@ -205,7 +216,7 @@ contract EducTokenWithRecovery is
      * @dev Burns tokens from the caller's account
      * @param amount The amount of tokens to burn
      */
-    function burn(uint256 amount) external override whenNotPaused nonReentrant {
+    function burn(uint256 amount) external override whenNotPaused whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN) nonReentrant {
         validateBurn(msg.sender, amount);
 
         _burn(msg.sender, amount);
@@ -225,6 +236,7 @@ contract EducTokenWithRecovery is
         override 
         onlyRole(EducRoles.ADMIN_ROLE) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_BURN)
         nonReentrant 
     {
         validateBurn(from, amount);
@@ -239,7 +251,7 @@ contract EducTokenWithRecovery is
     /**
      * @dev Transfer function override to enforce pause logic
      */
-    function transfer(address to, uint256 amount) public override(ERC20, IEducToken) whenNotPaused returns (bool) {
+    function transfer(address to, uint256 amount) public override(ERC20, IEducToken) whenNotPaused whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_TRANSFER) returns (bool) {
         return super.transfer(to, amount);
     }
 
@@ -250,6 +262,7 @@ contract EducTokenWithRecovery is
         public 
         override(ERC20, IEducToken) 
         whenNotPaused 
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_TRANSFER)
         returns (bool) 
     {
         return super.transferFrom(from, to, amount);
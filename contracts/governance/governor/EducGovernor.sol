@@ -0,0 +1,223 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
+import "../../interfaces/IEducConfig.sol";
+import "../../interfaces/IEducMultisig.sol";
+import "../../interfaces/IEducGovernor.sol";
+import "./GovernorEvents.sol";
+
+/**
+ * @title EducGovernor
+ * @dev Token-weighted voting next to EducProposal. Votes are the EDUC delegated to an
+ * account at the proposal snapshot block; the voting period and quorum are read from
+ * EducConfig when a proposal is created. Successful proposals are queued for VETO_PERIOD,
+ * during which the EducMultisig signers may cancel them once their vetoes reach the
+ * multisig threshold.
+ */
+contract EducGovernor is Governor, GovernorCountingSimple, GovernorVotes, IEducGovernor {
+    // Blocks between proposal creation and the vote snapshot
+    uint48 public constant VOTING_DELAY = 1;
+    // Time a successful proposal waits for a multisig veto before it can be executed
+    uint48 public constant VETO_PERIOD = 2 days;
+    uint256 public constant QUORUM_DENOMINATOR = 10_000;
+
+    IEducConfig public immutable config;
+    IEducMultisig public immutable multisig;
+
+    // Quorum in basis points of the snapshot supply, fixed at creation
+    mapping(uint256 => uint16) public proposalQuorumBps;
+
+    mapping(uint256 => address[]) private _vetoes;
+    mapping(uint256 => mapping(address => bool)) private _hasVetoed;
+
+    /**
+     * @dev Constructor wires the voting token, the configuration and the vetoing multisig
+     * @param token EducToken with ERC20Votes checkpoints
+     * @param _config EducConfig holding the voting period and quorum
+     * @param _multisig EducMultisig whose signers hold the veto
+     */
+    constructor(IVotes token, IEducConfig _config, IEducMultisig _multisig)
+        Governor("EducGovernor")
+        GovernorVotes(token)
+    {
+        require(address(token) != address(0), "EducGovernor: Invalid token");
+        require(address(_config) != address(0), "EducGovernor: Invalid config");
+        require(address(_multisig) != address(0), "EducGovernor: Invalid multisig");
+
+        config = _config;
+        multisig = _multisig;
+    }
+
+    /**
+     * @dev Records the veto of a multisig signer; the proposal is cancelled once the vetoes
+     * of current signers reach the multisig threshold
+     * @param targets Targets of the proposal
+     * @param values Values of the proposal
+     * @param calldatas Calldatas of the proposal
+     * @param descriptionHash Hash of the proposal description
+     * @return proposalId ID of the proposal
+     */
+    function veto(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) external override returns (uint256 proposalId) {
+        require(multisig.isSigner(msg.sender), "EducGovernor: Caller not a signer");
+
+        proposalId = hashProposal(targets, values, calldatas, descriptionHash);
+        ProposalState currentState = state(proposalId);
+        require(
+            currentState == ProposalState.Pending ||
+                currentState == ProposalState.Active ||
+                currentState == ProposalState.Succeeded ||
+                currentState == ProposalState.Queued,
+            "EducGovernor: Proposal cannot be vetoed"
+        );
+        require(!_hasVetoed[proposalId][msg.sender], "EducGovernor: Already vetoed");
+
+        _hasVetoed[proposalId][msg.sender] = true;
+        _vetoes[proposalId].push(msg.sender);
+
+        uint256 vetoCount = getVetoCount(proposalId);
+        emit GovernorEvents.VetoCast(proposalId, msg.sender, vetoCount, block.timestamp);
+
+        if (vetoCount >= multisig.threshold()) {
+            _cancel(targets, values, calldatas, descriptionHash);
+            emit GovernorEvents.ProposalVetoed(proposalId, block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Gets the quorum of a proposal, fixed when it was created
+     * @param proposalId ID of the proposal
+     * @return quorumVotes Votes needed at the proposal snapshot
+     */
+    function proposalQuorum(uint256 proposalId) public view override returns (uint256 quorumVotes) {
+        return
+            (token().getPastTotalSupply(proposalSnapshot(proposalId)) * proposalQuorumBps[proposalId]) /
+            QUORUM_DENOMINATOR;
+    }
+
+    /**
+     * @dev Gets the signers that vetoed a proposal
+     * @param proposalId ID of the proposal
+     * @return signers Addresses that vetoed, including removed signers
+     */
+    function getVetoes(uint256 proposalId) external view override returns (address[] memory signers) {
+        return _vetoes[proposalId];
+    }
+
+    /**
+     * @dev Counts the vetoes of a proposal cast by current multisig signers
+     * @param proposalId ID of the proposal
+     * @return vetoCount Number of vetoes
+     */
+    function getVetoCount(uint256 proposalId) public view override returns (uint256 vetoCount) {
+        address[] storage vetoes = _vetoes[proposalId];
+        for (uint256 i = 0; i < vetoes.length; i++) {
+            if (multisig.isSigner(vetoes[i])) {
+                vetoCount++;
+            }
+        }
+    }
+
+    /**
+     * @dev Checks if an account vetoed a proposal
+     * @param proposalId ID of the proposal
+     * @param account Address to check
+     * @return vetoed Whether the account vetoed
+     */
+    function hasVetoed(uint256 proposalId, address account) external view override returns (bool vetoed) {
+        return _hasVetoed[proposalId][account];
+    }
+
+    /**
+     * @dev Blocks between proposal creation and the vote snapshot
+     */
+    function votingDelay() public pure override returns (uint256) {
+        return VOTING_DELAY;
+    }
+
+    /**
+     * @dev Voting period in blocks, from EducConfig
+     */
+    function votingPeriod() public view override returns (uint256) {
+        return config.getVotingPeriod();
+    }
+
+    /**
+     * @dev Quorum at a timepoint with the current EducConfig quorum; proposals use the
+     * quorum fixed at their creation, see proposalQuorum
+     * @param timepoint Block number, in the past
+     */
+    function quorum(uint256 timepoint) public view override returns (uint256) {
+        return (token().getPastTotalSupply(timepoint) * config.getQuorumBps()) / QUORUM_DENOMINATOR;
+    }
+
+    /**
+     * @dev Every successful proposal waits out the veto period
+     */
+    function proposalNeedsQueuing(uint256) public pure override returns (bool) {
+        return true;
+    }
+
+    /**
+     * @dev Fixes the quorum of the proposal on creation
+     */
+    function _propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description,
+        address proposer
+    ) internal override returns (uint256 proposalId) {
+        proposalId = super._propose(targets, values, calldatas, description, proposer);
+        proposalQuorumBps[proposalId] = config.getQuorumBps();
+    }
+
+    /**
+     * @dev Quorum is reached by the for and abstain votes, against the quorum of the proposal
+     */
+    function _quorumReached(uint256 proposalId)
+        internal
+        view
+        override(Governor, GovernorCountingSimple)
+        returns (bool) {
+        (, uint256 forVotes, uint256 abstainVotes) = proposalVotes(proposalId);
+        return proposalQuorum(proposalId) <= forVotes + abstainVotes;
+    }
+
+    /**
+     * @dev Starts the veto period
+     */
+    function _queueOperations(
+        uint256,
+        address[] memory,
+        uint256[] memory,
+        bytes[] memory,
+        bytes32
+    ) internal view override returns (uint48) {
+        return uint48(block.timestamp) + VETO_PERIOD;
+    }
+
+    /**
+     * @dev Executes only queued proposals whose veto period elapsed
+     */
+    function _executeOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override {
+        uint256 eta = proposalEta(proposalId);
+        require(eta != 0, "EducGovernor: Proposal not queued");
+        require(block.timestamp >= eta, "EducGovernor: Veto period not elapsed");
+
+        super._executeOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+}
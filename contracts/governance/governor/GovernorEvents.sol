@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title GovernorEvents
+ * @dev Defines events for the token-weighted Governor module
+ */
+library GovernorEvents {
+    /**
+     * @dev Emitted when a multisig signer vetoes a governor proposal
+     * @param proposalId ID of the proposal
+     * @param signer Signer that vetoed
+     * @param vetoCount Vetoes of current signers, including this one
+     * @param timestamp When the veto was cast
+     */
+    event VetoCast(
+        uint256 indexed proposalId,
+        address indexed signer,
+        uint256 vetoCount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the vetoes of a proposal reach the multisig threshold and it is cancelled
+     * @param proposalId ID of the proposal
+     * @param timestamp When the proposal was vetoed
+     */
+    event ProposalVetoed(
+        uint256 indexed proposalId,
+        uint256 timestamp
+    );
+}
@@ -3,11 +3,18 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 import "../../access/roles/EducRoles.sol";
 import "../../config/constants/SystemConstants.sol";
 import "../../interfaces/IEducProposal.sol";
 import "../../interfaces/IEducMultisig.sol";
+import "../../interfaces/IEducConfig.sol";
+import "../../interfaces/IEducEducator.sol";
+import "../../interfaces/IEducCourse.sol";
+import "../../interfaces/IEducPause.sol";
+import "../../interfaces/IEducTreasury.sol";
 import "./ProposalEvents.sol";
+import "./ProposalInstructions.sol";
 import "./types/ProposalTypes.sol";
 import "../../governance/multisig/EducMultisig.sol";
 
@@ -19,6 +26,11 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
     // Constants
     uint256 public constant MAX_DESCRIPTION_LENGTH = 500;
     uint256 public constant PROPOSAL_EXPIRATION_TIME = 7 days;
+    uint256 public constant DEFAULT_EXECUTION_DELAY = 1 days;
+    uint256 public constant SIGNER_EXECUTION_DELAY = 2 days;
+    uint256 public constant CALL_EXECUTION_DELAY = 2 days;
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+    uint256 public constant EXECUTION_GRACE_PERIOD = 14 days;
 
     // Storage mappings
     mapping(uint256 => ProposalTypes.Proposal) public proposals;
@@ -27,6 +39,20 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
     // Multisig reference
     EducMultisig public multisig;
 
+    // Contracts the other instruction types are dispatched to
+    ProposalTypes.ExecutionTargets public executionTargets;
+
+    // Seconds an approved proposal stays queued before it can be executed
+    mapping(ProposalTypes.InstructionType => uint256) public executionDelays;
+
+    // Contracts Call proposals may call, besides this contract
+    mapping(address => bool) public allowedCallTargets;
+
+    modifier onlyGovernance() {
+        require(msg.sender == address(this), "EducProposal: Caller not governance");
+        _;
+    }
+
     /**
      * @dev Constructor sets up admin roles and multisig reference
      * @param _multisig Multisig contract address
@@ -36,8 +62,14 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
         _validateConstructorParams(_multisig, admin);
         multisig = EducMultisig(_multisig);
         _setupRoles(admin);
+        _setupExecutionDelays();
     }
 
+    /**
+     * @dev Receives the native value sent by Call proposals
+     */
+    receive() external payable {}
+
     function _validateConstructorParams(address _multisig, address admin) private pure {
         require(_multisig != address(0), "EducProposal: Invalid multisig");
         require(admin != address(0), "EducProposal: Invalid admin");
@@ -46,6 +78,80 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
     function _setupRoles(address admin) private {
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(EducRoles.ADMIN_ROLE, admin);
+        _grantRole(EducRoles.GUARDIAN_ROLE, admin);
+    }
+
+    /**
+     * @dev Signer management and arbitrary calls wait longer than the other instructions,
+     * emergency pauses execute as soon as they are approved
+     */
+    function _setupExecutionDelays() private {
+        for (uint8 i = 0; i <= uint8(ProposalTypes.InstructionType.Call); i++) {
+            ProposalTypes.InstructionType instructionType = ProposalTypes.InstructionType(i);
+            if (instructionType == ProposalTypes.InstructionType.Call) {
+                _setExecutionDelay(instructionType, CALL_EXECUTION_DELAY);
+            } else if (
+                instructionType == ProposalTypes.InstructionType.AddSigner ||
+                instructionType == ProposalTypes.InstructionType.RemoveSigner ||
+                instructionType == ProposalTypes.InstructionType.ChangeThreshold
+            ) {
+                _setExecutionDelay(instructionType, SIGNER_EXECUTION_DELAY);
+            } else if (instructionType != ProposalTypes.InstructionType.EmergencyPause) {
+                _setExecutionDelay(instructionType, DEFAULT_EXECUTION_DELAY);
+            }
+        }
+    }
+
+    /**
+     * @dev Sets the delay between approval and execution of an instruction type.
+     * Proposals already queued keep the delay they were queued with. Only callable
+     * through an executed Call proposal targeting this contract.
+     * @param instructionType Type of proposal instruction
+     * @param delay Seconds between queueing and execution, 0 executes on approval
+     */
+    function setExecutionDelay(ProposalTypes.InstructionType instructionType, uint256 delay)
+        external
+        onlyGovernance
+    {
+        _setExecutionDelay(instructionType, delay);
+    }
+
+    function _setExecutionDelay(ProposalTypes.InstructionType instructionType, uint256 delay) private {
+        require(delay <= MAX_EXECUTION_DELAY, "EducProposal: Delay too long");
+        executionDelays[instructionType] = delay;
+        emit ProposalEvents.ExecutionDelaySet(instructionType, delay, block.timestamp);
+    }
+
+    /**
+     * @dev Sets the contracts executed proposals are dispatched to. A zero address
+     * leaves the matching instruction types unexecutable.
+     * @param targets Execution target addresses
+     */
+    function setExecutionTargets(ProposalTypes.ExecutionTargets calldata targets)
+        external
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        executionTargets = targets;
+        emit ProposalEvents.ExecutionTargetsSet(
+            targets.config,
+            targets.educator,
+            targets.course,
+            targets.treasury,
+            targets.pauseControl,
+            block.timestamp
+        );
+    }
+
+    /**
+     * @dev Adds or removes a contract Call proposals may call. Only callable through
+     * an executed Call proposal targeting this contract, which is always allowed.
+     * @param target Contract address
+     * @param allowed Whether Call proposals may call the target
+     */
+    function setCallTargetAllowed(address target, bool allowed) external onlyGovernance {
+        require(target != address(0), "EducProposal: Invalid call target");
+        allowedCallTargets[target] = allowed;
+        emit ProposalEvents.CallTargetAllowed(target, allowed, block.timestamp);
     }
 
     function createProposal(ProposalTypes.ProposalCreationParams calldata params) 
@@ -64,6 +170,11 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
         require(multisig.isSigner(msg.sender), "EducProposal: Caller not a signer");
         require(bytes(params.description).length <= MAX_DESCRIPTION_LENGTH, "EducProposal: Description too long");
         require(params.requiredApprovals > 0 && params.requiredApprovals <= multisig.threshold(), "EducProposal: Invalid approval requirement");
+        // Arbitrary calls can do anything the other instructions can, so they need every threshold signer
+        if (params.instructionType == ProposalTypes.InstructionType.Call) {
+            require(params.requiredApprovals == multisig.threshold(), "EducProposal: Call requires threshold approvals");
+        }
+        ProposalInstructions.validate(params.instructionType, params.data);
     }
 
     function _initializeProposal(ProposalTypes.ProposalCreationParams calldata params) private {
@@ -93,11 +204,67 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
         _validateProposalApproval(proposal);
         proposal.approvers.push(msg.sender);
         _emitProposalApprovedEvent(params.proposalId, proposal.approvers.length);
-        if (proposal.approvers.length >= proposal.requiredApprovals) {
-            _executeProposal(params.proposalId);
+        uint256 requiredApprovals = _requiredApprovals(proposal);
+        if (proposal.approvers.length >= requiredApprovals) {
+            _queueProposal(params.proposalId, requiredApprovals);
+        }
+    }
+
+    /**
+     * @dev Approvals a proposal needs at this point. A Call proposal needs at least the
+     * current multisig threshold, even if it was raised after the proposal was created.
+     */
+    function _requiredApprovals(ProposalTypes.Proposal storage proposal) private view returns (uint256) {
+        uint256 threshold = multisig.threshold();
+        if (proposal.instructionType == ProposalTypes.InstructionType.Call && threshold > proposal.requiredApprovals) {
+            return threshold;
+        }
+        return proposal.requiredApprovals;
+    }
+
+    /**
+     * @dev Queues an approved proposal and records the approval requirement it met
+     */
+    function _queueProposal(uint256 proposalId, uint256 requiredApprovals) private {
+        ProposalTypes.Proposal storage proposal = proposals[proposalId];
+        uint256 delay = executionDelays[proposal.instructionType];
+        proposal.requiredApprovals = requiredApprovals;
+        proposal.status = ProposalTypes.ProposalStatus.Queued;
+        proposal.queuedAt = block.timestamp;
+        proposal.executableAt = block.timestamp + delay;
+        emit ProposalEvents.ProposalQueued(proposalId, proposal.executableAt, block.timestamp);
+        if (delay == 0) {
+            _executeProposal(proposalId);
         }
     }
 
+    /**
+     * @dev Executes a queued proposal once its execution delay has elapsed and before
+     * its execution grace period ends. Anyone can execute.
+     * @param proposalId ID of the proposal
+     */
+    function execute(uint256 proposalId) external nonReentrant {
+        ProposalTypes.Proposal storage proposal = proposals[proposalId];
+        require(proposal.status == ProposalTypes.ProposalStatus.Queued, "EducProposal: Proposal not queued");
+        require(block.timestamp >= proposal.executableAt, "EducProposal: Execution delay not elapsed");
+        require(
+            block.timestamp < proposal.executableAt + EXECUTION_GRACE_PERIOD,
+            "EducProposal: Execution grace period elapsed"
+        );
+        _executeProposal(proposalId);
+    }
+
+    /**
+     * @dev Cancels a queued proposal before it is executed
+     * @param proposalId ID of the proposal
+     */
+    function cancel(uint256 proposalId) external onlyRole(EducRoles.GUARDIAN_ROLE) {
+        ProposalTypes.Proposal storage proposal = proposals[proposalId];
+        require(proposal.status == ProposalTypes.ProposalStatus.Queued, "EducProposal: Proposal not queued");
+        proposal.status = ProposalTypes.ProposalStatus.Cancelled;
+        emit ProposalEvents.ProposalCancelled(proposalId, msg.sender, block.timestamp);
+    }
+
     function _validateProposalApproval(ProposalTypes.Proposal storage proposal) private view {
         require(multisig.isSigner(msg.sender), "EducProposal: Caller not a signer");
         require(proposal.status == ProposalTypes.ProposalStatus.Pending, "EducProposal: Invalid proposal status");
@@ -158,24 +325,109 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
     }
 
     function _executeProposalByType(ProposalTypes.Proposal storage proposal) private {
-        if (proposal.instructionType == ProposalTypes.InstructionType.AddSigner) {
-            address signerToAdd = abi.decode(proposal.data, (address));
-            multisig.addSigner(signerToAdd);
-        } else if (proposal.instructionType == ProposalTypes.InstructionType.RemoveSigner) {
-            address signerToRemove = abi.decode(proposal.data, (address));
-            multisig.removeSigner(signerToRemove);
-        } else if (proposal.instructionType == ProposalTypes.InstructionType.ChangeThreshold) {
-            uint8 newThreshold = uint8(uint256(abi.decode(proposal.data, (uint256))));
-            multisig.changeThreshold(newThreshold);
+        ProposalTypes.InstructionType instructionType = proposal.instructionType;
+        bytes memory data = proposal.data;
+
+        if (instructionType == ProposalTypes.InstructionType.UpdateConfig) {
+            _executeUpdateConfig(data);
+        } else if (instructionType == ProposalTypes.InstructionType.RegisterEducator) {
+            (address educator, uint256 mintLimit) = ProposalInstructions.decodeRegisterEducator(data);
+            _educatorTarget().registerEducator(educator, mintLimit);
+        } else if (instructionType == ProposalTypes.InstructionType.UpdateEducatorStatus) {
+            (address educator, bool isActive, uint256 newMintLimit) = ProposalInstructions.decodeUpdateEducatorStatus(data);
+            _educatorTarget().setEducatorStatus(educator, isActive, newMintLimit);
+        } else if (instructionType == ProposalTypes.InstructionType.CreateCourse) {
+            (address educator, CourseTypes.CourseCreationParams memory params) = ProposalInstructions.decodeCreateCourse(data);
+            _courseTarget().createCourseForEducator(educator, params);
+        } else if (instructionType == ProposalTypes.InstructionType.UpdateCourse) {
+            (address educator, CourseTypes.CourseUpdateParams memory params) = ProposalInstructions.decodeUpdateCourse(data);
+            _courseTarget().updateCourseForEducator(educator, params);
+        } else if (instructionType == ProposalTypes.InstructionType.AddSigner) {
+            multisig.addSigner(ProposalInstructions.decodeSigner(data));
+        } else if (instructionType == ProposalTypes.InstructionType.RemoveSigner) {
+            multisig.removeSigner(ProposalInstructions.decodeSigner(data));
+        } else if (instructionType == ProposalTypes.InstructionType.ChangeThreshold) {
+            multisig.changeThreshold(ProposalInstructions.decodeChangeThreshold(data));
+        } else if (instructionType == ProposalTypes.InstructionType.TransferFunds) {
+            (address token, address recipient, uint256 amount) = ProposalInstructions.decodeTransferFunds(data);
+            _treasuryTarget().transferFunds(token, recipient, amount);
+        } else if (instructionType == ProposalTypes.InstructionType.EmergencyPause) {
+            _pauseControlTarget().setEmergencyPause(ProposalInstructions.decodeEmergencyPause(data));
+        } else if (instructionType == ProposalTypes.InstructionType.Call) {
+            _executeCalls(proposal.id, data);
+        } else {
+            revert("EducProposal: Unsupported instruction type");
+        }
+    }
+
+    function _executeUpdateConfig(bytes memory data) private {
+        (
+            uint16 maxEducators,
+            uint16 maxCoursesPerEducator,
+            uint256 maxMintAmount,
+            uint256 mintCooldownPeriod
+        ) = ProposalInstructions.decodeUpdateConfig(data);
+        _configTarget().updateConfig(maxEducators, maxCoursesPerEducator, maxMintAmount, mintCooldownPeriod);
+    }
+
+    /**
+     * @dev Runs every action of a Call proposal in order. A failing action reverts the
+     * whole execution with the target's revert data.
+     */
+    function _executeCalls(uint256 proposalId, bytes memory data) private {
+        ProposalTypes.CallActions memory actions = ProposalInstructions.decodeCall(data);
+        for (uint256 i = 0; i < actions.targets.length; i++) {
+            address target = actions.targets[i];
+            require(
+                target == address(this) || allowedCallTargets[target],
+                "EducProposal: Call target not allowed"
+            );
+            bytes memory returnData = Address.functionCallWithValue(target, actions.calldatas[i], actions.values[i]);
+            emit ProposalEvents.CallExecuted(proposalId, i, target, actions.values[i], actions.calldatas[i], returnData);
         }
     }
 
+    function _configTarget() private view returns (IEducConfig) {
+        require(executionTargets.config != address(0), "EducProposal: Config target not set");
+        return IEducConfig(executionTargets.config);
+    }
+
+    function _educatorTarget() private view returns (IEducEducator) {
+        require(executionTargets.educator != address(0), "EducProposal: Educator target not set");
+        return IEducEducator(executionTargets.educator);
+    }
+
+    function _courseTarget() private view returns (IEducCourse) {
+        require(executionTargets.course != address(0), "EducProposal: Course target not set");
+        return IEducCourse(executionTargets.course);
+    }
+
+    function _treasuryTarget() private view returns (IEducTreasury) {
+        require(executionTargets.treasury != address(0), "EducProposal: Treasury target not set");
+        return IEducTreasury(executionTargets.treasury);
+    }
+
+    function _pauseControlTarget() private view returns (IEducPause) {
+        require(executionTargets.pauseControl != address(0), "EducProposal: Pause control target not set");
+        return IEducPause(executionTargets.pauseControl);
+    }
+
+    /**
+     * @dev Marks a pending proposal whose voting period ended, or a queued proposal whose
+     * execution grace period ended, as expired
+     * @param params Proposal to check
+     * @return ProposalTypes.ProposalStatus The current status of the proposal
+     */
     function checkProposalStatus(ProposalTypes.ProposalDetailsParams calldata params) 
         external 
         returns (ProposalTypes.ProposalStatus) 
     {
         ProposalTypes.Proposal storage proposal = proposals[params.proposalId];
-        if (block.timestamp >= proposal.expiresAt && proposal.status == ProposalTypes.ProposalStatus.Pending) {
+        bool votingEnded = proposal.status == ProposalTypes.ProposalStatus.Pending &&
+            block.timestamp >= proposal.expiresAt;
+        bool graceEnded = proposal.status == ProposalTypes.ProposalStatus.Queued &&
+            block.timestamp >= proposal.executableAt + EXECUTION_GRACE_PERIOD;
+        if (votingEnded || graceEnded) {
             proposal.status = ProposalTypes.ProposalStatus.Expired;
             _emitProposalExpiredEvent(params.proposalId);
             return ProposalTypes.ProposalStatus.Expired;
@@ -195,7 +447,9 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
             string memory description,
             uint256 approverCount,
             uint256 rejectorCount,
-            uint256 requiredApprovals
+            uint256 requiredApprovals,
+            uint256 queuedAt,
+            uint256 executableAt
         ) 
     {
         ProposalTypes.Proposal storage proposal = proposals[params.proposalId];
@@ -208,10 +462,29 @@ contract EducProposal is AccessControl, ReentrancyGuard, IEducProposal {
             proposal.description,
             proposal.approvers.length,
             proposal.rejectors.length,
-            proposal.requiredApprovals
+            proposal.requiredApprovals,
+            proposal.queuedAt,
+            proposal.executableAt
         );
     }
 
+    /**
+     * @dev Gets the instruction data and the voters of a proposal, so signers can review
+     * what they are voting for
+     * @param params Proposal to read
+     * @return data Encoded instruction data
+     * @return approvers Addresses that approved the proposal
+     * @return rejectors Addresses that rejected the proposal
+     */
+    function getProposalVotes(ProposalTypes.ProposalDetailsParams calldata params)
+        external
+        view
+        returns (bytes memory data, address[] memory approvers, address[] memory rejectors)
+    {
+        ProposalTypes.Proposal storage proposal = proposals[params.proposalId];
+        return (proposal.data, proposal.approvers, proposal.rejectors);
+    }
+
     function _emitProposalApprovedEvent(uint256 proposalId, uint256 approverCount) private {
         emit ProposalEvents.ProposalApproved(proposalId, msg.sender, approverCount, block.timestamp);
     }
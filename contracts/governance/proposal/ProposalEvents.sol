@@ -50,6 +50,18 @@ library ProposalEvents {
         uint256 timestamp
     );
 
+    /**
+     * @dev Emitted when an approved proposal is queued for execution
+     * @param proposalId ID of the proposal
+     * @param executableAt Timestamp from which the proposal can be executed
+     * @param timestamp When the proposal was queued
+     */
+    event ProposalQueued(
+        uint256 indexed proposalId,
+        uint256 executableAt,
+        uint256 timestamp
+    );
+
     /**
      * @dev Emitted when a proposal is executed
      * @param proposalId ID of the proposal
@@ -83,4 +95,64 @@ library ProposalEvents {
         address indexed canceler,
         uint256 timestamp
     );
+
+    /**
+     * @dev Emitted for each action of an executed Call proposal
+     * @param proposalId ID of the proposal
+     * @param index Position of the action in the proposal
+     * @param target Contract that was called
+     * @param value Native value sent with the call
+     * @param data Calldata of the call
+     * @param returnData Data returned by the call
+     */
+    event CallExecuted(
+        uint256 indexed proposalId,
+        uint256 index,
+        address indexed target,
+        uint256 value,
+        bytes data,
+        bytes returnData
+    );
+
+    /**
+     * @dev Emitted when governance adds or removes a Call proposal target
+     * @param target Contract address
+     * @param allowed Whether Call proposals may call the target
+     * @param timestamp When the allowlist changed
+     */
+    event CallTargetAllowed(
+        address indexed target,
+        bool allowed,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the execution delay of an instruction type is set
+     * @param instructionType Type of proposal instruction
+     * @param delay Seconds between queueing and execution
+     * @param timestamp When the delay was set
+     */
+    event ExecutionDelaySet(
+        ProposalTypes.InstructionType indexed instructionType,
+        uint256 delay,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the execution targets are set
+     * @param config EducConfig address
+     * @param educator EducEducator address
+     * @param course EducCourse address
+     * @param treasury EducTreasury address
+     * @param pauseControl EducPause address
+     * @param timestamp When the targets were set
+     */
+    event ExecutionTargetsSet(
+        address config,
+        address educator,
+        address course,
+        address treasury,
+        address pauseControl,
+        uint256 timestamp
+    );
 }
\ No newline at end of file
@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../../core/course/types/CourseTypes.sol";
+import "./types/ProposalTypes.sol";
+
+/**
+ * @title ProposalInstructions
+ * @dev Strict ABI schemas of the proposal instruction data. Each instruction must be the
+ * canonical abi.encode of its schema: short, padded or trailing bytes are rejected.
+ * Static schemas only need an exact length, as abi.decode already rejects dirty values;
+ * dynamic schemas are re-encoded and compared.
+ *
+ *   UpdateConfig          (uint16 maxEducators, uint16 maxCoursesPerEducator, uint256 maxMintAmount, uint256 mintCooldownPeriod)
+ *   RegisterEducator      (address educator, uint256 mintLimit)
+ *   UpdateEducatorStatus  (address educator, bool isActive, uint256 newMintLimit)
+ *   CreateCourse          (address educator, string courseId, string courseName, uint256 rewardAmount, bytes32 metadataHash)
+ *   UpdateCourse          (address educator, string courseId, string courseName, uint256 rewardAmount, bool isActive,
+ *                          bytes32 metadataHash, string changeDescription)
+ *   AddSigner             (address signer)
+ *   RemoveSigner          (address signer)
+ *   ChangeThreshold       (uint256 threshold), at most 255
+ *   TransferFunds         (address token, address recipient, uint256 amount)
+ *   EmergencyPause        (bool pauseStatus)
+ *   Call                  (address[] targets, uint256[] values, bytes[] calldatas), 1 to MAX_CALL_ACTIONS actions
+ */
+library ProposalInstructions {
+    uint256 internal constant MAX_CALL_ACTIONS = 20;
+
+    /**
+     * @dev Reverts unless the data matches the schema of the instruction type
+     * @param instructionType Type of proposal instruction
+     * @param data Encoded proposal data
+     */
+    function validate(ProposalTypes.InstructionType instructionType, bytes memory data) internal pure {
+        if (instructionType == ProposalTypes.InstructionType.UpdateConfig) {
+            decodeUpdateConfig(data);
+        } else if (instructionType == ProposalTypes.InstructionType.RegisterEducator) {
+            decodeRegisterEducator(data);
+        } else if (instructionType == ProposalTypes.InstructionType.UpdateEducatorStatus) {
+            decodeUpdateEducatorStatus(data);
+        } else if (instructionType == ProposalTypes.InstructionType.CreateCourse) {
+            decodeCreateCourse(data);
+        } else if (instructionType == ProposalTypes.InstructionType.UpdateCourse) {
+            decodeUpdateCourse(data);
+        } else if (
+            instructionType == ProposalTypes.InstructionType.AddSigner ||
+            instructionType == ProposalTypes.InstructionType.RemoveSigner
+        ) {
+            decodeSigner(data);
+        } else if (instructionType == ProposalTypes.InstructionType.ChangeThreshold) {
+            decodeChangeThreshold(data);
+        } else if (instructionType == ProposalTypes.InstructionType.TransferFunds) {
+            decodeTransferFunds(data);
+        } else if (instructionType == ProposalTypes.InstructionType.EmergencyPause) {
+            decodeEmergencyPause(data);
+        } else if (instructionType == ProposalTypes.InstructionType.Call) {
+            decodeCall(data);
+        } else {
+            revert("EducProposal: Unsupported instruction type");
+        }
+    }
+
+    function decodeUpdateConfig(bytes memory data)
+        internal
+        pure
+        returns (
+            uint16 maxEducators,
+            uint16 maxCoursesPerEducator,
+            uint256 maxMintAmount,
+            uint256 mintCooldownPeriod
+        )
+    {
+        _requireLength(data, 4 * 32);
+        (maxEducators, maxCoursesPerEducator, maxMintAmount, mintCooldownPeriod) =
+            abi.decode(data, (uint16, uint16, uint256, uint256));
+    }
+
+    function decodeRegisterEducator(bytes memory data) internal pure returns (address educator, uint256 mintLimit) {
+        _requireLength(data, 2 * 32);
+        (educator, mintLimit) = abi.decode(data, (address, uint256));
+    }
+
+    function decodeUpdateEducatorStatus(bytes memory data)
+        internal
+        pure
+        returns (address educator, bool isActive, uint256 newMintLimit)
+    {
+        _requireLength(data, 3 * 32);
+        (educator, isActive, newMintLimit) = abi.decode(data, (address, bool, uint256));
+    }
+
+    function decodeCreateCourse(bytes memory data)
+        internal
+        pure
+        returns (address educator, CourseTypes.CourseCreationParams memory params)
+    {
+        _requireMinLength(data, 5 * 32);
+        (
+            educator,
+            params.courseId,
+            params.courseName,
+            params.rewardAmount,
+            params.metadataHash
+        ) = abi.decode(data, (address, string, string, uint256, bytes32));
+        _requireCanonical(
+            data,
+            abi.encode(educator, params.courseId, params.courseName, params.rewardAmount, params.metadataHash)
+        );
+    }
+
+    function decodeUpdateCourse(bytes memory data)
+        internal
+        pure
+        returns (address educator, CourseTypes.CourseUpdateParams memory params)
+    {
+        _requireMinLength(data, 7 * 32);
+        (
+            educator,
+            params.courseId,
+            params.courseName,
+            params.rewardAmount,
+            params.isActive,
+            params.metadataHash,
+            params.changeDescription
+        ) = abi.decode(data, (address, string, string, uint256, bool, bytes32, string));
+        _requireCanonical(
+            data,
+            abi.encode(
+                educator,
+                params.courseId,
+                params.courseName,
+                params.rewardAmount,
+                params.isActive,
+                params.metadataHash,
+                params.changeDescription
+            )
+        );
+    }
+
+    function decodeSigner(bytes memory data) internal pure returns (address signer) {
+        _requireLength(data, 32);
+        signer = abi.decode(data, (address));
+    }
+
+    function decodeChangeThreshold(bytes memory data) internal pure returns (uint8 threshold) {
+        _requireLength(data, 32);
+        uint256 value = abi.decode(data, (uint256));
+        require(value <= type(uint8).max, "EducProposal: Invalid threshold");
+        threshold = uint8(value);
+    }
+
+    function decodeTransferFunds(bytes memory data)
+        internal
+        pure
+        returns (address token, address recipient, uint256 amount)
+    {
+        _requireLength(data, 3 * 32);
+        (token, recipient, amount) = abi.decode(data, (address, address, uint256));
+    }
+
+    function decodeEmergencyPause(bytes memory data) internal pure returns (bool pauseStatus) {
+        _requireLength(data, 32);
+        pauseStatus = abi.decode(data, (bool));
+    }
+
+    function decodeCall(bytes memory data) internal pure returns (ProposalTypes.CallActions memory actions) {
+        _requireMinLength(data, 3 * 32);
+        (actions.targets, actions.values, actions.calldatas) = abi.decode(data, (address[], uint256[], bytes[]));
+        _requireCanonical(data, abi.encode(actions.targets, actions.values, actions.calldatas));
+        require(
+            actions.targets.length > 0 && actions.targets.length <= MAX_CALL_ACTIONS,
+            "EducProposal: Invalid call count"
+        );
+        require(
+            actions.values.length == actions.targets.length && actions.calldatas.length == actions.targets.length,
+            "EducProposal: Call length mismatch"
+        );
+    }
+
+    function _requireLength(bytes memory data, uint256 length) private pure {
+        require(data.length == length, "EducProposal: Invalid instruction data");
+    }
+
+    function _requireMinLength(bytes memory data, uint256 length) private pure {
+        require(data.length >= length, "EducProposal: Invalid instruction data");
+    }
+
+    function _requireCanonical(bytes memory data, bytes memory encoded) private pure {
+        require(keccak256(data) == keccak256(encoded), "EducProposal: Invalid instruction data");
+    }
+}
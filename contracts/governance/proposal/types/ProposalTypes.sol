@@ -14,7 +14,9 @@ library ProposalTypes {
         Active,     // Proposal is actively being voted on
         Executed,   // Proposal has been successfully executed
         Rejected,   // Proposal has been rejected
-        Expired     // Proposal has passed its voting deadline
+        Expired,    // Proposal has passed its voting deadline or its execution grace period
+        Queued,     // Proposal is approved and waiting for its execution delay
+        Cancelled   // Proposal was cancelled by a guardian while queued
     }
     
     /**
@@ -30,7 +32,8 @@ library ProposalTypes {
         RemoveSigner,
         ChangeThreshold,
         TransferFunds,
-        EmergencyPause
+        EmergencyPause,
+        Call
     }
     
     /**
@@ -47,7 +50,9 @@ library ProposalTypes {
         uint256 createdAt;           // Timestamp when proposal was created
         uint256 expiresAt;           // Timestamp when proposal expires
         string description;          // Description of the proposal
-        uint256 requiredApprovals;   // Number of approvals needed to execute
+        uint256 requiredApprovals;   // Approvals needed to queue, the requirement that was met once queued
+        uint256 queuedAt;            // Timestamp when the proposal was queued
+        uint256 executableAt;        // Timestamp from which the proposal can be executed
     }
     
     /**
@@ -73,4 +78,24 @@ library ProposalTypes {
     struct ProposalDetailsParams {
         uint256 proposalId;          // ID of the proposal to retrieve
     }
+
+    /**
+     * @dev Actions of a Call proposal, executed atomically in order
+     */
+    struct CallActions {
+        address[] targets;           // Contracts to call
+        uint256[] values;            // Native value sent with each call
+        bytes[] calldatas;           // Calldata of each call
+    }
+
+    /**
+     * @dev Contracts that executed proposals are dispatched to
+     */
+    struct ExecutionTargets {
+        address config;              // EducConfig, target of UpdateConfig
+        address educator;            // EducEducator, target of RegisterEducator and UpdateEducatorStatus
+        address course;              // EducCourse, target of CreateCourse and UpdateCourse
+        address treasury;            // EducTreasury, target of TransferFunds
+        address pauseControl;        // EducPause, target of EmergencyPause
+    }
 }
\ No newline at end of file
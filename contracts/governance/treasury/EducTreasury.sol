@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../../access/roles/EducRoles.sol";
+import "../../interfaces/IEducTreasury.sol";
+import "./TreasuryEvents.sol";
+
+/**
+ * @title EducTreasury
+ * @dev Holds governance funds, released only through executed TransferFunds proposals
+ */
+contract EducTreasury is AccessControl, ReentrancyGuard, IEducTreasury {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Constructor sets up admin roles
+     * @param admin Administrator address, usually EducProposal
+     */
+    constructor(address admin) {
+        require(admin != address(0), "EducTreasury: Invalid admin");
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(EducRoles.ADMIN_ROLE, admin);
+    }
+
+    /**
+     * @dev Transfers ERC20 funds held by the treasury
+     * @param token Address of the token to transfer
+     * @param recipient Address receiving the funds
+     * @param amount Amount to transfer
+     */
+    function transferFunds(address token, address recipient, uint256 amount)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+        nonReentrant
+    {
+        require(token != address(0), "EducTreasury: Invalid token");
+        require(recipient != address(0), "EducTreasury: Invalid recipient");
+        require(amount > 0, "EducTreasury: Invalid amount");
+
+        IERC20(token).safeTransfer(recipient, amount);
+
+        emit TreasuryEvents.FundsTransferred(token, recipient, amount, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Gets the treasury balance of a token
+     * @param token Address of the token
+     * @return balance Amount of the token held by the treasury
+     */
+    function getBalance(address token) external view override returns (uint256 balance) {
+        return IERC20(token).balanceOf(address(this));
+    }
+}
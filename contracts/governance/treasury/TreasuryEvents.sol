@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title TreasuryEvents
+ * @dev Defines events for the governance Treasury module
+ */
+library TreasuryEvents {
+    /**
+     * @dev Emitted when treasury funds are transferred
+     * @param token Address of the transferred token
+     * @param recipient Address that received the funds
+     * @param amount Amount transferred
+     * @param executor Address that executed the transfer
+     * @param timestamp When the transfer occurred
+     */
+    event FundsTransferred(
+        address indexed token,
+        address indexed recipient,
+        uint256 amount,
+        address indexed executor,
+        uint256 timestamp
+    );
+}
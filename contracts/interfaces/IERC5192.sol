@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IERC5192
+ * @dev Minimal soulbound NFT interface (ERC-5192)
+ */
+interface IERC5192 {
+    /**
+     * @dev Emitted when the locking status of a token is set to locked
+     * @param tokenId Identifier of the token
+     */
+    event Locked(uint256 tokenId);
+
+    /**
+     * @dev Emitted when the locking status of a token is set to unlocked
+     * @param tokenId Identifier of the token
+     */
+    event Unlocked(uint256 tokenId);
+
+    /**
+     * @dev Returns the locking status of a soulbound token
+     * @param tokenId Identifier of the token
+     * @return Whether the token is locked
+     */
+    function locked(uint256 tokenId) external view returns (bool);
+}
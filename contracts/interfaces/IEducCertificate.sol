@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../core/certificate/types/CertificateTypes.sol";
+
+/**
+ * @title IEducCertificate
+ * @dev Interface for the EducCertificate soulbound certificate contract
+ */
+interface IEducCertificate {
+    /**
+     * @dev Issues a certificate for a course completion
+     * @param params Certificate parameters
+     * @return tokenId ID of the new certificate
+     */
+    function issueCertificate(CertificateTypes.CertificateParams calldata params) external returns (uint256 tokenId);
+
+    /**
+     * @dev Revokes a certificate, burning its token
+     * @param tokenId ID of the certificate
+     * @param reason Why the certificate is revoked
+     */
+    function revokeCertificate(uint256 tokenId, string calldata reason) external;
+
+    /**
+     * @dev Gets a certificate, including revoked ones
+     * @param tokenId ID of the certificate
+     * @return certificate The certificate data structure
+     */
+    function getCertificate(uint256 tokenId) external view returns (CertificateTypes.Certificate memory certificate);
+
+    /**
+     * @dev Gets the certificate issued for a course completion
+     * @param student Address of the student
+     * @param educator Address of the course educator
+     * @param courseId ID of the course
+     * @return tokenId ID of the certificate, 0 if none was issued
+     */
+    function getCertificateId(address student, address educator, string calldata courseId)
+        external
+        view
+        returns (uint256 tokenId);
+
+    /**
+     * @dev Gets every certificate issued to a student, including revoked ones
+     * @param student Address of the student
+     * @return tokenIds IDs of the certificates
+     */
+    function getStudentCertificates(address student) external view returns (uint256[] memory tokenIds);
+
+    /**
+     * @dev Checks if a certificate exists and has not been revoked
+     * @param tokenId ID of the certificate
+     * @return valid Whether the certificate is valid
+     */
+    function isValidCertificate(uint256 tokenId) external view returns (bool valid);
+
+    /**
+     * @dev Pauses certificate issuance
+     */
+    function pause() external;
+
+    /**
+     * @dev Unpauses certificate issuance
+     */
+    function unpause() external;
+}
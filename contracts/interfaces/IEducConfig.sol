@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IEducConfig
+ * @dev Interface for the EducConfig contract, the live source of system limits
+ */
+interface IEducConfig {
+    /**
+     * @dev Updates configuration parameters, zero values keep the current value
+     * @param maxEducators Maximum number of registered educators
+     * @param maxCoursesPerEducator Maximum number of courses per educator
+     * @param maxMintAmount Maximum amount an educator can mint in one transaction
+     * @param mintCooldownPeriod Minimum time between two EducLearning rewards by the same educator
+     */
+    function updateConfig(
+        uint16 maxEducators,
+        uint16 maxCoursesPerEducator,
+        uint256 maxMintAmount,
+        uint256 mintCooldownPeriod
+    ) external;
+
+    /**
+     * @dev Gets the maximum number of registered educators
+     * @return maxEducators The current limit
+     */
+    function getMaxEducators() external view returns (uint16 maxEducators);
+
+    /**
+     * @dev Gets the maximum number of courses per educator
+     * @return maxCoursesPerEducator The current limit
+     */
+    function getMaxCoursesPerEducator() external view returns (uint16 maxCoursesPerEducator);
+
+    /**
+     * @dev Gets the maximum amount an educator can mint in one transaction
+     * @return maxMintAmount The current limit
+     */
+    function getMaxMintAmount() external view returns (uint256 maxMintAmount);
+
+    /**
+     * @dev Gets the minimum time between two mints by the same educator
+     * @return mintCooldownPeriod The current cooldown in seconds
+     */
+    function getMintCooldownPeriod() external view returns (uint256 mintCooldownPeriod);
+
+    /**
+     * @dev Updates the token governance parameters, zero values keep the current value
+     * @param votingPeriod Number of blocks a governor proposal is open for voting
+     * @param quorumBps Share of the total supply, in basis points, that must vote for or abstain
+     */
+    function updateGovernanceConfig(uint32 votingPeriod, uint16 quorumBps) external;
+
+    /**
+     * @dev Gets the voting period of governor proposals
+     * @return votingPeriod The current period in blocks
+     */
+    function getVotingPeriod() external view returns (uint32 votingPeriod);
+
+    /**
+     * @dev Gets the quorum of governor proposals
+     * @return quorumBps The current quorum in basis points of the total supply
+     */
+    function getQuorumBps() external view returns (uint16 quorumBps);
+}
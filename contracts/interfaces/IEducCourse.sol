@@ -8,6 +8,12 @@ import "../core/course/types/CourseTypes.sol";
  * @dev Interface for the EducCourse contract
  */
 interface IEducCourse {
+    /**
+     * @dev Sets the config contract whose limits apply to course creation
+     * @param configContract Address of the EducConfig contract
+     */
+    function setConfigContract(address configContract) external;
+
     /**
      * @dev Creates a new course
      * @param params Course creation parameters
@@ -28,12 +34,26 @@ interface IEducCourse {
         bytes32 metadataHash
     ) external;
 
+    /**
+     * @dev Creates a course owned by an educator, on behalf of governance
+     * @param educator Address of the educator who will own the course
+     * @param params Course creation parameters
+     */
+    function createCourseForEducator(address educator, CourseTypes.CourseCreationParams calldata params) external;
+
     /**
      * @dev Updates an existing course
      * @param params Course update parameters
      */
     function updateCourse(CourseTypes.CourseUpdateParams calldata params) external;
 
+    /**
+     * @dev Updates a course owned by an educator, on behalf of governance
+     * @param educator Address of the educator who owns the course
+     * @param params Course update parameters
+     */
+    function updateCourseForEducator(address educator, CourseTypes.CourseUpdateParams calldata params) external;
+
     /**
      * @dev Legacy method for compatibility - updates an existing course
      * @param courseId ID of the course to update
@@ -42,12 +42,32 @@ interface IEducEducator {
      */
     function recordMint(address educator, uint256 amount) external;
 
+    /**
+     * @dev Updates educator's mint statistics for a reward and enforces the mint cooldown
+     * @param educator Address of the educator
+     * @param amount Amount that was minted
+     */
+    function recordRewardMint(address educator, uint256 amount) external;
+
+    /**
+     * @dev Gives back part of an educator's recorded mint allowance
+     * @param educator Address of the educator
+     * @param amount Amount to remove from the educator's total minted
+     */
+    function releaseMint(address educator, uint256 amount) external;
+
     /**
      * @dev Increases an educator's course count
      * @param educator Address of the educator
      */
     function incrementCourseCount(address educator) external;
 
+    /**
+     * @dev Sets the config contract whose limits apply to registration
+     * @param configContract Address of the EducConfig contract
+     */
+    function setConfigContract(address configContract) external;
+
     /**
      * @dev Checks if an address is a registered and active educator
      * @param educator Address to check
@@ -68,6 +88,13 @@ interface IEducEducator {
      * @return totalMinted The educator's total minted amount
      */
     function getEducatorTotalMinted(address educator) external view returns (uint256 totalMinted);
+
+    /**
+     * @dev Gets the time of an educator's last reward recorded through recordRewardMint
+     * @param educator Address of the educator
+     * @return lastRewardTime Timestamp of the last reward, 0 if none
+     */
+    function getEducatorLastRewardTime(address educator) external view returns (uint256 lastRewardTime);
     
     /**
      * @dev Gets all information about an educator
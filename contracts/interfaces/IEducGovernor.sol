@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IEducGovernor
+ * @dev Interface for the EducGovernor additions to the OpenZeppelin Governor
+ */
+interface IEducGovernor {
+    /**
+     * @dev Records the veto of a multisig signer; the proposal is cancelled once the vetoes
+     * of current signers reach the multisig threshold
+     * @param targets Targets of the proposal
+     * @param values Values of the proposal
+     * @param calldatas Calldatas of the proposal
+     * @param descriptionHash Hash of the proposal description
+     * @return proposalId ID of the proposal
+     */
+    function veto(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) external returns (uint256 proposalId);
+
+    /**
+     * @dev Gets the quorum of a proposal, fixed when it was created
+     * @param proposalId ID of the proposal
+     * @return quorumVotes Votes needed at the proposal snapshot
+     */
+    function proposalQuorum(uint256 proposalId) external view returns (uint256 quorumVotes);
+
+    /**
+     * @dev Gets the signers that vetoed a proposal
+     * @param proposalId ID of the proposal
+     * @return signers Addresses that vetoed, including removed signers
+     */
+    function getVetoes(uint256 proposalId) external view returns (address[] memory signers);
+
+    /**
+     * @dev Counts the vetoes of a proposal cast by current multisig signers
+     * @param proposalId ID of the proposal
+     * @return vetoCount Number of vetoes
+     */
+    function getVetoCount(uint256 proposalId) external view returns (uint256 vetoCount);
+
+    /**
+     * @dev Checks if an account vetoed a proposal
+     * @param proposalId ID of the proposal
+     * @param account Address to check
+     * @return vetoed Whether the account vetoed
+     */
+    function hasVetoed(uint256 proposalId, address account) external view returns (bool vetoed);
+}
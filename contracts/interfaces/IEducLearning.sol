@@ -2,6 +2,18 @@
 pragma solidity ^0.8.19;
 
 interface IEducLearning {
+    /**
+     * @dev Completion of a course attested off-chain by the educator who owns it,
+     * signed as EIP-712 typed data
+     */
+    struct CompletionAttestation {
+        address student;
+        string courseId;
+        uint256 courseVersion;
+        uint256 nonce;
+        uint256 expiry;
+    }
+
     function initialize(
         address _token,
         address _educator,
@@ -18,6 +30,17 @@ interface IEducLearning {
         string calldata courseId
     ) external;
 
+    function claimCompletion(
+        CompletionAttestation calldata attestation,
+        bytes calldata signature
+    ) external;
+
+    function cancelAttestation(uint256 nonce) external;
+
+    function isAttestationNonceUsed(address educatorAddress, uint256 nonce) external view returns (bool);
+
+    function hashCompletionAttestation(CompletionAttestation calldata attestation) external view returns (bytes32);
+
     function issueReward(
         address studentAddress, 
         uint256 amount, 
@@ -37,6 +60,8 @@ interface IEducLearning {
 
     function setDailyMintingLimit(uint256 newLimit) external;
 
+    function setCertificateContract(address _certificate) external;
+
     function getDailyMintingRemaining() external view returns (uint256);
 
     function pause() external;
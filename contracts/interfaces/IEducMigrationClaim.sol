@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IEducMigrationClaim
+ * @dev Interface for the EducMigrationClaim contract
+ */
+interface IEducMigrationClaim {
+    /**
+     * @dev Claims the migrated balance of an old token holder
+     * @param account Holder address included in the snapshot Merkle tree
+     * @param amount Balance of the holder at the snapshot block
+     * @param merkleProof Proof of the (account, amount) leaf
+     */
+    function claim(address account, uint256 amount, bytes32[] calldata merkleProof) external;
+
+    /**
+     * @dev Sends every unclaimed token to the emergency recovery treasury once the deadline has passed
+     */
+    function sweepUnclaimed() external;
+
+    /**
+     * @dev Checks whether a claim is valid and still available
+     * @param account Holder address
+     * @param amount Balance of the holder at the snapshot block
+     * @param merkleProof Proof of the (account, amount) leaf
+     * @return bool True if the claim can be executed now
+     */
+    function canClaim(address account, uint256 amount, bytes32[] calldata merkleProof)
+        external
+        view
+        returns (bool);
+
+    /**
+     * @dev Checks whether an account has already claimed
+     * @param account Holder address
+     * @return bool True if the account has claimed
+     */
+    function hasClaimed(address account) external view returns (bool);
+}
@@ -4,6 +4,10 @@ pragma solidity ^0.8.19;
 import "../governance/proposal/types/ProposalTypes.sol";
 
 interface IEducProposal {
+    function setExecutionTargets(
+        ProposalTypes.ExecutionTargets calldata targets
+    ) external;
+
     function createProposal(
         ProposalTypes.ProposalCreationParams calldata params
     ) external returns (uint256);
@@ -16,6 +20,17 @@ interface IEducProposal {
         ProposalTypes.ProposalVoteParams calldata params
     ) external;
 
+    function setExecutionDelay(
+        ProposalTypes.InstructionType instructionType,
+        uint256 delay
+    ) external;
+
+    function setCallTargetAllowed(address target, bool allowed) external;
+
+    function execute(uint256 proposalId) external;
+
+    function cancel(uint256 proposalId) external;
+
     function checkProposalStatus(
         ProposalTypes.ProposalDetailsParams calldata params
     ) external returns (ProposalTypes.ProposalStatus);
@@ -31,6 +46,12 @@ interface IEducProposal {
         string memory description,
         uint256 approverCount,
         uint256 rejectorCount,
-        uint256 requiredApprovals
+        uint256 requiredApprovals,
+        uint256 queuedAt,
+        uint256 executableAt
     );
-}
\ No newline at end of file
+
+    function getProposalVotes(
+        ProposalTypes.ProposalDetailsParams calldata params
+    ) external view returns (bytes memory data, address[] memory approvers, address[] memory rejectors);
+}
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../rewards/types/RewardTypes.sol";
+
+/**
+ * @title IEducRewardDistributor
+ * @dev Interface for the EducRewardDistributor contract
+ */
+interface IEducRewardDistributor {
+    /**
+     * @dev Sets the config contract whose max mint amount applies to epochs
+     * @param configContract Address of the EducConfig contract
+     */
+    function setConfigContract(address configContract) external;
+
+    /**
+     * @dev Commits a reward epoch and reserves its total from the caller's mint allowance
+     * @param merkleRoot Root of the (student, amount, reason) Merkle tree
+     * @param totalAmount Sum of every amount in the tree
+     * @param claimDeadline Timestamp after which claims close
+     * @return epochId Identifier of the new epoch
+     */
+    function commitEpoch(bytes32 merkleRoot, uint256 totalAmount, uint256 claimDeadline)
+        external
+        returns (uint256 epochId);
+
+    /**
+     * @dev Claims a student's reward from an epoch, within the token's daily mint limit
+     * @param epochId Identifier of the epoch
+     * @param student Student included in the epoch's Merkle tree
+     * @param amount Reward amount of the student
+     * @param reason Reward reason of the student
+     * @param merkleProof Proof of the (student, amount, reason) leaf
+     */
+    function claim(
+        uint256 epochId,
+        address student,
+        uint256 amount,
+        string calldata reason,
+        bytes32[] calldata merkleProof
+    ) external;
+
+    /**
+     * @dev Releases the unclaimed amount of an epoch back to its educator once the deadline has passed
+     * @param epochId Identifier of the epoch
+     */
+    function expireEpoch(uint256 epochId) external;
+
+    /**
+     * @dev Checks whether a claim is valid and still available
+     * @param epochId Identifier of the epoch
+     * @param student Student included in the epoch's Merkle tree
+     * @param amount Reward amount of the student
+     * @param reason Reward reason of the student
+     * @param merkleProof Proof of the (student, amount, reason) leaf
+     * @return bool True if the claim can be executed now
+     */
+    function canClaim(
+        uint256 epochId,
+        address student,
+        uint256 amount,
+        string calldata reason,
+        bytes32[] calldata merkleProof
+    ) external view returns (bool);
+
+    /**
+     * @dev Checks whether a student has claimed their reward from an epoch
+     * @param epochId Identifier of the epoch
+     * @param student Student address
+     * @return bool True if the student has claimed
+     */
+    function hasClaimed(uint256 epochId, address student) external view returns (bool);
+
+    /**
+     * @dev Gets all information about an epoch
+     * @param epochId Identifier of the epoch
+     * @return epoch The epoch data structure
+     */
+    function getEpoch(uint256 epochId) external view returns (RewardTypes.Epoch memory epoch);
+}
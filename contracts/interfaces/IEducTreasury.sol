@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IEducTreasury
+ * @dev Interface for the EducTreasury governance treasury
+ */
+interface IEducTreasury {
+    /**
+     * @dev Transfers ERC20 funds held by the treasury
+     * @param token Address of the token to transfer
+     * @param recipient Address receiving the funds
+     * @param amount Amount to transfer
+     */
+    function transferFunds(address token, address recipient, uint256 amount) external;
+
+    /**
+     * @dev Gets the treasury balance of a token
+     * @param token Address of the token
+     * @return balance Amount of the token held by the treasury
+     */
+    function getBalance(address token) external view returns (uint256 balance);
+}
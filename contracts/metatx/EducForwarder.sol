@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title EducForwarder
+ * @dev Minimal ERC-2771 forwarder. A relayer pays the gas of an EIP-712 signed request,
+ * which is forwarded to its target with the signer appended to the calldata. Requests
+ * carry a per-signer nonce and a deadline, and the forwarder checks that the target
+ * trusts it before calling.
+ */
+contract EducForwarder is ERC2771Forwarder {
+    /**
+     * @dev Constructor sets the EIP-712 domain name
+     */
+    constructor() ERC2771Forwarder("EducForwarder") {}
+}
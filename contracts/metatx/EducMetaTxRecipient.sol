@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "../access/roles/EducRoles.sol";
+import "./MetaTxEvents.sol";
+
+/**
+ * @title EducMetaTxRecipient
+ * @dev Base contract for ERC-2771 meta-transactions. Calls from the trusted forwarder
+ * are attributed to the signer appended to their calldata, so every authorization made
+ * through _msgSender (roles, beneficiaries, balances) applies to the signer rather than
+ * to the relayer. The forwarder is unset until configured; a trusted forwarder can act
+ * for any account, so only admins may set it.
+ */
+abstract contract EducMetaTxRecipient is AccessControl {
+    // Trusted ERC-2771 forwarder, unset until configured
+    address private _trustedForwarder;
+
+    /**
+     * @dev Sets the trusted forwarder
+     * @param forwarder Address of the forwarder, or the zero address to disable meta-transactions
+     */
+    function setTrustedForwarder(address forwarder)
+        external
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        emit MetaTxEvents.TrustedForwarderSet(_trustedForwarder, forwarder, _msgSender(), block.timestamp);
+        _trustedForwarder = forwarder;
+    }
+
+    /**
+     * @dev Gets the trusted forwarder
+     * @return forwarder Address of the forwarder, or the zero address
+     */
+    function trustedForwarder() public view returns (address forwarder) {
+        return _trustedForwarder;
+    }
+
+    /**
+     * @dev Checks if an address is the trusted forwarder, as ERC-2771 forwarders require
+     * @param forwarder Address to check
+     * @return trusted Whether the address is the trusted forwarder
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool trusted) {
+        return forwarder != address(0) && forwarder == _trustedForwarder;
+    }
+
+    /**
+     * @dev Returns the signer appended by the trusted forwarder, or the direct caller
+     */
+    function _msgSender() internal view virtual override returns (address) {
+        uint256 calldataLength = msg.data.length;
+        uint256 contextSuffixLength = _contextSuffixLength();
+        if (isTrustedForwarder(msg.sender) && calldataLength >= contextSuffixLength) {
+            return address(bytes20(msg.data[calldataLength - contextSuffixLength:]));
+        }
+        return super._msgSender();
+    }
+
+    /**
+     * @dev Returns the calldata without the signer appended by the trusted forwarder
+     */
+    function _msgData() internal view virtual override returns (bytes calldata) {
+        uint256 calldataLength = msg.data.length;
+        uint256 contextSuffixLength = _contextSuffixLength();
+        if (isTrustedForwarder(msg.sender) && calldataLength >= contextSuffixLength) {
+            return msg.data[:calldataLength - contextSuffixLength];
+        }
+        return super._msgData();
+    }
+
+    /**
+     * @dev ERC-2771 appends the 20-byte signer address
+     */
+    function _contextSuffixLength() internal view virtual override returns (uint256) {
+        return 20;
+    }
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MetaTxEvents
+ * @dev Defines events for the meta-transaction module
+ */
+library MetaTxEvents {
+    /**
+     * @dev Emitted when the trusted forwarder of a contract changes
+     * @param previousForwarder Forwarder trusted until now, or the zero address
+     * @param newForwarder Forwarder trusted from now on, or the zero address to disable meta-transactions
+     * @param authority Address that changed the forwarder
+     * @param timestamp When the change occurred
+     */
+    event TrustedForwarderSet(
+        address indexed previousForwarder,
+        address indexed newForwarder,
+        address indexed authority,
+        uint256 timestamp
+    );
+}
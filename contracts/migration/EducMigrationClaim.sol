@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../access/roles/EducRoles.sol";
+import "../interfaces/IEducMigrationClaim.sol";
+import "../security/emergency/EducEmergencyRecovery.sol";
+import "./MigrationEvents.sol";
+
+/**
+ * @title EducMigrationClaim
+ * @dev Lets old EducToken holders pull their migrated balance on EducTokenUpgradeable
+ * by proving membership in the snapshot Merkle tree. Leaves follow the
+ * OpenZeppelin StandardMerkleTree encoding of (address account, uint256 amount).
+ */
+contract EducMigrationClaim is AccessControl, ReentrancyGuard, IEducMigrationClaim {
+    using SafeERC20 for IERC20;
+
+    // Immutable claim parameters
+    IERC20 public immutable token;
+    bytes32 public immutable merkleRoot;
+    uint256 public immutable claimDeadline;
+    EducEmergencyRecovery public immutable emergencyRecovery;
+
+    // Claim tracking
+    mapping(address => bool) private claimed;
+    uint256 public totalClaimed;
+
+    /**
+     * @dev Constructor sets up the claim parameters and admin role
+     * @param _token Address of the new token (EducTokenUpgradeable proxy)
+     * @param _merkleRoot Root of the snapshot Merkle tree
+     * @param _claimDeadline Timestamp after which claims close and unclaimed tokens can be swept
+     * @param _emergencyRecovery EducEmergencyRecovery contract whose treasury receives unclaimed tokens
+     * @param _admin Administrator address
+     */
+    constructor(
+        address _token,
+        bytes32 _merkleRoot,
+        uint256 _claimDeadline,
+        address _emergencyRecovery,
+        address _admin
+    ) {
+        _validateConstructorParams(_token, _merkleRoot, _claimDeadline, _emergencyRecovery, _admin);
+
+        token = IERC20(_token);
+        merkleRoot = _merkleRoot;
+        claimDeadline = _claimDeadline;
+        emergencyRecovery = EducEmergencyRecovery(_emergencyRecovery);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(EducRoles.ADMIN_ROLE, _admin);
+
+        emit MigrationEvents.MigrationClaimInitialized(_token, _merkleRoot, _claimDeadline, _emergencyRecovery);
+    }
+
+    /**
+     * @dev Claims the migrated balance of an old token holder. Anyone can submit
+     * the claim, tokens are always sent to the holder.
+     * @param account Holder address included in the snapshot Merkle tree
+     * @param amount Balance of the holder at the snapshot block
+     * @param merkleProof Proof of the (account, amount) leaf
+     */
+    function claim(address account, uint256 amount, bytes32[] calldata merkleProof)
+        external
+        override
+        nonReentrant
+    {
+        require(block.timestamp <= claimDeadline, "EducMigrationClaim: claim period has ended");
+        require(!claimed[account], "EducMigrationClaim: already claimed");
+        require(_verify(account, amount, merkleProof), "EducMigrationClaim: invalid proof");
+
+        claimed[account] = true;
+        totalClaimed += amount;
+
+        token.safeTransfer(account, amount);
+
+        emit MigrationEvents.MigrationClaimed(account, amount, msg.sender);
+    }
+
+    /**
+     * @dev Sends every unclaimed token to the emergency recovery treasury once the deadline has passed
+     */
+    function sweepUnclaimed()
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+        nonReentrant
+    {
+        require(block.timestamp > claimDeadline, "EducMigrationClaim: claim period not ended");
+
+        uint256 amount = token.balanceOf(address(this));
+        require(amount > 0, "EducMigrationClaim: nothing to sweep");
+
+        (address treasury, , , ) = emergencyRecovery.config();
+        token.safeTransfer(treasury, amount);
+
+        emit MigrationEvents.UnclaimedTokensSwept(treasury, amount, msg.sender);
+    }
+
+    /**
+     * @dev Checks whether a claim is valid and still available
+     * @param account Holder address
+     * @param amount Balance of the holder at the snapshot block
+     * @param merkleProof Proof of the (account, amount) leaf
+     * @return bool True if the claim can be executed now
+     */
+    function canClaim(address account, uint256 amount, bytes32[] calldata merkleProof)
+        external
+        view
+        override
+        returns (bool)
+    {
+        return block.timestamp <= claimDeadline && !claimed[account] && _verify(account, amount, merkleProof);
+    }
+
+    /**
+     * @dev Checks whether an account has already claimed
+     * @param account Holder address
+     * @return bool True if the account has claimed
+     */
+    function hasClaimed(address account) external view override returns (bool) {
+        return claimed[account];
+    }
+
+    // Private helper functions
+
+    function _verify(address account, uint256 amount, bytes32[] calldata merkleProof) private view returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        return MerkleProof.verifyCalldata(merkleProof, merkleRoot, leaf);
+    }
+
+    function _validateConstructorParams(
+        address _token,
+        bytes32 _merkleRoot,
+        uint256 _claimDeadline,
+        address _emergencyRecovery,
+        address _admin
+    ) private view {
+        require(_token != address(0), "EducMigrationClaim: token cannot be zero address");
+        require(_merkleRoot != bytes32(0), "EducMigrationClaim: merkle root cannot be empty");
+        require(_claimDeadline > block.timestamp, "EducMigrationClaim: deadline must be in the future");
+        require(_emergencyRecovery != address(0), "EducMigrationClaim: emergency recovery cannot be zero address");
+        require(_admin != address(0), "EducMigrationClaim: admin cannot be zero address");
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MigrationEvents
+ * @dev Defines events for the token migration claim module
+ */
+library MigrationEvents {
+    event MigrationClaimInitialized(
+        address indexed token,
+        bytes32 merkleRoot,
+        uint256 claimDeadline,
+        address indexed emergencyRecovery
+    );
+
+    event MigrationClaimed(
+        address indexed account,
+        uint256 amount,
+        address indexed claimedBy
+    );
+
+    event UnclaimedTokensSwept(
+        address indexed treasury,
+        uint256 amount,
+        address indexed sweptBy
+    );
+}
@@ -2,6 +2,8 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20VotesUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
@@ -13,11 +15,15 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 
 /**
  * @title EducTokenUpgradeable
- * @dev Upgradeable version of EducToken contract with UUPS proxy pattern
+ * @dev Upgradeable version of EducToken contract with UUPS proxy pattern.
+ * Holders delegate their balance as votes, checkpointed by block for EducGovernor, and
+ * approve spenders with EIP-2612 signed permits, which need no ETH.
  */
 contract EducTokenUpgradeable is 
     Initializable,
     ERC20Upgradeable,
+    ERC20PermitUpgradeable,
+    ERC20VotesUpgradeable,
     AccessControlUpgradeable, 
     PausableUpgradeable, 
     ReentrancyGuardUpgradeable,
@@ -67,6 +73,8 @@ contract EducTokenUpgradeable is
 
         // Call parent initializers in the correct order
         __ERC20_init("EducToken", "EDUC");
+        __ERC20Permit_init("EducToken");
+        __ERC20Votes_init();
         __AccessControl_init();
         __Pausable_init();
         __ReentrancyGuard_init();
@@ -81,6 +89,36 @@ contract EducTokenUpgradeable is
         totalMinted = SystemConstants.INITIAL_SUPPLY;
     }
 
+    /**
+     * @dev Enables vote checkpoints on a proxy deployed before they existed; call it with
+     * the upgrade. The existing supply is checkpointed so past total supplies and burns
+     * stay consistent; holders get voting power once they delegate.
+     */
+    function initializeVotes()
+        external
+        reinitializer(2)
+        onlyRole(UPGRADER_ROLE)
+    {
+        __EIP712_init("EducToken", "1");
+        __ERC20Votes_init();
+        _checkpointExistingSupply();
+    }
+
+    /**
+     * @dev Enables EIP-2612 permits on a proxy deployed before they existed; call it with
+     * the upgrade. Permits share the EIP-712 domain of the vote delegations, so proxies
+     * that skipped initializeVotes get their vote checkpoints here too.
+     */
+    function initializePermit()
+        external
+        reinitializer(3)
+        onlyRole(UPGRADER_ROLE)
+    {
+        __ERC20Permit_init("EducToken");
+        __ERC20Votes_init();
+        _checkpointExistingSupply();
+    }
+
     /**
      * @dev Sets the student contract address for activity tracking
      * @param _studentContract Address of the student contract
@@ -248,6 +286,40 @@ contract EducTokenUpgradeable is
         return super.transferFrom(from, to, amount);
     }
 
+    /**
+     * @dev Moves voting power along with every mint, burn and transfer
+     */
+    function _update(address from, address to, uint256 value)
+        internal
+        override(ERC20Upgradeable, ERC20VotesUpgradeable)
+    {
+        super._update(from, to, value);
+    }
+
+    /**
+     * @dev Permits and vote delegations by signature share one nonce per account
+     */
+    function nonces(address owner)
+        public
+        view
+        override(ERC20PermitUpgradeable, NoncesUpgradeable)
+        returns (uint256)
+    {
+        return super.nonces(owner);
+    }
+
+    /**
+     * @dev Checkpoints the supply minted before vote checkpoints existed, so past total
+     * supplies and burns stay consistent; proxies initialized with votes have none
+     */
+    function _checkpointExistingSupply() private {
+        uint256 uncheckpointedSupply = totalSupply() - _getTotalSupply();
+        if (uncheckpointedSupply > 0) {
+            // Minting to this contract, which never delegates, only moves the total supply checkpoint
+            _transferVotingUnits(address(0), address(this), uncheckpointedSupply);
+        }
+    }
+
     /**
      * @dev Required override for UUPS proxy pattern - ensures only authorized accounts can upgrade
      */
@@ -0,0 +1,286 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "../access/roles/EducRoles.sol";
+import "../config/constants/SystemConstants.sol";
+import "../interfaces/IEducToken.sol";
+import "../interfaces/IEducConfig.sol";
+import "../interfaces/IEducEducator.sol";
+import "../interfaces/IEducStudent.sol";
+import "../interfaces/IEducRewardDistributor.sol";
+import "../security/pause/EducPauseControlled.sol";
+import "./RewardEvents.sol";
+import "./types/RewardTypes.sol";
+
+/**
+ * @title EducRewardDistributor
+ * @dev Epoch-based reward distribution for large cohorts. An educator commits the Merkle
+ * root of an epoch's rewards, reserving its total from their EducEducator mint allowance,
+ * and each reward is claimed individually by proof. Leaves follow the OpenZeppelin
+ * StandardMerkleTree encoding of (address student, uint256 amount, string reason).
+ * Once the claim deadline has passed, the unclaimed amount goes back to the educator's allowance.
+ * The EducConfig limits apply as they do to EducLearning rewards: commits share the per-educator
+ * mint cooldown that EducEducator keeps for EducLearning rewards, and each claim is capped at the
+ * max mint amount in force when its epoch was committed.
+ * Claims mint through EducToken.mintReward, so they count towards the token's daily mint limit,
+ * which caps EducLearning and distributor mints together. The EducLearning daily limit only tracks
+ * EducLearning's own mints and does not apply.
+ */
+contract EducRewardDistributor is
+    AccessControl,
+    Pausable,
+    ReentrancyGuard,
+    EducPauseControlled,
+    IEducRewardDistributor
+{
+    // Longest claim window of an epoch
+    uint256 public constant MAX_CLAIM_PERIOD = 365 days;
+
+    // Contract references
+    IEducToken public immutable token;
+    IEducEducator public immutable educator;
+    IEducStudent public immutable student;
+    IEducConfig public configContract;
+
+    // Epochs, identified from 1
+    uint256 public epochCount;
+    mapping(uint256 => RewardTypes.Epoch) private epochs;
+    mapping(uint256 => mapping(address => bool)) private claimed;
+
+    /**
+     * @dev Constructor sets up the contract references and roles
+     * @param _token Address of the EducToken contract, which must grant MINTER_ROLE to this contract
+     * @param _educator Address of the EducEducator contract, which must grant ADMIN_ROLE to this contract
+     * @param _student Address of the EducStudent contract, which must grant ADMIN_ROLE to this contract
+     * @param admin Administrator address
+     */
+    constructor(address _token, address _educator, address _student, address admin) {
+        require(_token != address(0), "EducRewardDistributor: Invalid token address");
+        require(_educator != address(0), "EducRewardDistributor: Invalid educator address");
+        require(_student != address(0), "EducRewardDistributor: Invalid student address");
+        require(admin != address(0), "EducRewardDistributor: Invalid admin address");
+
+        token = IEducToken(_token);
+        educator = IEducEducator(_educator);
+        student = IEducStudent(_student);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(EducRoles.ADMIN_ROLE, admin);
+        _grantRole(EducRoles.PAUSER_ROLE, admin);
+    }
+
+    /**
+     * @dev Sets the config contract whose max mint amount applies to epochs
+     * @param _configContract Address of the EducConfig contract
+     */
+    function setConfigContract(address _configContract)
+        external
+        override
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        require(_configContract != address(0), "EducRewardDistributor: Invalid config address");
+        configContract = IEducConfig(_configContract);
+        emit RewardEvents.ConfigContractSet(_configContract);
+    }
+
+    /**
+     * @dev Commits a reward epoch and reserves its total from the caller's mint allowance
+     * @param merkleRoot Root of the (student, amount, reason) Merkle tree
+     * @param totalAmount Sum of every amount in the tree
+     * @param claimDeadline Timestamp after which claims close
+     * @return epochId Identifier of the new epoch
+     */
+    function commitEpoch(bytes32 merkleRoot, uint256 totalAmount, uint256 claimDeadline)
+        external
+        override
+        whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
+        nonReentrant
+        returns (uint256 epochId)
+    {
+        require(educator.isActiveEducator(msg.sender), "EducRewardDistributor: Caller not an active educator");
+        require(merkleRoot != bytes32(0), "EducRewardDistributor: Merkle root cannot be empty");
+        require(totalAmount > 0, "EducRewardDistributor: Invalid total amount");
+        require(
+            claimDeadline > block.timestamp && claimDeadline <= block.timestamp + MAX_CLAIM_PERIOD,
+            "EducRewardDistributor: Invalid claim deadline"
+        );
+        // Reverts when the total exceeds the educator's remaining allowance or the
+        // educator's mint cooldown has not elapsed
+        educator.recordRewardMint(msg.sender, totalAmount);
+
+        epochId = ++epochCount;
+        epochs[epochId] = RewardTypes.Epoch({
+            educator: msg.sender,
+            merkleRoot: merkleRoot,
+            totalAmount: totalAmount,
+            claimedAmount: 0,
+            maxClaimAmount: _maxMintAmount(),
+            claimDeadline: claimDeadline,
+            expired: false,
+            committedAt: block.timestamp
+        });
+
+        emit RewardEvents.EpochCommitted(epochId, msg.sender, merkleRoot, totalAmount, claimDeadline);
+    }
+
+    /**
+     * @dev Claims a student's reward from an epoch. Anyone can submit the claim,
+     * tokens are always minted to the student. The claim mints through EducToken.mintReward
+     * and counts towards the token's daily mint limit, shared with every other reward, so it
+     * reverts once the day's limit is used up and can be retried the next day until the deadline.
+     * @param epochId Identifier of the epoch
+     * @param studentAddress Student included in the epoch's Merkle tree
+     * @param amount Reward amount of the student
+     * @param reason Reward reason of the student
+     * @param merkleProof Proof of the (student, amount, reason) leaf
+     */
+    function claim(
+        uint256 epochId,
+        address studentAddress,
+        uint256 amount,
+        string calldata reason,
+        bytes32[] calldata merkleProof
+    )
+        external
+        override
+        whenNotPaused
+        whenFunctionNotPaused(SystemConstants.PAUSE_FLAG_MINT)
+        nonReentrant
+    {
+        RewardTypes.Epoch storage epoch = epochs[epochId];
+        require(epoch.educator != address(0), "EducRewardDistributor: Epoch not found");
+        require(block.timestamp <= epoch.claimDeadline, "EducRewardDistributor: Claim period has ended");
+        require(!claimed[epochId][studentAddress], "EducRewardDistributor: Reward already claimed");
+        require(
+            _verify(epoch.merkleRoot, studentAddress, amount, reason, merkleProof),
+            "EducRewardDistributor: Invalid proof"
+        );
+        require(
+            epoch.claimedAmount + amount <= epoch.totalAmount,
+            "EducRewardDistributor: Epoch total exceeded"
+        );
+        require(amount <= epoch.maxClaimAmount, "EducRewardDistributor: Amount exceeds max mint amount");
+
+        claimed[epochId][studentAddress] = true;
+        epoch.claimedAmount += amount;
+
+        // Register student if needed
+        if (!student.isStudent(studentAddress)) {
+            student.registerStudent(studentAddress);
+        }
+        student.recordCustomActivity(studentAddress, "Reward", reason);
+
+        token.mintReward(studentAddress, amount, reason);
+
+        emit RewardEvents.RewardClaimed(epochId, studentAddress, amount, reason, msg.sender);
+    }
+
+    /**
+     * @dev Releases the unclaimed amount of an epoch back to its educator once the deadline
+     * has passed. Anyone can expire an epoch.
+     * @param epochId Identifier of the epoch
+     */
+    function expireEpoch(uint256 epochId) external override nonReentrant {
+        RewardTypes.Epoch storage epoch = epochs[epochId];
+        require(epoch.educator != address(0), "EducRewardDistributor: Epoch not found");
+        require(block.timestamp > epoch.claimDeadline, "EducRewardDistributor: Claim period not ended");
+        require(!epoch.expired, "EducRewardDistributor: Epoch already expired");
+
+        epoch.expired = true;
+        uint256 unclaimedAmount = epoch.totalAmount - epoch.claimedAmount;
+
+        if (unclaimedAmount > 0) {
+            educator.releaseMint(epoch.educator, unclaimedAmount);
+        }
+
+        emit RewardEvents.EpochExpired(epochId, epoch.educator, unclaimedAmount, block.timestamp);
+    }
+
+    /**
+     * @dev Checks whether a claim is valid and still available
+     * @param epochId Identifier of the epoch
+     * @param studentAddress Student included in the epoch's Merkle tree
+     * @param amount Reward amount of the student
+     * @param reason Reward reason of the student
+     * @param merkleProof Proof of the (student, amount, reason) leaf
+     * @return bool True if the claim can be executed now
+     */
+    function canClaim(
+        uint256 epochId,
+        address studentAddress,
+        uint256 amount,
+        string calldata reason,
+        bytes32[] calldata merkleProof
+    ) external view override returns (bool) {
+        RewardTypes.Epoch storage epoch = epochs[epochId];
+        return epoch.educator != address(0) &&
+            block.timestamp <= epoch.claimDeadline &&
+            !claimed[epochId][studentAddress] &&
+            epoch.claimedAmount + amount <= epoch.totalAmount &&
+            amount <= epoch.maxClaimAmount &&
+            _verify(epoch.merkleRoot, studentAddress, amount, reason, merkleProof);
+    }
+
+    /**
+     * @dev Checks whether a student has claimed their reward from an epoch
+     * @param epochId Identifier of the epoch
+     * @param studentAddress Student address
+     * @return bool True if the student has claimed
+     */
+    function hasClaimed(uint256 epochId, address studentAddress) external view override returns (bool) {
+        return claimed[epochId][studentAddress];
+    }
+
+    /**
+     * @dev Gets all information about an epoch
+     * @param epochId Identifier of the epoch
+     * @return epoch The epoch data structure
+     */
+    function getEpoch(uint256 epochId) external view override returns (RewardTypes.Epoch memory epoch) {
+        epoch = epochs[epochId];
+        require(epoch.educator != address(0), "EducRewardDistributor: Epoch not found");
+    }
+
+    /**
+     * @dev Pauses claims and new epochs
+     */
+    function pause() external onlyRole(EducRoles.PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Unpauses claims and new epochs
+     */
+    function unpause() external onlyRole(EducRoles.PAUSER_ROLE) {
+        _unpause();
+    }
+
+    // Private helper functions
+
+    /**
+     * @dev Gets the current maximum amount of a single claim
+     * @return The limit from the config contract, or the SystemConstants limit when unset
+     */
+    function _maxMintAmount() private view returns (uint256) {
+        if (address(configContract) == address(0)) {
+            return SystemConstants.MAX_MINT_AMOUNT;
+        }
+        return configContract.getMaxMintAmount();
+    }
+
+    function _verify(
+        bytes32 merkleRoot,
+        address studentAddress,
+        uint256 amount,
+        string calldata reason,
+        bytes32[] calldata merkleProof
+    ) private pure returns (bool) {
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(studentAddress, amount, reason))));
+        return MerkleProof.verifyCalldata(merkleProof, merkleRoot, leaf);
+    }
+}
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title RewardEvents
+ * @dev Defines events for the reward distribution module
+ */
+library RewardEvents {
+    /**
+     * @dev Emitted when an educator commits a reward epoch
+     * @param epochId Identifier of the epoch
+     * @param educator Educator whose mint allowance funds the epoch
+     * @param merkleRoot Root of the (student, amount, reason) Merkle tree
+     * @param totalAmount Amount reserved from the educator's allowance
+     * @param claimDeadline Timestamp after which claims close
+     */
+    event EpochCommitted(
+        uint256 indexed epochId,
+        address indexed educator,
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint256 claimDeadline
+    );
+
+    /**
+     * @dev Emitted when a student's reward is claimed
+     * @param epochId Identifier of the epoch
+     * @param student Student receiving the reward
+     * @param amount Amount minted to the student
+     * @param reason Reason of the reward
+     * @param claimedBy Account that submitted the claim
+     */
+    event RewardClaimed(
+        uint256 indexed epochId,
+        address indexed student,
+        uint256 amount,
+        string reason,
+        address indexed claimedBy
+    );
+
+    /**
+     * @dev Emitted when an epoch expires and its unclaimed amount returns to the educator
+     * @param epochId Identifier of the epoch
+     * @param educator Educator whose allowance was released
+     * @param unclaimedAmount Amount released back to the educator's allowance
+     * @param timestamp When the epoch expired
+     */
+    event EpochExpired(
+        uint256 indexed epochId,
+        address indexed educator,
+        uint256 unclaimedAmount,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Emitted when the EducConfig contract providing the live limits is set
+     * @param configContract Address of the config contract
+     */
+    event ConfigContractSet(address indexed configContract);
+}
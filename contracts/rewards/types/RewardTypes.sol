@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title RewardTypes
+ * @dev Defines type structures for the reward distribution module
+ */
+library RewardTypes {
+    /**
+     * @dev Represents a reward epoch committed by an educator
+     */
+    struct Epoch {
+        // Core properties
+        address educator;            // Educator whose mint allowance funds the epoch
+        bytes32 merkleRoot;          // Root of the (student, amount, reason) Merkle tree
+
+        // Amounts
+        uint256 totalAmount;         // Amount reserved from the educator's allowance
+        uint256 claimedAmount;       // Amount claimed by students so far
+        uint256 maxClaimAmount;      // Largest single claim, the EducConfig max mint amount at commit
+
+        // Claim window
+        uint256 claimDeadline;       // Timestamp after which claims close
+        bool expired;                // Whether the unclaimed amount went back to the educator
+
+        // Timestamps
+        uint256 committedAt;         // When the epoch was committed
+    }
+}
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "../../access/roles/EducRoles.sol";
+import "../../interfaces/IEducPause.sol";
+import "./PauseEvents.sol";
+
+/**
+ * @title EducPauseControlled
+ * @dev Base contract for contracts whose functions are gated by the granular
+ * flags of a shared EducPause contract. Overrides are checked against the
+ * caller (the signer of a relayed meta-transaction), so a contract calling another
+ * gated contract (e.g. EducLearning minting through EducToken) needs its own
+ * override as well.
+ */
+abstract contract EducPauseControlled is AccessControl {
+    // Shared pause controller, unset until configured
+    IEducPause public pauseControl;
+
+    /**
+     * @dev Modifier to ensure a function flag is not paused for the caller
+     * @param functionFlag Pause flag from SystemConstants
+     */
+    modifier whenFunctionNotPaused(uint32 functionFlag) {
+        _requireFunctionNotPaused(functionFlag);
+        _;
+    }
+
+    /**
+     * @dev Sets the EducPause contract to consult
+     * @param _pauseControl Address of the EducPause contract
+     */
+    function setPauseControl(address _pauseControl)
+        external
+        onlyRole(EducRoles.ADMIN_ROLE)
+    {
+        _setPauseControl(_pauseControl);
+    }
+
+    /**
+     * @dev Updates the pause control reference
+     * @param _pauseControl Address of the EducPause contract
+     */
+    function _setPauseControl(address _pauseControl) internal {
+        require(_pauseControl != address(0), "EducPauseControlled: Invalid pause control address");
+        pauseControl = IEducPause(_pauseControl);
+
+        emit PauseEvents.PauseControlSet(_pauseControl, _msgSender(), block.timestamp);
+    }
+
+    /**
+     * @dev Reverts if the function flag is paused for the caller
+     * @param functionFlag Pause flag from SystemConstants
+     */
+    function _requireFunctionNotPaused(uint32 functionFlag) internal view {
+        if (address(pauseControl) == address(0)) {
+            return;
+        }
+        require(
+            !pauseControl.isFunctionPausedForAddress(_msgSender(), functionFlag),
+            "EducPauseControlled: Function is paused"
+        );
+    }
+}
@@ -57,4 +57,16 @@ library PauseEvents {
         address indexed authority,
         uint256 timestamp
     );
-}
\ No newline at end of file
+
+    /**
+     * @dev Emitted when a contract starts consulting an EducPause contract
+     * @param pauseControl Address of the EducPause contract
+     * @param authority Address that set the pause control
+     * @param timestamp When the pause control was set
+     */
+    event PauseControlSet(
+        address indexed pauseControl,
+        address indexed authority,
+        uint256 timestamp
+    );
+}
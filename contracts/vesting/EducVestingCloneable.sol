@@ -8,6 +8,7 @@ import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../access/roles/EducRoles.sol";
 import "../config/constants/SystemConstants.sol";
+import "../metatx/EducMetaTxRecipient.sol";
 import "../interfaces/IEducVesting.sol";
 import "./VestingEvents.sol";
 import "./types/VestingTypes.sol";
@@ -17,7 +18,14 @@ import "./types/VestingTypes.sol";
  * @dev Cloneable implementation of the vesting contract for gas-efficient deployments
  * This version supports minimal proxy pattern (EIP-1167) for cheap deployments
  */
-contract EducVestingCloneable is AccessControl, Pausable, ReentrancyGuard, Initializable, IEducVesting {
+contract EducVestingCloneable is
+    AccessControl,
+    Pausable,
+    ReentrancyGuard,
+    Initializable,
+    EducMetaTxRecipient,
+    IEducVesting
+{
     using SafeERC20 for IERC20;
 
     // Storage
@@ -385,7 +393,7 @@ contract EducVestingCloneable is AccessControl, Pausable, ReentrancyGuard, Initi
         _trackScheduleForHolder(_beneficiary, vestingScheduleId);
 
         // Transfer tokens to this contract
-        token.safeTransferFrom(msg.sender, address(this), _totalAmount);
+        token.safeTransferFrom(_msgSender(), address(this), _totalAmount);
 
         emit VestingEvents.VestingScheduleCreated(
             vestingScheduleId,
@@ -513,7 +521,7 @@ contract EducVestingCloneable is AccessControl, Pausable, ReentrancyGuard, Initi
      * @dev Validates that caller is the beneficiary
      */
     function _validateCallerIsBeneficiary(address _beneficiary) private view {
-        require(_beneficiary == msg.sender, "EducVesting: Only beneficiary can release");
+        require(_beneficiary == _msgSender(), "EducVesting: Only beneficiary can release");
     }
 
     /**
@@ -961,4 +969,25 @@ contract EducVestingCloneable is AccessControl, Pausable, ReentrancyGuard, Initi
     {
         return treasury;
     }
-}
\ No newline at end of file
+
+    /**
+     * @dev Attributes calls from the trusted forwarder to their signer
+     */
+    function _msgSender() internal view override(Context, EducMetaTxRecipient) returns (address) {
+        return super._msgSender();
+    }
+
+    /**
+     * @dev Strips the signer appended by the trusted forwarder
+     */
+    function _msgData() internal view override(Context, EducMetaTxRecipient) returns (bytes calldata) {
+        return super._msgData();
+    }
+
+    /**
+     * @dev Length of the signer appended by the trusted forwarder
+     */
+    function _contextSuffixLength() internal view override(Context, EducMetaTxRecipient) returns (uint256) {
+        return super._contextSuffixLength();
+    }
+}
@@ -5,6 +5,10 @@ require("@openzeppelin/hardhat-upgrades");
 require("solidity-coverage");
 require("hardhat-gas-reporter");
 require("hardhat-contract-sizer");
+require("./tasks/audit-roles");
+require("./tasks/credentials");
+require("./tasks/educ");
+require("./tasks/governance");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
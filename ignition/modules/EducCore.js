@@ -0,0 +1,26 @@
+// Core contracts of the EducLearning system: token, educator, student and course registries,
+// and the course completion certificates.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { id } = require("ethers");
+
+const ADMIN_ROLE = id("ADMIN_ROLE");
+
+module.exports = buildModule("EducCoreModule", (m) => {
+  // The deployer bootstraps every contract so that it can perform the role wiring below
+  const deployer = m.getAccount(0);
+
+  const token = m.contract("EducToken", [deployer]);
+  const educator = m.contract("EducEducator", [deployer]);
+  const student = m.contract("EducStudent", [deployer]);
+  const course = m.contract("EducCourse", [deployer, educator]);
+  const certificate = m.contract("EducCertificate", [deployer]);
+
+  // EducCourse.createCourse calls educator.incrementCourseCount, which is ADMIN_ROLE gated
+  m.call(educator, "grantRole", [ADMIN_ROLE, course], {
+    id: "EducEducator_grantAdminRole_EducCourse",
+  });
+
+  return { token, educator, student, course, certificate };
+});
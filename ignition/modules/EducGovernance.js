@@ -0,0 +1,44 @@
+// Configuration, pause control, treasury and multisig governance contracts of the EducLearning system.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { id } = require("ethers");
+
+const ADMIN_ROLE = id("ADMIN_ROLE");
+const EMERGENCY_ROLE = id("EMERGENCY_ROLE");
+
+module.exports = buildModule("EducGovernanceModule", (m) => {
+  const deployer = m.getAccount(0);
+
+  // Multisig parameters: "signers" has no default so that production deployments must set it explicitly
+  const signers = m.getParameter("signers");
+  const threshold = m.getParameter("threshold", 1);
+  // Seconds an educator waits between two issueReward/batchIssueRewards calls, at least 1
+  const mintCooldownPeriod = m.getParameter("mintCooldownPeriod", 2 * 60 * 60);
+
+  const config = m.contract("EducConfig", [deployer]);
+  m.call(config, "updateConfig", [0, 0, 0, mintCooldownPeriod], {
+    id: "EducConfig_setMintCooldownPeriod",
+  });
+  const pauseControl = m.contract("EducPause", [deployer]);
+  const multisig = m.contract("EducMultisig", [signers, threshold, deployer]);
+  const proposal = m.contract("EducProposal", [multisig, deployer]);
+
+  // Treasury funds only move through executed TransferFunds proposals
+  const treasury = m.contract("EducTreasury", [proposal]);
+
+  // EducProposal executes signer management on the multisig, which is ADMIN_ROLE gated
+  m.call(multisig, "grantRole", [ADMIN_ROLE, proposal], {
+    id: "EducMultisig_grantAdminRole_EducProposal",
+  });
+
+  // UpdateConfig and EmergencyPause proposals are executed by EducProposal
+  m.call(config, "grantRole", [ADMIN_ROLE, proposal], {
+    id: "EducConfig_grantAdminRole_EducProposal",
+  });
+  m.call(pauseControl, "grantRole", [EMERGENCY_ROLE, proposal], {
+    id: "EducPause_grantEmergencyRole_EducProposal",
+  });
+
+  return { config, pauseControl, multisig, proposal, treasury };
+});
@@ -0,0 +1,191 @@
+// Deploys and wires the full EducLearning system.
+// Learn more about Hardhat Ignition at https://hardhat.org/ignition
+//
+// Every role grant and the EducLearning initialization are declared as futures with stable ids,
+// so an interrupted deployment can be resumed by re-running the same command.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { id } = require("ethers");
+const EducCoreModule = require("./EducCore");
+const EducGovernanceModule = require("./EducGovernance");
+
+const DEFAULT_ADMIN_ROLE = "0x" + "00".repeat(32);
+const ADMIN_ROLE = id("ADMIN_ROLE");
+const EDUCATOR_ROLE = id("EDUCATOR_ROLE");
+const MINTER_ROLE = id("MINTER_ROLE");
+const GUARDIAN_ROLE = id("GUARDIAN_ROLE");
+
+module.exports = buildModule("EducLearningSystemModule", (m) => {
+  const deployer = m.getAccount(0);
+  const admin = m.getParameter("admin", deployer);
+
+  const { token, educator, student, course, certificate } = m.useModule(EducCoreModule);
+  const { config, pauseControl, multisig, proposal, treasury } = m.useModule(EducGovernanceModule);
+
+  const learning = m.contract("EducLearning", [deployer]);
+
+  // Token holders vote with delegated EDUC, the multisig signers keep a veto. The governor
+  // holds no roles: the admin grants the ones token governance should exercise.
+  const governor = m.contract("EducGovernor", [token, config, multisig]);
+
+  // Setting up roles BEFORE initialization
+  const studentEducatorGrant = m.call(student, "grantRole", [EDUCATOR_ROLE, learning], {
+    id: "EducStudent_grantEducatorRole_EducLearning",
+  });
+  const courseEducatorGrant = m.call(course, "grantRole", [EDUCATOR_ROLE, learning], {
+    id: "EducCourse_grantEducatorRole_EducLearning",
+  });
+
+  const tokenAdminGrant = m.call(token, "grantRole", [ADMIN_ROLE, learning], {
+    id: "EducToken_grantAdminRole_EducLearning",
+  });
+  const educatorAdminGrant = m.call(educator, "grantRole", [ADMIN_ROLE, learning], {
+    id: "EducEducator_grantAdminRole_EducLearning",
+  });
+  const studentAdminGrant = m.call(student, "grantRole", [ADMIN_ROLE, learning], {
+    id: "EducStudent_grantAdminRole_EducLearning",
+  });
+  const courseAdminGrant = m.call(course, "grantRole", [ADMIN_ROLE, learning], {
+    id: "EducCourse_grantAdminRole_EducLearning",
+  });
+
+  const tokenMinterGrant = m.call(token, "grantRole", [MINTER_ROLE, learning], {
+    id: "EducToken_grantMinterRole_EducLearning",
+  });
+  const certificateMinterGrant = m.call(certificate, "grantRole", [MINTER_ROLE, learning], {
+    id: "EducCertificate_grantMinterRole_EducLearning",
+  });
+
+  // Initialize the EducLearning contract AFTER granting roles
+  const initialize = m.call(
+    learning,
+    "initialize",
+    [token, educator, student, course, config, pauseControl, multisig, proposal],
+    {
+      id: "EducLearning_initialize",
+      after: [
+        studentEducatorGrant,
+        courseEducatorGrant,
+        tokenAdminGrant,
+        educatorAdminGrant,
+        studentAdminGrant,
+        courseAdminGrant,
+        tokenMinterGrant,
+      ],
+    }
+  );
+
+  // completeCourse issues certificates once the certificate contract is set
+  const setCertificate = m.call(learning, "setCertificateContract", [certificate], {
+    id: "EducLearning_setCertificateContract",
+    after: [initialize, certificateMinterGrant],
+  });
+
+  // Educators commit Merkle reward epochs that students claim individually. The distributor
+  // reserves and releases educator allowances, registers students and mints the claims.
+  const rewardDistributor = m.contract("EducRewardDistributor", [token, educator, student, deployer]);
+  const rewardDistributorGrants = [
+    m.call(educator, "grantRole", [ADMIN_ROLE, rewardDistributor], { id: "EducEducator_grantAdminRole_EducRewardDistributor" }),
+    m.call(student, "grantRole", [ADMIN_ROLE, rewardDistributor], { id: "EducStudent_grantAdminRole_EducRewardDistributor" }),
+    m.call(token, "grantRole", [MINTER_ROLE, rewardDistributor], { id: "EducToken_grantMinterRole_EducRewardDistributor" }),
+  ];
+
+  // Core contracts consult the shared EducPause flags and overrides
+  const pauseControlSets = Object.entries({
+    EducToken: token,
+    EducEducator: educator,
+    EducStudent: student,
+    EducCourse: course,
+    EducRewardDistributor: rewardDistributor,
+  }).map(
+    ([name, contract]) => m.call(contract, "setPauseControl", [pauseControl], { id: `${name}_setPauseControl` })
+  );
+
+  // Token and student calls can be relayed through EducForwarder (ERC-2771)
+  const forwarder = m.contract("EducForwarder");
+  const trustedForwarderSets = Object.entries({ EducToken: token, EducStudent: student }).map(
+    ([name, contract]) => m.call(contract, "setTrustedForwarder", [forwarder], { id: `${name}_setTrustedForwarder` })
+  );
+
+  // Registration, course creation and reward epochs enforce the live EducConfig limits
+  const configContractSets = Object.entries({
+    EducEducator: educator,
+    EducCourse: course,
+    EducRewardDistributor: rewardDistributor,
+  }).map(
+    ([name, contract]) => m.call(contract, "setConfigContract", [config], { id: `${name}_setConfigContract` })
+  );
+
+  // EducProposal executes educator and course instructions, which are ADMIN_ROLE gated
+  const proposalAdminGrants = Object.entries({ EducEducator: educator, EducCourse: course }).map(
+    ([name, contract]) => m.call(contract, "grantRole", [ADMIN_ROLE, proposal], { id: `${name}_grantAdminRole_EducProposal` })
+  );
+  const setExecutionTargets = m.call(
+    proposal,
+    "setExecutionTargets",
+    [{ config, educator, course, treasury, pauseControl }],
+    { id: "EducProposal_setExecutionTargets" }
+  );
+
+  // Grant the configured admin DEFAULT_ADMIN_ROLE and ADMIN_ROLE on every contract (a no-op when
+  // it is the deployer). The deployer keeps its own roles: Ignition cannot tell at build time
+  // whether the admin is a different account, so renouncing them is left to the operator.
+  const contracts = {
+    EducToken: token,
+    EducEducator: educator,
+    EducStudent: student,
+    EducCourse: course,
+    EducCertificate: certificate,
+    EducConfig: config,
+    EducPause: pauseControl,
+    EducMultisig: multisig,
+    EducProposal: proposal,
+    EducLearning: learning,
+    EducRewardDistributor: rewardDistributor,
+  };
+
+  const wiring = [
+    initialize,
+    setCertificate,
+    setExecutionTargets,
+    ...pauseControlSets,
+    ...configContractSets,
+    ...trustedForwarderSets,
+    ...proposalAdminGrants,
+    ...rewardDistributorGrants,
+  ];
+
+  for (const [name, contract] of Object.entries(contracts)) {
+    m.call(contract, "grantRole", [DEFAULT_ADMIN_ROLE, admin], {
+      id: `${name}_grantDefaultAdminRole_admin`,
+      after: wiring,
+    });
+    m.call(contract, "grantRole", [ADMIN_ROLE, admin], {
+      id: `${name}_grantAdminRole_admin`,
+      after: wiring,
+    });
+  }
+
+  // The admin can cancel queued proposals during their execution delay
+  m.call(proposal, "grantRole", [GUARDIAN_ROLE, admin], {
+    id: "EducProposal_grantGuardianRole_admin",
+    after: wiring,
+  });
+
+  return {
+    token,
+    educator,
+    student,
+    course,
+    certificate,
+    config,
+    pauseControl,
+    multisig,
+    proposal,
+    treasury,
+    governor,
+    forwarder,
+    learning,
+    rewardDistributor,
+  };
+});
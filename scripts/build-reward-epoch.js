@@ -0,0 +1,150 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadManifest } = require("./utils/deployment-manifest");
+const { writeRewardProofs } = require("./utils/merkle");
+const {
+  ONE_DAY,
+  MAX_MINT_AMOUNT,
+  DEFAULT_MINT_COOLDOWN,
+  buildRewardEpoch,
+  claimWindowCapacity,
+} = require("./utils/rewards");
+
+const DEFAULT_CLAIM_DAYS = 30;
+
+async function main() {
+  console.log("Building reward epoch...");
+
+  const csvPath = process.env.REWARDS_CSV;
+  if (!csvPath) {
+    console.error("REWARDS_CSV environment variable not set");
+    process.exit(1);
+  }
+
+  const outputPath = process.env.REWARD_EPOCH_FILE || `${path.resolve(csvPath)}.epoch.json`;
+  const claimDays = Number(process.env.REWARD_CLAIM_DAYS || DEFAULT_CLAIM_DAYS);
+  const commit = process.env.REWARD_EPOCH_COMMIT === "true";
+
+  // EducRewardDistributor comes from the deployment manifest unless given explicitly
+  const manifest = loadManifest();
+  const distributorAddress =
+    process.env.REWARD_DISTRIBUTOR_ADDRESS || manifest?.contracts.EducRewardDistributor?.address;
+
+  // Claims are capped at the max mint amount of the distributor's EducConfig when the epoch is committed
+  let maxMintAmount = MAX_MINT_AMOUNT;
+  if (distributorAddress) {
+    const configAddress = await (await ethers.getContractAt("EducRewardDistributor", distributorAddress)).configContract();
+    if (configAddress !== ethers.ZeroAddress) {
+      maxMintAmount = await (await ethers.getContractAt("EducConfig", configAddress)).getMaxMintAmount();
+    }
+  }
+
+  // Validate the whole file before the tree is built, see buildRewardEpoch for the rules
+  const text = fs.readFileSync(csvPath, "utf8");
+  const { rewards, tree, total, errors } = buildRewardEpoch(text, maxMintAmount);
+  if (errors.length > 0) {
+    console.error(`${errors.length} invalid rows, no epoch was built:`);
+    errors.forEach((error) => console.error(`  ${error}`));
+    process.exit(1);
+  }
+
+  const latest = await ethers.provider.getBlock("latest");
+  const claimDeadline = latest.timestamp + claimDays * ONE_DAY;
+
+  console.log(`CSV: ${path.resolve(csvPath)}`);
+  console.log(`${rewards.length} students, ${ethers.formatEther(total)} tokens in total`);
+  console.log(`Merkle root: ${tree.root}`);
+  console.log(`Claim deadline: ${new Date(claimDeadline * 1000).toISOString()} (${claimDays} days)`);
+
+  const metadata = {
+    csvFile: path.basename(csvPath),
+    csvHash: ethers.id(text),
+    distributor: distributorAddress ?? null,
+    claimDeadline,
+  };
+
+  let distributor;
+  let sender;
+  if (distributorAddress) {
+    [sender] = await ethers.getSigners();
+    distributor = await ethers.getContractAt("EducRewardDistributor", distributorAddress, sender);
+    const educator = await ethers.getContractAt("EducEducator", await distributor.educator());
+    const token = await ethers.getContractAt("EducToken", await distributor.token());
+    console.log(`EducRewardDistributor: ${distributorAddress}`);
+
+    // Claims mint through EducToken.mintReward, so the whole epoch has to fit in the token's daily
+    // limit over the claim window, shared with every other reward minted in the meantime
+    const capacity = claimWindowCapacity(latest.timestamp, claimDeadline, await token.getDailyMintingRemaining());
+    if (total > capacity) {
+      const message =
+        `The total exceeds the ${ethers.formatEther(capacity)} tokens the token can mint before the claim deadline, ` +
+        "raise REWARD_CLAIM_DAYS or split the CSV into several epochs";
+      if (commit) {
+        console.error(message);
+        process.exit(1);
+      }
+      console.log(`⚠️ ${message}`);
+    }
+
+    if (!(await educator.isActiveEducator(sender.address))) {
+      if (commit) {
+        console.error(`${sender.address} is not an active educator`);
+        process.exit(1);
+      }
+      console.log(`⚠️ ${sender.address} is not an active educator, another account has to commit the epoch`);
+    } else {
+      const remaining =
+        (await educator.getEducatorMintLimit(sender.address)) - (await educator.getEducatorTotalMinted(sender.address));
+      console.log(`Educator (sender): ${sender.address}, remaining mint allowance ${ethers.formatEther(remaining)}`);
+      if (total > remaining) {
+        console.log(`⚠️ The total exceeds the educator's remaining mint allowance of ${ethers.formatEther(remaining)}`);
+      }
+
+      // EducEducator makes each educator wait for the mint cooldown of its EducConfig between
+      // two rewards, whether issued through EducLearning or committed as an epoch
+      const educatorConfig = await educator.configContract();
+      const cooldown =
+        educatorConfig === ethers.ZeroAddress
+          ? DEFAULT_MINT_COOLDOWN
+          : await (await ethers.getContractAt("EducConfig", educatorConfig)).getMintCooldownPeriod();
+      const lastReward = await educator.getEducatorLastRewardTime(sender.address);
+      if (lastReward > 0n && BigInt(latest.timestamp) < lastReward + cooldown) {
+        const nextCommit = new Date(Number(lastReward + cooldown) * 1000).toISOString();
+        if (commit) {
+          console.error(`The educator's mint cooldown has not elapsed, commit the epoch after ${nextCommit}`);
+          process.exit(1);
+        }
+        console.log(`⚠️ The educator's mint cooldown has not elapsed, the epoch can be committed after ${nextCommit}`);
+      }
+    }
+  } else if (commit) {
+    console.error("REWARD_DISTRIBUTOR_ADDRESS environment variable not set and no EducRewardDistributor in the deployment manifest");
+    process.exit(1);
+  }
+
+  if (commit) {
+    console.log("Committing epoch...");
+    const receipt = await (await distributor.commitEpoch(tree.root, total, claimDeadline)).wait();
+    const [committed] = receipt.logs
+      .map((log) => distributor.interface.parseLog(log))
+      .filter((event) => event?.name === "EpochCommitted");
+    metadata.epochId = committed.args.epochId.toString();
+    metadata.educator = sender.address;
+    metadata.commitTransaction = receipt.hash;
+    console.log(`Epoch ${metadata.epochId} committed in ${receipt.hash}`);
+  }
+
+  writeRewardProofs(outputPath, tree, metadata);
+  console.log(`Proofs written to ${outputPath}`);
+  if (!commit) {
+    console.log("Set REWARD_EPOCH_COMMIT=true to commit the epoch with the first account");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,6 +1,27 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { SNAPSHOT_DIR, findDeploymentBlock, writeJsonAtomic } = require("./utils/snapshot");
+const { buildMigrationTree, writeMerkleProofs } = require("./utils/merkle");
+
+/**
+ * @dev Returns the unfinished checkpoint for a token, pinned to SNAPSHOT_BLOCK when set
+ */
+function findCheckpoint(tokenAddress, snapshotBlock) {
+  if (!fs.existsSync(SNAPSHOT_DIR)) {
+    return null;
+  }
+
+  const checkpoints = fs
+    .readdirSync(SNAPSHOT_DIR)
+    .filter((file) => /^snapshot_\d+\.checkpoint\.json$/.test(file))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(SNAPSHOT_DIR, file), "utf8")))
+    .filter((checkpoint) => checkpoint.token.toLowerCase() === tokenAddress.toLowerCase())
+    .filter((checkpoint) => snapshotBlock === undefined || checkpoint.snapshotBlock === snapshotBlock)
+    .sort((a, b) => b.snapshotBlock - a.snapshotBlock);
+
+  return checkpoints.length > 0 ? checkpoints[0] : null;
+}
 
 async function main() {
   console.log("Creating token holder snapshot...");
@@ -16,101 +37,135 @@ async function main() {
 
   // Load the existing token contract
   const existingToken = await ethers.getContractAt("EducToken", existingTokenAddress);
-  
+  const provider = ethers.provider;
+
   try {
+    // Resume an unfinished scan if there is one, otherwise pin a new snapshot block
+    const latestBlock = await provider.getBlockNumber();
+    const requestedBlock = process.env.SNAPSHOT_BLOCK ? Number(process.env.SNAPSHOT_BLOCK) : undefined;
+    let checkpoint = findCheckpoint(existingTokenAddress, requestedBlock);
+    const snapshotBlock = checkpoint ? checkpoint.snapshotBlock : requestedBlock ?? latestBlock;
+    if (snapshotBlock > latestBlock) {
+      console.error(`SNAPSHOT_BLOCK ${snapshotBlock} is ahead of the latest block ${latestBlock}`);
+      process.exit(1);
+    }
+
+    // Every read is pinned to the snapshot block so the scan stays consistent even if it takes hours
+    const blockTag = snapshotBlock;
+
     // Extract token metadata
-    const name = await existingToken.name();
-    const symbol = await existingToken.symbol();
-    const decimals = await existingToken.decimals();
-    const totalSupply = await existingToken.totalSupply();
-    
+    const name = await existingToken.name({ blockTag });
+    const symbol = await existingToken.symbol({ blockTag });
+    const decimals = await existingToken.decimals({ blockTag });
+    const totalSupply = await existingToken.totalSupply({ blockTag });
+
     console.log(`Token Name: ${name}`);
     console.log(`Token Symbol: ${symbol}`);
     console.log(`Decimals: ${decimals}`);
-    console.log(`Total Supply: ${ethers.utils.formatEther(totalSupply)}`);
-    
+    console.log(`Total Supply: ${ethers.formatEther(totalSupply)}`);
+    console.log(`Snapshot block: ${snapshotBlock}`);
+
+    // Create snapshot directory if it doesn't exist
+    if (!fs.existsSync(SNAPSHOT_DIR)) {
+      fs.mkdirSync(SNAPSHOT_DIR);
+    }
+
+    const checkpointPath = path.join(SNAPSHOT_DIR, `snapshot_${snapshotBlock}.checkpoint.json`);
+
+    if (checkpoint) {
+      console.log(
+        `Resuming from checkpoint: ${checkpoint.addresses.length} addresses found up to block ` +
+          `${checkpoint.lastScannedBlock}, ${Object.keys(checkpoint.balances).length} balances fetched`
+      );
+    } else {
+      // Start from the token's deployment block instead of genesis
+      let startBlock;
+      if (process.env.SNAPSHOT_START_BLOCK) {
+        startBlock = Number(process.env.SNAPSHOT_START_BLOCK);
+      } else {
+        console.log("SNAPSHOT_START_BLOCK not set, locating the token deployment block...");
+        startBlock = (await findDeploymentBlock(provider, existingTokenAddress, snapshotBlock)) ?? 0;
+      }
+
+      checkpoint = {
+        token: existingTokenAddress,
+        snapshotBlock,
+        startBlock,
+        lastScannedBlock: startBlock - 1,
+        addresses: [],
+        balances: {},
+      };
+      writeJsonAtomic(checkpointPath, checkpoint);
+    }
+
+    const { startBlock } = checkpoint;
+    console.log(`Start block: ${startBlock}`);
+    console.log(`Checkpoint file: ${checkpointPath}`);
+
     // Get all Transfer events to identify token holders
     console.log("Fetching Transfer events to identify all token holders...");
-    
-    const provider = ethers.provider;
-    const currentBlock = await provider.getBlockNumber();
-    
+
     // Define the batch size and initialize the variables
-    const batchSize = 10000;
-    let fromBlock = 0;
-    let toBlock = Math.min(fromBlock + batchSize, currentBlock);
-    
-    // Create a set to store unique addresses
-    const addressSet = new Set();
-    
+    const batchSize = Number(process.env.SNAPSHOT_BLOCK_BATCH_SIZE || 10000);
+    const addressSet = new Set(checkpoint.addresses);
+    const filter = existingToken.filters.Transfer();
+
     // Process events in batches to avoid RPC limitations
-    while (fromBlock <= currentBlock) {
+    for (let fromBlock = checkpoint.lastScannedBlock + 1; fromBlock <= snapshotBlock; fromBlock += batchSize) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, snapshotBlock);
       console.log(`Processing blocks ${fromBlock} to ${toBlock}...`);
-      
-      const filter = existingToken.filters.Transfer();
+
       const events = await existingToken.queryFilter(filter, fromBlock, toBlock);
-      
+
       for (const event of events) {
         addressSet.add(event.args.from);
         addressSet.add(event.args.to);
       }
-      
-      // Update block range for next batch
-      fromBlock = toBlock + 1;
-      toBlock = Math.min(fromBlock + batchSize, currentBlock);
+
+      // Remove the zero address from the set
+      addressSet.delete(ethers.ZeroAddress);
+
+      checkpoint.lastScannedBlock = toBlock;
+      checkpoint.addresses = Array.from(addressSet);
+      writeJsonAtomic(checkpointPath, checkpoint);
     }
-    
-    // Remove the zero address from the set
-    addressSet.delete(ethers.constants.AddressZero);
-    
+
     console.log(`Found ${addressSet.size} unique addresses`);
-    
-    // Now get balance for each address
+
+    // Now get balance for each address at the snapshot block
     console.log("Fetching balances for all addresses...");
-    
-    const holders = [];
-    let addressArray = Array.from(addressSet);
-    let totalProcessed = 0;
-    
+
+    const addressArray = Array.from(addressSet);
+    const pendingAddresses = addressArray.filter((address) => checkpoint.balances[address] === undefined);
+    let totalProcessed = addressArray.length - pendingAddresses.length;
+
     // Process balances in smaller batches to avoid rate limiting
     const balanceBatchSize = 100;
-    
-    for (let i = 0; i < addressArray.length; i += balanceBatchSize) {
-      const batch = addressArray.slice(i, i + balanceBatchSize);
-      const batchPromises = batch.map(async (address) => {
-        try {
-          const balance = await existingToken.balanceOf(address);
-          if (balance.gt(0)) {
-            return {
-              address,
-              balance: balance.toString(),
-              formattedBalance: ethers.utils.formatEther(balance)
-            };
-          }
-          return null;
-        } catch (error) {
-          console.error(`Error fetching balance for ${address}:`, error);
-          return null;
-        }
+
+    for (let i = 0; i < pendingAddresses.length; i += balanceBatchSize) {
+      const batch = pendingAddresses.slice(i, i + balanceBatchSize);
+      const balances = await Promise.all(batch.map((address) => existingToken.balanceOf(address, { blockTag })));
+
+      batch.forEach((address, index) => {
+        checkpoint.balances[address] = balances[index].toString();
       });
-      
-      const batchResults = await Promise.all(batchPromises);
-      const validResults = batchResults.filter(result => result !== null);
-      holders.push(...validResults);
-      
+      writeJsonAtomic(checkpointPath, checkpoint);
+
       totalProcessed += batch.length;
       console.log(`Processed ${totalProcessed}/${addressArray.length} addresses (${Math.round(totalProcessed/addressArray.length*100)}%)`);
     }
-    
+
+    const holders = addressArray
+      .map((address) => ({ address, balance: BigInt(checkpoint.balances[address]) }))
+      .filter((holder) => holder.balance > 0n);
+
     console.log(`Found ${holders.length} addresses with positive balances`);
-    
+
     // Sort holders by balance (descending)
-    holders.sort((a, b) => {
-      const balanceA = ethers.BigNumber.from(a.balance);
-      const balanceB = ethers.BigNumber.from(b.balance);
-      return balanceB.sub(balanceA);
-    });
-    
+    holders.sort((a, b) => (a.balance === b.balance ? 0 : a.balance < b.balance ? 1 : -1));
+
+    const block = await provider.getBlock(snapshotBlock);
+
     // Create snapshot object
     const snapshot = {
       token: {
@@ -119,51 +174,59 @@ async function main() {
         symbol,
         decimals: decimals.toString(),
         totalSupply: totalSupply.toString(),
-        formattedTotalSupply: ethers.utils.formatEther(totalSupply)
+        formattedTotalSupply: ethers.formatEther(totalSupply)
       },
-      snapshotBlock: currentBlock,
-      timestamp: Math.floor(Date.now() / 1000),
-      holders
+      snapshotBlock,
+      startBlock,
+      timestamp: block.timestamp,
+      holders: holders.map((holder) => ({
+        address: holder.address,
+        balance: holder.balance.toString(),
+        formattedBalance: ethers.formatEther(holder.balance)
+      }))
     };
-    
-    // Create snapshot directory if it doesn't exist
-    const snapshotDir = path.join(__dirname, '../snapshots');
-    if (!fs.existsSync(snapshotDir)) {
-      fs.mkdirSync(snapshotDir);
-    }
-    
+
     // Save snapshot to file
-    const filename = path.join(snapshotDir, `snapshot_${currentBlock}.json`);
+    const filename = path.join(SNAPSHOT_DIR, `snapshot_${snapshotBlock}.json`);
     fs.writeFileSync(filename, JSON.stringify(snapshot, null, 2));
-    
+
     console.log(`Snapshot created successfully at ${filename}`);
-    
+
     // Create a CSV file for easier viewing
-    const csvFilename = path.join(snapshotDir, `snapshot_${currentBlock}.csv`);
+    const csvFilename = path.join(SNAPSHOT_DIR, `snapshot_${snapshotBlock}.csv`);
     const csvContent = [
       'Address,Balance,FormattedBalance',
-      ...holders.map(h => `${h.address},${h.balance},${h.formattedBalance}`)
+      ...snapshot.holders.map(h => `${h.address},${h.balance},${h.formattedBalance}`)
     ].join('\n');
-    
+
     fs.writeFileSync(csvFilename, csvContent);
     console.log(`CSV snapshot created at ${csvFilename}`);
-    
+
+    // Create the Merkle tree used by EducMigrationClaim
+    if (holders.length > 0) {
+      const tree = buildMigrationTree(snapshot.holders);
+      const merkleFilename = path.join(SNAPSHOT_DIR, `snapshot_${snapshotBlock}.merkle.json`);
+      writeMerkleProofs(merkleFilename, tree, { token: existingTokenAddress, snapshotBlock });
+      console.log(`Merkle root: ${tree.root}`);
+      console.log(`Merkle proofs created at ${merkleFilename}`);
+    }
+
+    // The snapshot is complete, the checkpoint is no longer needed
+    fs.unlinkSync(checkpointPath);
+
     // Verify total sum of balances matches total supply
-    const totalBalances = holders.reduce(
-      (sum, holder) => sum.add(ethers.BigNumber.from(holder.balance)),
-      ethers.BigNumber.from(0)
-    );
-    
-    console.log(`Total from balances: ${ethers.utils.formatEther(totalBalances)}`);
-    console.log(`Total supply: ${ethers.utils.formatEther(totalSupply)}`);
-    
-    if (totalBalances.eq(totalSupply)) {
+    const totalBalances = holders.reduce((sum, holder) => sum + holder.balance, 0n);
+
+    console.log(`Total from balances: ${ethers.formatEther(totalBalances)}`);
+    console.log(`Total supply: ${ethers.formatEther(totalSupply)}`);
+
+    if (totalBalances === totalSupply) {
       console.log("✅ Total balances match total supply");
     } else {
       console.log("⚠️ Total balances do not match total supply");
-      console.log(`Difference: ${ethers.utils.formatEther(totalSupply.sub(totalBalances))}`);
+      console.log(`Difference: ${ethers.formatEther(totalSupply - totalBalances)}`);
     }
-    
+
   } catch (error) {
     console.error("Error creating snapshot:", error);
     process.exit(1);
@@ -175,4 +238,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
@@ -0,0 +1,180 @@
+const { TypedDataEncoder, getAddress, verifyTypedData } = require("ethers");
+
+const PROOF_TYPE = "EthereumEip712Signature2021";
+const PRIMARY_TYPE = "VerifiableCredential";
+const DOMAIN_NAME = "EducToken Credentials";
+const DOMAIN_VERSION = "1";
+
+/**
+ * @dev Returns the did:pkh identifier of an Ethereum account
+ */
+function toDid(chainId, address) {
+  return `did:pkh:eip155:${chainId}:${getAddress(address)}`;
+}
+
+/**
+ * @dev Parses a did:pkh:eip155 identifier into { chainId, address }
+ */
+function parseDid(did) {
+  const match = /^did:pkh:eip155:(\d+):(0x[0-9a-fA-F]{40})$/.exec(String(did).split("#")[0]);
+  if (!match) {
+    throw new Error(`Unsupported DID "${did}", expected did:pkh:eip155:<chainId>:<address>`);
+  }
+  return { chainId: Number(match[1]), address: getAddress(match[2]) };
+}
+
+function structName(key) {
+  const name = key.replace(/[^A-Za-z0-9]/g, "");
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * @dev Derives EIP-712 types from a JSON document. Every value must be a string, an object
+ * or a non-empty array of either; objects become struct types named after their key.
+ * @param document The document to sign
+ * @return object EIP-712 types, excluding EIP712Domain
+ */
+function deriveTypes(document) {
+  const types = {};
+
+  const fieldType = (key, value) => {
+    if (typeof value === "string") {
+      return "string";
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        throw new Error(`Cannot derive the type of empty array "${key}"`);
+      }
+      const elementTypes = new Set(value.map((element) => fieldType(key, element)));
+      if (elementTypes.size !== 1) {
+        throw new Error(`Array "${key}" mixes element types`);
+      }
+      return `${[...elementTypes][0]}[]`;
+    }
+    if (value !== null && typeof value === "object") {
+      return addStruct(structName(key), value);
+    }
+    throw new Error(`Unsupported value for "${key}", credentials may only contain strings, objects and arrays`);
+  };
+
+  const addStruct = (baseName, object) => {
+    const fields = Object.keys(object)
+      .sort()
+      .map((key) => ({ name: key, type: fieldType(key, object[key]) }));
+
+    // Objects under the same key with different shapes get numbered type names
+    let name = baseName;
+    for (let suffix = 2; types[name] && JSON.stringify(types[name]) !== JSON.stringify(fields); suffix++) {
+      name = `${baseName}${suffix}`;
+    }
+    types[name] = fields;
+    return name;
+  };
+
+  addStruct(PRIMARY_TYPE, document);
+  return types;
+}
+
+function eip712Domain(chainId) {
+  return { name: DOMAIN_NAME, version: DOMAIN_VERSION, chainId: Number(chainId) };
+}
+
+/**
+ * @dev Returns the message a proof signs: the credential with the proof options, without
+ * proofValue and eip712
+ */
+function signedMessage(credential) {
+  const { proof, ...document } = credential;
+  const { type, created, proofPurpose, verificationMethod } = proof;
+  return { ...document, proof: { type, created, proofPurpose, verificationMethod } };
+}
+
+/**
+ * @dev Adds an EthereumEip712Signature2021 proof to a credential. The issuer must be the
+ * did:pkh of the signer.
+ * @param credential Unsigned credential
+ * @param signer ethers signer of the issuer account
+ * @param created Proof creation time (defaults to now)
+ * @return object The signed credential
+ */
+async function signCredential(credential, signer, created = new Date()) {
+  const issuerDid = typeof credential.issuer === "string" ? credential.issuer : credential.issuer.id;
+  const { chainId, address } = parseDid(issuerDid);
+  if (address !== getAddress(await signer.getAddress())) {
+    throw new Error(`Signer ${await signer.getAddress()} is not the credential issuer ${address}`);
+  }
+
+  const proof = {
+    type: PROOF_TYPE,
+    created: created.toISOString().replace(/\.\d{3}Z$/, "Z"),
+    proofPurpose: "assertionMethod",
+    verificationMethod: `${issuerDid}#blockchainAccountId`,
+  };
+  const message = { ...credential, proof };
+  const types = deriveTypes(message);
+  const domain = eip712Domain(chainId);
+
+  const proofValue = await signer.signTypedData(domain, types, message);
+  return {
+    ...credential,
+    proof: {
+      ...proof,
+      proofValue,
+      eip712: {
+        domain,
+        types: { EIP712Domain: TypedDataEncoder.getPayload(domain, types, message).types.EIP712Domain, ...types },
+        primaryType: PRIMARY_TYPE,
+      },
+    },
+  };
+}
+
+/**
+ * @dev Checks the EthereumEip712Signature2021 proof of a credential. Types are derived
+ * from the credential again rather than taken from the proof.
+ * @param credential Signed credential
+ * @return object { valid, signer, errors }
+ */
+function verifyCredentialProof(credential) {
+  const errors = [];
+  const { proof } = credential;
+
+  if (!proof || proof.type !== PROOF_TYPE) {
+    return { valid: false, signer: null, errors: [`Expected a ${PROOF_TYPE} proof`] };
+  }
+
+  let issuer;
+  try {
+    issuer = parseDid(typeof credential.issuer === "string" ? credential.issuer : credential.issuer.id);
+  } catch (error) {
+    return { valid: false, signer: null, errors: [error.message] };
+  }
+  if (proof.proofPurpose !== "assertionMethod") {
+    errors.push(`Unexpected proof purpose "${proof.proofPurpose}"`);
+  }
+  if (proof.verificationMethod.split("#")[0] !== toDid(issuer.chainId, issuer.address)) {
+    errors.push("Verification method does not belong to the issuer");
+  }
+
+  let signer = null;
+  try {
+    const message = signedMessage(credential);
+    signer = verifyTypedData(eip712Domain(issuer.chainId), deriveTypes(message), message, proof.proofValue);
+  } catch (error) {
+    errors.push(`Invalid signature: ${error.message}`);
+  }
+  if (signer && signer !== issuer.address) {
+    errors.push(`Signed by ${signer}, not by the issuer ${issuer.address}`);
+  }
+
+  return { valid: errors.length === 0, signer, errors };
+}
+
+module.exports = {
+  PROOF_TYPE,
+  deriveTypes,
+  parseDid,
+  signCredential,
+  toDid,
+  verifyCredentialProof,
+};
@@ -0,0 +1,169 @@
+const { Contract, Interface, getAddress } = require("ethers");
+const { queryInBatches } = require("../utils/snapshot");
+const { parseDid, toDid } = require("./eip712-proof");
+
+const CREDENTIAL_CONTEXT = [
+  "https://www.w3.org/ns/credentials/v2",
+  "https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json",
+  "https://w3id.org/security/suites/eip712sig-2021/v1",
+];
+
+// Fragments the verifier needs, so it can check a credential without the deployment artifacts
+const STUDENT_ABI = [
+  "function hasCourseCompletion(address student, string courseId) view returns (bool)",
+  "event CourseCompletionRecorded(address indexed student, string courseId, address indexed educator, uint256 tokensAwarded, uint256 timestamp)",
+];
+
+function toDateTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * @dev Reads a student's course completions. The completion records come from EducStudent;
+ * the course educator comes from EducLearning's CourseCompletionProcessed in the completion
+ * transaction, since EducStudent records EducLearning as the verifier. The course name and
+ * metadata hash are read at the completion block, which needs a node that keeps historical state
+ * for that block.
+ * @param contracts { student, course, learning } contract instances
+ * @param studentAddress Student to read
+ * @param options fromBlock and toBlock of the CourseCompletionRecorded scan
+ * @return Array Completions in the order they were recorded
+ */
+async function collectCompletions({ student, course, learning }, studentAddress, { fromBlock = 0, toBlock } = {}) {
+  const provider = student.runner.provider ?? student.runner;
+  const lastBlock = toBlock ?? (await provider.getBlockNumber());
+  const events = await queryInBatches(student, student.filters.CourseCompletionRecorded(studentAddress), fromBlock, lastBlock);
+  const learningAddress = await learning.getAddress();
+
+  const completions = [];
+  for (const event of events) {
+    const { courseId } = event.args;
+    const record = await student.getCourseCompletionInfo(studentAddress, courseId);
+
+    const receipt = await event.getTransactionReceipt();
+    const processed = receipt.logs
+      .filter((log) => log.address === learningAddress)
+      .map((log) => learning.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CourseCompletionProcessed" && parsed.args.courseId === courseId);
+    const educator = processed ? processed.args.educator : event.args.educator;
+
+    // Courses can be updated after a completion, so the name and metadata are read as they were
+    // when the course was completed
+    const info = await course.getCourseInfo(educator, courseId, { blockTag: event.blockNumber });
+    completions.push({
+      student: getAddress(studentAddress),
+      courseId,
+      courseName: info.courseName,
+      metadataHash: info.metadataHash,
+      educator,
+      verifiedBy: record.verifiedBy,
+      completionTime: record.completionTime,
+      tokensAwarded: record.tokensAwarded,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+    });
+  }
+  return completions;
+}
+
+/**
+ * @dev Builds an unsigned Open Badges 3.0 credential (a W3C Verifiable Credential) for a
+ * course completion. All values are strings so the credential can be signed as EIP-712 data.
+ * @param completion A completion returned by collectCompletions
+ * @param options chainId, issuer ({ address, name, url }), studentContract and courseContract
+ * @return object The credential
+ */
+function buildCompletionCredential(completion, { chainId, issuer, studentContract, courseContract }) {
+  const courseKey = `${chainId}:${getAddress(courseContract)}:${completion.educator}:${encodeURIComponent(completion.courseId)}`;
+
+  const issuerProfile = { id: toDid(chainId, issuer.address), type: ["Profile"], name: issuer.name };
+  if (issuer.url) {
+    issuerProfile.url = issuer.url;
+  }
+
+  return {
+    "@context": CREDENTIAL_CONTEXT,
+    id: `urn:eductoken:completion:${chainId}:${getAddress(studentContract)}:${completion.student}:${encodeURIComponent(completion.courseId)}`,
+    type: ["VerifiableCredential", "OpenBadgeCredential"],
+    name: `${completion.courseName} completion`,
+    issuer: issuerProfile,
+    validFrom: toDateTime(completion.completionTime),
+    credentialSubject: {
+      id: toDid(chainId, completion.student),
+      type: ["AchievementSubject"],
+      achievement: {
+        id: `urn:eductoken:course:${courseKey}`,
+        type: ["Achievement"],
+        name: completion.courseName,
+        description: `Course ${completion.courseId} offered by ${completion.educator}`,
+        criteria: { narrative: "Completion of the course, recorded on-chain in EducStudent by the course educator." },
+        creator: { id: toDid(chainId, completion.educator), type: ["Profile"] },
+        metadataHash: completion.metadataHash,
+      },
+    },
+    evidence: [
+      {
+        id: `urn:eductoken:tx:${chainId}:${completion.transactionHash}`,
+        type: ["Evidence"],
+        name: "Course completion transaction",
+        chainId: String(chainId),
+        transactionHash: completion.transactionHash,
+        blockNumber: String(completion.blockNumber),
+        studentContract: getAddress(studentContract),
+        courseContract: getAddress(courseContract),
+        courseId: completion.courseId,
+        tokensAwarded: completion.tokensAwarded.toString(),
+      },
+    ],
+  };
+}
+
+/**
+ * @dev Re-checks a completion credential against the chain: the completion must still be
+ * recorded in EducStudent and the completion transaction must have recorded it
+ * @param credential Completion credential
+ * @param provider Provider of the chain named in the credential
+ * @return object { valid, errors }
+ */
+async function verifyCompletionOnChain(credential, provider) {
+  const evidence = (credential.evidence || []).find((item) => item.studentContract && item.transactionHash);
+  if (!evidence) {
+    return { valid: false, errors: ["Credential has no completion evidence"] };
+  }
+
+  const errors = [];
+  const { chainId } = await provider.getNetwork();
+  if (chainId.toString() !== evidence.chainId) {
+    return { valid: false, errors: [`Credential is for chain ${evidence.chainId}, provider is on chain ${chainId}`] };
+  }
+
+  const student = parseDid(credential.credentialSubject.id).address;
+  const studentContract = new Contract(evidence.studentContract, STUDENT_ABI, provider);
+
+  if (!(await studentContract.hasCourseCompletion(student, evidence.courseId))) {
+    errors.push(`${student} has no completion of ${evidence.courseId} in EducStudent ${evidence.studentContract}`);
+  }
+
+  const receipt = await provider.getTransactionReceipt(evidence.transactionHash);
+  if (!receipt || receipt.status !== 1) {
+    errors.push(`Completion transaction ${evidence.transactionHash} not found or failed`);
+  } else {
+    const iface = new Interface(STUDENT_ABI);
+    const recorded = receipt.logs
+      .filter((log) => log.address === evidence.studentContract)
+      .map((log) => iface.parseLog(log))
+      .some((parsed) => parsed && parsed.args.student === student && parsed.args.courseId === evidence.courseId);
+    if (!recorded) {
+      errors.push(`Transaction ${evidence.transactionHash} did not record the completion`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  CREDENTIAL_CONTEXT,
+  buildCompletionCredential,
+  collectCompletions,
+  verifyCompletionOnChain,
+};
@@ -0,0 +1,67 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const { resolveSnapshotPath } = require("./utils/snapshot");
+const { createManifest, recordDeployment, getManifestPath } = require("./utils/deployment-manifest");
+
+const DEFAULT_CLAIM_PERIOD_DAYS = 90;
+
+async function main() {
+  console.log("Deploying EducMigrationClaim...");
+
+  const [deployer] = await ethers.getSigners();
+  console.log(`Deploying contracts with the account: ${deployer.address}`);
+
+  const proxyAddress = process.env.PROXY_ADDRESS;
+  const emergencyRecoveryAddress = process.env.EMERGENCY_RECOVERY_ADDRESS;
+  if (!proxyAddress || !emergencyRecoveryAddress) {
+    console.error("PROXY_ADDRESS and EMERGENCY_RECOVERY_ADDRESS environment variables must be set");
+    process.exit(1);
+  }
+
+  // The proofs file sits next to the snapshot it was generated from
+  const merklePath = process.env.MERKLE_FILE || resolveSnapshotPath(process.env.SNAPSHOT_FILE).replace(/\.json$/, ".merkle.json");
+  if (!fs.existsSync(merklePath)) {
+    console.error(`Merkle proofs file not found: ${merklePath}`);
+    process.exit(1);
+  }
+  const merkle = JSON.parse(fs.readFileSync(merklePath, "utf8"));
+
+  const latestBlock = await ethers.provider.getBlock("latest");
+  const claimDeadline = process.env.CLAIM_DEADLINE
+    ? Number(process.env.CLAIM_DEADLINE)
+    : latestBlock.timestamp + Number(process.env.CLAIM_PERIOD_DAYS || DEFAULT_CLAIM_PERIOD_DAYS) * 24 * 60 * 60;
+
+  console.log(`Merkle proofs: ${merklePath}`);
+  console.log(`Merkle root: ${merkle.merkleRoot}`);
+  console.log(`Holders: ${merkle.holders}, total: ${ethers.formatEther(merkle.total)}`);
+  console.log(`Claim deadline: ${new Date(claimDeadline * 1000).toISOString()}`);
+
+  // The claim contract is added to the network's deployments/<network>.json
+  const manifest = await createManifest(deployer.address);
+
+  const claimArgs = [proxyAddress, merkle.merkleRoot, claimDeadline, emergencyRecoveryAddress, deployer.address];
+  const EducMigrationClaim = await ethers.getContractFactory("EducMigrationClaim");
+  const migrationClaim = await EducMigrationClaim.deploy(...claimArgs);
+  await migrationClaim.waitForDeployment();
+  console.log(`EducMigrationClaim deployed to: ${migrationClaim.target}`);
+  await recordDeployment(manifest, "EducMigrationClaim", migrationClaim, claimArgs);
+
+  // Fund the claim contract with the full migrated supply unless told otherwise
+  if (process.env.FUND_CLAIM !== "false") {
+    const token = await ethers.getContractAt("EducTokenUpgradeable", proxyAddress);
+    console.log(`Funding claim contract with ${ethers.formatEther(merkle.total)} tokens...`);
+    const fundTx = await token.transfer(migrationClaim.target, merkle.total);
+    await fundTx.wait();
+    console.log(`Claim contract balance: ${ethers.formatEther(await token.balanceOf(migrationClaim.target))}`);
+  }
+
+  console.log(`Deployment manifest written to ${getManifestPath()}`);
+  console.log("Deployment completed successfully!");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
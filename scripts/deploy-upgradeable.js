@@ -1,4 +1,10 @@
 const { ethers, upgrades } = require("hardhat");
+const {
+  createManifest,
+  recordDeployment,
+  recordProxyDeployment,
+  getManifestPath,
+} = require("./utils/deployment-manifest");
 
 async function main() {
   console.log("Deploying Upgradeable EducToken System...");
@@ -7,6 +13,9 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`Deploying contracts with the account: ${deployer.address}`);
 
+  // Every deployment is recorded in deployments/<network>.json
+  const manifest = await createManifest(deployer.address);
+
   // Define initial signers and threshold
   const signers = [deployer.address];
   const MULTISIG_THRESHOLD = signers.length; // Threshold equal to number of signers
@@ -25,9 +34,10 @@ async function main() {
     }
   );
   
-  await tokenProxy.deployTransaction.wait();
-  console.log(`EducTokenUpgradeable (Proxy) deployed to: ${tokenProxy.address}`);
-  console.log(`EducTokenUpgradeable (Implementation) deployed to: ${await upgrades.erc1967.getImplementationAddress(tokenProxy.address)}`);
+  await tokenProxy.deploymentTransaction().wait();
+  await recordProxyDeployment(manifest, "EducTokenUpgradeable", tokenProxy, [deployer.address], "uups");
+  console.log(`EducTokenUpgradeable (Proxy) deployed to: ${tokenProxy.target}`);
+  console.log(`EducTokenUpgradeable (Implementation) deployed to: ${await upgrades.erc1967.getImplementationAddress(tokenProxy.target)}`);
 
   // Define treasury for vesting and emergency recovery
   const treasury = deployer.address; // In production, this should be a separate secure wallet
@@ -35,9 +45,10 @@ async function main() {
   // Deploy EducVesting
   console.log("Deploying EducVesting...");
   const EducVesting = await ethers.getContractFactory("EducVesting");
-  const vesting = await EducVesting.deploy(tokenProxy.address, treasury, deployer.address);
-  await vesting.deployTransaction.wait();
-  console.log(`EducVesting deployed to: ${vesting.address}`);
+  const vesting = await EducVesting.deploy(tokenProxy.target, treasury, deployer.address);
+  await vesting.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducVesting", vesting, [tokenProxy.target, treasury, deployer.address]);
+  console.log(`EducVesting deployed to: ${vesting.target}`);
 
   // Continue with other essential contracts
   
@@ -45,36 +56,60 @@ async function main() {
   console.log("Deploying EducEducator...");
   const EducEducator = await ethers.getContractFactory("EducEducator");
   const educator = await EducEducator.deploy(deployer.address);
-  await educator.deployTransaction.wait();
-  console.log(`EducEducator deployed to: ${educator.address}`);
+  await educator.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducEducator", educator, [deployer.address]);
+  console.log(`EducEducator deployed to: ${educator.target}`);
 
   // Deploy EducStudent
   console.log("Deploying EducStudent...");
   const EducStudent = await ethers.getContractFactory("EducStudent");
   const student = await EducStudent.deploy(deployer.address);
-  await student.deployTransaction.wait();
-  console.log(`EducStudent deployed to: ${student.address}`);
+  await student.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducStudent", student, [deployer.address]);
+  console.log(`EducStudent deployed to: ${student.target}`);
 
   // Deploy EducCourse
   console.log("Deploying EducCourse...");
   const EducCourse = await ethers.getContractFactory("EducCourse");
-  const course = await EducCourse.deploy(deployer.address, educator.address);
-  await course.deployTransaction.wait();
-  console.log(`EducCourse deployed to: ${course.address}`);
+  const course = await EducCourse.deploy(deployer.address, educator.target);
+  await course.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducCourse", course, [deployer.address, educator.target]);
+  console.log(`EducCourse deployed to: ${course.target}`);
+
+  // Deploy EducCertificate
+  console.log("Deploying EducCertificate...");
+  const EducCertificate = await ethers.getContractFactory("EducCertificate");
+  const certificate = await EducCertificate.deploy(deployer.address);
+  await certificate.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducCertificate", certificate, [deployer.address]);
+  console.log(`EducCertificate deployed to: ${certificate.target}`);
 
   // Deploy EducConfig
   console.log("Deploying EducConfig...");
   const EducConfig = await ethers.getContractFactory("EducConfig");
   const config = await EducConfig.deploy(deployer.address);
-  await config.deployTransaction.wait();
-  console.log(`EducConfig deployed to: ${config.address}`);
+  await config.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducConfig", config, [deployer.address]);
+  console.log(`EducConfig deployed to: ${config.target}`);
+
+  // Educators wait MINT_COOLDOWN_PERIOD seconds between two issueReward/batchIssueRewards calls
+  // (EducConfig default: 2 hours, at least 1 second since EducConfig ignores a 0 update)
+  if (process.env.MINT_COOLDOWN_PERIOD) {
+    const mintCooldownPeriod = Number(process.env.MINT_COOLDOWN_PERIOD);
+    if (!Number.isInteger(mintCooldownPeriod) || mintCooldownPeriod < 1) {
+      throw new Error(`MINT_COOLDOWN_PERIOD must be a whole number of seconds of at least 1, got "${process.env.MINT_COOLDOWN_PERIOD}"`);
+    }
+    await (await config.updateConfig(0, 0, 0, mintCooldownPeriod)).wait();
+    console.log(`Mint cooldown period set to ${mintCooldownPeriod}s`);
+  }
 
   // Deploy EducPause
   console.log("Deploying EducPause...");
   const EducPause = await ethers.getContractFactory("EducPause");
   const pauseControl = await EducPause.deploy(deployer.address);
-  await pauseControl.deployTransaction.wait();
-  console.log(`EducPause deployed to: ${pauseControl.address}`);
+  await pauseControl.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducPause", pauseControl, [deployer.address]);
+  console.log(`EducPause deployed to: ${pauseControl.target}`);
 
   // Deploy Multisig with correct threshold
   console.log("Deploying EducMultisig...");
@@ -84,15 +119,42 @@ async function main() {
     MULTISIG_THRESHOLD,  // Threshold for approvals
     deployer.address     // Admin address
   );
-  await multisig.deployTransaction.wait();
-  console.log(`EducMultisig deployed to: ${multisig.address}`);
+  await multisig.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducMultisig", multisig, [signers, MULTISIG_THRESHOLD, deployer.address]);
+  console.log(`EducMultisig deployed to: ${multisig.target}`);
 
   // Deploy EducProposal
   console.log("Deploying EducProposal...");
   const EducProposal = await ethers.getContractFactory("EducProposal");
-  const proposal = await EducProposal.deploy(multisig.address, deployer.address);
-  await proposal.deployTransaction.wait();
-  console.log(`EducProposal deployed to: ${proposal.address}`);
+  const proposal = await EducProposal.deploy(multisig.target, deployer.address);
+  await proposal.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducProposal", proposal, [multisig.target, deployer.address]);
+  console.log(`EducProposal deployed to: ${proposal.target}`);
+
+  // Deploy EducTreasury, administered by EducProposal
+  console.log("Deploying EducTreasury...");
+  const EducTreasury = await ethers.getContractFactory("EducTreasury");
+  const educTreasury = await EducTreasury.deploy(proposal.target);
+  await educTreasury.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducTreasury", educTreasury, [proposal.target]);
+  console.log(`EducTreasury deployed to: ${educTreasury.target}`);
+
+  // Deploy EducGovernor: token-weighted voting, vetoable by the multisig signers
+  console.log("Deploying EducGovernor...");
+  const EducGovernor = await ethers.getContractFactory("EducGovernor");
+  const governor = await EducGovernor.deploy(tokenProxy.target, config.target, multisig.target);
+  await governor.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducGovernor", governor, [tokenProxy.target, config.target, multisig.target]);
+  console.log(`EducGovernor deployed to: ${governor.target}`);
+
+  // Deploy EducForwarder: relays signed ERC-2771 requests to the student contract. The
+  // upgradeable token does not support meta-transactions.
+  console.log("Deploying EducForwarder...");
+  const EducForwarder = await ethers.getContractFactory("EducForwarder");
+  const forwarder = await EducForwarder.deploy();
+  await forwarder.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducForwarder", forwarder, []);
+  console.log(`EducForwarder deployed to: ${forwarder.target}`);
 
   // Deploy Emergency Recovery System
   console.log("Deploying EducEmergencyRecovery...");
@@ -101,23 +163,43 @@ async function main() {
     deployer.address,  // Admin
     treasury,         // Treasury address
     deployer.address, // System contract (temporary, will be updated to EducLearning)
-    multisig.address  // Multisig
+    multisig.target  // Multisig
   );
-  await emergencyRecovery.deployTransaction.wait();
-  console.log(`EducEmergencyRecovery deployed to: ${emergencyRecovery.address}`);
+  await emergencyRecovery.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducEmergencyRecovery", emergencyRecovery, [deployer.address, treasury, deployer.address, multisig.target]);
+  console.log(`EducEmergencyRecovery deployed to: ${emergencyRecovery.target}`);
 
   // Deploy main EducLearning contract
   console.log("Deploying EducLearning...");
   const EducLearning = await ethers.getContractFactory("EducLearning");
   const educLearning = await EducLearning.deploy(deployer.address);
-  await educLearning.deployTransaction.wait();
-  console.log(`EducLearning deployed to: ${educLearning.address}`);
+  await educLearning.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducLearning", educLearning, [deployer.address]);
+  console.log(`EducLearning deployed to: ${educLearning.target}`);
+
+  // Deploy EducRewardDistributor: Merkle reward epochs funded from the educators' mint allowances
+  console.log("Deploying EducRewardDistributor...");
+  const EducRewardDistributor = await ethers.getContractFactory("EducRewardDistributor");
+  const rewardDistributor = await EducRewardDistributor.deploy(
+    tokenProxy.target,
+    educator.target,
+    student.target,
+    deployer.address
+  );
+  await rewardDistributor.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducRewardDistributor", rewardDistributor, [
+    tokenProxy.target,
+    educator.target,
+    student.target,
+    deployer.address,
+  ]);
+  console.log(`EducRewardDistributor deployed to: ${rewardDistributor.target}`);
 
   // Update System Contract reference in Emergency Recovery
   console.log("Updating emergency recovery system contract reference...");
   const updateTx = await emergencyRecovery.updateConfig(
     treasury,
-    educLearning.address,
+    educLearning.target,
     7 * 24 * 60 * 60, // 7 days cooldown
     2 // approval threshold
   );
@@ -127,47 +209,91 @@ async function main() {
   console.log("Setting up roles...");
   
   const EDUCATOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EDUCATOR_ROLE"));
-  await student.grantRole(EDUCATOR_ROLE, educLearning.address);
-  await course.grantRole(EDUCATOR_ROLE, educLearning.address);
+  await student.grantRole(EDUCATOR_ROLE, educLearning.target);
+  await course.grantRole(EDUCATOR_ROLE, educLearning.target);
   
   const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
-  await tokenProxy.grantRole(ADMIN_ROLE, educLearning.address);
-  await educator.grantRole(ADMIN_ROLE, educLearning.address);
-  await student.grantRole(ADMIN_ROLE, educLearning.address);
-  await course.grantRole(ADMIN_ROLE, educLearning.address);
+  await tokenProxy.grantRole(ADMIN_ROLE, educLearning.target);
+  await educator.grantRole(ADMIN_ROLE, educLearning.target);
+  await student.grantRole(ADMIN_ROLE, educLearning.target);
+  await course.grantRole(ADMIN_ROLE, educLearning.target);
+  await educator.grantRole(ADMIN_ROLE, course.target);
+  await multisig.grantRole(ADMIN_ROLE, proposal.target);
 
   const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
-  await tokenProxy.grantRole(MINTER_ROLE, educLearning.address);
+  await tokenProxy.grantRole(MINTER_ROLE, educLearning.target);
+  await certificate.grantRole(MINTER_ROLE, educLearning.target);
+
+  // EducRewardDistributor reserves and releases educator allowances, registers students and mints claims
+  await (await educator.grantRole(ADMIN_ROLE, rewardDistributor.target)).wait();
+  await (await student.grantRole(ADMIN_ROLE, rewardDistributor.target)).wait();
+  await (await tokenProxy.grantRole(MINTER_ROLE, rewardDistributor.target)).wait();
   
   // Grant emergency role to emergency recovery contract
   const EMERGENCY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE"));
-  await pauseControl.grantRole(EMERGENCY_ROLE, emergencyRecovery.address);
+  await pauseControl.grantRole(EMERGENCY_ROLE, emergencyRecovery.target);
 
   // Initialize the EducLearning contract AFTER granting roles
   console.log("Initializing EducLearning...");
   const initTx = await educLearning.initialize(
-    tokenProxy.address,
-    educator.address,
-    student.address,
-    course.address,
-    config.address,
-    pauseControl.address,
-    multisig.address,
-    proposal.address
+    tokenProxy.target,
+    educator.target,
+    student.target,
+    course.target,
+    config.target,
+    pauseControl.target,
+    multisig.target,
+    proposal.target
   );
   await initTx.wait();
   console.log("EducLearning initialized");
 
+  // completeCourse issues certificates once the certificate contract is set
+  await (await educLearning.setCertificateContract(certificate.target)).wait();
+  console.log("Certificate contract set");
+
+  // Core contracts consult the shared EducPause flags and overrides
+  await (await educator.setPauseControl(pauseControl.target)).wait();
+  await (await student.setPauseControl(pauseControl.target)).wait();
+  await (await course.setPauseControl(pauseControl.target)).wait();
+  await (await rewardDistributor.setPauseControl(pauseControl.target)).wait();
+  console.log("Pause control set on core contracts");
+
+  // Student calls can be relayed through EducForwarder
+  await (await student.setTrustedForwarder(forwarder.target)).wait();
+  console.log("Trusted forwarder set on EducStudent");
+
+  // Registration, course creation and reward epochs enforce the live EducConfig limits
+  await (await educator.setConfigContract(config.target)).wait();
+  await (await course.setConfigContract(config.target)).wait();
+  await (await rewardDistributor.setConfigContract(config.target)).wait();
+  console.log("Config contract set on EducEducator, EducCourse and EducRewardDistributor");
+
+  // EducProposal executes config, educator, course, treasury and pause instructions
+  await (await config.grantRole(ADMIN_ROLE, proposal.target)).wait();
+  await (await educator.grantRole(ADMIN_ROLE, proposal.target)).wait();
+  await (await course.grantRole(ADMIN_ROLE, proposal.target)).wait();
+  await (await pauseControl.grantRole(EMERGENCY_ROLE, proposal.target)).wait();
+  await (await proposal.setExecutionTargets({
+    config: config.target,
+    educator: educator.target,
+    course: course.target,
+    treasury: educTreasury.target,
+    pauseControl: pauseControl.target,
+  })).wait();
+  console.log("Proposal execution targets set");
+
   // Set up initial vesting schedules for team and partners
   console.log("Setting up initial token vesting schedules...");
   
   // Approve vesting contract to transfer tokens
   const approvalAmount = ethers.parseEther("3000000"); // 3 million tokens for vesting
-  const approveTx = await tokenProxy.approve(vesting.address, approvalAmount);
+  const approveTx = await tokenProxy.approve(vesting.target, approvalAmount);
   await approveTx.wait();
   
   // Create team vesting (1 million tokens, 2 year linear vesting with 6 month cliff)
-  const now = Math.floor(Date.now() / 1000);
+  // A zero start time makes the vesting contract use the block timestamp
+  const now = 0;
   const sixMonthsInSeconds = 180 * 24 * 60 * 60;
   const twoYearsInSeconds = 2 * 365 * 24 * 60 * 60;
   
@@ -212,16 +338,29 @@ async function main() {
   // Print out all contract addresses for reference
   console.log("\nContract Addresses:");
   console.log("===================");
-  console.log(`EducTokenUpgradeable (Proxy): ${tokenProxy.address}`);
-  console.log(`EducTokenUpgradeable (Implementation): ${await upgrades.erc1967.getImplementationAddress(tokenProxy.address)}`);
-  console.log(`EducVesting:        ${vesting.address}`);
-  console.log(`EducEducator:       ${educator.address}`);
-  console.log(`EducStudent:        ${student.address}`);
-  console.log(`EducCourse:         ${course.address}`);
-  console.log(`EducConfig:         ${config.address}`);
-  console.log(`EducPause:          ${pauseControl.address}`);
-  console.log(`EducMultisig:       ${multisig.address}`);
-  console.log(`EducProposal:       ${proposal.address}`);
-  console.log(`EducEmergencyRecovery: ${emergencyRecovery.address}`);
-  console.log(`EducLearning:       ${educLearning.address}`);
-}
\ No newline at end of file
+  console.log(`EducTokenUpgradeable (Proxy): ${tokenProxy.target}`);
+  console.log(`EducTokenUpgradeable (Implementation): ${await upgrades.erc1967.getImplementationAddress(tokenProxy.target)}`);
+  console.log(`EducVesting:        ${vesting.target}`);
+  console.log(`EducEducator:       ${educator.target}`);
+  console.log(`EducStudent:        ${student.target}`);
+  console.log(`EducCourse:         ${course.target}`);
+  console.log(`EducCertificate:    ${certificate.target}`);
+  console.log(`EducConfig:         ${config.target}`);
+  console.log(`EducPause:          ${pauseControl.target}`);
+  console.log(`EducMultisig:       ${multisig.target}`);
+  console.log(`EducProposal:       ${proposal.target}`);
+  console.log(`EducTreasury:       ${educTreasury.target}`);
+  console.log(`EducGovernor:       ${governor.target}`);
+  console.log(`EducForwarder:      ${forwarder.target}`);
+  console.log(`EducRewardDistributor: ${rewardDistributor.target}`);
+  console.log(`EducEmergencyRecovery: ${emergencyRecovery.target}`);
+  console.log(`EducLearning:       ${educLearning.target}`);
+  console.log(`\nDeployment manifest written to ${getManifestPath()}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
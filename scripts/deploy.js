@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { createManifest, recordDeployment, getManifestPath } = require("./utils/deployment-manifest");
 
 async function main() {
   console.log("Deploying EducLearning system...");
@@ -7,6 +8,9 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`Deploying contracts with the account: ${deployer.address}`);
 
+  // Every deployment is recorded in deployments/<network>.json
+  const manifest = await createManifest(deployer.address);
+
   // Define initial signers and threshold
   const signers = [deployer.address];
   const MULTISIG_THRESHOLD = signers.length; // Threshold equal to number of signers
@@ -16,6 +20,7 @@ async function main() {
   const EducToken = await ethers.getContractFactory("EducToken");
   const token = await EducToken.deploy(deployer.address);
   await token.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducToken", token, [deployer.address]);
   console.log(`EducToken deployed to: ${token.target}`);
 
   // Deploy EducEducator
@@ -23,6 +28,7 @@ async function main() {
   const EducEducator = await ethers.getContractFactory("EducEducator");
   const educator = await EducEducator.deploy(deployer.address);
   await educator.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducEducator", educator, [deployer.address]);
   console.log(`EducEducator deployed to: ${educator.target}`);
 
   // Deploy EducStudent
@@ -30,6 +36,7 @@ async function main() {
   const EducStudent = await ethers.getContractFactory("EducStudent");
   const student = await EducStudent.deploy(deployer.address);
   await student.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducStudent", student, [deployer.address]);
   console.log(`EducStudent deployed to: ${student.target}`);
 
   // Deploy EducCourse
@@ -37,20 +44,42 @@ async function main() {
   const EducCourse = await ethers.getContractFactory("EducCourse");
   const course = await EducCourse.deploy(deployer.address, educator.target);
   await course.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducCourse", course, [deployer.address, educator.target]);
   console.log(`EducCourse deployed to: ${course.target}`);
 
+  // Deploy EducCertificate
+  console.log("Deploying EducCertificate...");
+  const EducCertificate = await ethers.getContractFactory("EducCertificate");
+  const certificate = await EducCertificate.deploy(deployer.address);
+  await certificate.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducCertificate", certificate, [deployer.address]);
+  console.log(`EducCertificate deployed to: ${certificate.target}`);
+
   // Deploy EducConfig
   console.log("Deploying EducConfig...");
   const EducConfig = await ethers.getContractFactory("EducConfig");
   const config = await EducConfig.deploy(deployer.address);
   await config.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducConfig", config, [deployer.address]);
   console.log(`EducConfig deployed to: ${config.target}`);
 
+  // Educators wait MINT_COOLDOWN_PERIOD seconds between two issueReward/batchIssueRewards calls
+  // (EducConfig default: 2 hours, at least 1 second since EducConfig ignores a 0 update)
+  if (process.env.MINT_COOLDOWN_PERIOD) {
+    const mintCooldownPeriod = Number(process.env.MINT_COOLDOWN_PERIOD);
+    if (!Number.isInteger(mintCooldownPeriod) || mintCooldownPeriod < 1) {
+      throw new Error(`MINT_COOLDOWN_PERIOD must be a whole number of seconds of at least 1, got "${process.env.MINT_COOLDOWN_PERIOD}"`);
+    }
+    await (await config.updateConfig(0, 0, 0, mintCooldownPeriod)).wait();
+    console.log(`Mint cooldown period set to ${mintCooldownPeriod}s`);
+  }
+
   // Deploy EducPause
   console.log("Deploying EducPause...");
   const EducPause = await ethers.getContractFactory("EducPause");
   const pauseControl = await EducPause.deploy(deployer.address);
   await pauseControl.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducPause", pauseControl, [deployer.address]);
   console.log(`EducPause deployed to: ${pauseControl.target}`);
 
   // Deploy Multisig with correct threshold
@@ -62,6 +91,7 @@ async function main() {
     deployer.address     // Admin address
   );
   await multisig.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducMultisig", multisig, [signers, MULTISIG_THRESHOLD, deployer.address]);
   console.log(`EducMultisig deployed to: ${multisig.target}`);
 
   // Deploy EducProposal
@@ -69,15 +99,59 @@ async function main() {
   const EducProposal = await ethers.getContractFactory("EducProposal");
   const proposal = await EducProposal.deploy(multisig.target, deployer.address);
   await proposal.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducProposal", proposal, [multisig.target, deployer.address]);
   console.log(`EducProposal deployed to: ${proposal.target}`);
 
+  // Deploy EducTreasury, administered by EducProposal
+  console.log("Deploying EducTreasury...");
+  const EducTreasury = await ethers.getContractFactory("EducTreasury");
+  const treasury = await EducTreasury.deploy(proposal.target);
+  await treasury.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducTreasury", treasury, [proposal.target]);
+  console.log(`EducTreasury deployed to: ${treasury.target}`);
+
+  // Deploy EducGovernor: token-weighted voting, vetoable by the multisig signers
+  console.log("Deploying EducGovernor...");
+  const EducGovernor = await ethers.getContractFactory("EducGovernor");
+  const governor = await EducGovernor.deploy(token.target, config.target, multisig.target);
+  await governor.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducGovernor", governor, [token.target, config.target, multisig.target]);
+  console.log(`EducGovernor deployed to: ${governor.target}`);
+
+  // Deploy EducForwarder: relays signed ERC-2771 requests to the token and student contracts
+  console.log("Deploying EducForwarder...");
+  const EducForwarder = await ethers.getContractFactory("EducForwarder");
+  const forwarder = await EducForwarder.deploy();
+  await forwarder.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducForwarder", forwarder, []);
+  console.log(`EducForwarder deployed to: ${forwarder.target}`);
+
   // Deploy main EducLearning contract
   console.log("Deploying EducLearning...");
   const EducLearning = await ethers.getContractFactory("EducLearning");
   const educLearning = await EducLearning.deploy(deployer.address);
   await educLearning.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducLearning", educLearning, [deployer.address]);
   console.log(`EducLearning deployed to: ${educLearning.target}`);
 
+  // Deploy EducRewardDistributor: Merkle reward epochs funded from the educators' mint allowances
+  console.log("Deploying EducRewardDistributor...");
+  const EducRewardDistributor = await ethers.getContractFactory("EducRewardDistributor");
+  const rewardDistributor = await EducRewardDistributor.deploy(
+    token.target,
+    educator.target,
+    student.target,
+    deployer.address
+  );
+  await rewardDistributor.deploymentTransaction().wait();
+  await recordDeployment(manifest, "EducRewardDistributor", rewardDistributor, [
+    token.target,
+    educator.target,
+    student.target,
+    deployer.address,
+  ]);
+  console.log(`EducRewardDistributor deployed to: ${rewardDistributor.target}`);
+
   // Setting up roles BEFORE initialization
   console.log("Setting up roles...");
   
@@ -90,9 +164,17 @@ async function main() {
   await educator.grantRole(ADMIN_ROLE, educLearning.target);
   await student.grantRole(ADMIN_ROLE, educLearning.target);
   await course.grantRole(ADMIN_ROLE, educLearning.target);
+  await educator.grantRole(ADMIN_ROLE, course.target);
+  await multisig.grantRole(ADMIN_ROLE, proposal.target);
 
   const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
   await token.grantRole(MINTER_ROLE, educLearning.target);
+  await certificate.grantRole(MINTER_ROLE, educLearning.target);
+
+  // EducRewardDistributor reserves and releases educator allowances, registers students and mints claims
+  await (await educator.grantRole(ADMIN_ROLE, rewardDistributor.target)).wait();
+  await (await student.grantRole(ADMIN_ROLE, rewardDistributor.target)).wait();
+  await (await token.grantRole(MINTER_ROLE, rewardDistributor.target)).wait();
 
   // Initialize the EducLearning contract AFTER granting roles
   console.log("Initializing EducLearning...");
@@ -109,6 +191,44 @@ async function main() {
   await initTx.wait();
   console.log("EducLearning initialized");
 
+  // completeCourse issues certificates once the certificate contract is set
+  await (await educLearning.setCertificateContract(certificate.target)).wait();
+  console.log("Certificate contract set");
+
+  // Core contracts consult the shared EducPause flags and overrides
+  await (await token.setPauseControl(pauseControl.target)).wait();
+  await (await educator.setPauseControl(pauseControl.target)).wait();
+  await (await student.setPauseControl(pauseControl.target)).wait();
+  await (await course.setPauseControl(pauseControl.target)).wait();
+  await (await rewardDistributor.setPauseControl(pauseControl.target)).wait();
+  console.log("Pause control set on core contracts");
+
+  // Token and student calls can be relayed through EducForwarder
+  await (await token.setTrustedForwarder(forwarder.target)).wait();
+  await (await student.setTrustedForwarder(forwarder.target)).wait();
+  console.log("Trusted forwarder set on EducToken and EducStudent");
+
+  // Registration, course creation and reward epochs enforce the live EducConfig limits
+  await (await educator.setConfigContract(config.target)).wait();
+  await (await course.setConfigContract(config.target)).wait();
+  await (await rewardDistributor.setConfigContract(config.target)).wait();
+  console.log("Config contract set on EducEducator, EducCourse and EducRewardDistributor");
+
+  // EducProposal executes config, educator, course, treasury and pause instructions
+  await (await config.grantRole(ADMIN_ROLE, proposal.target)).wait();
+  await (await educator.grantRole(ADMIN_ROLE, proposal.target)).wait();
+  await (await course.grantRole(ADMIN_ROLE, proposal.target)).wait();
+  const EMERGENCY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE"));
+  await (await pauseControl.grantRole(EMERGENCY_ROLE, proposal.target)).wait();
+  await (await proposal.setExecutionTargets({
+    config: config.target,
+    educator: educator.target,
+    course: course.target,
+    treasury: treasury.target,
+    pauseControl: pauseControl.target,
+  })).wait();
+  console.log("Proposal execution targets set");
+
   console.log("Deployment and initialization complete!");
 
   // Print out all contract addresses for reference
@@ -118,11 +238,17 @@ async function main() {
   console.log(`EducEducator:  ${educator.target}`);
   console.log(`EducStudent:   ${student.target}`);
   console.log(`EducCourse:    ${course.target}`);
+  console.log(`EducCertificate: ${certificate.target}`);
   console.log(`EducConfig:    ${config.target}`);
   console.log(`EducPause:     ${pauseControl.target}`);
   console.log(`EducMultisig:  ${multisig.target}`);
   console.log(`EducProposal:  ${proposal.target}`);
+  console.log(`EducTreasury:  ${treasury.target}`);
+  console.log(`EducGovernor:  ${governor.target}`);
+  console.log(`EducForwarder: ${forwarder.target}`);
   console.log(`EducLearning:  ${educLearning.target}`);
+  console.log(`EducRewardDistributor: ${rewardDistributor.target}`);
+  console.log(`\nDeployment manifest written to ${getManifestPath()}`);
 }
 
 main()
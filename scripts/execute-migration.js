@@ -0,0 +1,152 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const {
+  SNAPSHOT_DIR,
+  resolveSnapshotPath,
+  loadSnapshot,
+  sumBalances,
+} = require("./utils/snapshot");
+const { reconcileSubmitted } = require("./utils/journal");
+const { loadMigrationJournal, migrateHolders } = require("./utils/migration");
+
+// Mirrors SystemConstants.MAX_MINT_AMOUNT
+const MAX_MINT_AMOUNT = ethers.parseEther("100000");
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_BATCH_GAS_LIMIT = 8_000_000n;
+
+async function main() {
+  console.log("Executing token migration...");
+
+  const proxyAddress = process.env.PROXY_ADDRESS;
+  if (!proxyAddress) {
+    console.error("PROXY_ADDRESS environment variable not set");
+    process.exit(1);
+  }
+
+  const mode = (process.env.MIGRATION_MODE || "transfer").toLowerCase();
+  if (mode !== "transfer" && mode !== "mint") {
+    console.error(`MIGRATION_MODE must be "transfer" or "mint", got "${mode}"`);
+    process.exit(1);
+  }
+
+  const batchSize = Number(process.env.MIGRATION_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+  const batchGasLimit = process.env.MIGRATION_BATCH_GAS_LIMIT
+    ? BigInt(process.env.MIGRATION_BATCH_GAS_LIMIT)
+    : DEFAULT_BATCH_GAS_LIMIT;
+
+  const snapshotPath = resolveSnapshotPath(process.env.SNAPSHOT_FILE);
+  const snapshot = loadSnapshot(snapshotPath);
+
+  const [sender] = await ethers.getSigners();
+  const provider = ethers.provider;
+  const token = await ethers.getContractAt("EducTokenUpgradeable", proxyAddress, sender);
+
+  console.log(`Snapshot: ${snapshotPath} (block ${snapshot.snapshotBlock})`);
+  console.log(`Target token (proxy): ${proxyAddress}`);
+  console.log(`Mode: ${mode}`);
+  console.log(`Sender: ${sender.address}`);
+  console.log(`Batch size: ${batchSize} holders, batch gas limit: ${batchGasLimit}`);
+
+  if (await token.paused()) {
+    console.error("Target token is paused, unpause it before migrating");
+    process.exit(1);
+  }
+
+  if (mode === "mint") {
+    const minterRole = await token.MINTER_ROLE();
+    if (!(await token.hasRole(minterRole, sender.address))) {
+      console.error(`${sender.address} does not have MINTER_ROLE on the target token`);
+      process.exit(1);
+    }
+
+    const oversized = snapshot.holders.filter((holder) => holder.balance > MAX_MINT_AMOUNT);
+    if (oversized.length > 0) {
+      console.error(`${oversized.length} holders exceed the per-mint limit, use MIGRATION_MODE=transfer:`);
+      oversized.forEach((holder) => console.error(`  ${holder.address}: ${ethers.formatEther(holder.balance)}`));
+      process.exit(1);
+    }
+  }
+
+  const journalPath = path.join(
+    SNAPSHOT_DIR,
+    `migration_${snapshot.snapshotBlock}_${proxyAddress.toLowerCase()}.journal.json`
+  );
+  const journal = loadMigrationJournal(journalPath, {
+    snapshotFile: path.basename(snapshotPath),
+    snapshotBlock: snapshot.snapshotBlock,
+    token: proxyAddress,
+    mode,
+    sender: sender.address,
+  });
+  console.log(`Journal: ${journalPath}`);
+
+  await reconcileSubmitted(journal, journalPath, provider, sender.address);
+
+  const pendingHolders = () =>
+    snapshot.holders.filter((holder) => holder.balance > 0n && !journal.entries[holder.address.toLowerCase()]);
+
+  const pending = pendingHolders();
+  console.log(`${snapshot.holders.length - pending.length} holders already migrated, ${pending.length} pending`);
+
+  if (mode === "transfer" && pending.length > 0) {
+    const pendingTotal = sumBalances(pending);
+    const available = await token.balanceOf(sender.address);
+    if (available < pendingTotal) {
+      console.error(
+        `Sender balance ${ethers.formatEther(available)} is below the pending total ${ethers.formatEther(pendingTotal)}`
+      );
+      process.exit(1);
+    }
+  }
+
+  await migrateHolders({
+    token,
+    provider,
+    sender: sender.address,
+    holders: snapshot.holders,
+    journal,
+    journalPath,
+    mode,
+    batchSize,
+    batchGasLimit,
+  });
+
+  // Reconciliation summary
+  const snapshotTotal = sumBalances(snapshot.holders);
+  const confirmed = Object.values(journal.entries).filter((entry) => entry.status === "confirmed");
+  const migratedTotal = confirmed.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+  const outstanding = snapshot.holders.filter((holder) => !journal.entries[holder.address.toLowerCase()]);
+
+  console.log("\nReconciliation summary");
+  console.log(`Snapshot total supply:    ${ethers.formatEther(snapshot.token.totalSupply)}`);
+  console.log(`Snapshot holder balances: ${ethers.formatEther(snapshotTotal)}`);
+  console.log(`Migrated (confirmed):     ${ethers.formatEther(migratedTotal)} across ${confirmed.length} holders`);
+  console.log(`Outstanding:              ${ethers.formatEther(snapshotTotal - migratedTotal)} across ${outstanding.length} holders`);
+  console.log(`Target token supply:      ${ethers.formatEther(await token.totalSupply())}`);
+  if (mode === "transfer") {
+    console.log(`Sender balance left:      ${ethers.formatEther(await token.balanceOf(sender.address))}`);
+  }
+
+  if (snapshotTotal !== snapshot.token.totalSupply) {
+    console.log(
+      `⚠️ Snapshot holder balances differ from the snapshot total supply by ` +
+        `${ethers.formatEther(snapshot.token.totalSupply - snapshotTotal)}`
+    );
+  }
+
+  if (outstanding.length === 0 && migratedTotal === snapshot.token.totalSupply) {
+    console.log("✅ Migrated amount matches the snapshot total supply");
+  } else if (outstanding.length === 0) {
+    console.log("⚠️ All holders migrated but the migrated amount does not match the snapshot total supply");
+  } else {
+    console.log("⚠️ Migration incomplete, re-run the script to resume from the journal");
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,300 @@
+const { AbiCoder, Interface, getAddress, isHexString, id, parseEther, formatEther, ZeroHash } = require("ethers");
+
+const coder = AbiCoder.defaultAbiCoder();
+
+// Order matches ProposalTypes.InstructionType
+const INSTRUCTION_TYPES = [
+  "UpdateConfig",
+  "RegisterEducator",
+  "UpdateEducatorStatus",
+  "CreateCourse",
+  "UpdateCourse",
+  "AddSigner",
+  "RemoveSigner",
+  "ChangeThreshold",
+  "TransferFunds",
+  "EmergencyPause",
+  "Call",
+];
+
+/**
+ * Schemas of the instruction data, as enforced by ProposalInstructions. The format of a
+ * field drives how human input is parsed and how decoded values are displayed; a default
+ * marks fields that may be omitted, where 0 or empty keeps the current on-chain value.
+ */
+const SCHEMAS = {
+  UpdateConfig: [
+    { name: "maxEducators", type: "uint16", default: 0n },
+    { name: "maxCoursesPerEducator", type: "uint16", default: 0n },
+    { name: "maxMintAmount", type: "uint256", format: "tokens", default: 0n },
+    { name: "mintCooldownPeriod", type: "uint256", format: "seconds", default: 0n },
+  ],
+  RegisterEducator: [
+    { name: "educator", type: "address" },
+    { name: "mintLimit", type: "uint256", format: "tokens" },
+  ],
+  UpdateEducatorStatus: [
+    { name: "educator", type: "address" },
+    { name: "isActive", type: "bool" },
+    { name: "newMintLimit", type: "uint256", format: "tokens", default: 0n },
+  ],
+  CreateCourse: [
+    { name: "educator", type: "address" },
+    { name: "courseId", type: "string" },
+    { name: "courseName", type: "string" },
+    { name: "rewardAmount", type: "uint256", format: "tokens" },
+    { name: "metadataHash", type: "bytes32", format: "metadata", default: ZeroHash },
+  ],
+  UpdateCourse: [
+    { name: "educator", type: "address" },
+    { name: "courseId", type: "string" },
+    { name: "courseName", type: "string", default: "" },
+    { name: "rewardAmount", type: "uint256", format: "tokens", default: 0n },
+    { name: "isActive", type: "bool" },
+    { name: "metadataHash", type: "bytes32", format: "metadata", default: ZeroHash },
+    { name: "changeDescription", type: "string", default: "" },
+  ],
+  AddSigner: [{ name: "signer", type: "address" }],
+  RemoveSigner: [{ name: "signer", type: "address" }],
+  ChangeThreshold: [{ name: "threshold", type: "uint256" }],
+  TransferFunds: [
+    { name: "token", type: "address" },
+    { name: "recipient", type: "address" },
+    // Raw units, since the token may not have 18 decimals
+    { name: "amount", type: "uint256" },
+  ],
+  EmergencyPause: [{ name: "pauseStatus", type: "bool" }],
+  Call: [
+    { name: "targets", type: "address[]" },
+    { name: "values", type: "uint256[]" },
+    { name: "calldatas", type: "bytes[]" },
+  ],
+};
+
+const MAX_CALL_ACTIONS = 20;
+const MAX_THRESHOLD = 255n;
+
+/**
+ * @dev Resolves an instruction type given by name (case-insensitive) or number
+ * @return number The InstructionType value
+ */
+function instructionTypeOf(value) {
+  const byNumber = typeof value === "number" || typeof value === "bigint" || /^\d+$/.test(String(value));
+  const index = byNumber
+    ? Number(value)
+    : INSTRUCTION_TYPES.findIndex((name) => name.toLowerCase() === String(value).toLowerCase());
+
+  if (!Number.isInteger(index) || index < 0 || index >= INSTRUCTION_TYPES.length) {
+    throw new Error(`Unknown instruction type "${value}", expected one of ${INSTRUCTION_TYPES.join(", ")}`);
+  }
+  return index;
+}
+
+function schemaOf(instructionType) {
+  return SCHEMAS[INSTRUCTION_TYPES[instructionTypeOf(instructionType)]];
+}
+
+/**
+ * @dev ABI-encodes instruction values
+ * @param instructionType Name or number of the instruction type
+ * @param values Values keyed by field name, already in their ABI types
+ * @return string The instruction data
+ */
+function encodeInstruction(instructionType, values) {
+  const schema = schemaOf(instructionType);
+  return coder.encode(
+    schema.map((field) => field.type),
+    schema.map((field) => {
+      if (values[field.name] === undefined) {
+        throw new Error(`Missing ${field.name}`);
+      }
+      return values[field.name];
+    })
+  );
+}
+
+/**
+ * @dev Decodes instruction data with the same strictness as ProposalInstructions: the
+ * data must be the canonical encoding of the schema, with no trailing or dirty bytes
+ * @return object Values keyed by field name
+ */
+function decodeInstruction(instructionType, data) {
+  const schema = schemaOf(instructionType);
+  const types = schema.map((field) => field.type);
+
+  let decoded;
+  try {
+    decoded = coder.decode(types, data);
+  } catch (error) {
+    throw new Error(`Invalid ${INSTRUCTION_TYPES[instructionTypeOf(instructionType)]} data: ${error.shortMessage || error.message}`);
+  }
+  if (coder.encode(types, decoded).toLowerCase() !== data.toLowerCase()) {
+    throw new Error(`Invalid ${INSTRUCTION_TYPES[instructionTypeOf(instructionType)]} data: not a canonical encoding`);
+  }
+
+  const values = {};
+  schema.forEach((field, index) => {
+    values[field.name] = Array.isArray(decoded[index]) ? Array.from(decoded[index]) : decoded[index];
+  });
+  return values;
+}
+
+function parseBool(value, name) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+function parseUint(value, field) {
+  try {
+    if (field.format === "tokens" && typeof value !== "bigint") {
+      return parseEther(String(value));
+    }
+    const parsed = BigInt(value);
+    if (parsed < 0n) throw new Error("negative");
+    if (field.type === "uint16" && parsed > 0xffffn) throw new Error("too large");
+    return parsed;
+  } catch (error) {
+    const expected = field.format === "tokens" ? "a token amount such as \"10\" or \"2.5\"" : "a non-negative integer";
+    throw new Error(`${field.name} must be ${expected}, got "${value}"`);
+  }
+}
+
+function parseAddress(value, name) {
+  try {
+    return getAddress(String(value));
+  } catch (error) {
+    throw new Error(`${name} must be an address, got "${value}"`);
+  }
+}
+
+/**
+ * @dev Accepts a 32-byte hex value as is and hashes anything else (e.g. a URI or a JSON document)
+ */
+function parseMetadataHash(value) {
+  return isHexString(value, 32) ? value : id(String(value));
+}
+
+/**
+ * @dev Converts the actions of a Call instruction. Each action has a target, an optional
+ * value in wei and either raw calldata, or a function signature with its arguments.
+ */
+function parseCallActions(actions) {
+  if (!Array.isArray(actions) || actions.length === 0 || actions.length > MAX_CALL_ACTIONS) {
+    throw new Error(`A Call instruction needs between 1 and ${MAX_CALL_ACTIONS} actions`);
+  }
+
+  const targets = [];
+  const values = [];
+  const calldatas = [];
+  actions.forEach((action, index) => {
+    targets.push(parseAddress(action.target, `actions[${index}].target`));
+    values.push(parseUint(action.value ?? 0, { name: `actions[${index}].value`, type: "uint256" }));
+
+    if (action.data !== undefined) {
+      if (!isHexString(action.data)) {
+        throw new Error(`actions[${index}].data must be hex calldata`);
+      }
+      calldatas.push(action.data);
+    } else if (action.function) {
+      const signature = action.function.startsWith("function ") ? action.function : `function ${action.function}`;
+      const iface = new Interface([signature]);
+      calldatas.push(iface.encodeFunctionData(iface.fragments[0], action.args || []));
+    } else {
+      throw new Error(`actions[${index}] needs either data or function`);
+    }
+  });
+
+  return { targets, values, calldatas };
+}
+
+/**
+ * @dev Converts human input (strings, token amounts, metadata URIs) into instruction values
+ * @param instructionType Name or number of the instruction type
+ * @param input Values keyed by field name; a Call takes { actions: [...] } instead
+ * @return object Values ready for encodeInstruction
+ */
+function parseInstructionInput(instructionType, input) {
+  const type = INSTRUCTION_TYPES[instructionTypeOf(instructionType)];
+  if (type === "Call") {
+    return parseCallActions(input.actions);
+  }
+
+  const schema = SCHEMAS[type];
+  const known = new Set(schema.map((field) => field.name));
+  const unknown = Object.keys(input).filter((key) => !known.has(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${type} field(s) ${unknown.join(", ")}, expected ${[...known].join(", ")}`);
+  }
+
+  const values = {};
+  for (const field of schema) {
+    const raw = input[field.name];
+    if (raw === undefined) {
+      if (field.default === undefined) {
+        throw new Error(`${type} requires ${field.name}`);
+      }
+      values[field.name] = field.default;
+    } else if (field.type === "address") {
+      values[field.name] = parseAddress(raw, field.name);
+    } else if (field.type === "bool") {
+      values[field.name] = parseBool(raw, field.name);
+    } else if (field.type === "bytes32") {
+      values[field.name] = parseMetadataHash(raw);
+    } else if (field.type === "string") {
+      values[field.name] = String(raw);
+    } else {
+      values[field.name] = parseUint(raw, field);
+    }
+  }
+
+  if (type === "ChangeThreshold" && (values.threshold === 0n || values.threshold > MAX_THRESHOLD)) {
+    throw new Error(`threshold must be between 1 and ${MAX_THRESHOLD}`);
+  }
+  return values;
+}
+
+/**
+ * @dev Builds the ProposalCreationParams of EducProposal.createProposal from human input
+ * @return object { instructionType, data, description, requiredApprovals }
+ */
+function buildProposalParams({ instructionType, input, description = "", requiredApprovals }) {
+  const type = instructionTypeOf(instructionType);
+  const data = encodeInstruction(type, parseInstructionInput(type, input));
+  return { instructionType: type, data, description, requiredApprovals: BigInt(requiredApprovals) };
+}
+
+/**
+ * @dev Formats a decoded value for display, following the format of its schema field
+ */
+function formatField(field, value) {
+  if (field.format === "tokens") {
+    return `${formatEther(value)} tokens`;
+  }
+  if (field.format === "seconds") {
+    return `${value} seconds`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(String).join(", ")}]`;
+  }
+  if (field.type === "string") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+module.exports = {
+  INSTRUCTION_TYPES,
+  SCHEMAS,
+  MAX_CALL_ACTIONS,
+  instructionTypeOf,
+  encodeInstruction,
+  decodeInstruction,
+  parseInstructionInput,
+  parseMetadataHash,
+  buildProposalParams,
+  formatField,
+};
@@ -0,0 +1,400 @@
+const { Contract, Interface, ZeroAddress, ZeroHash, formatEther, formatUnits, getAddress } = require("ethers");
+const { INSTRUCTION_TYPES, SCHEMAS, decodeInstruction, formatField } = require("./proposal-codec");
+
+const PROPOSAL_STATUSES = ["Pending", "Active", "Executed", "Rejected", "Expired", "Queued", "Cancelled"];
+// Mirrors EducProposal.EXECUTION_GRACE_PERIOD
+const EXECUTION_GRACE_PERIOD = 14n * 24n * 60n * 60n;
+
+// Fragments the reviewer reads, so it only needs the EducProposal address
+const PROPOSAL_ABI = [
+  "function getProposalDetails((uint256 proposalId)) view returns (address proposer, uint8 instructionType, uint8 status, uint256 createdAt, uint256 expiresAt, string description, uint256 approverCount, uint256 rejectorCount, uint256 requiredApprovals, uint256 queuedAt, uint256 executableAt)",
+  "function getProposalVotes((uint256 proposalId)) view returns (bytes data, address[] approvers, address[] rejectors)",
+  "function proposalCount() view returns (uint256)",
+  "function multisig() view returns (address)",
+  "function executionTargets() view returns (address config, address educator, address course, address treasury, address pauseControl)",
+  "function allowedCallTargets(address target) view returns (bool)",
+  "function setCallTargetAllowed(address target, bool allowed)",
+];
+const MULTISIG_ABI = [
+  "function getSigners() view returns (address[])",
+  "function threshold() view returns (uint8)",
+];
+const CONFIG_ABI = [
+  "function getMaxEducators() view returns (uint16)",
+  "function getMaxCoursesPerEducator() view returns (uint16)",
+  "function getMaxMintAmount() view returns (uint256)",
+  "function getMintCooldownPeriod() view returns (uint256)",
+];
+const EDUCATOR_ABI = [
+  "function getEducatorInfo(address educator) view returns ((address educatorAddress, address authorityAddress, uint256 mintLimit, uint256 totalMinted, uint256 lastMintTime, uint16 courseCount, bool isActive, uint256 createdAt, uint256 lastUpdatedAt))",
+];
+const COURSE_ABI = [
+  "function getCourseInfo(address educator, string courseId) view returns ((string courseId, string courseName, address educator, uint256 rewardAmount, uint32 completionCount, bool isActive, bytes32 metadataHash, uint256 createdAt, uint256 lastUpdatedAt, uint256 lastCompletionTimestamp, uint32 version))",
+];
+const PAUSE_ABI = ["function paused() view returns (bool)"];
+const ERC20_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+/**
+ * @dev Formats a number of seconds as e.g. "2d 3h 15m"
+ */
+function formatDuration(seconds) {
+  let remaining = Number(seconds);
+  const parts = [];
+  for (const [unit, size] of [["d", 86400], ["h", 3600], ["m", 60]]) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  if (parts.length === 0 || remaining > 0) {
+    parts.push(`${remaining}s`);
+  }
+  return parts.join(" ");
+}
+
+function formatTimestamp(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * @dev Calls a view that reverts when the record does not exist
+ * @return The result, or null if the call reverted
+ */
+async function readOptional(read) {
+  try {
+    return await read();
+  } catch (error) {
+    // Hardhat's in-process network throws its own errors instead of ethers' CALL_EXCEPTION
+    if (error.code === "CALL_EXCEPTION" || /reverted/.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @dev Describes the deadline that matters for the current status
+ */
+function describeTiming(details, now) {
+  const status = PROPOSAL_STATUSES[Number(details.status)];
+  if (status === "Pending" || status === "Active") {
+    return details.expiresAt > now
+      ? `voting expires in ${formatDuration(details.expiresAt - now)} (${formatTimestamp(details.expiresAt)})`
+      : `voting period ended ${formatDuration(now - details.expiresAt)} ago, the proposal can no longer be approved`;
+  }
+  if (status === "Queued") {
+    const executableUntil = details.executableAt + EXECUTION_GRACE_PERIOD;
+    if (details.executableAt > now) {
+      return `executable in ${formatDuration(details.executableAt - now)} (${formatTimestamp(details.executableAt)})`;
+    }
+    return executableUntil > now
+      ? `executable now, until ${formatTimestamp(executableUntil)}`
+      : `execution grace period ended ${formatDuration(now - executableUntil)} ago, the proposal can no longer be executed`;
+  }
+  return status.toLowerCase();
+}
+
+/**
+ * @dev Compares the decoded instruction with the current on-chain state. Each change is
+ * { field, current, proposed }; warnings flag instructions that would fail when executed now.
+ */
+async function diffInstruction(type, values, state) {
+  const changes = [];
+  const warnings = [];
+  const change = (field, current, proposed) => changes.push({ field, current: String(current), proposed: String(proposed) });
+  // 0 and empty values keep the current value
+  const kept = (value) => value === 0n || value === "" || value === ZeroHash;
+
+  switch (type) {
+    case "UpdateConfig": {
+      const config = state.target("config", CONFIG_ABI);
+      const current = {
+        maxEducators: await config.getMaxEducators(),
+        maxCoursesPerEducator: await config.getMaxCoursesPerEducator(),
+        maxMintAmount: await config.getMaxMintAmount(),
+        mintCooldownPeriod: await config.getMintCooldownPeriod(),
+      };
+      for (const field of SCHEMAS.UpdateConfig) {
+        const proposed = values[field.name];
+        change(
+          field.name,
+          formatField(field, current[field.name]),
+          kept(proposed) ? "(unchanged)" : formatField(field, proposed)
+        );
+      }
+      break;
+    }
+
+    case "RegisterEducator":
+    case "UpdateEducatorStatus": {
+      const educator = state.target("educator", EDUCATOR_ABI);
+      const info = await readOptional(() => educator.getEducatorInfo(values.educator));
+      if (type === "RegisterEducator") {
+        change("educator", info ? `registered (${info.isActive ? "active" : "inactive"})` : "not registered", "registered (active)");
+        change("mintLimit", info ? `${formatEther(info.mintLimit)} tokens` : "-", `${formatEther(values.mintLimit)} tokens`);
+        if (info) warnings.push(`${values.educator} is already registered`);
+      } else if (!info) {
+        warnings.push(`${values.educator} is not a registered educator`);
+      } else {
+        change("isActive", info.isActive, values.isActive);
+        change(
+          "mintLimit",
+          `${formatEther(info.mintLimit)} tokens`,
+          kept(values.newMintLimit) ? "(unchanged)" : `${formatEther(values.newMintLimit)} tokens`
+        );
+      }
+      break;
+    }
+
+    case "CreateCourse":
+    case "UpdateCourse": {
+      const course = state.target("course", COURSE_ABI);
+      const info = await readOptional(() => course.getCourseInfo(values.educator, values.courseId));
+      if (type === "CreateCourse") {
+        change("course", info ? `exists ("${info.courseName}")` : "(none)", `"${values.courseName}"`);
+        change("rewardAmount", info ? `${formatEther(info.rewardAmount)} tokens` : "-", `${formatEther(values.rewardAmount)} tokens`);
+        change("metadataHash", info ? info.metadataHash : "-", values.metadataHash);
+        if (info) warnings.push(`Course ${values.courseId} of ${values.educator} already exists`);
+      } else if (!info) {
+        warnings.push(`Course ${values.courseId} of ${values.educator} does not exist`);
+      } else {
+        change("courseName", `"${info.courseName}"`, kept(values.courseName) ? "(unchanged)" : `"${values.courseName}"`);
+        change(
+          "rewardAmount",
+          `${formatEther(info.rewardAmount)} tokens`,
+          kept(values.rewardAmount) ? "(unchanged)" : `${formatEther(values.rewardAmount)} tokens`
+        );
+        change("isActive", info.isActive, values.isActive);
+        change("metadataHash", info.metadataHash, kept(values.metadataHash) ? "(unchanged)" : values.metadataHash);
+      }
+      break;
+    }
+
+    case "AddSigner":
+    case "RemoveSigner":
+    case "ChangeThreshold": {
+      const multisig = state.multisig;
+      const signers = [...(await multisig.getSigners())];
+      const threshold = Number(await multisig.threshold());
+      const isSigner = type !== "ChangeThreshold" && signers.includes(values.signer);
+
+      if (type === "AddSigner") {
+        if (isSigner) warnings.push(`${values.signer} is already a signer`);
+        change("signers", signers.join(", "), [...signers, values.signer].join(", "));
+      } else if (type === "RemoveSigner") {
+        if (!isSigner) warnings.push(`${values.signer} is not a signer`);
+        if (signers.length <= threshold) {
+          warnings.push(`Removing a signer needs more than ${threshold} signers, there are ${signers.length}`);
+        }
+        // EducMultisig moves the last signer into the removed slot
+        const proposed = [...signers];
+        const index = proposed.indexOf(values.signer);
+        if (index >= 0) {
+          proposed[index] = proposed[proposed.length - 1];
+          proposed.pop();
+        }
+        change("signers", signers.join(", "), proposed.join(", "));
+      } else {
+        const proposed = Number(values.threshold);
+        if (proposed < 1 || proposed > signers.length) {
+          warnings.push(`Threshold must be between 1 and the ${signers.length} signers`);
+        }
+        change("threshold", `${threshold} of ${signers.length}`, `${proposed} of ${signers.length}`);
+      }
+      break;
+    }
+
+    case "TransferFunds": {
+      const treasuryAddress = state.targets.treasury;
+      const token = new Contract(values.token, ERC20_ABI, state.runner);
+      const [symbol, decimals] = await Promise.all([
+        readOptional(() => token.symbol()),
+        readOptional(() => token.decimals()),
+      ]);
+      const format = (amount) => `${decimals === null ? amount : formatUnits(amount, decimals)} ${symbol ?? values.token}`;
+
+      if (treasuryAddress === ZeroAddress) {
+        warnings.push("The treasury execution target is not set");
+        change("amount", "-", format(values.amount));
+        break;
+      }
+      const treasuryBalance = await token.balanceOf(treasuryAddress);
+      const recipientBalance = await token.balanceOf(values.recipient);
+      if (treasuryBalance < values.amount) {
+        warnings.push(`The treasury holds ${format(treasuryBalance)}, less than the ${format(values.amount)} to transfer`);
+      }
+      change("treasury balance", format(treasuryBalance), format(treasuryBalance - (treasuryBalance < values.amount ? 0n : values.amount)));
+      change(`recipient ${values.recipient} balance`, format(recipientBalance), format(recipientBalance + values.amount));
+      break;
+    }
+
+    case "EmergencyPause": {
+      const pause = state.target("pauseControl", PAUSE_ABI);
+      change("paused", await pause.paused(), values.pauseStatus);
+      break;
+    }
+
+    case "Call": {
+      const selfAddress = state.proposalAddress;
+      const allowedBefore = new Set();
+      for (let i = 0; i < values.targets.length; i++) {
+        const target = getAddress(values.targets[i]);
+        const known = state.knownContracts.find((contract) => contract.address === target);
+        const call = describeCall(known, values.calldatas[i]);
+        const targetName = target === selfAddress ? "EducProposal" : known ? known.name : target;
+
+        const allowed = target === selfAddress || allowedBefore.has(target) || (await state.proposal.allowedCallTargets(target));
+        if (!allowed) {
+          warnings.push(`Action ${i}: ${targetName} is not an allowed call target`);
+        }
+        // Later actions may rely on an allowlisting made by an earlier one
+        if (target === selfAddress && call.name === "setCallTargetAllowed" && call.args[1] === true) {
+          allowedBefore.add(getAddress(call.args[0]));
+        }
+
+        const value = values.values[i] > 0n ? ` with ${formatEther(values.values[i])} ETH` : "";
+        change(`action ${i}`, `${targetName}${allowed ? "" : " (not allowed)"}`, `${call.text}${value}`);
+      }
+      break;
+    }
+  }
+
+  return { changes, warnings };
+}
+
+/**
+ * @dev Decodes calldata against the ABI of a known contract, falling back to the selector
+ */
+function describeCall(known, calldata) {
+  const interfaces = known ? [known.interface, new Interface(PROPOSAL_ABI)] : [new Interface(PROPOSAL_ABI)];
+  for (const iface of interfaces) {
+    const parsed = iface.parseTransaction({ data: calldata });
+    if (parsed) {
+      const args = Array.from(parsed.args);
+      return { name: parsed.name, args, text: `${parsed.name}(${args.map(String).join(", ")})` };
+    }
+  }
+  return { name: null, args: [], text: `${calldata.slice(0, 10)} (unknown function, ${(calldata.length - 2) / 2} bytes)` };
+}
+
+/**
+ * @dev Reads a proposal, decodes its instruction and compares it with the on-chain state
+ * @param proposal EducProposal contract instance, or its address with a runner
+ * @param proposalId ID of the proposal
+ * @param options knownContracts, [{ name, address, interface }] used to decode Call actions,
+ * and now, the timestamp for the countdowns (defaults to the latest block)
+ * @return object The review
+ */
+async function reviewProposal(proposal, proposalId, { knownContracts = [], now } = {}) {
+  const runner = proposal.runner;
+  const proposalAddress = await proposal.getAddress();
+  const reader = new Contract(proposalAddress, PROPOSAL_ABI, runner);
+  const provider = runner.provider ?? runner;
+
+  if (BigInt(proposalId) < 1n || BigInt(proposalId) > (await reader.proposalCount())) {
+    throw new Error(`Proposal ${proposalId} does not exist`);
+  }
+
+  const details = await reader.getProposalDetails({ proposalId });
+  const { data, approvers, rejectors } = await reader.getProposalVotes({ proposalId });
+  const multisig = new Contract(await reader.multisig(), MULTISIG_ABI, runner);
+  const signers = [...(await multisig.getSigners())];
+  const timestamp = BigInt(now ?? (await provider.getBlock("latest")).timestamp);
+  const type = INSTRUCTION_TYPES[Number(details.instructionType)];
+
+  const review = {
+    id: BigInt(proposalId),
+    proposer: details.proposer,
+    instructionType: type,
+    status: PROPOSAL_STATUSES[Number(details.status)],
+    description: details.description,
+    createdAt: details.createdAt,
+    expiresAt: details.expiresAt,
+    queuedAt: details.queuedAt,
+    executableAt: details.executableAt,
+    timing: describeTiming(details, timestamp),
+    requiredApprovals: details.requiredApprovals,
+    approvers: [...approvers],
+    rejectors: [...rejectors],
+    notVoted: signers.filter((signer) => !approvers.includes(signer) && !rejectors.includes(signer)),
+    data,
+    instruction: null,
+    changes: [],
+    warnings: [],
+  };
+
+  try {
+    review.instruction = decodeInstruction(type, data);
+  } catch (error) {
+    review.warnings.push(error.message);
+    return review;
+  }
+
+  const targets = await reader.executionTargets();
+  const state = {
+    runner,
+    proposal: reader,
+    proposalAddress,
+    multisig,
+    targets,
+    knownContracts: knownContracts.map((contract) => ({ ...contract, address: getAddress(contract.address) })),
+    target(name, abi) {
+      if (targets[name] === ZeroAddress) {
+        throw new Error(`The ${name} execution target of EducProposal is not set`);
+      }
+      return new Contract(targets[name], abi, runner);
+    },
+  };
+
+  const diff = await diffInstruction(type, review.instruction, state);
+  review.changes = diff.changes;
+  review.warnings.push(...diff.warnings);
+  return review;
+}
+
+/**
+ * @dev Renders a review as text for the terminal
+ */
+function formatReview(review) {
+  const lines = [
+    `Proposal #${review.id}: ${review.instructionType} (${review.status})`,
+    `Description: ${review.description || "(none)"}`,
+    `Proposer:    ${review.proposer}`,
+    `Created:     ${formatTimestamp(review.createdAt)}`,
+    `Timing:      ${review.timing}`,
+    `Approvals:   ${review.approvers.length} of ${review.requiredApprovals} required`,
+    ...review.approvers.map((address) => `  + ${address}`),
+    `Rejections:  ${review.rejectors.length}`,
+    ...review.rejectors.map((address) => `  - ${address}`),
+    `Not voted:   ${review.notVoted.length}`,
+    ...review.notVoted.map((address) => `  ? ${address}`),
+  ];
+
+  if (review.instruction) {
+    lines.push("", "Instruction:");
+    for (const field of SCHEMAS[review.instructionType]) {
+      lines.push(`  ${field.name}: ${formatField(field, review.instruction[field.name])}`);
+    }
+  }
+  if (review.changes.length > 0) {
+    lines.push("", "Changes against the current state:");
+    for (const { field, current, proposed } of review.changes) {
+      lines.push(`  ${field}:`, `    current:  ${current}`, `    proposed: ${proposed}`);
+    }
+  }
+  if (review.warnings.length > 0) {
+    lines.push("", "Warnings:", ...review.warnings.map((warning) => `  ! ${warning}`));
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  PROPOSAL_STATUSES,
+  formatDuration,
+  reviewProposal,
+  formatReview,
+};
@@ -0,0 +1,94 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function encodeCursor(id, value) {
+  return Buffer.from(JSON.stringify([id, value === undefined || value === null ? null : String(value)])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [id, value] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return { id, value };
+  } catch (error) {
+    throw new Error(`Invalid cursor "${cursor}"`);
+  }
+}
+
+/**
+ * @dev Compares two sort values of the same field. Amounts are decimal strings and are
+ * compared as integers; nulls sort first.
+ */
+function compareValues(a, b, type) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined ? 0 : 1) - (b === null || b === undefined ? 0 : 1);
+  }
+  if (type === "bigint") {
+    const difference = BigInt(a) - BigInt(b);
+    return difference === 0n ? 0 : difference > 0n ? 1 : -1;
+  }
+  if (type === "number") {
+    return Number(a) - Number(b);
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * @dev Filters, sorts and paginates items into a connection ({ edges, pageInfo, totalCount }).
+ * Items are ordered by the requested field with their id as tie breaker, and cursors carry
+ * both, so a page still continues in the right place when the item a cursor points at is
+ * gone after a reorg.
+ * @param items Items, each with a unique string `id`
+ * @param options predicate, orderBy ({ field, direction }), fields (order field name to
+ * { value(item), type }), first and after
+ * @return object The connection
+ */
+function paginate(items, { predicate = () => true, orderBy, fields, first, after }) {
+  const fieldName = orderBy.field;
+  const field = fields[fieldName];
+  if (!field) {
+    throw new Error(`Cannot order by ${fieldName}`);
+  }
+  const direction = orderBy.direction === "DESC" ? -1 : 1;
+
+  const compare = (aValue, aId, bValue, bId) =>
+    direction * (compareValues(aValue, bValue, field.type) || aId.localeCompare(bId));
+
+  const sorted = items
+    .filter(predicate)
+    .map((item) => ({ item, value: field.value(item) }))
+    .sort((a, b) => compare(a.value, a.item.id, b.value, b.item.id));
+
+  let start = 0;
+  if (after) {
+    const cursor = decodeCursor(after);
+    start = sorted.findIndex(({ item, value }) => compare(value, item.id, cursor.value, cursor.id) > 0);
+    if (start === -1) {
+      start = sorted.length;
+    }
+  }
+
+  const pageSize = Math.min(first ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  if (pageSize < 0) {
+    throw new Error("first cannot be negative");
+  }
+  const page = sorted.slice(start, start + pageSize);
+
+  const edges = page.map(({ item, value }) => ({ cursor: encodeCursor(item.id, value), node: item }));
+  return {
+    edges,
+    nodes: edges.map(({ node }) => node),
+    totalCount: sorted.length,
+    pageInfo: {
+      hasNextPage: start + pageSize < sorted.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  paginate,
+};
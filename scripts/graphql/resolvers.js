@@ -0,0 +1,731 @@
+const { getAddress } = require("ethers");
+const { paginate } = require("./pagination");
+
+const PROJECTED_EVENTS = [
+  "StudentRegistered",
+  "EducatorRegistered",
+  "EducatorStatusUpdated",
+  "EducatorMintRecorded",
+  "EducatorCourseCountIncremented",
+  "CourseCreated",
+  "CourseUpdated",
+  "CourseMetadataUpdated",
+  "CourseCompletionTracked",
+  "CourseCompletionRecorded",
+  "RewardIssued",
+  "BatchRewardsIssued",
+  "VestingScheduleCreated",
+  "VestingScheduleReleased",
+  "VestingScheduleRevoked",
+  "VestingScheduleTransferred",
+  "MilestoneCompleted",
+  "ProposalCreated",
+  "ProposalApproved",
+  "ProposalRejected",
+  "ProposalQueued",
+  "ProposalExecuted",
+  "ProposalCancelled",
+];
+
+const VESTING_TYPES = ["Linear", "Cliff", "Milestone", "Hybrid"];
+const INSTRUCTION_TYPES = [
+  "UpdateConfig",
+  "RegisterEducator",
+  "UpdateEducatorStatus",
+  "CreateCourse",
+  "UpdateCourse",
+  "AddSigner",
+  "RemoveSigner",
+  "ChangeThreshold",
+  "TransferFunds",
+  "EmergencyPause",
+  "Call",
+];
+const PROPOSAL_STATUSES = ["Pending", "Active", "Executed", "Rejected", "Expired", "Queued", "Cancelled"];
+
+const DEFAULT_ORDER = { direction: "ASC" };
+
+function toDateTime(seconds) {
+  return seconds === null || seconds === undefined ? null : new Date(Number(seconds) * 1000).toISOString();
+}
+
+/**
+ * @dev Parses a DateTime argument (ISO-8601 or unix seconds) into unix seconds
+ */
+function parseDateTime(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (/^\d+$/.test(String(value))) {
+    return Number(value);
+  }
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`${name} must be an ISO-8601 date or unix seconds, got "${value}"`);
+  }
+  return Math.floor(ms / 1000);
+}
+
+function parseAddress(value, name) {
+  try {
+    return getAddress(value);
+  } catch (error) {
+    throw new Error(`${name} must be an address, got "${value}"`);
+  }
+}
+
+function withinRange(seconds, from, to) {
+  return (from === null || seconds >= from) && (to === null || seconds <= to);
+}
+
+/**
+ * @dev Folds the indexed events into students, educators, courses, completions, rewards,
+ * vesting schedules and proposals
+ */
+function buildProjection(store) {
+  const students = new Map();
+  const educators = new Map();
+  const courses = new Map();
+  const completions = [];
+  const rewards = [];
+  const schedules = new Map();
+  const proposals = new Map();
+  const learningEducators = new Map();
+
+  const events = store.getEvents({ eventName: PROJECTED_EVENTS, limit: null });
+
+  // Rewards are recorded from the token's RewardIssued, which is emitted once per student
+  // for single and batch rewards. EducStudent records EducLearning as the completion's
+  // educator, so for both the acting educator comes from EducLearning's events.
+  for (const event of events) {
+    if (event.source === "EducLearning") {
+      learningEducators.set(event.transactionHash, event.args.educator);
+    }
+  }
+
+  for (const event of events) {
+    const { args, blockTimestamp: at } = event;
+    const eventId = `${event.transactionHash}:${event.logIndex}`;
+
+    switch (event.eventName) {
+      case "StudentRegistered":
+        students.set(args.student, { id: args.student, address: args.student, registeredAt: at });
+        break;
+      case "EducatorRegistered":
+        educators.set(args.educator, {
+          id: args.educator,
+          address: args.educator,
+          authority: args.authority,
+          registeredAt: at,
+          mintLimit: args.mintLimit,
+          totalMinted: "0",
+          courseCount: 0,
+          isActive: true,
+        });
+        break;
+      case "EducatorStatusUpdated":
+        if (educators.has(args.educator)) {
+          Object.assign(educators.get(args.educator), { isActive: args.isActive, mintLimit: args.mintLimit });
+        }
+        break;
+      case "EducatorMintRecorded":
+        if (educators.has(args.educator)) {
+          educators.get(args.educator).totalMinted = args.totalMinted;
+        }
+        break;
+      case "EducatorCourseCountIncremented":
+        if (educators.has(args.educator)) {
+          educators.get(args.educator).courseCount = Number(args.newCourseCount);
+        }
+        break;
+      case "CourseCreated":
+        courses.set(`${args.educator}:${args.courseId}`, {
+          id: `${args.educator}:${args.courseId}`,
+          courseId: args.courseId,
+          educatorAddress: args.educator,
+          name: args.courseName,
+          rewardAmount: args.rewardAmount,
+          isActive: true,
+          metadataHash: null,
+          version: 1,
+          completionCount: 0,
+          createdAt: at,
+          updatedAt: at,
+          updates: [],
+        });
+        break;
+      case "CourseUpdated": {
+        const course = courses.get(`${args.educator}:${args.courseId}`);
+        if (course) {
+          course.version = Number(args.version);
+          course.updatedAt = at;
+          course.updates.push({
+            version: Number(args.version),
+            previousName: args.previousName,
+            previousReward: args.previousReward,
+            previousActive: args.previousActive,
+            updatedBy: args.updatedBy,
+            updatedAt: at,
+          });
+        }
+        break;
+      }
+      case "CourseMetadataUpdated": {
+        const course = courses.get(`${args.educator}:${args.courseId}`);
+        if (course) {
+          course.metadataHash = args.newMetadataHash;
+        }
+        break;
+      }
+      case "CourseCompletionTracked": {
+        const course = courses.get(`${args.educator}:${args.courseId}`);
+        if (course) {
+          course.completionCount = Number(args.completionCount);
+        }
+        break;
+      }
+      case "CourseCompletionRecorded":
+        completions.push({
+          id: eventId,
+          studentAddress: args.student,
+          educatorAddress: learningEducators.get(event.transactionHash) ?? args.educator,
+          courseId: args.courseId,
+          tokensAwarded: args.tokensAwarded,
+          completedAt: at,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+        });
+        break;
+      case "RewardIssued":
+        if (event.source === "TokenEvents") {
+          rewards.push({
+            id: eventId,
+            studentAddress: args.student,
+            educatorAddress: learningEducators.get(event.transactionHash) ?? null,
+            amount: args.amount,
+            reason: args.reason,
+            issuedAt: at,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+          });
+        }
+        break;
+      case "VestingScheduleCreated":
+        schedules.set(`${event.contractAddress}:${args.vestingScheduleId}`, {
+          id: `${event.contractAddress}:${args.vestingScheduleId}`,
+          scheduleId: args.vestingScheduleId,
+          vestingContract: event.contractAddress,
+          beneficiary: args.beneficiary,
+          vestingType: VESTING_TYPES[Number(args.vestingType)],
+          totalAmount: args.amount,
+          released: "0",
+          startTime: Number(args.startTime),
+          duration: Number(args.duration),
+          revoked: false,
+          createdAt: at,
+        });
+        break;
+      case "VestingScheduleReleased":
+      case "MilestoneCompleted": {
+        const schedule = schedules.get(`${event.contractAddress}:${args.vestingScheduleId}`);
+        if (schedule) {
+          const amount = event.eventName === "MilestoneCompleted" ? args.releaseAmount : args.amount;
+          schedule.released = (BigInt(schedule.released) + BigInt(amount)).toString();
+        }
+        break;
+      }
+      case "VestingScheduleRevoked": {
+        const schedule = schedules.get(`${event.contractAddress}:${args.vestingScheduleId}`);
+        if (schedule) {
+          schedule.revoked = true;
+        }
+        break;
+      }
+      case "VestingScheduleTransferred": {
+        const schedule = schedules.get(`${event.contractAddress}:${args.vestingScheduleId}`);
+        if (schedule) {
+          schedule.beneficiary = args.newBeneficiary;
+        }
+        break;
+      }
+      case "ProposalCreated":
+        proposals.set(args.proposalId, {
+          id: args.proposalId,
+          proposer: args.proposer,
+          instructionType: INSTRUCTION_TYPES[Number(args.instructionType)],
+          createdAt: at,
+          approvals: [],
+          rejections: [],
+          queuedAt: null,
+          executableAt: null,
+          executedAt: null,
+          cancelledAt: null,
+        });
+        break;
+      case "ProposalApproved":
+      case "ProposalRejected": {
+        const proposal = proposals.get(args.proposalId);
+        if (proposal) {
+          const votes = event.eventName === "ProposalApproved" ? proposal.approvals : proposal.rejections;
+          votes.push({ account: args.approver ?? args.rejector, at: toDateTime(at) });
+        }
+        break;
+      }
+      case "ProposalQueued":
+        if (proposals.has(args.proposalId)) {
+          Object.assign(proposals.get(args.proposalId), { queuedAt: at, executableAt: Number(args.executableAt) });
+        }
+        break;
+      case "ProposalExecuted":
+        if (proposals.has(args.proposalId)) {
+          proposals.get(args.proposalId).executedAt = at;
+        }
+        break;
+      case "ProposalCancelled":
+        if (proposals.has(args.proposalId)) {
+          proposals.get(args.proposalId).cancelledAt = at;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { students, educators, courses, completions, rewards, schedules, proposals };
+}
+
+/**
+ * @dev Memoizes live chain reads for the duration of a request
+ */
+function liveRead(context, key, read) {
+  if (!context.chain) {
+    throw new Error("Live chain reads are not configured");
+  }
+  if (!context.liveReads.has(key)) {
+    context.liveReads.set(key, read(context.chain));
+  }
+  return context.liveReads.get(key);
+}
+
+const ORDER_FIELDS = {
+  student: {
+    REGISTERED_AT: { value: (item) => item.registeredAt, type: "number" },
+    ADDRESS: { value: (item) => item.address.toLowerCase(), type: "string" },
+  },
+  educator: {
+    REGISTERED_AT: { value: (item) => item.registeredAt, type: "number" },
+    TOTAL_MINTED: { value: (item) => item.totalMinted, type: "bigint" },
+    COURSE_COUNT: { value: (item) => item.courseCount, type: "number" },
+  },
+  course: {
+    CREATED_AT: { value: (item) => item.createdAt, type: "number" },
+    UPDATED_AT: { value: (item) => item.updatedAt, type: "number" },
+    NAME: { value: (item) => item.name, type: "string" },
+    REWARD_AMOUNT: { value: (item) => item.rewardAmount, type: "bigint" },
+    COMPLETION_COUNT: { value: (item) => item.completionCount, type: "number" },
+  },
+  completion: {
+    COMPLETED_AT: { value: (item) => item.completedAt, type: "number" },
+    TOKENS_AWARDED: { value: (item) => item.tokensAwarded, type: "bigint" },
+  },
+  reward: {
+    ISSUED_AT: { value: (item) => item.issuedAt, type: "number" },
+    AMOUNT: { value: (item) => item.amount, type: "bigint" },
+  },
+  vestingSchedule: {
+    CREATED_AT: { value: (item) => item.createdAt, type: "number" },
+    START_TIME: { value: (item) => item.startTime, type: "number" },
+    TOTAL_AMOUNT: { value: (item) => item.totalAmount, type: "bigint" },
+  },
+  proposal: {
+    CREATED_AT: { value: (item) => item.createdAt, type: "number" },
+  },
+};
+
+const DEFAULT_ORDER_FIELDS = {
+  student: "REGISTERED_AT",
+  educator: "REGISTERED_AT",
+  course: "CREATED_AT",
+  completion: "COMPLETED_AT",
+  reward: "ISSUED_AT",
+  vestingSchedule: "CREATED_AT",
+  proposal: "CREATED_AT",
+};
+
+function connection(kind, items, predicate, { orderBy, first, after }, toNode) {
+  const result = paginate(items, {
+    predicate,
+    orderBy: { ...DEFAULT_ORDER, field: DEFAULT_ORDER_FIELDS[kind], ...orderBy },
+    fields: ORDER_FIELDS[kind],
+    first,
+    after,
+  });
+  return {
+    ...result,
+    edges: result.edges.map(({ cursor, node }) => ({ cursor, node: toNode(node) })),
+    nodes: result.nodes.map(toNode),
+  };
+}
+
+function completionPredicate(filter = {}) {
+  const student = filter.student ? parseAddress(filter.student, "filter.student") : null;
+  const educator = filter.educator ? parseAddress(filter.educator, "filter.educator") : null;
+  const from = parseDateTime(filter.from, "filter.from");
+  const to = parseDateTime(filter.to, "filter.to");
+  return (item) =>
+    (!student || item.studentAddress === student) &&
+    (!educator || item.educatorAddress === educator) &&
+    (filter.courseId === undefined || filter.courseId === null || item.courseId === filter.courseId) &&
+    withinRange(item.completedAt, from, to);
+}
+
+function rewardPredicate(filter = {}) {
+  const student = filter.student ? parseAddress(filter.student, "filter.student") : null;
+  const educator = filter.educator ? parseAddress(filter.educator, "filter.educator") : null;
+  const from = parseDateTime(filter.from, "filter.from");
+  const to = parseDateTime(filter.to, "filter.to");
+  const minAmount = filter.minAmount !== undefined && filter.minAmount !== null ? BigInt(filter.minAmount) : null;
+  return (item) =>
+    (!student || item.studentAddress === student) &&
+    (!educator || item.educatorAddress === educator) &&
+    (minAmount === null || BigInt(item.amount) >= minAmount) &&
+    withinRange(item.issuedAt, from, to);
+}
+
+function coursePredicate(filter = {}) {
+  const educator = filter.educator ? parseAddress(filter.educator, "filter.educator") : null;
+  const from = parseDateTime(filter.createdFrom, "filter.createdFrom");
+  const to = parseDateTime(filter.createdTo, "filter.createdTo");
+  const nameContains = filter.nameContains ? filter.nameContains.toLowerCase() : null;
+  return (item) =>
+    (!educator || item.educatorAddress === educator) &&
+    (filter.isActive === undefined || filter.isActive === null || item.isActive === filter.isActive) &&
+    (!nameContains || item.name.toLowerCase().includes(nameContains)) &&
+    withinRange(item.createdAt, from, to);
+}
+
+/**
+ * @dev Builds the per-request context. Projections are folded from the store once per request.
+ * @param store EventStore
+ * @param chain Contracts used for live reads ({ course, student, educator, proposal, provider,
+ * vestingCloneable(address) }), or null to serve indexed data only
+ */
+function createContext(store, chain = null) {
+  let projection;
+  return {
+    store,
+    chain,
+    liveReads: new Map(),
+    get projection() {
+      projection = projection || buildProjection(store);
+      return projection;
+    },
+  };
+}
+
+// Node builders. Fields that the events do not carry are methods, which the default
+// GraphQL resolver calls with (args, context) and which read from the chain.
+
+function studentNode(item) {
+  return {
+    address: item.address,
+    registeredAt: toDateTime(item.registeredAt),
+    totalEarned: async (args, context) => (await studentInfo(context, item.address)).totalEarned.toString(),
+    coursesCompleted: async (args, context) => Number((await studentInfo(context, item.address)).coursesCompleted),
+    lastActivity: async (args, context) => toDateTime((await studentInfo(context, item.address)).lastActivity),
+    completions: (args, context) => {
+      const predicate = completionPredicate(args.filter);
+      return connection(
+        "completion",
+        context.projection.completions,
+        (completion) => completion.studentAddress === item.address && predicate(completion),
+        args,
+        completionNode
+      );
+    },
+    rewards: (args, context) => {
+      const predicate = rewardPredicate(args.filter);
+      return connection(
+        "reward",
+        context.projection.rewards,
+        (reward) => reward.studentAddress === item.address && predicate(reward),
+        args,
+        rewardNode
+      );
+    },
+  };
+}
+
+function studentInfo(context, address) {
+  return liveRead(context, `student:${address}`, (chain) => chain.student.getStudentInfo(address));
+}
+
+function educatorNode(item) {
+  return {
+    address: item.address,
+    authority: item.authority,
+    registeredAt: toDateTime(item.registeredAt),
+    mintLimit: item.mintLimit,
+    totalMinted: item.totalMinted,
+    courseCount: item.courseCount,
+    isActive: item.isActive,
+    lastMintTime: async (args, context) => {
+      const info = await liveRead(context, `educator:${item.address}`, (chain) => chain.educator.getEducatorInfo(item.address));
+      return info.lastMintTime === 0n ? null : toDateTime(info.lastMintTime);
+    },
+    courses: (args, context) => {
+      const predicate = coursePredicate(args.filter);
+      return connection(
+        "course",
+        Array.from(context.projection.courses.values()),
+        (course) => course.educatorAddress === item.address && predicate(course),
+        args,
+        courseNode
+      );
+    },
+  };
+}
+
+function courseInfo(context, item) {
+  return liveRead(context, `course:${item.id}`, (chain) => chain.course.getCourseInfo(item.educatorAddress, item.courseId));
+}
+
+function courseNode(item) {
+  // CourseUpdated is emitted before the update is applied, so its new* values repeat the
+  // previous ones; once a course has been updated its current values come from the chain
+  const current = async (context) => {
+    if (item.version === 1) {
+      return item;
+    }
+    const info = await courseInfo(context, item);
+    return { name: info.courseName, rewardAmount: info.rewardAmount.toString(), isActive: info.isActive };
+  };
+
+  return {
+    id: item.id,
+    courseId: item.courseId,
+    educatorAddress: item.educatorAddress,
+    educator: (args, context) => {
+      const educator = context.projection.educators.get(item.educatorAddress);
+      return educator ? educatorNode(educator) : null;
+    },
+    name: async (args, context) => (await current(context)).name,
+    rewardAmount: async (args, context) => (await current(context)).rewardAmount,
+    isActive: async (args, context) => (await current(context)).isActive,
+    metadataHash: async (args, context) => item.metadataHash ?? (await courseInfo(context, item)).metadataHash,
+    version: item.version,
+    completionCount: item.completionCount,
+    createdAt: toDateTime(item.createdAt),
+    updatedAt: toDateTime(item.updatedAt),
+    versions: () => item.updates.map((update) => courseVersionNode(item, update)),
+    completions: (args, context) => {
+      const predicate = completionPredicate(args.filter);
+      return connection(
+        "completion",
+        context.projection.completions,
+        (completion) =>
+          completion.educatorAddress === item.educatorAddress && completion.courseId === item.courseId && predicate(completion),
+        args,
+        completionNode
+      );
+    },
+  };
+}
+
+function courseVersionNode(course, update) {
+  // courseHistories also holds the metadata hash and change description, which CourseUpdated lacks
+  const history = (context) =>
+    liveRead(context, `history:${course.id}:${update.version}`, (chain) =>
+      chain.course.getCourseHistory(course.educatorAddress, course.courseId, update.version)
+    );
+
+  return {
+    version: update.version,
+    previousName: update.previousName,
+    previousReward: update.previousReward,
+    previousActive: update.previousActive,
+    updatedBy: update.updatedBy,
+    updatedAt: toDateTime(update.updatedAt),
+    previousMetadataHash: async (args, context) => (await history(context)).previousMetadataHash,
+    changeDescription: async (args, context) => (await history(context)).changeDescription,
+  };
+}
+
+function completionNode(item) {
+  return {
+    ...item,
+    completedAt: toDateTime(item.completedAt),
+    student: (args, context) => {
+      const student = context.projection.students.get(item.studentAddress);
+      return student ? studentNode(student) : null;
+    },
+    course: (args, context) => {
+      const course = context.projection.courses.get(`${item.educatorAddress}:${item.courseId}`);
+      return course ? courseNode(course) : null;
+    },
+  };
+}
+
+function rewardNode(item) {
+  return {
+    ...item,
+    issuedAt: toDateTime(item.issuedAt),
+    student: (args, context) => {
+      const student = context.projection.students.get(item.studentAddress);
+      return student ? studentNode(student) : null;
+    },
+  };
+}
+
+function vestingScheduleNode(item) {
+  // Only cloneable vesting contracts expose their schedules; EducVesting has no view functions
+  const schedule = (context) =>
+    liveRead(context, `vesting:${item.id}`, async (chain) => {
+      const vesting = chain.vestingCloneable(item.vestingContract);
+      const selector = vesting.interface.getFunction("getVestingSchedule").selector;
+      const code = await chain.provider.getCode(item.vestingContract);
+      if (!code.includes(selector.slice(2))) {
+        return null;
+      }
+      const [details, releasable] = await Promise.all([
+        vesting.getVestingSchedule(item.scheduleId),
+        vesting.getReleasableAmount(item.scheduleId),
+      ]);
+      return { details, releasable };
+    });
+
+  return {
+    ...item,
+    startTime: toDateTime(item.startTime),
+    createdAt: toDateTime(item.createdAt),
+    releasable: async (args, context) => {
+      const live = await schedule(context);
+      return live ? live.releasable.toString() : null;
+    },
+    cliffDuration: async (args, context) => {
+      const live = await schedule(context);
+      return live ? Number(live.details.cliffDuration) : null;
+    },
+    milestonesReached: async (args, context) => {
+      const live = await schedule(context);
+      return live ? Number(live.details.milestonesReached) : null;
+    },
+  };
+}
+
+function proposalNode(item) {
+  const details = (context) =>
+    liveRead(context, `proposal:${item.id}`, (chain) => chain.proposal.getProposalDetails({ proposalId: item.id }));
+
+  return {
+    ...item,
+    createdAt: toDateTime(item.createdAt),
+    queuedAt: toDateTime(item.queuedAt),
+    executableAt: toDateTime(item.executableAt),
+    executedAt: toDateTime(item.executedAt),
+    cancelledAt: toDateTime(item.cancelledAt),
+    status: async (args, context) => PROPOSAL_STATUSES[Number((await details(context)).status)],
+    description: async (args, context) => (await details(context)).description,
+    expiresAt: async (args, context) => toDateTime((await details(context)).expiresAt),
+    requiredApprovals: async (args, context) => Number((await details(context)).requiredApprovals),
+  };
+}
+
+/**
+ * @dev Root resolvers of the Query type
+ */
+const rootValue = {
+  indexerStatus: (args, context) => {
+    const state = context.store.getState();
+    return {
+      chainId: state ? state.chainId : null,
+      lastBlock: state ? state.lastBlock : null,
+      eventCount: context.store.countEvents(),
+    };
+  },
+
+  student: ({ address }, context) => {
+    const student = context.projection.students.get(parseAddress(address, "address"));
+    return student ? studentNode(student) : null;
+  },
+  students: (args, context) => {
+    const filter = args.filter || {};
+    const from = parseDateTime(filter.registeredFrom, "filter.registeredFrom");
+    const to = parseDateTime(filter.registeredTo, "filter.registeredTo");
+    return connection(
+      "student",
+      Array.from(context.projection.students.values()),
+      (item) => withinRange(item.registeredAt, from, to),
+      args,
+      studentNode
+    );
+  },
+
+  educator: ({ address }, context) => {
+    const educator = context.projection.educators.get(parseAddress(address, "address"));
+    return educator ? educatorNode(educator) : null;
+  },
+  educators: (args, context) => {
+    const filter = args.filter || {};
+    return connection(
+      "educator",
+      Array.from(context.projection.educators.values()),
+      (item) => filter.isActive === undefined || filter.isActive === null || item.isActive === filter.isActive,
+      args,
+      educatorNode
+    );
+  },
+
+  course: ({ educator, courseId }, context) => {
+    const course = context.projection.courses.get(`${parseAddress(educator, "educator")}:${courseId}`);
+    return course ? courseNode(course) : null;
+  },
+  courses: (args, context) =>
+    connection("course", Array.from(context.projection.courses.values()), coursePredicate(args.filter), args, courseNode),
+
+  completions: (args, context) =>
+    connection("completion", context.projection.completions, completionPredicate(args.filter), args, completionNode),
+  rewards: (args, context) =>
+    connection("reward", context.projection.rewards, rewardPredicate(args.filter), args, rewardNode),
+
+  vestingSchedules: (args, context) => {
+    const filter = args.filter || {};
+    const beneficiary = filter.beneficiary ? parseAddress(filter.beneficiary, "filter.beneficiary") : null;
+    const vestingContract = filter.vestingContract ? parseAddress(filter.vestingContract, "filter.vestingContract") : null;
+    return connection(
+      "vestingSchedule",
+      Array.from(context.projection.schedules.values()),
+      (item) =>
+        (!beneficiary || item.beneficiary === beneficiary) &&
+        (!vestingContract || item.vestingContract === vestingContract) &&
+        (filter.revoked === undefined || filter.revoked === null || item.revoked === filter.revoked),
+      args,
+      vestingScheduleNode
+    );
+  },
+
+  proposal: ({ id }, context) => {
+    const proposal = context.projection.proposals.get(String(id));
+    return proposal ? proposalNode(proposal) : null;
+  },
+  proposals: (args, context) => {
+    const filter = args.filter || {};
+    const proposer = filter.proposer ? parseAddress(filter.proposer, "filter.proposer") : null;
+    return connection(
+      "proposal",
+      Array.from(context.projection.proposals.values()),
+      (item) =>
+        (!proposer || item.proposer === proposer) &&
+        (!filter.instructionType || item.instructionType === filter.instructionType) &&
+        (filter.executed === undefined || filter.executed === null || (item.executedAt !== null) === filter.executed),
+      args,
+      proposalNode
+    );
+  },
+};
+
+module.exports = {
+  buildProjection,
+  createContext,
+  rootValue,
+};
@@ -0,0 +1,382 @@
+const { buildSchema } = require("graphql");
+
+/**
+ * @dev GraphQL schema of the read API. Token amounts are BigInt scalars serialized as
+ * decimal strings of wei, times are DateTime scalars serialized as ISO-8601 strings.
+ */
+const typeDefs = /* GraphQL */ `
+  scalar BigInt
+  scalar DateTime
+
+  enum OrderDirection {
+    ASC
+    DESC
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type IndexerStatus {
+    chainId: String
+    lastBlock: Int
+    eventCount: Int!
+  }
+
+  type Student {
+    address: String!
+    registeredAt: DateTime!
+    "Read from the chain"
+    totalEarned: BigInt!
+    "Read from the chain"
+    coursesCompleted: Int!
+    "Read from the chain"
+    lastActivity: DateTime
+    completions(filter: CompletionFilter, orderBy: CompletionOrder, first: Int, after: String): CompletionConnection!
+    rewards(filter: RewardFilter, orderBy: RewardOrder, first: Int, after: String): RewardConnection!
+  }
+
+  type Educator {
+    address: String!
+    authority: String!
+    registeredAt: DateTime!
+    mintLimit: BigInt!
+    totalMinted: BigInt!
+    courseCount: Int!
+    isActive: Boolean!
+    "Read from the chain"
+    lastMintTime: DateTime
+    courses(filter: CourseFilter, orderBy: CourseOrder, first: Int, after: String): CourseConnection!
+  }
+
+  type Course {
+    "Educator address and course ID, separated by a colon"
+    id: ID!
+    courseId: String!
+    name: String!
+    educator: Educator
+    educatorAddress: String!
+    rewardAmount: BigInt!
+    isActive: Boolean!
+    "Read from the chain until the metadata is updated"
+    metadataHash: String!
+    version: Int!
+    completionCount: Int!
+    createdAt: DateTime!
+    updatedAt: DateTime!
+    "Previous versions, oldest first"
+    versions: [CourseVersion!]!
+    completions(filter: CompletionFilter, orderBy: CompletionOrder, first: Int, after: String): CompletionConnection!
+  }
+
+  "The values a course had before it was updated to version"
+  type CourseVersion {
+    version: Int!
+    previousName: String!
+    previousReward: BigInt!
+    previousActive: Boolean!
+    "Read from the chain"
+    previousMetadataHash: String!
+    updatedBy: String!
+    updatedAt: DateTime!
+    "Read from the chain"
+    changeDescription: String!
+  }
+
+  type Completion {
+    id: ID!
+    studentAddress: String!
+    student: Student
+    educatorAddress: String!
+    course: Course
+    courseId: String!
+    tokensAwarded: BigInt!
+    completedAt: DateTime!
+    blockNumber: Int!
+    transactionHash: String!
+  }
+
+  type Reward {
+    id: ID!
+    studentAddress: String!
+    student: Student
+    "Educator that issued the reward through EducLearning, null for direct token rewards"
+    educatorAddress: String
+    amount: BigInt!
+    reason: String!
+    issuedAt: DateTime!
+    blockNumber: Int!
+    transactionHash: String!
+  }
+
+  enum VestingType {
+    Linear
+    Cliff
+    Milestone
+    Hybrid
+  }
+
+  type VestingSchedule {
+    id: ID!
+    vestingContract: String!
+    beneficiary: String!
+    vestingType: VestingType!
+    totalAmount: BigInt!
+    released: BigInt!
+    startTime: DateTime!
+    duration: Int!
+    revoked: Boolean!
+    createdAt: DateTime!
+    "Read from the chain; null for contracts without view functions"
+    releasable: BigInt
+    "Read from the chain; null for contracts without view functions"
+    cliffDuration: Int
+    "Read from the chain; null for contracts without view functions"
+    milestonesReached: Int
+  }
+
+  type ProposalVote {
+    account: String!
+    at: DateTime!
+  }
+
+  type Proposal {
+    id: ID!
+    proposer: String!
+    instructionType: String!
+    createdAt: DateTime!
+    approvals: [ProposalVote!]!
+    rejections: [ProposalVote!]!
+    queuedAt: DateTime
+    "Earliest execution time, set once the proposal is queued"
+    executableAt: DateTime
+    executedAt: DateTime
+    cancelledAt: DateTime
+    "Read from the chain"
+    status: String!
+    "Read from the chain"
+    description: String!
+    "Read from the chain"
+    expiresAt: DateTime!
+    "Read from the chain"
+    requiredApprovals: Int!
+  }
+
+  type StudentEdge {
+    cursor: String!
+    node: Student!
+  }
+  type StudentConnection {
+    edges: [StudentEdge!]!
+    nodes: [Student!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type EducatorEdge {
+    cursor: String!
+    node: Educator!
+  }
+  type EducatorConnection {
+    edges: [EducatorEdge!]!
+    nodes: [Educator!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type CourseEdge {
+    cursor: String!
+    node: Course!
+  }
+  type CourseConnection {
+    edges: [CourseEdge!]!
+    nodes: [Course!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type CompletionEdge {
+    cursor: String!
+    node: Completion!
+  }
+  type CompletionConnection {
+    edges: [CompletionEdge!]!
+    nodes: [Completion!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type RewardEdge {
+    cursor: String!
+    node: Reward!
+  }
+  type RewardConnection {
+    edges: [RewardEdge!]!
+    nodes: [Reward!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type VestingScheduleEdge {
+    cursor: String!
+    node: VestingSchedule!
+  }
+  type VestingScheduleConnection {
+    edges: [VestingScheduleEdge!]!
+    nodes: [VestingSchedule!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type ProposalEdge {
+    cursor: String!
+    node: Proposal!
+  }
+  type ProposalConnection {
+    edges: [ProposalEdge!]!
+    nodes: [Proposal!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  input StudentFilter {
+    registeredFrom: DateTime
+    registeredTo: DateTime
+  }
+  enum StudentOrderField {
+    REGISTERED_AT
+    ADDRESS
+  }
+  input StudentOrder {
+    field: StudentOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  input EducatorFilter {
+    isActive: Boolean
+  }
+  enum EducatorOrderField {
+    REGISTERED_AT
+    TOTAL_MINTED
+    COURSE_COUNT
+  }
+  input EducatorOrder {
+    field: EducatorOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  input CourseFilter {
+    educator: String
+    isActive: Boolean
+    nameContains: String
+    createdFrom: DateTime
+    createdTo: DateTime
+  }
+  enum CourseOrderField {
+    CREATED_AT
+    UPDATED_AT
+    NAME
+    REWARD_AMOUNT
+    COMPLETION_COUNT
+  }
+  input CourseOrder {
+    field: CourseOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  input CompletionFilter {
+    student: String
+    educator: String
+    courseId: String
+    from: DateTime
+    to: DateTime
+  }
+  enum CompletionOrderField {
+    COMPLETED_AT
+    TOKENS_AWARDED
+  }
+  input CompletionOrder {
+    field: CompletionOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  input RewardFilter {
+    student: String
+    educator: String
+    from: DateTime
+    to: DateTime
+    minAmount: BigInt
+  }
+  enum RewardOrderField {
+    ISSUED_AT
+    AMOUNT
+  }
+  input RewardOrder {
+    field: RewardOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  input VestingScheduleFilter {
+    beneficiary: String
+    vestingContract: String
+    revoked: Boolean
+  }
+  enum VestingScheduleOrderField {
+    CREATED_AT
+    START_TIME
+    TOTAL_AMOUNT
+  }
+  input VestingScheduleOrder {
+    field: VestingScheduleOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  input ProposalFilter {
+    proposer: String
+    instructionType: String
+    executed: Boolean
+  }
+  enum ProposalOrderField {
+    CREATED_AT
+  }
+  input ProposalOrder {
+    field: ProposalOrderField!
+    direction: OrderDirection = ASC
+  }
+
+  type Query {
+    indexerStatus: IndexerStatus!
+
+    student(address: String!): Student
+    students(filter: StudentFilter, orderBy: StudentOrder, first: Int, after: String): StudentConnection!
+
+    educator(address: String!): Educator
+    educators(filter: EducatorFilter, orderBy: EducatorOrder, first: Int, after: String): EducatorConnection!
+
+    course(educator: String!, courseId: String!): Course
+    courses(filter: CourseFilter, orderBy: CourseOrder, first: Int, after: String): CourseConnection!
+
+    completions(filter: CompletionFilter, orderBy: CompletionOrder, first: Int, after: String): CompletionConnection!
+    rewards(filter: RewardFilter, orderBy: RewardOrder, first: Int, after: String): RewardConnection!
+
+    vestingSchedules(
+      filter: VestingScheduleFilter
+      orderBy: VestingScheduleOrder
+      first: Int
+      after: String
+    ): VestingScheduleConnection!
+
+    proposal(id: ID!): Proposal
+    proposals(filter: ProposalFilter, orderBy: ProposalOrder, first: Int, after: String): ProposalConnection!
+  }
+`;
+
+const schema = buildSchema(typeDefs);
+
+module.exports = {
+  schema,
+  typeDefs,
+};
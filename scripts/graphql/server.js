@@ -0,0 +1,104 @@
+const http = require("http");
+const { graphql } = require("graphql");
+const { schema } = require("./schema");
+const { createContext, rootValue } = require("./resolvers");
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * @dev Runs one GraphQL operation against the store
+ * @param store EventStore
+ * @param chain Contracts used for live reads, or null
+ * @param request { query, variables, operationName }
+ * @return object The GraphQL result
+ */
+function executeQuery(store, chain, { query, variables, operationName }) {
+  return graphql({
+    schema,
+    source: query,
+    rootValue,
+    contextValue: createContext(store, chain),
+    variableValues: variables,
+    operationName,
+  });
+}
+
+/**
+ * @dev Creates the HTTP server. Operations are accepted as POST /graphql with a JSON body
+ * or GET /graphql?query=...
+ * @param store EventStore
+ * @param chain Contracts used for live reads, or null
+ * @return http.Server The server, not yet listening
+ */
+function createGraphQLServer(store, chain) {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+
+    if (request.method === "OPTIONS") {
+      sendJson(response, 204, null);
+      return;
+    }
+    if (url.pathname !== "/graphql") {
+      sendJson(response, 404, { errors: [{ message: "Not found, use /graphql" }] });
+      return;
+    }
+
+    let operation;
+    try {
+      if (request.method === "GET") {
+        const variables = url.searchParams.get("variables");
+        operation = {
+          query: url.searchParams.get("query"),
+          variables: variables ? JSON.parse(variables) : undefined,
+          operationName: url.searchParams.get("operationName") || undefined,
+        };
+      } else if (request.method === "POST") {
+        operation = JSON.parse(await readBody(request));
+      } else {
+        sendJson(response, 405, { errors: [{ message: `Method ${request.method} not allowed` }] });
+        return;
+      }
+    } catch (error) {
+      sendJson(response, 400, { errors: [{ message: `Invalid request: ${error.message}` }] });
+      return;
+    }
+
+    if (!operation || typeof operation.query !== "string") {
+      sendJson(response, 400, { errors: [{ message: "Missing query" }] });
+      return;
+    }
+
+    const result = await executeQuery(store, chain, operation);
+    sendJson(response, 200, result);
+  });
+}
+
+module.exports = {
+  createGraphQLServer,
+  executeQuery,
+};
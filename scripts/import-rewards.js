@@ -0,0 +1,176 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("./utils/csv");
+const { loadManifest } = require("./utils/deployment-manifest");
+const { saveJournal, reconcileSubmitted } = require("./utils/journal");
+const {
+  ONE_DAY,
+  MAX_MINT_AMOUNT,
+  TOKEN_DAILY_MINT_LIMIT,
+  DEFAULT_MINT_COOLDOWN,
+  validateRewardRows,
+  scheduleRows,
+  loadRewardJournal,
+  importRewards,
+} = require("./utils/rewards");
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_BATCH_GAS_LIMIT = 8_000_000n;
+
+async function main() {
+  console.log("Importing rewards...");
+
+  const csvPath = process.env.REWARDS_CSV;
+  if (!csvPath) {
+    console.error("REWARDS_CSV environment variable not set");
+    process.exit(1);
+  }
+
+  // EducLearning comes from the deployment manifest unless given explicitly
+  const manifest = loadManifest();
+  const learningAddress = process.env.LEARNING_ADDRESS || manifest?.contracts.EducLearning?.address;
+  if (!learningAddress) {
+    console.error("LEARNING_ADDRESS environment variable not set and no EducLearning in the deployment manifest");
+    process.exit(1);
+  }
+
+  const batchSize = Number(process.env.REWARDS_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+  const batchGasLimit = process.env.REWARDS_BATCH_GAS_LIMIT
+    ? BigInt(process.env.REWARDS_BATCH_GAS_LIMIT)
+    : DEFAULT_BATCH_GAS_LIMIT;
+  const validateOnly = process.env.REWARDS_VALIDATE_ONLY === "true";
+  const allowDuplicates = process.env.REWARDS_ALLOW_DUPLICATES === "true";
+
+  const [sender] = await ethers.getSigners();
+  const provider = ethers.provider;
+  const learning = await ethers.getContractAt("EducLearning", learningAddress, sender);
+  const token = await ethers.getContractAt("EducToken", await learning.token());
+  const educator = await ethers.getContractAt("EducEducator", await learning.educator());
+  const config = await ethers.getContractAt("EducConfig", await learning.config());
+
+  const learningDailyLimit = await learning.dailyMintingLimit();
+  const dailyLimit = learningDailyLimit < TOKEN_DAILY_MINT_LIMIT ? learningDailyLimit : TOKEN_DAILY_MINT_LIMIT;
+  // EducLearning caps every transaction, i.e. every batch, at the EducConfig max mint amount
+  const configMaxMintAmount = await config.getMaxMintAmount();
+  const maxMintAmount = configMaxMintAmount < MAX_MINT_AMOUNT ? configMaxMintAmount : MAX_MINT_AMOUNT;
+  // EducEducator enforces the cooldown of its own EducConfig
+  const educatorConfig = await educator.configContract();
+  const mintCooldown =
+    educatorConfig === ethers.ZeroAddress
+      ? DEFAULT_MINT_COOLDOWN
+      : await (await ethers.getContractAt("EducConfig", educatorConfig)).getMintCooldownPeriod();
+
+  console.log(`CSV: ${path.resolve(csvPath)}`);
+  console.log(`EducLearning: ${learningAddress}`);
+  console.log(`Educator (sender): ${sender.address}`);
+  console.log(`Daily minting limit: ${ethers.formatEther(dailyLimit)}`);
+  console.log(`Max mint amount per batch: ${ethers.formatEther(maxMintAmount)}, mint cooldown: ${mintCooldown}s`);
+  console.log(`Batch size: ${batchSize} rows, batch gas limit: ${batchGasLimit}`);
+
+  // Validate the whole file before anything is sent
+  const text = fs.readFileSync(csvPath, "utf8");
+  const { rows, errors, warnings } = validateRewardRows(parseCsv(text), dailyLimit, maxMintAmount, allowDuplicates);
+
+  warnings.forEach((warning) => console.log(`⚠️ ${warning}`));
+  if (errors.length > 0) {
+    console.error(`${errors.length} invalid rows, nothing was sent:`);
+    errors.forEach((error) => console.error(`  ${error}`));
+    process.exit(1);
+  }
+
+  const csvTotal = rows.reduce((sum, row) => sum + row.amount, 0n);
+  console.log(`${rows.length} valid rows, ${ethers.formatEther(csvTotal)} tokens in total`);
+
+  const educatorRemaining =
+    (await educator.getEducatorMintLimit(sender.address)) - (await educator.getEducatorTotalMinted(sender.address));
+
+  if (validateOnly) {
+    const today = Math.floor((await provider.getBlock("latest")).timestamp / ONE_DAY);
+    const learningRemaining = await learning.getDailyMintingRemaining();
+    const tokenRemaining = await token.getDailyMintingRemaining();
+    const todayCapacity = learningRemaining < tokenRemaining ? learningRemaining : tokenRemaining;
+
+    console.log("\nValidation only, projected schedule starting today:");
+    scheduleRows(rows, today, dailyLimit, todayCapacity).forEach((day) =>
+      console.log(`  ${day.date}: ${day.lines.length} rows, ${ethers.formatEther(day.total)} tokens`)
+    );
+    if (csvTotal > educatorRemaining) {
+      console.log(`⚠️ The total exceeds the educator's remaining mint allowance of ${ethers.formatEther(educatorRemaining)}`);
+    }
+    return;
+  }
+
+  if (await learning.paused()) {
+    console.error("EducLearning is paused, unpause it before importing rewards");
+    process.exit(1);
+  }
+  if (!(await educator.isActiveEducator(sender.address))) {
+    console.error(`${sender.address} is not an active educator`);
+    process.exit(1);
+  }
+
+  const journalPath = `${path.resolve(csvPath)}.journal.json`;
+  const journal = loadRewardJournal(journalPath, {
+    csvFile: path.basename(csvPath),
+    csvHash: ethers.id(text),
+    learning: learningAddress,
+    sender: sender.address,
+  });
+  console.log(`Journal: ${journalPath}`);
+
+  await reconcileSubmitted(journal, journalPath, provider, sender.address);
+
+  const pendingRows = () => rows.filter((row) => !journal.entries[row.key]);
+  console.log(`${rows.length - pendingRows().length} rows already paid, ${pendingRows().length} pending`);
+
+  const { stopReason, nextMintTime } = await importRewards({
+    learning,
+    token,
+    educator,
+    provider,
+    sender: sender.address,
+    rows,
+    journal,
+    journalPath,
+    batchSize,
+    batchGasLimit,
+    maxMintAmount,
+    mintCooldown,
+  });
+
+  // Rows that did not fit today are scheduled for the following days
+  const unpaid = pendingRows();
+  const today = Math.floor((await provider.getBlock("latest")).timestamp / ONE_DAY);
+  journal.schedule = scheduleRows(unpaid, today + 1, dailyLimit);
+  saveJournal(journalPath, journal);
+
+  const paid = Object.values(journal.entries).filter((entry) => entry.status === "confirmed");
+  const paidTotal = paid.reduce((sum, entry) => sum + BigInt(entry.amount), 0n);
+
+  console.log("\nImport summary");
+  console.log(`CSV total:    ${ethers.formatEther(csvTotal)} across ${rows.length} rows`);
+  console.log(`Paid:         ${ethers.formatEther(paidTotal)} across ${paid.length} rows`);
+  console.log(`Outstanding:  ${ethers.formatEther(csvTotal - paidTotal)} across ${unpaid.length} rows`);
+
+  if (unpaid.length === 0) {
+    console.log("✅ Every row has been paid");
+  } else if (stopReason === "allowance") {
+    console.log("⚠️ The educator's mint allowance is exhausted, ask an admin to raise it and re-run the script");
+  } else if (stopReason === "cooldown") {
+    const resumeAt = new Date(Number(nextMintTime) * 1000).toISOString();
+    console.log(`⚠️ The educator's mint cooldown has not elapsed, re-run the script after ${resumeAt} to resume from the journal`);
+  } else {
+    console.log("⚠️ Daily minting limit reached, re-run the script on each scheduled day to resume from the journal:");
+    journal.schedule.forEach((day) =>
+      console.log(`  ${day.date}: ${day.lines.length} rows, ${ethers.formatEther(day.total)} tokens`)
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+const { ethers, artifacts, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadManifest, DEPLOYMENTS_DIR } = require("./utils/deployment-manifest");
+const { EventStore } = require("./indexer/event-store");
+const { EventIndexer, loadEventSources } = require("./indexer/event-indexer");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL = 2000;
+const DEFAULT_REORG_DEPTH = 64;
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  console.log("Starting event indexer...");
+
+  const manifest = loadManifest();
+  if (!manifest) {
+    console.error(`No deployment manifest for network ${network.name}, deploy first`);
+    process.exit(1);
+  }
+
+  const dbPath = process.env.INDEXER_DB || path.join(DEPLOYMENTS_DIR, `${network.name}.events.sqlite`);
+  const batchSize = Number(process.env.INDEXER_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+  const pollInterval = Number(process.env.INDEXER_POLL_INTERVAL || DEFAULT_POLL_INTERVAL);
+  const reorgDepth = Number(process.env.INDEXER_REORG_DEPTH || DEFAULT_REORG_DEPTH);
+  const once = process.env.INDEXER_ONCE === "true";
+
+  // Index from the first deployment unless told otherwise
+  const deploymentBlocks = Object.values(manifest.contracts)
+    .map((entry) => entry.blockNumber)
+    .filter((blockNumber) => blockNumber !== undefined && blockNumber !== null);
+  let startBlock = deploymentBlocks.length > 0 ? Math.min(...deploymentBlocks) : 0;
+  if (process.env.INDEXER_START_BLOCK) {
+    startBlock = Number(process.env.INDEXER_START_BLOCK);
+  }
+
+  const contracts = Object.entries(manifest.contracts).map(([name, entry]) => ({ name, address: entry.address }));
+
+  fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  const store = new EventStore(dbPath);
+  const indexer = new EventIndexer({
+    provider: ethers.provider,
+    store,
+    sources: await loadEventSources(artifacts),
+    contracts,
+    startBlock,
+    batchSize,
+    reorgDepth,
+    log: (message) => console.log(message),
+  });
+
+  const state = store.getState();
+  console.log(`Network: ${network.name}`);
+  console.log(`Database: ${path.resolve(dbPath)}`);
+  console.log(`Tracking ${store.getContracts().length} contracts`);
+  console.log(state ? `Resuming after block ${state.lastBlock}` : `Starting at block ${startBlock}`);
+
+  let stopping = false;
+  const stop = () => {
+    console.log("Stopping...");
+    stopping = true;
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  let failures = 0;
+  while (!stopping) {
+    try {
+      const result = await indexer.sync();
+      failures = 0;
+      if (result) {
+        console.log(`Synced to block ${result.toBlock} (${result.eventCount} new events, ${store.countEvents()} total)`);
+      }
+    } catch (error) {
+      failures++;
+      console.error(`Sync failed (${failures}/${MAX_CONSECUTIVE_FAILURES}): ${error.message}`);
+      if (failures >= MAX_CONSECUTIVE_FAILURES) {
+        store.close();
+        throw error;
+      }
+    }
+
+    if (once) {
+      break;
+    }
+    await sleep(pollInterval);
+  }
+
+  store.close();
+  console.log("Indexer stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
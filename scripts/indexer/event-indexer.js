@@ -0,0 +1,312 @@
+const { Interface, getAddress } = require("ethers");
+
+/**
+ * @dev Artifacts whose events are indexed. Sources listing `events` only contribute
+ * those events.
+ */
+const EVENT_SOURCES = [
+  { name: "CourseEvents", artifact: "contracts/core/course/CourseEvents.sol:CourseEvents" },
+  { name: "StudentEvents", artifact: "contracts/core/student/StudentEvents.sol:StudentEvents" },
+  { name: "CertificateEvents", artifact: "contracts/core/certificate/CertificateEvents.sol:CertificateEvents" },
+  { name: "EducatorEvents", artifact: "contracts/core/educator/EducatorEvents.sol:EducatorEvents" },
+  { name: "TokenEvents", artifact: "contracts/core/token/TokenEvents.sol:TokenEvents" },
+  { name: "VestingEvents", artifact: "contracts/vesting/VestingEvents.sol:VestingEvents" },
+  { name: "ProposalEvents", artifact: "contracts/governance/proposal/ProposalEvents.sol:ProposalEvents" },
+  { name: "PauseEvents", artifact: "contracts/security/pause/PauseEvents.sol:PauseEvents" },
+  { name: "EmergencyEvents", artifact: "contracts/security/emergency/EmergencyEvents.sol:EmergencyEvents" },
+  {
+    name: "EducLearning",
+    artifact: "contracts/EducLearning.sol:EducLearning",
+    events: ["RewardIssued", "BatchRewardsIssued"],
+  },
+];
+
+// Vesting contracts created by the factory are tracked from the block they are created in
+const DISCOVERY_EVENT = "VestingContractCreated";
+
+/**
+ * @dev Reads the ABIs of the event sources from the Hardhat artifacts
+ * @param artifacts Hardhat artifacts (hre.artifacts)
+ * @return Array Sources as { name, abi }
+ */
+async function loadEventSources(artifacts) {
+  const sources = [];
+  for (const source of EVENT_SOURCES) {
+    const { abi } = await artifacts.readArtifact(source.artifact);
+    const events = abi.filter((fragment) => fragment.type === "event");
+    sources.push({
+      name: source.name,
+      abi: source.events ? events.filter((fragment) => source.events.includes(fragment.name)) : events,
+    });
+  }
+  return sources;
+}
+
+/**
+ * @dev Converts a decoded value to JSON: integers become decimal strings, indexed
+ * dynamic values their hash and structs objects keyed by component name
+ */
+function serializeValue(value, param) {
+  if (value && value._isIndexed) {
+    return value.hash;
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (param.baseType === "array") {
+    return Array.from(value, (item) => serializeValue(item, param.arrayChildren));
+  }
+  if (param.baseType === "tuple") {
+    return Object.fromEntries(param.components.map((component, index) => [component.name, serializeValue(value[index], component)]));
+  }
+  return value;
+}
+
+/**
+ * @dev Collects the address arguments of an event (including address arrays)
+ */
+function collectAddresses(fragment, args) {
+  const addresses = [];
+  fragment.inputs.forEach((input, index) => {
+    const value = args[index];
+    if (input.type === "address") {
+      addresses.push({ arg: input.name, address: value });
+    } else if (input.type === "address[]" && !(value && value._isIndexed)) {
+      for (const item of value) {
+        addresses.push({ arg: input.name, address: item });
+      }
+    }
+  });
+  return addresses;
+}
+
+/**
+ * @dev Follows a chain and stores the events of the tracked contracts. Each sync first
+ * checks the newest stored block hash against the chain; on a mismatch it walks back to
+ * the newest stored block still on the chain and drops everything indexed after it.
+ */
+class EventIndexer {
+  /**
+   * @param options provider, store (EventStore), sources (from loadEventSources),
+   * contracts ([{ name, address }]), startBlock, batchSize, reorgDepth (number of
+   * recent block hashes kept for reorg detection) and log (progress logger)
+   */
+  constructor({ provider, store, sources, contracts = [], startBlock = 0, batchSize = 2000, reorgDepth = 64, log = () => {} }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.log = log;
+
+    // Several sources can declare an event with the same topic, so every candidate is tried
+    this.fragmentsByTopic = new Map();
+    for (const source of sources) {
+      const iface = new Interface(source.abi);
+      iface.forEachEvent((fragment) => {
+        const candidates = this.fragmentsByTopic.get(fragment.topicHash) || [];
+        candidates.push({ source: source.name, iface, fragment });
+        this.fragmentsByTopic.set(fragment.topicHash, candidates);
+      });
+    }
+
+    this.store.addContracts(
+      contracts.map(({ name, address }) => ({ name, address: getAddress(address), discoveredBlock: null }))
+    );
+  }
+
+  /**
+   * @dev Indexes every block up to the current head
+   * @return object The range indexed and the number of events stored, or null when up to date
+   */
+  async sync() {
+    const { chainId } = await this.provider.getNetwork();
+    this.chainId = chainId.toString();
+
+    const state = this.store.getState();
+    if (state && state.chainId !== this.chainId) {
+      throw new Error(`Database was indexed on chain ${state.chainId}, provider is on chain ${this.chainId}`);
+    }
+
+    await this.handleReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const current = this.store.getState();
+    const fromBlock = current ? current.lastBlock + 1 : this.startBlock;
+    if (fromBlock > head) {
+      return null;
+    }
+
+    let eventCount = 0;
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      eventCount += await this.indexRange(from, to, head);
+    }
+
+    return { fromBlock, toBlock: head, eventCount };
+  }
+
+  /**
+   * @dev Rolls back to the newest stored block that is still on the chain
+   * @return number|null The block rolled back to, or null when there was no reorg
+   */
+  async handleReorg() {
+    const state = this.store.getState();
+    if (!state) {
+      return null;
+    }
+
+    const latest = await this.provider.getBlock(state.lastBlock);
+    if (latest && latest.hash === state.lastBlockHash) {
+      return null;
+    }
+
+    for (const stored of this.store.getRecentBlocks()) {
+      const block = await this.provider.getBlock(stored.number);
+      if (block && block.hash === stored.hash) {
+        const removed = this.store.rollback(this.chainId, stored.number, stored.hash);
+        this.log(`Reorg detected at block ${state.lastBlock}, rolled back to block ${stored.number} (${removed} events removed)`);
+        return stored.number;
+      }
+    }
+
+    throw new Error(
+      `Reorg deeper than the ${this.reorgDepth} blocks kept for detection, delete the database to reindex from scratch`
+    );
+  }
+
+  /**
+   * @dev Indexes one block range and commits it. The hash of every block of the range within
+   * reorgDepth of the head is kept, whether or not it has events, so a shallow reorg always
+   * finds its common ancestor.
+   * @param head Current head of the chain, defaults to the end of the range
+   * @return number The number of events stored
+   */
+  async indexRange(fromBlock, toBlock, head = toBlock) {
+    // The header is read before the logs, so a reorg in between leaves a stale hash that
+    // the next sync detects, rather than stale logs under a valid hash
+    const header = await this.provider.getBlock(toBlock);
+    const contracts = this.store.getContracts();
+    const namesByAddress = new Map(contracts.map(({ address, name }) => [address, name]));
+
+    let logs = await this.getLogs(fromBlock, toBlock, contracts.map(({ address }) => address));
+    const discovered = [];
+
+    // Contracts created in this range may also have emitted events in it
+    let pending = logs;
+    while (pending.length > 0) {
+      const created = [];
+      for (const log of pending) {
+        const decoded = this.decodeLog(log);
+        if (!decoded || decoded.fragment.name !== DISCOVERY_EVENT) {
+          continue;
+        }
+        const address = getAddress(decoded.args[0]);
+        if (!namesByAddress.has(address)) {
+          namesByAddress.set(address, "EducVesting");
+          created.push(address);
+          discovered.push({ address, name: "EducVesting", discoveredBlock: log.blockNumber });
+        }
+      }
+      pending = created.length > 0 ? await this.getLogs(fromBlock, toBlock, created) : [];
+      logs = logs.concat(pending);
+    }
+
+    const events = [];
+    const blockHashes = new Map();
+    for (const log of logs) {
+      if (log.blockNumber === toBlock && log.blockHash !== header.hash) {
+        throw new Error(`Block ${toBlock} changed while indexing, retrying on the next sync`);
+      }
+
+      const decoded = this.decodeLog(log);
+      if (!decoded) {
+        continue;
+      }
+      blockHashes.set(log.blockNumber, log.blockHash);
+
+      events.push({
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        contractAddress: getAddress(log.address),
+        contractName: namesByAddress.get(getAddress(log.address)),
+        source: decoded.source,
+        eventName: decoded.fragment.name,
+        signature: decoded.fragment.format("sighash"),
+        args: Object.fromEntries(
+          decoded.fragment.inputs.map((input, index) => [input.name || `arg${index}`, serializeValue(decoded.args[index], input)])
+        ),
+        addresses: collectAddresses(decoded.fragment, decoded.args),
+      });
+    }
+
+    const timestamps = new Map();
+    for (const blockNumber of blockHashes.keys()) {
+      const block = blockNumber === toBlock ? header : await this.provider.getBlock(blockNumber);
+      timestamps.set(blockNumber, block.timestamp);
+    }
+    for (const event of events) {
+      event.blockTimestamp = timestamps.get(event.blockNumber);
+    }
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    for (let number = Math.max(fromBlock, head - this.reorgDepth); number < toBlock; number++) {
+      if (!blockHashes.has(number)) {
+        const block = await this.provider.getBlock(number);
+        if (!block) {
+          throw new Error(`Block ${number} changed while indexing, retrying on the next sync`);
+        }
+        blockHashes.set(number, block.hash);
+      }
+    }
+
+    this.store.commitRange({
+      chainId: this.chainId,
+      toBlock,
+      toBlockHash: header.hash,
+      blocks: Array.from(blockHashes, ([number, hash]) => ({ number, hash })),
+      events,
+      contracts: discovered,
+      pruneBefore: toBlock - this.reorgDepth,
+    });
+
+    if (events.length > 0 || discovered.length > 0) {
+      this.log(
+        `Indexed blocks ${fromBlock}-${toBlock}: ${events.length} events` +
+          (discovered.length > 0 ? `, ${discovered.length} new vesting contracts` : "")
+      );
+    }
+    return events.length;
+  }
+
+  async getLogs(fromBlock, toBlock, addresses) {
+    if (addresses.length === 0) {
+      return [];
+    }
+    return this.provider.getLogs({ address: addresses, fromBlock, toBlock });
+  }
+
+  /**
+   * @dev Decodes a log against the event sources
+   * @return object|null { source, fragment, args }, or null for events that are not indexed
+   */
+  decodeLog(log) {
+    for (const candidate of this.fragmentsByTopic.get(log.topics[0]) || []) {
+      try {
+        const args = candidate.iface.decodeEventLog(candidate.fragment, log.data, log.topics);
+        return { source: candidate.source, fragment: candidate.fragment, args };
+      } catch (error) {
+        // Indexed parameters differ, try the next candidate
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  EVENT_SOURCES,
+  EventIndexer,
+  loadEventSources,
+};
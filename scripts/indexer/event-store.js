@@ -0,0 +1,294 @@
+const Database = require("better-sqlite3");
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sync_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    chain_id TEXT NOT NULL,
+    last_block INTEGER NOT NULL,
+    last_block_hash TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  -- Hashes of recently indexed blocks, used to find the common ancestor after a reorg
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS contracts (
+    address TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    discovered_block INTEGER
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    block_timestamp INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    contract_address TEXT NOT NULL,
+    contract_name TEXT NOT NULL,
+    source TEXT NOT NULL,
+    event_name TEXT NOT NULL,
+    signature TEXT NOT NULL,
+    args TEXT NOT NULL,
+    UNIQUE (transaction_hash, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_block_idx ON events (block_number);
+  CREATE INDEX IF NOT EXISTS events_name_idx ON events (event_name, block_number);
+  CREATE INDEX IF NOT EXISTS events_contract_idx ON events (contract_address, block_number);
+
+  -- Every address argument of an event, so events can be looked up by account
+  CREATE TABLE IF NOT EXISTS event_addresses (
+    event_id INTEGER NOT NULL REFERENCES events (id) ON DELETE CASCADE,
+    arg TEXT NOT NULL,
+    address TEXT NOT NULL
+  );
+
+  CREATE INDEX IF NOT EXISTS event_addresses_address_idx ON event_addresses (address, event_id);
+  CREATE INDEX IF NOT EXISTS event_addresses_event_idx ON event_addresses (event_id);
+`;
+
+function toEventRow(row) {
+  return {
+    id: row.id,
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    blockTimestamp: row.block_timestamp,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index,
+    contractAddress: row.contract_address,
+    contractName: row.contract_name,
+    source: row.source,
+    eventName: row.event_name,
+    signature: row.signature,
+    args: JSON.parse(row.args),
+  };
+}
+
+/**
+ * @dev SQLite store for indexed events. Addresses are stored checksummed and
+ * argument values as JSON with integers as decimal strings.
+ */
+class EventStore {
+  /**
+   * @param filename Database file, or ":memory:"
+   */
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("foreign_keys = ON");
+
+    const version = this.db.pragma("user_version", { simple: true });
+    if (version !== 0 && version !== SCHEMA_VERSION) {
+      throw new Error(`Database ${filename} has schema version ${version}, expected ${SCHEMA_VERSION}`);
+    }
+    this.db.exec(SCHEMA);
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+    this.statements = {
+      getState: this.db.prepare("SELECT * FROM sync_state WHERE id = 1"),
+      setState: this.db.prepare(`
+        INSERT INTO sync_state (id, chain_id, last_block, last_block_hash, updated_at)
+        VALUES (1, @chainId, @lastBlock, @lastBlockHash, @updatedAt)
+        ON CONFLICT (id) DO UPDATE SET
+          chain_id = excluded.chain_id,
+          last_block = excluded.last_block,
+          last_block_hash = excluded.last_block_hash,
+          updated_at = excluded.updated_at
+      `),
+      insertBlock: this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)"),
+      recentBlocks: this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC"),
+      pruneBlocks: this.db.prepare("DELETE FROM blocks WHERE number < ?"),
+      insertContract: this.db.prepare(
+        "INSERT OR IGNORE INTO contracts (address, name, discovered_block) VALUES (@address, @name, @discoveredBlock)"
+      ),
+      getContracts: this.db.prepare("SELECT address, name, discovered_block FROM contracts ORDER BY address"),
+      insertEvent: this.db.prepare(`
+        INSERT OR IGNORE INTO events (
+          block_number, block_hash, block_timestamp, transaction_hash, log_index,
+          contract_address, contract_name, source, event_name, signature, args
+        ) VALUES (
+          @blockNumber, @blockHash, @blockTimestamp, @transactionHash, @logIndex,
+          @contractAddress, @contractName, @source, @eventName, @signature, @args
+        )
+      `),
+      insertEventAddress: this.db.prepare("INSERT INTO event_addresses (event_id, arg, address) VALUES (?, ?, ?)"),
+      deleteEventsAfter: this.db.prepare("DELETE FROM events WHERE block_number > ?"),
+      deleteBlocksAfter: this.db.prepare("DELETE FROM blocks WHERE number > ?"),
+      deleteContractsAfter: this.db.prepare("DELETE FROM contracts WHERE discovered_block > ?"),
+      countEvents: this.db.prepare("SELECT COUNT(*) AS count FROM events"),
+    };
+  }
+
+  /**
+   * @dev Gets the sync state
+   * @return object|null { chainId, lastBlock, lastBlockHash }, or null before the first sync
+   */
+  getState() {
+    const row = this.statements.getState.get();
+    return row ? { chainId: row.chain_id, lastBlock: row.last_block, lastBlockHash: row.last_block_hash } : null;
+  }
+
+  /**
+   * @dev Gets the tracked contracts
+   * @return Array Contracts as { address, name, discoveredBlock }
+   */
+  getContracts() {
+    return this.statements.getContracts.all().map((row) => ({
+      address: row.address,
+      name: row.name,
+      discoveredBlock: row.discovered_block,
+    }));
+  }
+
+  /**
+   * @dev Adds contracts to track. Contracts already tracked are left unchanged.
+   * @param contracts Contracts as { address, name, discoveredBlock }, discoveredBlock
+   * being null for contracts that are not found through events
+   */
+  addContracts(contracts) {
+    this.db.transaction(() => {
+      for (const { address, name, discoveredBlock = null } of contracts) {
+        this.statements.insertContract.run({ address, name, discoveredBlock });
+      }
+    })();
+  }
+
+  /**
+   * @dev Gets the stored block hashes, newest first
+   */
+  getRecentBlocks() {
+    return this.statements.recentBlocks.all();
+  }
+
+  /**
+   * @dev Stores the events of an indexed block range and advances the sync state, atomically
+   * @param range { chainId, toBlock, toBlockHash, blocks: [{ number, hash }], events, contracts, pruneBefore }
+   */
+  commitRange({ chainId, toBlock, toBlockHash, blocks, events, contracts = [], pruneBefore = 0 }) {
+    this.db.transaction(() => {
+      for (const contract of contracts) {
+        this.statements.insertContract.run({ discoveredBlock: null, ...contract });
+      }
+
+      for (const event of events) {
+        const { changes, lastInsertRowid } = this.statements.insertEvent.run({
+          ...event,
+          args: JSON.stringify(event.args),
+        });
+        if (changes === 0) {
+          continue;
+        }
+        for (const { arg, address } of event.addresses) {
+          this.statements.insertEventAddress.run(lastInsertRowid, arg, address);
+        }
+      }
+
+      for (const { number, hash } of blocks) {
+        this.statements.insertBlock.run(number, hash);
+      }
+      this.statements.insertBlock.run(toBlock, toBlockHash);
+      this.statements.pruneBlocks.run(pruneBefore);
+
+      this.statements.setState.run({
+        chainId,
+        lastBlock: toBlock,
+        lastBlockHash: toBlockHash,
+        updatedAt: new Date().toISOString(),
+      });
+    })();
+  }
+
+  /**
+   * @dev Removes everything indexed after a block and moves the sync state back to it
+   * @param chainId Chain ID
+   * @param blockNumber Last block to keep
+   * @param blockHash Hash of that block
+   * @return number The number of events removed
+   */
+  rollback(chainId, blockNumber, blockHash) {
+    return this.db.transaction(() => {
+      const { changes } = this.statements.deleteEventsAfter.run(blockNumber);
+      this.statements.deleteBlocksAfter.run(blockNumber);
+      this.statements.deleteContractsAfter.run(blockNumber);
+      this.statements.setState.run({
+        chainId,
+        lastBlock: blockNumber,
+        lastBlockHash: blockHash,
+        updatedAt: new Date().toISOString(),
+      });
+      return changes;
+    })();
+  }
+
+  /**
+   * @dev Queries events, oldest first
+   * @param filter Optional eventName (a name or an array of names), contractName,
+   * contractAddress, address (any address argument), fromBlock, toBlock, limit (null for
+   * no limit) and offset
+   * @return Array The events
+   */
+  getEvents({ eventName, contractName, contractAddress, address, fromBlock, toBlock, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (Array.isArray(eventName)) {
+      const names = eventName.map((name, index) => {
+        params[`eventName${index}`] = name;
+        return `@eventName${index}`;
+      });
+      conditions.push(names.length > 0 ? `e.event_name IN (${names.join(", ")})` : "0");
+    } else if (eventName !== undefined) {
+      conditions.push("e.event_name = @eventName");
+      params.eventName = eventName;
+    }
+    if (contractName !== undefined) {
+      conditions.push("e.contract_name = @contractName");
+      params.contractName = contractName;
+    }
+    if (contractAddress !== undefined) {
+      conditions.push("e.contract_address = @contractAddress");
+      params.contractAddress = contractAddress;
+    }
+    if (address !== undefined) {
+      conditions.push("e.id IN (SELECT event_id FROM event_addresses WHERE address = @address)");
+      params.address = address;
+    }
+    if (fromBlock !== undefined) {
+      conditions.push("e.block_number >= @fromBlock");
+      params.fromBlock = fromBlock;
+    }
+    if (toBlock !== undefined) {
+      conditions.push("e.block_number <= @toBlock");
+      params.toBlock = toBlock;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const rows = this.db
+      .prepare(`SELECT e.* FROM events e ${where} ORDER BY e.block_number, e.log_index LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: limit === null ? -1 : limit, offset });
+    return rows.map(toEventRow);
+  }
+
+  /**
+   * @dev Counts the stored events
+   */
+  countEvents() {
+    return this.statements.countEvents.get().count;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = {
+  EventStore,
+  SCHEMA_VERSION,
+};
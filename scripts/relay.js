@@ -0,0 +1,110 @@
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./utils/deployment-manifest");
+const { Relayer, DEFAULT_QUOTA, DEFAULT_MAX_GAS } = require("./relayer/relayer");
+const { createRelayerServer } = require("./relayer/server");
+
+const DEFAULT_PORT = 4100;
+
+// Methods relayed for students by default
+const TOKEN_METHODS = ["transfer", "approve", "burn", "delegate"];
+const STUDENT_METHODS = ["recordTokenUsage"];
+const VESTING_METHODS = ["release"];
+
+/**
+ * @dev Parses RELAYER_QUOTA_OVERRIDES, "address=limit" pairs separated by commas
+ */
+function parseQuotaOverrides(value) {
+  const quotas = {};
+  for (const entry of (value || "").split(",").map((part) => part.trim()).filter(Boolean)) {
+    const [address, limit] = entry.split("=");
+    if (!ethers.isAddress(address) || !/^\d+$/.test(limit || "")) {
+      throw new Error(`Invalid quota override ${entry}, expected address=limit`);
+    }
+    quotas[address] = Number(limit);
+  }
+  return quotas;
+}
+
+async function main() {
+  console.log("Starting relayer...");
+
+  const manifest = loadManifest();
+  if (!manifest) {
+    console.error(`No deployment manifest for network ${network.name}, deploy first`);
+    process.exit(1);
+  }
+
+  const address = (name) => manifest.contracts[name]?.address;
+  for (const name of ["EducForwarder", "EducToken", "EducStudent"]) {
+    if (!address(name)) {
+      console.error(`${name} not found in the deployment manifest`);
+      process.exit(1);
+    }
+  }
+
+  const port = Number(process.env.RELAYER_PORT || DEFAULT_PORT);
+  const quota = {
+    limit: Number(process.env.RELAYER_QUOTA || DEFAULT_QUOTA.limit),
+    window: Number(process.env.RELAYER_QUOTA_WINDOW || DEFAULT_QUOTA.window),
+  };
+  const quotas = parseQuotaOverrides(process.env.RELAYER_QUOTA_OVERRIDES);
+  const maxGas = BigInt(process.env.RELAYER_MAX_GAS || DEFAULT_MAX_GAS);
+  // Vesting clones are created per beneficiary, so their addresses are configured
+  const vestingAddresses = (process.env.RELAYER_VESTING || "").split(",").map((part) => part.trim()).filter(Boolean);
+
+  // The first account pays for the relayed transactions
+  const [relayerAccount] = await ethers.getSigners();
+  const forwarder = await ethers.getContractAt("EducForwarder", address("EducForwarder"), relayerAccount);
+
+  const targets = [
+    { name: "EducToken", contract: await ethers.getContractAt("EducToken", address("EducToken")), methods: TOKEN_METHODS },
+    {
+      name: "EducStudent",
+      contract: await ethers.getContractAt("EducStudent", address("EducStudent")),
+      methods: STUDENT_METHODS,
+    },
+  ];
+  for (const vestingAddress of vestingAddresses) {
+    targets.push({
+      name: "EducVestingCloneable",
+      contract: await ethers.getContractAt("EducVestingCloneable", vestingAddress),
+      methods: VESTING_METHODS,
+    });
+  }
+
+  for (const target of targets) {
+    if (!(await target.contract.isTrustedForwarder(forwarder.target))) {
+      console.warn(`Warning: ${target.name} at ${target.contract.target} does not trust the forwarder, its requests will be rejected`);
+    }
+  }
+
+  const relayer = new Relayer({ forwarder, targets, quota, quotas, maxGas });
+  const server = createRelayerServer(relayer);
+  await new Promise((resolve) => server.listen(port, resolve));
+
+  console.log(`Network: ${network.name}`);
+  console.log(`Relayer account: ${relayerAccount.address}`);
+  console.log(`Forwarder: ${forwarder.target}`);
+  console.log(`Quota: ${quota.limit} calls per ${quota.window}s`);
+  for (const target of relayer.getAllowlist()) {
+    console.log(`Relaying ${target.name} (${target.address}): ${target.methods.join(", ")}`);
+  }
+  console.log(`Relayer listening on http://localhost:${port}/relay`);
+
+  const stop = () => {
+    console.log("Stopping...");
+    server.close();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  await new Promise((resolve) => server.on("close", resolve));
+  console.log("Relayer stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,248 @@
+const { concat, getAddress, isAddress, isHexString } = require("ethers");
+const { translateError } = require("../../sdk/src/errors");
+
+// Relayed calls per student and window, unless overridden per student
+const DEFAULT_QUOTA = { limit: 20, window: 24 * 60 * 60 };
+// Highest gas a request may forward to its target
+const DEFAULT_MAX_GAS = 500000n;
+
+/**
+ * @dev A rejected relay request. `status` is the HTTP status the server answers with and
+ * `code` a stable UPPER_SNAKE_CASE code.
+ */
+class RelayerError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "RelayerError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * @dev Submits signed ERC-2771 requests to EducForwarder, paying their gas. Only the
+ * allowlisted methods of the allowlisted targets are relayed, and every student may have
+ * `quota.limit` calls relayed per `quota.window` seconds.
+ */
+class Relayer {
+  /**
+   * @param forwarder EducForwarder, connected to the signer paying for the transactions
+   * @param targets Allowlist as [{ name, contract, methods }]: `contract` is an ethers
+   * Contract and `methods` lists function names, or full signatures to allow a single overload
+   * @param quota { limit, window } applied to every student
+   * @param quotas Limits overriding `quota.limit`, keyed by student address
+   * @param maxGas Highest gas a request may forward
+   * @param now Clock in seconds, used for the quota windows
+   */
+  constructor({
+    forwarder,
+    targets = [],
+    quota = DEFAULT_QUOTA,
+    quotas = {},
+    maxGas = DEFAULT_MAX_GAS,
+    now = () => Math.floor(Date.now() / 1000),
+  }) {
+    this.forwarder = forwarder;
+    this.provider = forwarder.runner.provider;
+    this.quota = { ...DEFAULT_QUOTA, ...quota };
+    this.quotas = new Map(Object.entries(quotas).map(([address, limit]) => [getAddress(address), Number(limit)]));
+    this.maxGas = BigInt(maxGas);
+    this.now = now;
+
+    this.targets = new Map();
+    this.usage = new Map();
+    // Relays are sent one at a time, so quotas and the relayer nonce stay consistent
+    this.queue = Promise.resolve();
+
+    for (const target of targets) {
+      this.allow(target);
+    }
+  }
+
+  /**
+   * @dev Adds a target to the allowlist
+   * @param target { name, contract, methods }, see the constructor
+   */
+  allow({ name, contract, methods }) {
+    const address = getAddress(contract.target);
+    const selectors = new Set();
+    for (const method of methods) {
+      const fragments = method.includes("(")
+        ? [contract.interface.getFunction(method)]
+        : contract.interface.fragments.filter((fragment) => fragment.type === "function" && fragment.name === method);
+      if (fragments.length === 0 || !fragments[0]) {
+        throw new Error(`${name} has no function ${method}`);
+      }
+      fragments.forEach((fragment) => selectors.add(fragment.selector));
+    }
+    this.targets.set(address, { name, address, contract, selectors });
+  }
+
+  /**
+   * @dev Lists the allowlist
+   * @return Array [{ name, address, methods }] with the allowed function signatures
+   */
+  getAllowlist() {
+    return Array.from(this.targets.values()).map((target) => ({
+      name: target.name,
+      address: target.address,
+      methods: Array.from(target.selectors).map((selector) => target.contract.interface.getFunction(selector).format()),
+    }));
+  }
+
+  /**
+   * @dev Reads the quota of a student
+   * @param address Student address
+   * @return object { limit, used, remaining, window, resetsAt }; resetsAt is when the
+   * oldest call in the window stops counting, or null when none does
+   */
+  getQuota(address) {
+    const student = getAddress(address);
+    const limit = this.quotas.has(student) ? this.quotas.get(student) : this.quota.limit;
+    const calls = this._recentCalls(student);
+    return {
+      limit,
+      used: calls.length,
+      remaining: Math.max(limit - calls.length, 0),
+      window: this.quota.window,
+      resetsAt: calls.length > 0 ? calls[0] + this.quota.window : null,
+    };
+  }
+
+  /**
+   * @dev Checks, simulates and submits a signed request
+   * @param input ForwardRequestData { from, to, value, gas, deadline, data, signature };
+   * numbers may be given as decimal strings
+   * @return object { hash, blockNumber, from, to, target, method } of the relayed transaction
+   */
+  relay(input) {
+    const result = this.queue.then(() => this._relay(input));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async _relay(input) {
+    const request = parseRequest(input);
+
+    if (request.value !== 0n) {
+      throw new RelayerError(400, "VALUE_NOT_ALLOWED", "Requests cannot forward ETH");
+    }
+    if (request.gas > this.maxGas) {
+      throw new RelayerError(400, "GAS_TOO_HIGH", `Requests may forward at most ${this.maxGas} gas`);
+    }
+
+    const target = this.targets.get(request.to);
+    if (!target) {
+      throw new RelayerError(403, "TARGET_NOT_ALLOWED", `${request.to} is not relayed`);
+    }
+    const selector = request.data.slice(0, 10);
+    if (request.data.length < 10 || !target.selectors.has(selector)) {
+      throw new RelayerError(403, "METHOD_NOT_ALLOWED", `Method ${selector} of ${target.name} is not relayed`);
+    }
+    const method = target.contract.interface.getFunction(selector).format();
+
+    const quota = this.getQuota(request.from);
+    if (quota.remaining === 0) {
+      throw new RelayerError(429, "QUOTA_EXCEEDED", `Quota of ${quota.limit} calls per ${quota.window}s used up`);
+    }
+
+    const block = await this.provider.getBlock("latest");
+    if (request.deadline < BigInt(block.timestamp)) {
+      throw new RelayerError(400, "REQUEST_EXPIRED", "Request deadline has passed");
+    }
+    if (!(await this.forwarder.verify(request))) {
+      throw new RelayerError(401, "INVALID_SIGNATURE", "Invalid signature or nonce");
+    }
+
+    await this._simulate(request, target);
+
+    const tx = await this.forwarder.execute(request);
+    this._recentCalls(request.from).push(this.now());
+    const receipt = await tx.wait();
+
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      from: request.from,
+      to: request.to,
+      target: target.name,
+      method,
+    };
+  }
+
+  /**
+   * @dev Runs the forwarded call as the forwarder would, so reverts are reported with
+   * their reason instead of paying for a failed transaction
+   */
+  async _simulate(request, target) {
+    try {
+      await this.provider.call({
+        from: this.forwarder.target,
+        to: request.to,
+        data: concat([request.data, request.from]),
+        gasLimit: request.gas,
+      });
+    } catch (error) {
+      const translated = translateError(error, target.contract.interface, target.name);
+      throw new RelayerError(422, "CALL_REVERTED", translated.message);
+    }
+  }
+
+  /**
+   * @dev Timestamps of the calls of a student still inside the quota window, oldest first
+   */
+  _recentCalls(student) {
+    const since = this.now() - this.quota.window;
+    const calls = (this.usage.get(student) || []).filter((timestamp) => timestamp > since);
+    this.usage.set(student, calls);
+    return calls;
+  }
+}
+
+/**
+ * @dev Validates a request as received over JSON and converts it to ForwardRequestData
+ */
+function parseRequest(input) {
+  if (!input || typeof input !== "object") {
+    throw new RelayerError(400, "INVALID_REQUEST", "Request must be an object");
+  }
+  for (const field of ["from", "to"]) {
+    if (!isAddress(input[field])) {
+      throw new RelayerError(400, "INVALID_REQUEST", `Invalid ${field} address`);
+    }
+  }
+  for (const field of ["data", "signature"]) {
+    if (!isHexString(input[field])) {
+      throw new RelayerError(400, "INVALID_REQUEST", `Invalid ${field}, expected hex`);
+    }
+  }
+
+  const numbers = {};
+  for (const field of ["value", "gas", "deadline"]) {
+    try {
+      numbers[field] = BigInt(input[field] ?? (field === "value" ? 0 : undefined));
+    } catch (error) {
+      throw new RelayerError(400, "INVALID_REQUEST", `Invalid ${field}`);
+    }
+    if (numbers[field] < 0n) {
+      throw new RelayerError(400, "INVALID_REQUEST", `Invalid ${field}`);
+    }
+  }
+
+  return {
+    from: getAddress(input.from),
+    to: getAddress(input.to),
+    value: numbers.value,
+    gas: numbers.gas,
+    deadline: numbers.deadline,
+    data: input.data.toLowerCase(),
+    signature: input.signature,
+  };
+}
+
+module.exports = {
+  Relayer,
+  RelayerError,
+  DEFAULT_QUOTA,
+  DEFAULT_MAX_GAS,
+};
@@ -0,0 +1,98 @@
+const http = require("http");
+const { isAddress } = require("ethers");
+const { RelayerError } = require("./relayer");
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+function sendJson(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  response.end(JSON.stringify(body));
+}
+
+function sendError(response, status, code, message) {
+  sendJson(response, status, { error: { code, message } });
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * @dev Creates the HTTP server of a relayer:
+ * POST /relay with a signed request as JSON body, GET /quota/<address> and GET /allowlist.
+ * Rejections are answered as { error: { code, message } }.
+ * @param relayer Relayer
+ * @return http.Server The server, not yet listening
+ */
+function createRelayerServer(relayer) {
+  return http.createServer(async (request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const [resource, address] = url.pathname.split("/").filter(Boolean);
+
+    if (request.method === "OPTIONS") {
+      sendJson(response, 204, null);
+      return;
+    }
+
+    if (request.method === "GET" && resource === "allowlist" && !address) {
+      sendJson(response, 200, relayer.getAllowlist());
+      return;
+    }
+
+    if (request.method === "GET" && resource === "quota") {
+      if (!isAddress(address)) {
+        sendError(response, 400, "INVALID_ADDRESS", "Use /quota/<address>");
+        return;
+      }
+      sendJson(response, 200, relayer.getQuota(address));
+      return;
+    }
+
+    if (resource !== "relay" || address) {
+      sendError(response, 404, "NOT_FOUND", "Not found, use /relay, /quota/<address> or /allowlist");
+      return;
+    }
+    if (request.method !== "POST") {
+      sendError(response, 405, "METHOD_NOT_ALLOWED", `Method ${request.method} not allowed`);
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(request));
+    } catch (error) {
+      sendError(response, 400, "INVALID_REQUEST", `Invalid request: ${error.message}`);
+      return;
+    }
+
+    try {
+      sendJson(response, 200, await relayer.relay(body));
+    } catch (error) {
+      if (error instanceof RelayerError) {
+        sendError(response, error.status, error.code, error.message);
+      } else {
+        sendError(response, 502, "RELAY_FAILED", error.shortMessage || error.message);
+      }
+    }
+  });
+}
+
+module.exports = {
+  createRelayerServer,
+};
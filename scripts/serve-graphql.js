@@ -0,0 +1,102 @@
+const { ethers, artifacts, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadManifest, DEPLOYMENTS_DIR } = require("./utils/deployment-manifest");
+const { EventStore } = require("./indexer/event-store");
+const { EventIndexer, loadEventSources } = require("./indexer/event-indexer");
+const { createGraphQLServer } = require("./graphql/server");
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_POLL_INTERVAL = 2000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function main() {
+  console.log("Starting GraphQL API...");
+
+  const manifest = loadManifest();
+  if (!manifest) {
+    console.error(`No deployment manifest for network ${network.name}, deploy first`);
+    process.exit(1);
+  }
+
+  const dbPath = process.env.INDEXER_DB || path.join(DEPLOYMENTS_DIR, `${network.name}.events.sqlite`);
+  const port = Number(process.env.GRAPHQL_PORT || DEFAULT_PORT);
+  const pollInterval = Number(process.env.INDEXER_POLL_INTERVAL || DEFAULT_POLL_INTERVAL);
+  // Set to false when scripts/index-events.js already keeps the database up to date
+  const runIndexer = process.env.GRAPHQL_RUN_INDEXER !== "false";
+
+  const address = (name) => manifest.contracts[name]?.address;
+  for (const name of ["EducCourse", "EducStudent", "EducEducator", "EducProposal"]) {
+    if (!address(name)) {
+      console.error(`${name} not found in the deployment manifest`);
+      process.exit(1);
+    }
+  }
+
+  // Contracts for the fields the events do not carry
+  const vestingArtifact = await artifacts.readArtifact("EducVestingCloneable");
+  const chain = {
+    provider: ethers.provider,
+    course: await ethers.getContractAt("EducCourse", address("EducCourse")),
+    student: await ethers.getContractAt("EducStudent", address("EducStudent")),
+    educator: await ethers.getContractAt("EducEducator", address("EducEducator")),
+    proposal: await ethers.getContractAt("EducProposal", address("EducProposal")),
+    vestingCloneable: (vestingAddress) => new ethers.Contract(vestingAddress, vestingArtifact.abi, ethers.provider),
+  };
+
+  fs.mkdirSync(path.dirname(path.resolve(dbPath)), { recursive: true });
+  const store = new EventStore(dbPath);
+
+  const server = createGraphQLServer(store, chain);
+  await new Promise((resolve) => server.listen(port, resolve));
+
+  console.log(`Network: ${network.name}`);
+  console.log(`Database: ${path.resolve(dbPath)}`);
+  console.log(`GraphQL API listening on http://localhost:${port}/graphql`);
+
+  let stopping = false;
+  const stop = () => {
+    console.log("Stopping...");
+    stopping = true;
+    server.close();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  if (!runIndexer) {
+    await new Promise((resolve) => server.on("close", resolve));
+  } else {
+    const deploymentBlocks = Object.values(manifest.contracts)
+      .map((entry) => entry.blockNumber)
+      .filter((blockNumber) => blockNumber !== undefined && blockNumber !== null);
+
+    const indexer = new EventIndexer({
+      provider: ethers.provider,
+      store,
+      sources: await loadEventSources(artifacts),
+      contracts: Object.entries(manifest.contracts).map(([name, entry]) => ({ name, address: entry.address })),
+      startBlock: deploymentBlocks.length > 0 ? Math.min(...deploymentBlocks) : 0,
+      log: (message) => console.log(message),
+    });
+
+    while (!stopping) {
+      try {
+        await indexer.sync();
+      } catch (error) {
+        console.error(`Sync failed: ${error.message}`);
+      }
+      await sleep(pollInterval);
+    }
+  }
+
+  store.close();
+  console.log("GraphQL API stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,18 @@
 const { ethers, upgrades } = require("hardhat");
+const { loadManifest, saveManifest } = require("./utils/deployment-manifest");
+
+// ERC-7201 storage slot of the OpenZeppelin Initializable state
+const INITIALIZABLE_STORAGE = "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+// Version set by the newest reinitializer of EducTokenUpgradeable
+const LATEST_INITIALIZED_VERSION = 3n;
+
+/**
+ * @dev Reads the uint64 initialized version of a proxy
+ */
+async function getInitializedVersion(proxyAddress) {
+  const slot = await ethers.provider.getStorage(proxyAddress, INITIALIZABLE_STORAGE);
+  return BigInt(slot) & 0xffffffffffffffffn;
+}
 
 async function main() {
   console.log("Preparing to upgrade EducTokenUpgradeable...");
@@ -21,12 +35,37 @@ async function main() {
   console.log("Deploying new implementation...");
   const EducTokenUpgradeableV2 = await ethers.getContractFactory("EducTokenUpgradeable");
   
+  // Proxies deployed before vote checkpoints (version 2) or permits (version 3) are
+  // upgraded with a call to initializePermit, which enables both
+  const initializedVersion = await getInitializedVersion(proxyAddress);
+  const needsPermit = initializedVersion < LATEST_INITIALIZED_VERSION;
+  if (needsPermit) {
+    console.log(`Proxy is at initialized version ${initializedVersion}, initializePermit will be called`);
+  }
+
   console.log("Upgrading proxy...");
-  const upgraded = await upgrades.upgradeProxy(proxyAddress, EducTokenUpgradeableV2);
-  await upgraded.deployTransaction.wait();
+  const upgraded = await upgrades.upgradeProxy(
+    proxyAddress,
+    EducTokenUpgradeableV2,
+    needsPermit ? { call: "initializePermit" } : {}
+  );
+  await upgraded.waitForDeployment();
 
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
   console.log("Upgrade complete!");
-  console.log(`New implementation address: ${await upgrades.erc1967.getImplementationAddress(proxyAddress)}`);
+  console.log(`New implementation address: ${implementationAddress}`);
+
+  // Keep the deployment manifest in sync so verify-proxy.js picks up the new implementation
+  const manifest = loadManifest();
+  const entry = manifest && Object.values(manifest.contracts).find(
+    (contract) => contract.proxy && contract.address.toLowerCase() === proxyAddress.toLowerCase()
+  );
+  if (entry) {
+    entry.implementation = implementationAddress;
+    delete entry.verification;
+    saveManifest(manifest);
+    console.log("Deployment manifest updated");
+  }
 }
 
 main()
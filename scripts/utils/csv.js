@@ -0,0 +1,79 @@
+/**
+ * @dev Parses CSV text into records keyed by the lowercased header names.
+ * Supports quoted fields containing commas, quotes ("") and line breaks.
+ * @param text CSV content
+ * @return Array Records as { line, values } where line is the 1-based line the record starts on
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const content = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  const nonEmpty = rows.filter(({ cells }) => cells.some((cell) => cell.trim() !== ""));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const [header, ...records] = nonEmpty;
+  const columns = header.cells.map((cell) => cell.trim().toLowerCase());
+
+  return records.map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? "").trim()])),
+  }));
+}
+
+module.exports = {
+  parseCsv,
+};
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const hre = require("hardhat");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+const IGNITION_DEPLOYMENTS_DIR = path.join(__dirname, "../../ignition/deployments");
+
+function getManifestPath(networkName = hre.network.name) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+// Directory Hardhat Ignition deploys to when no deployment id is given
+function getIgnitionDeploymentDir(chainId) {
+  return path.join(IGNITION_DEPLOYMENTS_DIR, `chain-${chainId}`);
+}
+
+function getGitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function serialize(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value && typeof value === "object" && value.target) {
+    return value.target;
+  }
+  return value;
+}
+
+/**
+ * @dev Loads the deployment manifest of a network
+ * @param networkName Network name (defaults to the current Hardhat network)
+ * @return object|null The manifest, or null if the network has no deployments
+ */
+function loadManifest(networkName = hre.network.name) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * @dev Reads a Hardhat Ignition deployment as a deployment manifest. Entries are named after
+ * the contract of their future (e.g. "EducLearningSystemModule#EducLearning" becomes
+ * "EducLearning"), or keep the full future id when two modules deploy the same contract.
+ * The source of each contract comes from the deployment's artifacts, and the deployment
+ * block and transaction from its journal.
+ * @param deploymentDir Ignition deployment directory (holding deployed_addresses.json)
+ * @param networkName Network name recorded in the manifest
+ * @return object|null The manifest, or null if the directory has no deployed addresses
+ */
+function loadIgnitionManifest(deploymentDir, networkName = hre.network.name) {
+  const addressesPath = path.join(deploymentDir, "deployed_addresses.json");
+  if (!fs.existsSync(addressesPath)) {
+    return null;
+  }
+  const addresses = JSON.parse(fs.readFileSync(addressesPath, "utf8"));
+
+  // Confirmed deployment transactions, by future id
+  const receipts = {};
+  const journalPath = path.join(deploymentDir, "journal.jsonl");
+  if (fs.existsSync(journalPath)) {
+    for (const line of fs.readFileSync(journalPath, "utf8").split("\n")) {
+      if (line.trim() === "") {
+        continue;
+      }
+      const message = JSON.parse(line);
+      if (message.type === "TRANSACTION_CONFIRM" && message.receipt.contractAddress) {
+        receipts[message.futureId] = { txHash: message.hash, blockNumber: message.receipt.blockNumber };
+      }
+    }
+  }
+
+  const localIds = Object.keys(addresses).map((futureId) => futureId.split("#")[1]);
+  const contracts = {};
+  for (const [futureId, address] of Object.entries(addresses)) {
+    const localId = futureId.split("#")[1];
+    const name = localIds.filter((id) => id === localId).length > 1 ? futureId : localId;
+    const artifact = JSON.parse(fs.readFileSync(path.join(deploymentDir, "artifacts", `${futureId}.json`), "utf8"));
+
+    contracts[name] = {
+      contract: `${artifact.sourceName}:${artifact.contractName}`,
+      address,
+      futureId,
+      txHash: receipts[futureId]?.txHash ?? null,
+      blockNumber: receipts[futureId]?.blockNumber ?? null,
+    };
+  }
+
+  return { network: networkName, ignitionDeployment: path.resolve(deploymentDir), contracts };
+}
+
+/**
+ * @dev Opens the manifest of the current network for a new deployment run.
+ * Entries from previous runs are kept and overwritten by name as contracts are redeployed.
+ * @param deployer Address of the deploying account
+ * @return object The manifest
+ */
+async function createManifest(deployer) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const existing = loadManifest() || { contracts: {} };
+
+  return {
+    ...existing,
+    network: hre.network.name,
+    chainId: chainId.toString(),
+    deployer,
+    gitCommit: getGitCommit(),
+    contracts: existing.contracts || {},
+  };
+}
+
+/**
+ * @dev Writes the manifest to deployments/<network>.json
+ * @param manifest The manifest
+ * @return string Path of the written file
+ */
+function saveManifest(manifest) {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    fs.mkdirSync(DEPLOYMENTS_DIR);
+  }
+
+  const manifestPath = getManifestPath(manifest.network);
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  return manifestPath;
+}
+
+/**
+ * @dev Records a deployed contract in the manifest and saves it
+ * @param manifest The manifest
+ * @param name Key of the entry (usually the contract name)
+ * @param contract Deployed contract instance (waited for deployment)
+ * @param constructorArgs Constructor arguments used for the deployment
+ * @param artifactName Artifact name when it differs from the entry name
+ */
+async function recordDeployment(manifest, name, contract, constructorArgs = [], artifactName = name) {
+  const artifact = await hre.artifacts.readArtifact(artifactName);
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = deploymentTx ? await deploymentTx.wait() : null;
+
+  manifest.contracts[name] = {
+    contract: `${artifact.sourceName}:${artifact.contractName}`,
+    address: contract.target,
+    constructorArgs: serialize(constructorArgs),
+    txHash: deploymentTx ? deploymentTx.hash : null,
+    blockNumber: receipt ? receipt.blockNumber : null,
+    deployedAt: new Date().toISOString(),
+  };
+  saveManifest(manifest);
+}
+
+/**
+ * @dev Records a proxy deployed through hardhat-upgrades in the manifest and saves it
+ * @param manifest The manifest
+ * @param name Key of the entry (usually the implementation contract name)
+ * @param proxy Deployed proxy instance (waited for deployment)
+ * @param initializerArgs Arguments passed to the initializer
+ * @param kind Proxy kind ("uups" or "transparent")
+ * @param artifactName Artifact name when it differs from the entry name
+ */
+async function recordProxyDeployment(manifest, name, proxy, initializerArgs = [], kind = "uups", artifactName = name) {
+  await recordDeployment(manifest, name, proxy, [], artifactName);
+
+  manifest.contracts[name] = {
+    ...manifest.contracts[name],
+    constructorArgs: [],
+    proxy: true,
+    kind,
+    initializerArgs: serialize(initializerArgs),
+    implementation: await hre.upgrades.erc1967.getImplementationAddress(proxy.target),
+  };
+  saveManifest(manifest);
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  IGNITION_DEPLOYMENTS_DIR,
+  getManifestPath,
+  getIgnitionDeploymentDir,
+  loadManifest,
+  loadIgnitionManifest,
+  serialize,
+  createManifest,
+  saveManifest,
+  recordDeployment,
+  recordProxyDeployment,
+};
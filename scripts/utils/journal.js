@@ -0,0 +1,112 @@
+const { writeJsonAtomic } = require("./snapshot");
+
+/**
+ * @dev Journals keep one entry per paid item keyed by a stable id. An entry is
+ * written as "submitted" (with tx hash and nonce) before the transaction is
+ * awaited and flipped to "confirmed" once it is mined, so a resumed run can
+ * tell paid, in-flight and unpaid items apart.
+ */
+
+/**
+ * @dev Writes a journal atomically and stamps its update time
+ * @param journalPath Destination path
+ * @param journal The journal
+ */
+function saveJournal(journalPath, journal) {
+  journal.updatedAt = new Date().toISOString();
+  writeJsonAtomic(journalPath, journal);
+}
+
+/**
+ * @dev Settles entries left "submitted" by an interrupted run. A transaction
+ * that is still known to the node is awaited and a reverted one is retried.
+ * One the node no longer knows about is retried as well: the next batch is
+ * sent from the account's pending nonce, so either its nonce was already
+ * consumed by another transaction or the retry reuses it, and at most one of
+ * the two can ever be mined.
+ * @param journal The journal
+ * @param journalPath Path the journal is saved to
+ * @param provider Provider used to look transactions up
+ * @param sender Address that sent the journaled transactions
+ */
+async function reconcileSubmitted(journal, journalPath, provider, sender) {
+  const submitted = Object.entries(journal.entries).filter(([, entry]) => entry.status === "submitted");
+  if (submitted.length === 0) {
+    return;
+  }
+
+  console.log(`Reconciling ${submitted.length} submitted entries from a previous run...`);
+
+  for (const [key, entry] of submitted) {
+    let receipt = await provider.getTransactionReceipt(entry.txHash);
+
+    if (!receipt && (await provider.getTransaction(entry.txHash))) {
+      console.log(`  Waiting for pending transaction ${entry.txHash}...`);
+      receipt = await provider.waitForTransaction(entry.txHash);
+    }
+
+    if (receipt && receipt.status === 1) {
+      journal.entries[key] = { ...entry, status: "confirmed", blockNumber: receipt.blockNumber };
+    } else if (receipt) {
+      console.log(`  Transaction ${entry.txHash} reverted, ${key} will be retried`);
+      delete journal.entries[key];
+    } else {
+      const confirmedNonce = await provider.getTransactionCount(sender, "latest");
+      console.log(
+        `  Transaction ${entry.txHash} (nonce ${entry.nonce}) is unknown to the node ` +
+          `(account nonce ${confirmedNonce}), ${key} will be retried`
+      );
+      delete journal.entries[key];
+    }
+  }
+
+  saveJournal(journalPath, journal);
+}
+
+/**
+ * @dev Takes the next batch from the pending items, bounded both by item
+ * count and by the estimated gas of the batch
+ * @param pending Items still to be sent, in order
+ * @param estimateGas Async function estimating the gas of a candidate batch
+ * @param batchSize Maximum number of items per batch
+ * @param gasLimit Maximum estimated gas per batch
+ * @return object The batch items and their estimated gas
+ */
+async function nextBatch(pending, estimateGas, batchSize, gasLimit) {
+  let size = Math.min(batchSize, pending.length);
+
+  while (size > 0) {
+    const candidate = pending.slice(0, size);
+    const gas = await estimateGas(candidate);
+    if (gas <= gasLimit || size === 1) {
+      return { items: candidate, gas };
+    }
+    size = Math.floor(size / 2);
+  }
+
+  return { items: [], gas: 0n };
+}
+
+/**
+ * @dev Returns the longest prefix of the pending items whose amounts fit in a capacity
+ * @param pending Items still to be sent, in order
+ * @param capacity Amount available
+ * @param amountOf Function returning the amount of an item
+ * @return Array The fitting items
+ */
+function fitWithinCapacity(pending, capacity, amountOf) {
+  let fitting = 0;
+  let total = 0n;
+  while (fitting < pending.length && total + amountOf(pending[fitting]) <= capacity) {
+    total += amountOf(pending[fitting]);
+    fitting++;
+  }
+  return pending.slice(0, fitting);
+}
+
+module.exports = {
+  saveJournal,
+  reconcileSubmitted,
+  nextBatch,
+  fitWithinCapacity,
+};
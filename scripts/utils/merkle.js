@@ -0,0 +1,122 @@
+const fs = require("fs");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+// Leaf encoding expected by EducMigrationClaim
+const MIGRATION_LEAF_ENCODING = ["address", "uint256"];
+
+// Leaf encoding expected by EducRewardDistributor
+const REWARD_LEAF_ENCODING = ["address", "uint256", "string"];
+
+/**
+ * @dev Builds the migration Merkle tree from snapshot holders
+ * @param holders Holder list with address and balance (bigint or decimal string)
+ * @return StandardMerkleTree Tree over (address, uint256) leaves
+ */
+function buildMigrationTree(holders) {
+  const leaves = holders
+    .filter((holder) => BigInt(holder.balance) > 0n)
+    .map((holder) => [holder.address, BigInt(holder.balance).toString()]);
+
+  if (leaves.length === 0) {
+    throw new Error("Cannot build a Merkle tree without holders");
+  }
+
+  return StandardMerkleTree.of(leaves, MIGRATION_LEAF_ENCODING);
+}
+
+/**
+ * @dev Writes the Merkle root and every holder's proof to a JSON file
+ * @param filePath Destination path
+ * @param tree Tree returned by buildMigrationTree
+ * @param metadata Extra fields stored alongside the root (token, snapshot block, ...)
+ * @return object The written proofs document
+ */
+function writeMerkleProofs(filePath, tree, metadata = {}) {
+  const claims = {};
+  let total = 0n;
+
+  for (const [index, [address, amount]] of tree.entries()) {
+    claims[address] = { amount, proof: tree.getProof(index) };
+    total += BigInt(amount);
+  }
+
+  const document = {
+    ...metadata,
+    merkleRoot: tree.root,
+    leafEncoding: MIGRATION_LEAF_ENCODING,
+    total: total.toString(),
+    holders: Object.keys(claims).length,
+    claims,
+  };
+
+  fs.writeFileSync(filePath, JSON.stringify(document, null, 2));
+  return document;
+}
+
+/**
+ * @dev Builds the Merkle tree of a reward epoch. Each student can claim once per epoch,
+ * so a student may appear on a single row only.
+ * @param rewards Reward list with address, amount (bigint or decimal string) and reason
+ * @return StandardMerkleTree Tree over (address, uint256, string) leaves
+ */
+function buildRewardTree(rewards) {
+  if (rewards.length === 0) {
+    throw new Error("Cannot build a Merkle tree without rewards");
+  }
+
+  const seen = new Set();
+  const leaves = rewards.map(({ address, amount, reason }) => {
+    if (seen.has(address.toLowerCase())) {
+      throw new Error(`${address} appears more than once, a student can only claim once per epoch`);
+    }
+    seen.add(address.toLowerCase());
+
+    if (BigInt(amount) <= 0n) {
+      throw new Error(`Reward of ${address} must be positive`);
+    }
+    if (!reason) {
+      throw new Error(`Reward of ${address} needs a reason`);
+    }
+    return [address, BigInt(amount).toString(), reason];
+  });
+
+  return StandardMerkleTree.of(leaves, REWARD_LEAF_ENCODING);
+}
+
+/**
+ * @dev Writes the Merkle root of a reward epoch and every student's claim to a JSON file
+ * @param filePath Destination path
+ * @param tree Tree returned by buildRewardTree
+ * @param metadata Extra fields stored alongside the root (distributor, claim deadline, ...)
+ * @return object The written proofs document
+ */
+function writeRewardProofs(filePath, tree, metadata = {}) {
+  const claims = {};
+  let total = 0n;
+
+  for (const [index, [address, amount, reason]] of tree.entries()) {
+    claims[address] = { amount, reason, proof: tree.getProof(index) };
+    total += BigInt(amount);
+  }
+
+  const document = {
+    ...metadata,
+    merkleRoot: tree.root,
+    leafEncoding: REWARD_LEAF_ENCODING,
+    total: total.toString(),
+    students: Object.keys(claims).length,
+    claims,
+  };
+
+  fs.writeFileSync(filePath, JSON.stringify(document, null, 2));
+  return document;
+}
+
+module.exports = {
+  MIGRATION_LEAF_ENCODING,
+  REWARD_LEAF_ENCODING,
+  buildMigrationTree,
+  writeMerkleProofs,
+  buildRewardTree,
+  writeRewardProofs,
+};
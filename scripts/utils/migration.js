@@ -0,0 +1,126 @@
+const fs = require("fs");
+const { formatEther } = require("ethers");
+const { saveJournal, nextBatch, fitWithinCapacity } = require("./journal");
+
+const MIGRATION_REASON = "Token migration";
+
+/**
+ * @dev Journal layout: one entry per holder keyed by lowercase address,
+ * see utils/journal.js for the entry lifecycle
+ * @param journalPath Path of the journal
+ * @param context Snapshot, token, mode and sender the journal belongs to
+ * @return object The existing journal, or a new one
+ */
+function loadMigrationJournal(journalPath, context) {
+  if (!fs.existsSync(journalPath)) {
+    return { ...context, createdAt: new Date().toISOString(), entries: {} };
+  }
+
+  const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+  if (journal.mode !== context.mode) {
+    throw new Error(`Journal ${journalPath} was created in "${journal.mode}" mode, not "${context.mode}"`);
+  }
+  if (journal.sender.toLowerCase() !== context.sender.toLowerCase()) {
+    throw new Error(`Journal ${journalPath} was created by ${journal.sender}, not ${context.sender}`);
+  }
+  return journal;
+}
+
+/**
+ * @dev Pays every holder that is not in the journal yet, in batches bounded by item count
+ * and estimated gas. Transfer mode sends one transaction per holder and journals each one
+ * as "submitted" right after it is sent, so a run that fails halfway through a batch
+ * never loses track of the transfers it already broadcast. Mint mode sends one
+ * batchMintReward per batch and stops when the daily minting capacity is used up.
+ * @param options token (connected to the sender), provider, sender address, snapshot
+ * holders, journal and journalPath, mode ("transfer" or "mint"), batchSize and batchGasLimit
+ * @return bool True if every holder has been paid
+ */
+async function migrateHolders({ token, provider, sender, holders, journal, journalPath, mode, batchSize, batchGasLimit }) {
+  const pendingHolders = () =>
+    holders.filter((holder) => holder.balance > 0n && !journal.entries[holder.address.toLowerCase()]);
+
+  const estimateGas = async (batch) => {
+    if (mode === "mint") {
+      return token.batchMintReward.estimateGas(
+        batch.map((holder) => holder.address),
+        batch.map((holder) => holder.balance),
+        batch.map(() => MIGRATION_REASON)
+      );
+    }
+    const estimates = await Promise.all(batch.map((holder) => token.transfer.estimateGas(holder.address, holder.balance)));
+    return estimates.reduce((sum, gas) => sum + gas, 0n);
+  };
+
+  let batchNumber = Object.values(journal.entries).reduce((max, entry) => Math.max(max, entry.batch), 0);
+
+  const recordSubmitted = (holder, tx, nonce) => {
+    journal.entries[holder.address.toLowerCase()] = {
+      address: holder.address,
+      amount: holder.balance.toString(),
+      status: "submitted",
+      txHash: tx.hash,
+      nonce,
+      batch: batchNumber,
+    };
+  };
+
+  for (let candidates = pendingHolders(); candidates.length > 0; candidates = pendingHolders()) {
+    if (mode === "mint") {
+      const remaining = await token.getDailyMintingRemaining();
+      const fitting = fitWithinCapacity(candidates, remaining, (holder) => holder.balance);
+      if (fitting.length === 0) {
+        console.log(
+          `Daily minting capacity left (${formatEther(remaining)}) cannot cover the next holder, ` +
+            "re-run the script tomorrow to resume"
+        );
+        return false;
+      }
+      candidates = fitting;
+    }
+
+    const { items: batch, gas } = await nextBatch(candidates, estimateGas, batchSize, batchGasLimit);
+    batchNumber++;
+    console.log(`Batch ${batchNumber}: ${batch.length} holders, estimated gas ${gas}`);
+
+    let nonce = await provider.getTransactionCount(sender, "pending");
+    const sent = [];
+
+    if (mode === "mint") {
+      const tx = await token.batchMintReward(
+        batch.map((holder) => holder.address),
+        batch.map((holder) => holder.balance),
+        batch.map(() => MIGRATION_REASON),
+        { nonce }
+      );
+      batch.forEach((holder) => {
+        recordSubmitted(holder, tx, nonce);
+        sent.push({ holder, tx });
+      });
+      saveJournal(journalPath, journal);
+    } else {
+      for (const holder of batch) {
+        const tx = await token.transfer(holder.address, holder.balance, { nonce });
+        recordSubmitted(holder, tx, nonce);
+        saveJournal(journalPath, journal);
+        sent.push({ holder, tx });
+        nonce++;
+      }
+    }
+
+    for (const { holder, tx } of sent) {
+      const receipt = await tx.wait();
+      const key = holder.address.toLowerCase();
+      journal.entries[key] = { ...journal.entries[key], status: "confirmed", blockNumber: receipt.blockNumber };
+    }
+    saveJournal(journalPath, journal);
+  }
+
+  return true;
+}
+
+module.exports = {
+  MIGRATION_REASON,
+  loadMigrationJournal,
+  migrateHolders,
+};
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const { formatEther } = require("ethers");
+const { SNAPSHOT_DIR, writeJsonAtomic } = require("./snapshot");
+
+const CSV_COLUMNS = ["type", "address", "expected", "actual", "difference", "formattedDifference"];
+
+/**
+ * @dev Builds a balance diff between an expected and an actual set of balances
+ * @param expected Map of lowercase address => expected balance (bigint)
+ * @param actual Map of lowercase address => actual balance (bigint)
+ * @return object Lists of mismatches, missing holders (expected but absent) and
+ * extra holders (present but not expected), plus matched count and totals
+ */
+function diffBalances(expected, actual) {
+  const mismatches = [];
+  const missing = [];
+  const extra = [];
+  let matched = 0;
+
+  for (const [address, expectedBalance] of expected) {
+    const actualBalance = actual.get(address) || 0n;
+    if (actualBalance === expectedBalance) {
+      matched++;
+    } else if (actualBalance === 0n) {
+      missing.push(diffEntry("missing", address, expectedBalance, actualBalance));
+    } else {
+      mismatches.push(diffEntry("mismatch", address, expectedBalance, actualBalance));
+    }
+  }
+
+  for (const [address, actualBalance] of actual) {
+    if (!expected.has(address) && actualBalance !== 0n) {
+      extra.push(diffEntry("extra", address, 0n, actualBalance));
+    }
+  }
+
+  const sum = (balances) => [...balances.values()].reduce((total, balance) => total + balance, 0n);
+
+  return {
+    summary: {
+      expectedHolders: expected.size,
+      matched,
+      mismatches: mismatches.length,
+      missing: missing.length,
+      extra: extra.length,
+      expectedTotal: sum(expected).toString(),
+      actualTotal: sum(actual).toString(),
+    },
+    mismatches,
+    missing,
+    extra,
+  };
+}
+
+function diffEntry(type, address, expected, actual) {
+  const difference = actual - expected;
+  return {
+    type,
+    address,
+    expected: expected.toString(),
+    actual: actual.toString(),
+    difference: difference.toString(),
+    formattedDifference: formatEther(difference),
+  };
+}
+
+/**
+ * @dev Writes a diff report as <name>.json and <name>.csv in the snapshots directory
+ * @param name Report file name without extension
+ * @param report Report object; its mismatches, missing and extra lists become CSV rows
+ * @param extraColumns Additional entry fields to append as CSV columns
+ * @return object Paths of the written JSON and CSV files
+ */
+function writeDiffReport(name, report, extraColumns = []) {
+  if (!fs.existsSync(SNAPSHOT_DIR)) {
+    fs.mkdirSync(SNAPSHOT_DIR);
+  }
+
+  const jsonPath = path.join(SNAPSHOT_DIR, `${name}.json`);
+  const csvPath = path.join(SNAPSHOT_DIR, `${name}.csv`);
+
+  writeJsonAtomic(jsonPath, report);
+
+  const columns = [...CSV_COLUMNS, ...extraColumns];
+  const rows = [...report.mismatches, ...report.missing, ...report.extra];
+  const csvContent = [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => row[column] ?? "").join(",")),
+  ].join("\n");
+  fs.writeFileSync(csvPath, csvContent);
+
+  return { jsonPath, csvPath };
+}
+
+/**
+ * @dev Prints a diff report summary to the console
+ * @param report Report produced by diffBalances
+ */
+function printDiffSummary(report) {
+  const { summary } = report;
+  console.log(`Expected holders: ${summary.expectedHolders}`);
+  console.log(`Matched:          ${summary.matched}`);
+  console.log(`Mismatches:       ${summary.mismatches}`);
+  console.log(`Missing holders:  ${summary.missing}`);
+  console.log(`Extra holders:    ${summary.extra}`);
+  console.log(`Expected total:   ${formatEther(summary.expectedTotal)}`);
+  console.log(`Actual total:     ${formatEther(summary.actualTotal)}`);
+}
+
+module.exports = {
+  diffBalances,
+  writeDiffReport,
+  printDiffSummary,
+};
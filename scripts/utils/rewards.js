@@ -0,0 +1,284 @@
+const fs = require("fs");
+const { getAddress, isAddress, parseEther, formatEther, ZeroAddress } = require("ethers");
+const { saveJournal, nextBatch, fitWithinCapacity } = require("./journal");
+const { parseCsv } = require("./csv");
+const { buildRewardTree } = require("./merkle");
+
+const ONE_DAY = 24 * 60 * 60;
+// Mirrors SystemConstants.MAX_MINT_AMOUNT and SystemConstants.DAILY_MINT_LIMIT
+const MAX_MINT_AMOUNT = parseEther("100000");
+const TOKEN_DAILY_MINT_LIMIT = parseEther("1000");
+// Mirrors SystemConstants.TWO_HOURS, the mint cooldown of an EducEducator without a config contract
+const DEFAULT_MINT_COOLDOWN = BigInt(2 * 60 * 60);
+
+/**
+ * @dev Validates CSV records (address, amount, reason columns) and converts them to reward rows
+ * @param records Records returned by parseCsv
+ * @param dailyLimit Largest amount that can be minted in a single day
+ * @param maxMintAmount Largest amount that can be minted in a single transaction
+ * @param allowDuplicates Whether an address may appear on several rows
+ * @return object Valid rows plus the errors and warnings found
+ */
+function validateRewardRows(records, dailyLimit, maxMintAmount, allowDuplicates) {
+  const rows = [];
+  const errors = [];
+  const warnings = [];
+  const seen = new Map();
+
+  if (records.length > 0) {
+    const missingColumns = ["address", "amount", "reason"].filter((column) => !(column in records[0].values));
+    if (missingColumns.length > 0) {
+      errors.push(`Missing column(s): ${missingColumns.join(", ")}`);
+      return { rows, errors, warnings };
+    }
+  }
+
+  for (const { line, values } of records) {
+    const rowErrors = [];
+
+    let address;
+    if (!isAddress(values.address)) {
+      rowErrors.push(`invalid address "${values.address}"`);
+    } else if (getAddress(values.address) === ZeroAddress) {
+      rowErrors.push("zero address");
+    } else {
+      address = getAddress(values.address);
+    }
+
+    let amount;
+    try {
+      amount = parseEther(values.amount);
+    } catch (error) {
+      rowErrors.push(`invalid amount "${values.amount}"`);
+    }
+    if (amount !== undefined) {
+      if (amount <= 0n) {
+        rowErrors.push("amount must be positive");
+      } else if (amount > maxMintAmount) {
+        rowErrors.push(`amount ${values.amount} exceeds the max mint amount of ${formatEther(maxMintAmount)}`);
+      } else if (amount > dailyLimit) {
+        rowErrors.push(`amount ${values.amount} exceeds the daily minting limit of ${formatEther(dailyLimit)}`);
+      }
+    }
+
+    if (values.reason === "") {
+      rowErrors.push("reason cannot be empty");
+    }
+
+    if (address) {
+      const firstLine = seen.get(address);
+      if (firstLine !== undefined) {
+        const message = `line ${line}: ${address} already appears on line ${firstLine}`;
+        if (allowDuplicates) {
+          warnings.push(message);
+        } else {
+          rowErrors.push(`duplicate of line ${firstLine}`);
+        }
+      } else {
+        seen.set(address, line);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(`line ${line}: ${rowErrors.join(", ")}`);
+    } else {
+      rows.push({ key: `line:${line}`, line, address, amount, reason: values.reason });
+    }
+  }
+
+  return { rows, errors, warnings };
+}
+
+/**
+ * @dev Spreads rows over the following days, each day filled up to the daily limit in CSV order
+ * @param rows Rows still to be paid
+ * @param firstDay Day number (days since epoch) of the first scheduled day
+ * @param dailyLimit Amount that can be minted per day
+ * @param firstDayCapacity Amount still available on the first day
+ * @return Array Schedule entries as { date, lines, total }
+ */
+function scheduleRows(rows, firstDay, dailyLimit, firstDayCapacity = dailyLimit) {
+  const schedule = [];
+  let remaining = rows;
+
+  for (let day = firstDay; remaining.length > 0; day++) {
+    const dayRows = fitWithinCapacity(remaining, day === firstDay ? firstDayCapacity : dailyLimit, (row) => row.amount);
+    schedule.push({
+      date: new Date(day * ONE_DAY * 1000).toISOString().slice(0, 10),
+      lines: dayRows.map((row) => row.line),
+      total: dayRows.reduce((sum, row) => sum + row.amount, 0n).toString(),
+    });
+    remaining = remaining.slice(dayRows.length);
+  }
+
+  return schedule;
+}
+
+/**
+ * @dev Validates a reward CSV and builds the Merkle tree of its epoch. Every claim is a single
+ * EducToken.mintReward, so larger rewards than the max mint amount or the token daily limit could
+ * never be claimed, and a student claims once per epoch, so an address may only appear on one row.
+ * @param text CSV text with address, amount and reason columns
+ * @param maxMintAmount Largest amount a single claim can mint
+ * @return object rewards, tree and total, or the errors found (tree is null when there are errors)
+ */
+function buildRewardEpoch(text, maxMintAmount) {
+  const { rows, errors } = validateRewardRows(parseCsv(text), TOKEN_DAILY_MINT_LIMIT, maxMintAmount, false);
+  const rewards = rows.map(({ address, amount, reason }) => ({ address, amount, reason }));
+  if (errors.length === 0 && rewards.length === 0) {
+    errors.push("the file has no reward rows");
+  }
+  if (errors.length > 0) {
+    return { rewards, tree: null, total: 0n, errors };
+  }
+
+  const total = rewards.reduce((sum, reward) => sum + reward.amount, 0n);
+  return { rewards, tree: buildRewardTree(rewards), total, errors };
+}
+
+/**
+ * @dev Largest amount the token can mint from now until a claim deadline, i.e. what is left of
+ * today's daily limit plus the full limit of every following day the window reaches. Claims share
+ * this capacity with every other EducToken.mintReward.
+ * @param now Current block timestamp
+ * @param claimDeadline Timestamp after which claims close
+ * @param todayRemaining Amount the token can still mint today
+ * @param dailyLimit Token daily mint limit
+ * @return bigint Amount that can be minted within the claim window
+ */
+function claimWindowCapacity(now, claimDeadline, todayRemaining, dailyLimit = TOKEN_DAILY_MINT_LIMIT) {
+  const days = BigInt(Math.floor(claimDeadline / ONE_DAY) - Math.floor(now / ONE_DAY));
+  return todayRemaining + days * dailyLimit;
+}
+
+/**
+ * @dev Journal layout: one entry per CSV row keyed by "line:<n>", see
+ * utils/journal.js for the entry lifecycle. The CSV hash pins the journal to
+ * the exact file it was created for, so line numbers stay meaningful.
+ * @param journalPath Path of the journal
+ * @param context CSV file and hash, EducLearning and sender the journal belongs to
+ * @return object The existing journal, or a new one
+ */
+function loadRewardJournal(journalPath, context) {
+  if (!fs.existsSync(journalPath)) {
+    return { ...context, createdAt: new Date().toISOString(), entries: {} };
+  }
+
+  const journal = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+  if (journal.csvHash !== context.csvHash) {
+    throw new Error(`${context.csvFile} changed since journal ${journalPath} was created, import a new file instead`);
+  }
+  if (journal.learning.toLowerCase() !== context.learning.toLowerCase()) {
+    throw new Error(`Journal ${journalPath} was created for EducLearning ${journal.learning}, not ${context.learning}`);
+  }
+  if (journal.sender.toLowerCase() !== context.sender.toLowerCase()) {
+    throw new Error(`Journal ${journalPath} was created by ${journal.sender}, not ${context.sender}`);
+  }
+  return journal;
+}
+
+/**
+ * @dev Pays every row that is not in the journal yet through EducLearning.batchIssueRewards,
+ * in batches bounded by item count, estimated gas and the minting capacity left (EducLearning
+ * and token daily limits, the educator's allowance and the max mint amount per transaction).
+ * Stops early when the educator's mint cooldown has not elapsed or the capacity runs out.
+ * @param options learning, token and educator (connected to the sender), provider, sender
+ * address, rows, journal and journalPath, batchSize, batchGasLimit, maxMintAmount and mintCooldown
+ * @return object stopReason ("cooldown", "allowance", "daily" or null once every row is paid)
+ * and nextMintTime for a cooldown stop
+ */
+async function importRewards({
+  learning,
+  token,
+  educator,
+  provider,
+  sender,
+  rows,
+  journal,
+  journalPath,
+  batchSize,
+  batchGasLimit,
+  maxMintAmount,
+  mintCooldown,
+}) {
+  const pendingRows = () => rows.filter((row) => !journal.entries[row.key]);
+
+  const estimateGas = (batchRows) =>
+    learning.batchIssueRewards.estimateGas(
+      batchRows.map((row) => row.address),
+      batchRows.map((row) => row.amount),
+      batchRows.map((row) => row.reason)
+    );
+
+  let batchNumber = Object.values(journal.entries).reduce((max, entry) => Math.max(max, entry.batch), 0);
+
+  for (let candidates = pendingRows(); candidates.length > 0; candidates = pendingRows()) {
+    // EducEducator makes each educator wait for the EducConfig cooldown between reward batches
+    const lastRewardTime = await educator.getEducatorLastRewardTime(sender);
+    const now = BigInt((await provider.getBlock("latest")).timestamp);
+    if (lastRewardTime > 0n && now + 1n < lastRewardTime + mintCooldown) {
+      return { stopReason: "cooldown", nextMintTime: lastRewardTime + mintCooldown };
+    }
+
+    // Both EducLearning and the token enforce a daily limit, and the educator a lifetime allowance
+    const learningRemaining = await learning.getDailyMintingRemaining();
+    const tokenRemaining = await token.getDailyMintingRemaining();
+    const allowance = (await educator.getEducatorMintLimit(sender)) - (await educator.getEducatorTotalMinted(sender));
+    const capacity = [learningRemaining, tokenRemaining, allowance, maxMintAmount].reduce((min, value) =>
+      value < min ? value : min
+    );
+
+    const fitting = fitWithinCapacity(candidates, capacity, (row) => row.amount);
+    if (fitting.length === 0) {
+      return { stopReason: allowance < candidates[0].amount ? "allowance" : "daily", nextMintTime: null };
+    }
+
+    const { items: batchRows, gas } = await nextBatch(fitting, estimateGas, batchSize, batchGasLimit);
+    batchNumber++;
+    const batchTotal = batchRows.reduce((sum, row) => sum + row.amount, 0n);
+    console.log(`Batch ${batchNumber}: ${batchRows.length} rows, ${formatEther(batchTotal)} tokens, estimated gas ${gas}`);
+
+    const nonce = await provider.getTransactionCount(sender, "pending");
+    const tx = await learning.batchIssueRewards(
+      batchRows.map((row) => row.address),
+      batchRows.map((row) => row.amount),
+      batchRows.map((row) => row.reason),
+      { nonce }
+    );
+
+    for (const row of batchRows) {
+      journal.entries[row.key] = {
+        line: row.line,
+        address: row.address,
+        amount: row.amount.toString(),
+        reason: row.reason,
+        status: "submitted",
+        txHash: tx.hash,
+        nonce,
+        batch: batchNumber,
+      };
+    }
+    saveJournal(journalPath, journal);
+
+    const receipt = await tx.wait();
+    for (const row of batchRows) {
+      journal.entries[row.key] = { ...journal.entries[row.key], status: "confirmed", blockNumber: receipt.blockNumber };
+    }
+    saveJournal(journalPath, journal);
+  }
+
+  return { stopReason: null, nextMintTime: null };
+}
+
+module.exports = {
+  ONE_DAY,
+  MAX_MINT_AMOUNT,
+  TOKEN_DAILY_MINT_LIMIT,
+  DEFAULT_MINT_COOLDOWN,
+  validateRewardRows,
+  buildRewardEpoch,
+  claimWindowCapacity,
+  scheduleRows,
+  loadRewardJournal,
+  importRewards,
+};
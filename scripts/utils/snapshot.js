@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const { ZeroAddress } = require("ethers");
+
+const SNAPSHOT_DIR = path.join(__dirname, "../../snapshots");
+
+/**
+ * @dev Resolves the snapshot file to use: an explicit path, or the snapshot
+ * with the highest block number in the snapshots directory
+ * @param explicitPath Optional path given by the operator (e.g. SNAPSHOT_FILE)
+ * @return string Absolute path of the snapshot JSON file
+ */
+function resolveSnapshotPath(explicitPath) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Snapshot file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  if (!fs.existsSync(SNAPSHOT_DIR)) {
+    throw new Error(`Snapshot directory not found: ${SNAPSHOT_DIR}`);
+  }
+
+  const snapshots = fs
+    .readdirSync(SNAPSHOT_DIR)
+    .map((file) => ({ file, match: file.match(/^snapshot_(\d+)\.json$/) }))
+    .filter(({ match }) => match !== null)
+    .sort((a, b) => Number(b.match[1]) - Number(a.match[1]));
+
+  if (snapshots.length === 0) {
+    throw new Error(`No snapshot_<block>.json files found in ${SNAPSHOT_DIR}`);
+  }
+
+  return path.join(SNAPSHOT_DIR, snapshots[0].file);
+}
+
+/**
+ * @dev Loads and validates a snapshot written by create-token-snapshot.js
+ * @param snapshotPath Path of the snapshot JSON file
+ * @return object Snapshot with holder balances parsed as bigint
+ */
+function loadSnapshot(snapshotPath) {
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+
+  if (!snapshot.token || snapshot.token.totalSupply === undefined) {
+    throw new Error(`Snapshot ${snapshotPath} is missing token metadata`);
+  }
+  if (!Array.isArray(snapshot.holders)) {
+    throw new Error(`Snapshot ${snapshotPath} is missing the holders list`);
+  }
+
+  const seen = new Set();
+  const holders = snapshot.holders.map((holder) => {
+    const key = holder.address.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`Snapshot ${snapshotPath} lists ${holder.address} more than once`);
+    }
+    seen.add(key);
+    return { ...holder, balance: BigInt(holder.balance) };
+  });
+
+  return {
+    ...snapshot,
+    token: { ...snapshot.token, totalSupply: BigInt(snapshot.token.totalSupply) },
+    holders,
+  };
+}
+
+/**
+ * @dev Sums the balances of every holder in a loaded snapshot
+ * @param holders Holder list returned by loadSnapshot
+ * @return bigint Total balance held by the listed holders
+ */
+function sumBalances(holders) {
+  return holders.reduce((sum, holder) => sum + holder.balance, 0n);
+}
+
+/**
+ * @dev Queries contract events over a block range in fixed-size windows to stay within RPC limits
+ * @param contract Contract instance to query
+ * @param filter Event filter or event name ("*" for every event)
+ * @param fromBlock First block to scan
+ * @param toBlock Last block to scan (inclusive)
+ * @param batchSize Number of blocks per log query
+ * @return Array Matching events in block order
+ */
+async function queryInBatches(contract, filter, fromBlock, toBlock, batchSize = 10000) {
+  const events = [];
+
+  for (let start = fromBlock; start <= toBlock; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, toBlock);
+    console.log(`Processing blocks ${start} to ${end}...`);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+
+  return events;
+}
+
+/**
+ * @dev Re-derives holder balances from Transfer events in [fromBlock, toBlock]
+ * @param token Contract instance exposing the ERC20 Transfer event
+ * @param fromBlock First block to scan
+ * @param toBlock Last block to scan (inclusive)
+ * @param batchSize Number of blocks per log query
+ * @return Map<string, bigint> Balances keyed by lowercase address, zero balances omitted
+ */
+async function deriveBalances(token, fromBlock, toBlock, batchSize = 10000) {
+  const balances = new Map();
+  const events = await queryInBatches(token, token.filters.Transfer(), fromBlock, toBlock, batchSize);
+
+  for (const event of events) {
+    const { from, to, value } = event.args;
+    if (from !== ZeroAddress) {
+      balances.set(from.toLowerCase(), (balances.get(from.toLowerCase()) || 0n) - value);
+    }
+    if (to !== ZeroAddress) {
+      balances.set(to.toLowerCase(), (balances.get(to.toLowerCase()) || 0n) + value);
+    }
+  }
+
+  for (const [address, balance] of balances) {
+    if (balance === 0n) {
+      balances.delete(address);
+    }
+  }
+
+  return balances;
+}
+
+/**
+ * @dev Finds the block a contract was deployed in by binary searching eth_getCode.
+ * Requires an archive node; returns null when historical state is unavailable.
+ * @param provider Provider to query
+ * @param address Contract address
+ * @param latestBlock Block the contract is known to exist at
+ * @return number|null The deployment block, or null when it cannot be located
+ */
+async function findDeploymentBlock(provider, address, latestBlock) {
+  try {
+    if ((await provider.getCode(address, latestBlock)) === "0x") {
+      console.log(`No contract at ${address} in block ${latestBlock}`);
+      return null;
+    }
+
+    let low = 0;
+    let high = latestBlock;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await provider.getCode(address, mid);
+      if (code === "0x") {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  } catch (error) {
+    console.log(`Could not locate the deployment block (${error.shortMessage || error.message})`);
+    return null;
+  }
+}
+
+/**
+ * @dev Writes a JSON file atomically so an interrupted process never leaves a truncated file
+ * @param filePath Destination path
+ * @param data Serializable data
+ */
+function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(
+    tmpPath,
+    JSON.stringify(data, (_, value) => (typeof value === "bigint" ? value.toString() : value), 2)
+  );
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  resolveSnapshotPath,
+  loadSnapshot,
+  sumBalances,
+  queryInBatches,
+  deriveBalances,
+  findDeploymentBlock,
+  writeJsonAtomic,
+};
@@ -0,0 +1,157 @@
+const hre = require("hardhat");
+const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+const { saveManifest } = require("./deployment-manifest");
+
+/**
+ * @dev Returns an Etherscan client for the current network, used to skip contracts that are already verified
+ */
+async function getEtherscan() {
+  const { config, network } = hre;
+  const chainConfig = await Etherscan.getCurrentChainConfig(
+    network.name,
+    network.provider,
+    config.etherscan.customChains
+  );
+  return Etherscan.fromChainConfig(config.etherscan.apiKey, chainConfig);
+}
+
+/**
+ * @dev Verifies one address unless the explorer already reports it as verified
+ * @param etherscan Client returned by getEtherscan
+ * @param address Contract address
+ * @param constructorArguments Constructor arguments used for the deployment
+ * @param contract Fully qualified contract name (path:Name)
+ * @return string "verified" or "already verified"
+ */
+async function verifyAddress(etherscan, address, constructorArguments, contract) {
+  if (await etherscan.isVerified(address)) {
+    return "already verified";
+  }
+
+  await hre.run("verify:verify", { address, constructorArguments, contract });
+  return "verified";
+}
+
+/**
+ * @dev Records the outcome of a verification attempt on a manifest entry
+ * @param entry Manifest entry
+ * @param status Verification status
+ * @param error Optional error message
+ */
+function recordVerification(entry, status, error) {
+  entry.verification = { status, checkedAt: new Date().toISOString(), ...(error && { error }) };
+}
+
+/**
+ * @dev Whether a manifest entry was verified by a previous run
+ * @param entry Manifest entry
+ * @return bool True if the entry does not need to be verified again
+ */
+function isRecordedAsVerified(entry) {
+  return Boolean(entry.verification) && entry.verification.status !== "failed";
+}
+
+/**
+ * @dev Verifies every contract of a manifest that is not recorded as verified yet, and saves
+ * the manifest after each attempt. Proxies are left to verifyProxies.
+ * @param manifest The manifest
+ * @param etherscan Client returned by getEtherscan
+ * @param verify Verifies one contract, with the arguments of verifyAddress
+ * @return Array Per-contract results as { name, address, status }
+ */
+async function verifyContracts(manifest, etherscan, verify = verifyAddress) {
+  const results = [];
+
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    if (entry.proxy) {
+      results.push({ name, address: entry.address, status: "skipped (proxy)" });
+      continue;
+    }
+
+    if (isRecordedAsVerified(entry)) {
+      results.push({ name, address: entry.address, status: "already verified" });
+      continue;
+    }
+
+    console.log(`\nVerifying ${name} at ${entry.address}...`);
+    try {
+      const status = await verify(etherscan, entry.address, entry.constructorArgs, entry.contract);
+      recordVerification(entry, status);
+      results.push({ name, address: entry.address, status });
+    } catch (error) {
+      console.error(`Error verifying ${name}:`, error.message);
+      recordVerification(entry, "failed", error.message);
+      results.push({ name, address: entry.address, status: "failed" });
+    }
+    saveManifest(manifest);
+  }
+
+  return results;
+}
+
+/**
+ * @dev Verifies the current implementation of each proxy and links the proxy to it. A proxy
+ * upgraded since its last verification is verified again. The manifest, when given, is saved
+ * after each attempt.
+ * @param manifest The manifest the proxies belong to, or null
+ * @param proxies Proxies as [name, entry] pairs
+ * @param etherscan Client returned by getEtherscan
+ * @param verifyProxy Verifies one proxy address (defaults to the hardhat-upgrades verify task)
+ * @return Array Per-proxy results as { name, proxy, implementation, status }
+ */
+async function verifyProxies(
+  manifest,
+  proxies,
+  etherscan,
+  verifyProxy = (address) => hre.run("verify", { address, constructorArgsParams: [] })
+) {
+  const results = [];
+
+  for (const [name, entry] of proxies) {
+    // The implementation may have changed through an upgrade since the manifest was written
+    const implementationAddress = await hre.upgrades.erc1967.getImplementationAddress(entry.address);
+    if (entry.implementation && entry.implementation.toLowerCase() !== implementationAddress.toLowerCase()) {
+      delete entry.verification;
+    }
+    entry.implementation = implementationAddress;
+
+    console.log(`\nProxy address: ${entry.address}`);
+    console.log(`Implementation address: ${implementationAddress}`);
+
+    if (isRecordedAsVerified(entry)) {
+      results.push({ name, proxy: entry.address, implementation: implementationAddress, status: "already verified" });
+      continue;
+    }
+
+    try {
+      let status = "already verified";
+      if (!(await etherscan.isVerified(implementationAddress)) || !(await etherscan.isVerified(entry.address))) {
+        // hardhat-upgrades verifies the implementation and links the proxy to it
+        await verifyProxy(entry.address);
+        status = "verified";
+      }
+
+      recordVerification(entry, status);
+      results.push({ name, proxy: entry.address, implementation: implementationAddress, status });
+    } catch (error) {
+      console.error(`Error verifying ${name}:`, error.message);
+      recordVerification(entry, "failed", error.message);
+      results.push({ name, proxy: entry.address, implementation: implementationAddress, status: "failed" });
+    }
+
+    if (manifest) {
+      saveManifest(manifest);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  getEtherscan,
+  verifyAddress,
+  recordVerification,
+  isRecordedAsVerified,
+  verifyContracts,
+  verifyProxies,
+};
@@ -0,0 +1,83 @@
+const { queryInBatches } = require("./snapshot");
+
+const SCHEDULE_EVENTS = new Set([
+  "VestingScheduleCreated",
+  "VestingScheduleReleased",
+  "MilestoneCompleted",
+  "VestingScheduleRevoked",
+  "VestingScheduleTransferred",
+]);
+
+/**
+ * @dev Replays a vesting contract's schedule events and returns the
+ * unreleased amount per current beneficiary. Works for both EducVesting
+ * (factory-created) and EducVestingCloneable, which emit the same events.
+ * A schedule created before fromBlock has no VestingScheduleCreated event in
+ * range, so the first event that references it loads it from chain state at
+ * toBlock instead, and its later events are skipped since that state already
+ * includes them.
+ * @param vesting Vesting contract
+ * @param fromBlock First block to replay
+ * @param toBlock Last block to replay
+ * @return object Unreleased amount per lowercase beneficiary address, plus
+ * the ids of the schedules that were loaded from chain state
+ */
+async function deriveVestingAllocations(vesting, fromBlock, toBlock) {
+  const schedules = new Map();
+  const loadedFromChain = [];
+  const events = await queryInBatches(vesting, "*", fromBlock, toBlock);
+
+  for (const event of events) {
+    if (!event.fragment || !SCHEDULE_EVENTS.has(event.fragment.name)) {
+      continue;
+    }
+    const { vestingScheduleId } = event.args;
+
+    if (event.fragment.name !== "VestingScheduleCreated" && !schedules.has(vestingScheduleId)) {
+      const { beneficiary, totalAmount, released, revoked } = await vesting.getVestingSchedule(vestingScheduleId, {
+        blockTag: toBlock,
+      });
+      schedules.set(vestingScheduleId, {
+        beneficiary,
+        remaining: revoked ? 0n : totalAmount - released,
+        fromChain: true,
+      });
+      loadedFromChain.push(vestingScheduleId);
+      continue;
+    }
+
+    const schedule = schedules.get(vestingScheduleId);
+    if (schedule?.fromChain) {
+      continue;
+    }
+
+    switch (event.fragment.name) {
+      case "VestingScheduleCreated":
+        schedules.set(vestingScheduleId, { beneficiary: event.args.beneficiary, remaining: event.args.amount });
+        break;
+      case "VestingScheduleReleased":
+        schedule.remaining -= event.args.amount;
+        break;
+      case "MilestoneCompleted":
+        schedule.remaining -= event.args.releaseAmount;
+        break;
+      case "VestingScheduleRevoked":
+        schedule.remaining = 0n;
+        break;
+      case "VestingScheduleTransferred":
+        schedule.beneficiary = event.args.newBeneficiary;
+        break;
+    }
+  }
+
+  const allocations = new Map();
+  for (const { beneficiary, remaining } of schedules.values()) {
+    const key = beneficiary.toLowerCase();
+    allocations.set(key, (allocations.get(key) || 0n) + remaining);
+  }
+  return { allocations, loadedFromChain };
+}
+
+module.exports = {
+  deriveVestingAllocations,
+};
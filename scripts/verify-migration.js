@@ -0,0 +1,153 @@
+const { ethers } = require("hardhat");
+const { resolveSnapshotPath, loadSnapshot, deriveBalances } = require("./utils/snapshot");
+const { diffBalances, writeDiffReport, printDiffSummary } = require("./utils/report");
+const { deriveVestingAllocations } = require("./utils/vesting");
+
+const BALANCE_BATCH_SIZE = 100;
+
+function parseAddressList(value) {
+  return (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0)
+    .map((address) => ethers.getAddress(address));
+}
+
+async function main() {
+  console.log("Verifying token migration...");
+
+  const proxyAddress = process.env.PROXY_ADDRESS;
+  if (!proxyAddress) {
+    console.error("PROXY_ADDRESS environment variable not set");
+    process.exit(1);
+  }
+
+  const snapshotPath = resolveSnapshotPath(process.env.SNAPSHOT_FILE);
+  const snapshot = loadSnapshot(snapshotPath);
+  const token = await ethers.getContractAt("EducTokenUpgradeable", proxyAddress);
+
+  console.log(`Snapshot: ${snapshotPath} (block ${snapshot.snapshotBlock})`);
+  console.log(`New token (proxy): ${proxyAddress}`);
+
+  // Vesting contracts can be listed explicitly or discovered through the factory
+  const vestingAddresses = parseAddressList(process.env.VESTING_ADDRESSES);
+  if (process.env.VESTING_FACTORY_ADDRESS) {
+    const factory = await ethers.getContractAt("EducVestingFactory", process.env.VESTING_FACTORY_ADDRESS);
+    vestingAddresses.push(...(await factory.getVestingContractsForToken(proxyAddress)));
+  }
+  const uniqueVestingAddresses = [...new Set(vestingAddresses.map((address) => ethers.getAddress(address)))];
+  const vestingContracts = await Promise.all(
+    uniqueVestingAddresses.map((address) => ethers.getContractAt("EducVestingCloneable", address))
+  );
+  console.log(`Vesting contracts: ${uniqueVestingAddresses.length > 0 ? uniqueVestingAddresses.join(", ") : "none"}`);
+
+  const startBlock = Number(process.env.MIGRATION_START_BLOCK || 0);
+  const currentBlock = await ethers.provider.getBlockNumber();
+
+  console.log(`Replaying vesting schedules from block ${startBlock} to ${currentBlock}...`);
+  const vestingPending = new Map();
+  const schedulesFromChain = [];
+  for (const vesting of vestingContracts) {
+    const { allocations, loadedFromChain } = await deriveVestingAllocations(vesting, startBlock, currentBlock);
+    for (const [beneficiary, amount] of allocations) {
+      vestingPending.set(beneficiary, (vestingPending.get(beneficiary) || 0n) + amount);
+    }
+    for (const scheduleId of loadedFromChain) {
+      schedulesFromChain.push({ vesting: vesting.target, scheduleId });
+    }
+  }
+  if (schedulesFromChain.length > 0) {
+    console.log(
+      `⚠️ ${schedulesFromChain.length} vesting schedules were created before block ${startBlock}, ` +
+        "their unreleased amounts were read from chain state:"
+    );
+    schedulesFromChain.forEach(({ vesting, scheduleId }) => console.log(`  ${vesting} ${scheduleId}`));
+  }
+
+  // Balances of snapshot holders on the new token, vesting allocations included
+  console.log("Fetching balances for snapshot holders...");
+  const expected = new Map();
+  const actual = new Map();
+  const breakdown = new Map();
+
+  for (let i = 0; i < snapshot.holders.length; i += BALANCE_BATCH_SIZE) {
+    const batch = snapshot.holders.slice(i, i + BALANCE_BATCH_SIZE);
+    const balances = await Promise.all(batch.map((holder) => token.balanceOf(holder.address)));
+
+    batch.forEach((holder, index) => {
+      const key = holder.address.toLowerCase();
+      const tokenBalance = balances[index];
+      const pending = vestingPending.get(key) || 0n;
+      expected.set(key, holder.balance);
+      actual.set(key, tokenBalance + pending);
+      breakdown.set(key, { tokenBalance, vestingPending: pending });
+    });
+
+    console.log(`Processed ${Math.min(i + BALANCE_BATCH_SIZE, snapshot.holders.length)}/${snapshot.holders.length} holders`);
+  }
+
+  // Holders of the new token that are not in the snapshot. Vesting contracts
+  // hold allocations on behalf of beneficiaries and are never reported, other
+  // known addresses (e.g. the migration sender) can be excluded explicitly.
+  const excluded = new Set(
+    [...parseAddressList(process.env.MIGRATION_EXCLUDED_ADDRESSES), ...uniqueVestingAddresses].map((address) =>
+      address.toLowerCase()
+    )
+  );
+  console.log(`Scanning new token holders from block ${startBlock} to ${currentBlock}...`);
+
+  const newHolders = await deriveBalances(token, startBlock, currentBlock);
+  for (const [address, balance] of newHolders) {
+    if (!expected.has(address) && !excluded.has(address)) {
+      const pending = vestingPending.get(address) || 0n;
+      actual.set(address, balance + pending);
+      breakdown.set(address, { tokenBalance: balance, vestingPending: pending });
+    }
+  }
+
+  const diff = diffBalances(expected, actual);
+  const withBreakdown = (entries) =>
+    entries.map((entry) => {
+      const { tokenBalance, vestingPending } = breakdown.get(entry.address);
+      return { ...entry, tokenBalance: tokenBalance.toString(), vestingPending: vestingPending.toString() };
+    });
+
+  const report = {
+    type: "migration",
+    snapshotFile: snapshotPath,
+    snapshotBlock: snapshot.snapshotBlock,
+    token: proxyAddress,
+    vestingContracts: uniqueVestingAddresses,
+    vestingSchedulesFromChain: schedulesFromChain,
+    excludedAddresses: [...excluded],
+    blockNumber: currentBlock,
+    generatedAt: new Date().toISOString(),
+    summary: { ...diff.summary, snapshotTotalSupply: snapshot.token.totalSupply.toString() },
+    mismatches: withBreakdown(diff.mismatches),
+    missing: withBreakdown(diff.missing),
+    extra: withBreakdown(diff.extra),
+  };
+
+  const { jsonPath, csvPath } = writeDiffReport(
+    `verify-migration_${snapshot.snapshotBlock}_${proxyAddress.toLowerCase()}`,
+    report,
+    ["tokenBalance", "vestingPending"]
+  );
+
+  printDiffSummary(report);
+  console.log(`Report written to ${jsonPath} and ${csvPath}`);
+
+  if (report.mismatches.length === 0 && report.missing.length === 0 && report.extra.length === 0) {
+    console.log("✅ Every snapshot holder is fully migrated");
+  } else {
+    console.log("⚠️ Migration does not match the snapshot");
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
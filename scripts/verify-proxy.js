@@ -1,40 +1,39 @@
-const { run } = require("hardhat");
+const { loadManifest, getManifestPath } = require("./utils/deployment-manifest");
+const { getEtherscan, verifyProxies } = require("./utils/verification");
 
 async function main() {
-  console.log("Verifying proxy implementation contract...");
+  console.log("Verifying proxy implementation contracts...");
 
-  // Get the proxy address from command line or use a default one
-  const proxyAddress = process.env.PROXY_ADDRESS;
-  if (!proxyAddress) {
-    console.error("PROXY_ADDRESS environment variable not set");
+  // Proxies come from the deployment manifest, PROXY_ADDRESS narrows it down to a single proxy
+  const manifest = loadManifest();
+  let proxies = manifest ? Object.entries(manifest.contracts).filter(([, entry]) => entry.proxy) : [];
+
+  if (process.env.PROXY_ADDRESS) {
+    const proxyAddress = process.env.PROXY_ADDRESS.toLowerCase();
+    proxies = proxies.filter(([, entry]) => entry.address.toLowerCase() === proxyAddress);
+    if (proxies.length === 0) {
+      proxies = [["EducTokenUpgradeable", { address: process.env.PROXY_ADDRESS, proxy: true }]];
+    }
+  }
+
+  if (proxies.length === 0) {
+    console.error(`No proxies found in ${getManifestPath()} and PROXY_ADDRESS not set`);
     process.exit(1);
   }
 
-  try {
-    // Get the implementation address from the proxy
-    const { ethers, upgrades } = require("hardhat");
-    const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
-    
-    console.log(`Proxy address: ${proxyAddress}`);
-    console.log(`Implementation address: ${implementationAddress}`);
-
-    // Verify the implementation contract
-    await run("verify:verify", {
-      address: implementationAddress,
-      // No constructor arguments for the implementation contract in the UUPS pattern
-      constructorArguments: [],
-      contract: "contracts/proxy/EducTokenUpgradeable.sol:EducTokenUpgradeable"
-    });
-
-    console.log("Implementation contract verified successfully!");
-  } catch (error) {
-    console.error("Error during verification:", error);
+  const results = await verifyProxies(manifest, proxies, await getEtherscan());
+
+  console.log("\nVerification summary:");
+  console.table(results);
+
+  if (results.some((result) => result.status === "failed")) {
+    process.exitCode = 1;
   }
 }
 
 main()
-  .then(() => process.exit(0))
+  .then(() => process.exit(process.exitCode || 0))
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
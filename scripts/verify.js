@@ -1,47 +1,32 @@
-const { run } = require("hardhat");
-
-// Contract addresses (to be set after deployment)
-const ADDRESSES = {
-  EducToken: "",
-  EducEducator: "",
-  EducStudent: "",
-  EducCourse: "",
-  EducConfig: "",
-  EducPause: "",
-  EducMultisig: "",
-  EducProposal: "",
-  EducLearning: "",
-};
-
-// Admin address (deployer)
-const ADMIN_ADDRESS = "";
-
-// Initial signers for multisig
-const MULTISIG_SIGNERS = [ADMIN_ADDRESS];
-const MULTISIG_THRESHOLD = 1;
+const { loadManifest, getManifestPath } = require("./utils/deployment-manifest");
+const { getEtherscan, verifyContracts } = require("./utils/verification");
 
 async function verify() {
   console.log("Starting contract verification...");
 
-  try {
-    // Verification functions remain mostly the same, just ensure you use the correct contract paths
-    await run("verify:verify", {
-      address: ADDRESSES.EducToken,
-      constructorArguments: [ADMIN_ADDRESS],
-      contract: "contracts/core/EducToken.sol:EducToken",
-    });
+  // Contracts, constructor arguments and source paths come from the deployment manifest
+  const manifest = loadManifest();
+  if (!manifest) {
+    console.error(`No deployment manifest found at ${getManifestPath()}, run a deploy script first`);
+    process.exit(1);
+  }
+
+  console.log(`Manifest: ${getManifestPath()} (commit ${manifest.gitCommit || "unknown"})`);
+
+  // Proxies are verified by verify-proxy.js
+  const results = await verifyContracts(manifest, await getEtherscan());
 
-    // (Repeat for other contracts...)
+  console.log("\nVerification summary:");
+  console.table(results);
 
-    console.log("\nVerification complete!");
-  } catch (error) {
-    console.error("Error during verification:", error);
+  if (results.some((result) => result.status === "failed")) {
+    process.exitCode = 1;
   }
 }
 
 verify()
-  .then(() => process.exit(0))
+  .then(() => process.exit(process.exitCode || 0))
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
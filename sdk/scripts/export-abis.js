@@ -0,0 +1,31 @@
+const fs = require("fs");
+const path = require("path");
+
+// Contracts the SDK talks to, by artifact path relative to artifacts/contracts
+const CONTRACTS = {
+  EducLearning: "EducLearning.sol/EducLearning.json",
+  EducStudent: "core/student/EducStudent.sol/EducStudent.json",
+  EducCourse: "core/course/EducCourse.sol/EducCourse.json",
+  EducEducator: "core/educator/EducEducator.sol/EducEducator.json",
+  EducToken: "core/token/EducToken.sol/EducToken.json",
+  EducVesting: "vesting/EducVesting.sol/EducVesting.json",
+  EducVestingCloneable: "vesting/EducVestingCloneable.sol/EducVestingCloneable.json",
+  EducVestingFactory: "vesting/EducVestingFactory.sol/EducVestingFactory.json",
+};
+
+const ARTIFACTS_DIR = path.join(__dirname, "../../artifacts/contracts");
+const ABI_DIR = path.join(__dirname, "../src/abi");
+
+function main() {
+  if (!fs.existsSync(ARTIFACTS_DIR)) {
+    throw new Error(`Artifacts not found at ${ARTIFACTS_DIR}, run "npx hardhat compile" in the repository root first`);
+  }
+
+  for (const [name, artifactPath] of Object.entries(CONTRACTS)) {
+    const artifact = JSON.parse(fs.readFileSync(path.join(ARTIFACTS_DIR, artifactPath), "utf8"));
+    fs.writeFileSync(path.join(ABI_DIR, `${name}.json`), JSON.stringify(artifact.abi, null, 2) + "\n");
+    console.log(`Exported ${name} ABI`);
+  }
+}
+
+main();
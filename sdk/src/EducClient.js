@@ -0,0 +1,377 @@
+const { Contract, getAddress } = require("ethers");
+const { translateError } = require("./errors");
+
+const EducLearningAbi = require("./abi/EducLearning.json");
+const EducStudentAbi = require("./abi/EducStudent.json");
+const EducCourseAbi = require("./abi/EducCourse.json");
+const EducEducatorAbi = require("./abi/EducEducator.json");
+const EducTokenAbi = require("./abi/EducToken.json");
+const EducVestingAbi = require("./abi/EducVesting.json");
+const EducVestingCloneableAbi = require("./abi/EducVestingCloneable.json");
+const EducVestingFactoryAbi = require("./abi/EducVestingFactory.json");
+
+/**
+ * Contracts are ethers Contract instances over the ABIs bundled in ./abi, so the SDK
+ * carries no generated typings of its own.
+ * @typedef {import("ethers").Contract} EducLearning
+ * @typedef {import("ethers").Contract} EducStudent
+ * @typedef {import("ethers").Contract} EducCourse
+ * @typedef {import("ethers").Contract} EducEducator
+ * @typedef {import("ethers").Contract} EducToken
+ * @typedef {import("ethers").Contract} EducVestingFactory
+ * @typedef {import("ethers").ContractRunner} ContractRunner
+ */
+
+const VESTING_TYPES = ["Linear", "Cliff", "Milestone", "Hybrid"];
+
+/**
+ * @dev Wraps a contract so every call translates reverts into EducError subclasses
+ */
+function withTypedErrors(contract, contractName) {
+  return new Proxy(contract, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== "function") {
+        return value;
+      }
+      // Contract methods carry staticCall; anything else (getAddress, queryFilter, ...) is a BaseContract method
+      if (typeof value.staticCall !== "function") {
+        return value.bind(target);
+      }
+
+      const wrap =
+        (fn) =>
+        async (...args) => {
+          try {
+            return await fn(...args);
+          } catch (error) {
+            throw translateError(error, target.interface, contractName);
+          }
+        };
+      const wrapped = wrap(value);
+      wrapped.staticCall = wrap(value.staticCall);
+      wrapped.estimateGas = wrap(value.estimateGas);
+      return wrapped;
+    },
+  });
+}
+
+function toTimestamp(value) {
+  return value === 0n ? null : new Date(Number(value) * 1000);
+}
+
+/**
+ * @dev Client for the EducLearning contract suite. Reads are combined into plain
+ * objects, writes are simulated before they are sent and every revert is thrown as
+ * a typed EducError.
+ */
+class EducClient {
+  /**
+   * @param contracts Contract instances: learning, student, course, educator, token and
+   * optionally vestingFactory
+   * @param options Optional vesting contract addresses (`vesting`) and the block event
+   * queries start from (`fromBlock`)
+   */
+  constructor(contracts, { vesting = [], fromBlock = 0 } = {}) {
+    /** @type {EducLearning} */
+    this.learning = withTypedErrors(contracts.learning, "EducLearning");
+    /** @type {EducStudent} */
+    this.student = withTypedErrors(contracts.student, "EducStudent");
+    /** @type {EducCourse} */
+    this.course = withTypedErrors(contracts.course, "EducCourse");
+    /** @type {EducEducator} */
+    this.educator = withTypedErrors(contracts.educator, "EducEducator");
+    /** @type {EducToken} */
+    this.token = withTypedErrors(contracts.token, "EducToken");
+    /** @type {EducVestingFactory|null} */
+    this.vestingFactory = contracts.vestingFactory
+      ? withTypedErrors(contracts.vestingFactory, "EducVestingFactory")
+      : null;
+    this.vestingAddresses = vesting.map((address) => getAddress(address));
+    this.fromBlock = fromBlock;
+    this.runner = contracts.learning.runner;
+    this.provider = this.runner.provider ?? this.runner;
+  }
+
+  /**
+   * @dev Creates a client from the EducLearning address, resolving the student, course,
+   * educator and token contracts from it
+   * @param learningAddress EducLearning address
+   * @param runner Provider for reads, or signer for reads and writes
+   * @param options vestingFactory address, vesting contract addresses and fromBlock
+   * @return EducClient The client
+   */
+  static async connect(learningAddress, runner, { vestingFactory, vesting = [], fromBlock = 0 } = {}) {
+    const learning = new Contract(learningAddress, EducLearningAbi, runner);
+
+    let addresses;
+    try {
+      addresses = await Promise.all([learning.student(), learning.course(), learning.educator(), learning.token()]);
+    } catch (error) {
+      throw translateError(error, learning.interface, "EducLearning");
+    }
+    const [studentAddress, courseAddress, educatorAddress, tokenAddress] = addresses;
+
+    return new EducClient(
+      {
+        learning,
+        student: new Contract(studentAddress, EducStudentAbi, runner),
+        course: new Contract(courseAddress, EducCourseAbi, runner),
+        educator: new Contract(educatorAddress, EducEducatorAbi, runner),
+        token: new Contract(tokenAddress, EducTokenAbi, runner),
+        vestingFactory: vestingFactory ? new Contract(vestingFactory, EducVestingFactoryAbi, runner) : null,
+      },
+      { vesting, fromBlock }
+    );
+  }
+
+  /**
+   * @dev Gets a student's record, token balance and last activity per category
+   * @param studentAddress Student address
+   * @return object The profile
+   */
+  async getStudentProfile(studentAddress) {
+    const address = getAddress(studentAddress);
+    const [info, categories, balance] = await Promise.all([
+      this.student.getStudentInfo(address),
+      this.student.getStudentActivityCategories(address),
+      this.token.balanceOf(address),
+    ]);
+
+    const lastActivities = await Promise.all(
+      categories.map((category) => this.student.getStudentLastActivityByCategory(address, category))
+    );
+
+    return {
+      address: info.studentAddress,
+      totalEarned: info.totalEarned,
+      coursesCompleted: info.coursesCompleted,
+      balance,
+      registeredAt: toTimestamp(info.registrationTimestamp),
+      lastActivity: toTimestamp(info.lastActivity),
+      activities: categories.map((category, index) => ({
+        category,
+        lastActivity: toTimestamp(lastActivities[index]),
+      })),
+    };
+  }
+
+  /**
+   * @dev Gets a course with its version history, oldest change first. Each history
+   * entry holds the values the course had before it was updated to `version`.
+   * @param educatorAddress Educator that owns the course
+   * @param courseId Course ID
+   * @return object The course
+   */
+  async getCourse(educatorAddress, courseId) {
+    const educator = getAddress(educatorAddress);
+    const [info, historyCount] = await Promise.all([
+      this.course.getCourseInfo(educator, courseId),
+      this.course.getCourseHistoryCount(educator, courseId),
+    ]);
+
+    // Version 1 is the course as created, so history entries start at version 2
+    const versions = Array.from({ length: Number(historyCount) }, (_, index) => index + 2);
+    const history = await Promise.all(
+      versions.map((version) => this.course.getCourseHistory(educator, courseId, version))
+    );
+
+    return {
+      courseId: info.courseId,
+      name: info.courseName,
+      educator: info.educator,
+      rewardAmount: info.rewardAmount,
+      completionCount: info.completionCount,
+      isActive: info.isActive,
+      metadataHash: info.metadataHash,
+      version: Number(info.version),
+      createdAt: toTimestamp(info.createdAt),
+      updatedAt: toTimestamp(info.lastUpdatedAt),
+      lastCompletionAt: toTimestamp(info.lastCompletionTimestamp),
+      history: history.map((entry) => ({
+        version: Number(entry.version),
+        previousName: entry.previousName,
+        previousReward: entry.previousReward,
+        previousActive: entry.previousActive,
+        previousMetadataHash: entry.previousMetadataHash,
+        updatedBy: entry.updatedBy,
+        updatedAt: toTimestamp(entry.updatedAt),
+        changeDescription: entry.changeDescription,
+      })),
+    };
+  }
+
+  /**
+   * @dev Records a course completion and mints its reward. The call is simulated first,
+   * so a revert is thrown as a typed error before any transaction is sent.
+   * @param studentAddress Student address
+   * @param courseId Course ID, owned by the signer
+   * @return object The receipt and the decoded CourseCompletionProcessed event
+   */
+  async completeCourse(studentAddress, courseId) {
+    const address = getAddress(studentAddress);
+
+    await this.learning.completeCourse.staticCall(address, courseId);
+    const tx = await this.learning.completeCourse(address, courseId);
+    return this._completionResult(await tx.wait());
+  }
+
+  /**
+   * @dev Claims a course completion attested by the educator, see signCompletionAttestation.
+   * Any signer may claim, e.g. the student; the call is simulated first like completeCourse.
+   * @param attestation student, courseId, courseVersion, nonce and expiry
+   * @param signature Educator's signature of the attestation
+   * @return object The receipt and the decoded CourseCompletionProcessed event
+   */
+  async claimCompletion({ student, courseId, courseVersion, nonce, expiry }, signature) {
+    const attestation = { student: getAddress(student), courseId, courseVersion, nonce, expiry };
+
+    await this.learning.claimCompletion.staticCall(attestation, signature);
+    const tx = await this.learning.claimCompletion(attestation, signature);
+    return this._completionResult(await tx.wait());
+  }
+
+  /**
+   * @dev Decodes the CourseCompletionProcessed event of a completion receipt
+   */
+  async _completionResult(receipt) {
+    const learningAddress = await this.learning.getAddress();
+    const event = receipt.logs
+      .filter((log) => log.address === learningAddress)
+      .map((log) => this.learning.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "CourseCompletionProcessed");
+
+    return {
+      receipt,
+      completion: event
+        ? {
+            student: event.args.student,
+            courseId: event.args.courseId,
+            educator: event.args.educator,
+            tokensAwarded: event.args.tokensAwarded,
+            completedAt: toTimestamp(event.args.timestamp),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * @dev Gets every vesting schedule of a beneficiary across the factory's contracts for
+   * the token and the vesting contracts given at connect time. EducVesting keeps its
+   * schedules private, so they are rebuilt from its events and their releasable amount
+   * is reported as null.
+   * @param beneficiary Beneficiary address
+   * @return object The schedules and their totals
+   */
+  async getVestingOverview(beneficiary) {
+    const address = getAddress(beneficiary);
+    const vestingAddresses = [...this.vestingAddresses];
+
+    if (this.vestingFactory) {
+      const tokenAddress = await this.token.getAddress();
+      for (const vestingAddress of await this.vestingFactory.getVestingContractsForToken(tokenAddress)) {
+        vestingAddresses.push(getAddress(vestingAddress));
+      }
+    }
+
+    const schedules = [];
+    for (const vestingAddress of new Set(vestingAddresses)) {
+      schedules.push(...(await this._getVestingSchedules(vestingAddress, address)));
+    }
+
+    const totals = { allocated: 0n, released: 0n, releasable: 0n, locked: 0n };
+    for (const schedule of schedules) {
+      if (schedule.revoked) {
+        continue;
+      }
+      totals.allocated += schedule.totalAmount;
+      totals.released += schedule.released;
+      totals.releasable += schedule.releasable ?? 0n;
+    }
+    totals.locked = totals.allocated - totals.released - totals.releasable;
+
+    return { beneficiary: address, schedules, totals };
+  }
+
+  /**
+   * @dev Reads a beneficiary's schedules from a cloneable vesting contract, falling back
+   * to event replay for EducVesting, which has no view functions
+   */
+  async _getVestingSchedules(vestingAddress, beneficiary) {
+    const cloneable = withTypedErrors(new Contract(vestingAddress, EducVestingCloneableAbi, this.runner), "EducVesting");
+
+    // The function dispatcher embeds every selector, so the bytecode tells the two contracts apart
+    const selector = cloneable.interface.getFunction("getVestingSchedulesForBeneficiary").selector;
+    const code = await this.provider.getCode(vestingAddress);
+    if (!code.includes(selector.slice(2))) {
+      return this._replayVestingSchedules(vestingAddress, beneficiary);
+    }
+
+    const scheduleIds = await cloneable.getVestingSchedulesForBeneficiary(beneficiary);
+
+    const schedules = [];
+    // Transferred schedules stay listed under their previous beneficiary
+    for (const scheduleId of new Set(scheduleIds)) {
+      const [schedule, releasable] = await Promise.all([
+        cloneable.getVestingSchedule(scheduleId),
+        cloneable.getReleasableAmount(scheduleId),
+      ]);
+      if (schedule.beneficiary !== beneficiary) {
+        continue;
+      }
+
+      schedules.push({
+        vestingContract: vestingAddress,
+        scheduleId,
+        vestingType: VESTING_TYPES[Number(schedule.vestingType)],
+        totalAmount: schedule.totalAmount,
+        released: schedule.released,
+        releasable: schedule.revoked ? 0n : releasable,
+        startTime: toTimestamp(schedule.startTime),
+        duration: Number(schedule.duration),
+        cliffDuration: Number(schedule.cliffDuration),
+        milestoneCount: Number(schedule.milestoneCount),
+        milestonesReached: Number(schedule.milestonesReached),
+        revocable: schedule.revocable,
+        revoked: schedule.revoked,
+      });
+    }
+    return schedules;
+  }
+
+  async _replayVestingSchedules(vestingAddress, beneficiary) {
+    const vesting = new Contract(vestingAddress, EducVestingAbi, this.runner);
+    const [created, released] = await Promise.all([
+      vesting.queryFilter(vesting.filters.VestingScheduleCreated(), this.fromBlock),
+      vesting.queryFilter(vesting.filters.VestingScheduleReleased(), this.fromBlock),
+    ]);
+
+    const releasedById = new Map();
+    for (const event of released) {
+      const id = event.args.vestingScheduleId;
+      releasedById.set(id, (releasedById.get(id) ?? 0n) + event.args.amount);
+    }
+
+    return created
+      .filter((event) => event.args.beneficiary === beneficiary)
+      .map((event) => ({
+        vestingContract: vestingAddress,
+        scheduleId: event.args.vestingScheduleId,
+        vestingType: VESTING_TYPES[Number(event.args.vestingType)],
+        totalAmount: event.args.amount,
+        released: releasedById.get(event.args.vestingScheduleId) ?? 0n,
+        releasable: null,
+        startTime: toTimestamp(event.args.startTime),
+        duration: Number(event.args.duration),
+        cliffDuration: null,
+        milestoneCount: null,
+        milestonesReached: null,
+        revocable: null,
+        revoked: false,
+      }));
+  }
+}
+
+module.exports = {
+  EducClient,
+};
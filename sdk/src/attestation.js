@@ -0,0 +1,114 @@
+const { Contract, getAddress, randomBytes, toBigInt, verifyTypedData } = require("ethers");
+
+const EducCourseAbi = require("./abi/EducCourse.json");
+
+/**
+ * @dev EIP-712 completion attestations for EducLearning. An educator signs that a student
+ * completed a version of one of their courses, and the student or a relayer claims the
+ * completion with `claimCompletion`, so the educator sends no transaction per student.
+ */
+
+const COMPLETION_ATTESTATION_TYPES = {
+  CompletionAttestation: [
+    { name: "student", type: "address" },
+    { name: "courseId", type: "string" },
+    { name: "courseVersion", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// Validity of an attestation when no expiry is given, in seconds
+const DEFAULT_ATTESTATION_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * @dev Builds the typed data of a completion attestation
+ * @param learning EducLearning contract, connected to a provider
+ * @param attestation student and courseId. The course version defaults to the current
+ * version of the course of `educator`, the nonce to a random one (nonces are unordered)
+ * and the expiry to DEFAULT_ATTESTATION_TTL after the latest block.
+ * @return object { domain, types, message }, ready for signTypedData
+ */
+async function buildCompletionAttestation(learning, { educator, student, courseId, courseVersion, nonce, expiry }) {
+  const provider = learning.runner.provider ?? learning.runner;
+
+  if (courseVersion === undefined) {
+    if (!educator) {
+      throw new Error("An educator is needed to read the course version");
+    }
+    const course = new Contract(await learning.course(), EducCourseAbi, provider);
+    courseVersion = (await course.getCourseInfo(getAddress(educator), courseId)).version;
+  }
+  if (expiry === undefined) {
+    expiry = BigInt((await provider.getBlock("latest")).timestamp + DEFAULT_ATTESTATION_TTL);
+  }
+
+  const domain = await learning.eip712Domain();
+  return {
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: getAddress(domain.verifyingContract),
+    },
+    types: COMPLETION_ATTESTATION_TYPES,
+    message: {
+      student: getAddress(student),
+      courseId,
+      courseVersion: BigInt(courseVersion),
+      nonce: nonce === undefined ? toBigInt(randomBytes(32)) : BigInt(nonce),
+      expiry: BigInt(expiry),
+    },
+  };
+}
+
+/**
+ * @dev Builds and signs a completion attestation with the educator's signer
+ * @param learning EducLearning contract, connected to a provider
+ * @param signer Signer of the educator who owns the course
+ * @param attestation student, courseId and optional courseVersion, nonce and expiry, see
+ * buildCompletionAttestation
+ * @return object The attestation fields, its signature and the `args` of `claimCompletion`
+ */
+async function signCompletionAttestation(learning, signer, { student, courseId, courseVersion, nonce, expiry }) {
+  const { domain, types, message } = await buildCompletionAttestation(learning, {
+    educator: await signer.getAddress(),
+    student,
+    courseId,
+    courseVersion,
+    nonce,
+    expiry,
+  });
+  const signature = await signer.signTypedData(domain, types, message);
+
+  return {
+    ...message,
+    signature,
+    args: [message, signature],
+  };
+}
+
+/**
+ * @dev Recovers the educator who signed an attestation, e.g. for a relayer to check it
+ * before paying for the claim
+ * @param domain Domain of EducLearning, see buildCompletionAttestation
+ * @param attestation student, courseId, courseVersion, nonce and expiry
+ * @param signature Signature of the attestation
+ * @return string The signer address
+ */
+function recoverAttestationSigner(domain, { student, courseId, courseVersion, nonce, expiry }, signature) {
+  return verifyTypedData(
+    domain,
+    COMPLETION_ATTESTATION_TYPES,
+    { student, courseId, courseVersion, nonce, expiry },
+    signature
+  );
+}
+
+module.exports = {
+  COMPLETION_ATTESTATION_TYPES,
+  DEFAULT_ATTESTATION_TTL,
+  buildCompletionAttestation,
+  signCompletionAttestation,
+  recoverAttestationSigner,
+};
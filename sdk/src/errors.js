@@ -0,0 +1,210 @@
+/**
+ * @dev Error classes for contract reverts. Every revert raised through EducClient is
+ * translated into one of these, so callers can branch on the class or on the stable
+ * `code` instead of matching revert strings.
+ */
+
+/**
+ * @dev Base class for every translated revert
+ * @param message Readable message
+ * @param details Revert details: contract, reason, code, args, data and cause
+ */
+class EducError extends Error {
+  constructor(message, { contract = null, reason = null, code = "UNKNOWN", args = [], data = null, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = this.constructor.name;
+    this.contract = contract;
+    this.reason = reason;
+    this.code = code;
+    this.args = args;
+    this.data = data;
+  }
+}
+
+/** @dev The caller lacks a role or is not the account the action belongs to */
+class EducUnauthorizedError extends EducError {}
+
+/** @dev A student, educator, course or other record does not exist */
+class EducNotFoundError extends EducError {}
+
+/** @dev The record or action already exists (registration, completion, approval) */
+class EducAlreadyExistsError extends EducError {}
+
+/** @dev A mint, daily, count or cooldown limit would be exceeded */
+class EducLimitExceededError extends EducError {}
+
+/** @dev The contract is paused */
+class EducPausedError extends EducError {}
+
+/** @dev The record is not in a state that allows the action (inactive, revoked, expired, ...) */
+class EducStateError extends EducError {}
+
+/** @dev An argument is invalid */
+class EducValidationError extends EducError {}
+
+// Require strings are matched in order, so more specific patterns come first
+const REASON_PATTERNS = [
+  [EducPausedError, /paused/i],
+  [EducNotFoundError, /not found|not registered|not a registered|does not exist|out of bounds|no approved/i],
+  [EducUnauthorizedError, /^caller |^only |not an? (active )?(educator|signer|multisig signer|minter|admin)\b|does not have/i],
+  [EducAlreadyExistsError, /already (exists|registered|completed|claimed|used|approved|rejected)|duplicate/i],
+  [EducLimitExceededError, /exceed|reached|too many|maximum|not elapsed/i],
+  [
+    EducStateError,
+    /not active|revoked|not revocable|expired|has ended|not ended|not inactive|no tokens|nothing to|cannot (reject|approve|escalate|remove)|insufficient|all milestones|not high enough|status|failed/i,
+  ],
+  [EducValidationError, /invalid|cannot be|must be|empty|mismatch|zero address|too long|not allowed|not a milestone/i],
+];
+
+const CUSTOM_ERRORS = {
+  AccessControlUnauthorizedAccount: EducUnauthorizedError,
+  AccessControlBadConfirmation: EducUnauthorizedError,
+  NotBeneficiary: EducUnauthorizedError,
+  EnforcedPause: EducPausedError,
+  ExpectedPause: EducStateError,
+  ScheduleAlreadyRevoked: EducStateError,
+  NoTokensDue: EducStateError,
+  ReentrancyGuardReentrantCall: EducStateError,
+  ERC20InsufficientBalance: EducStateError,
+  ERC20InsufficientAllowance: EducStateError,
+  ERC2612ExpiredSignature: EducStateError,
+  ERC2612InvalidSigner: EducUnauthorizedError,
+  ERC2771ForwarderExpiredRequest: EducStateError,
+  ERC2771ForwarderInvalidSigner: EducUnauthorizedError,
+  ERC2771ForwarderMismatchedValue: EducValidationError,
+  ERC2771UntrustfulTarget: EducValidationError,
+  InvalidAddress: EducValidationError,
+  InvalidAmount: EducValidationError,
+  InvalidDuration: EducValidationError,
+  InvalidMilestoneCount: EducValidationError,
+};
+
+/**
+ * @dev Converts a revert reason or error name to an UPPER_SNAKE_CASE code,
+ * e.g. "Course not found" to COURSE_NOT_FOUND and EnforcedPause to ENFORCED_PAUSE
+ */
+function toErrorCode(text) {
+  return text
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toUpperCase();
+}
+
+/**
+ * @dev Splits a "Contract: message" require string into its parts
+ */
+function splitReason(reason) {
+  const match = /^(\w+): (.*)$/s.exec(reason);
+  return match ? { contract: match[1], message: match[2] } : { contract: null, message: reason };
+}
+
+/**
+ * @dev Picks the error class for a require string
+ */
+function classifyReason(message) {
+  const entry = REASON_PATTERNS.find(([, pattern]) => pattern.test(message));
+  return entry ? entry[0] : EducError;
+}
+
+/**
+ * @dev Finds the raw revert data of a failed call. Hardhat nodes nest it one level
+ * deeper than ethers expects.
+ */
+function getRevertData(error) {
+  const candidates = [error.data, error.data && error.data.data, error.info && error.info.error && error.info.error.data];
+  for (const candidate of candidates) {
+    if (typeof candidate === "string" && candidate.startsWith("0x") && candidate.length > 2) {
+      return candidate;
+    }
+    if (candidate && typeof candidate.data === "string") {
+      return candidate.data;
+    }
+  }
+  return null;
+}
+
+/**
+ * @dev Decodes the revert of a failed call as { name, args } (name "Error" for require
+ * strings), or null when it cannot be decoded
+ */
+function decodeRevert(error, iface) {
+  if (error.revert && error.revert.name) {
+    return { name: error.revert.name, args: Array.from(error.revert.args) };
+  }
+
+  const data = getRevertData(error);
+  if (data && iface) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        return { name: parsed.name, args: Array.from(parsed.args) };
+      }
+    } catch (decodeError) {
+      // Fall through to the reason ethers extracted
+    }
+  }
+
+  if (typeof error.reason === "string" && error.reason !== "") {
+    return { name: "Error", args: [error.reason] };
+  }
+  return null;
+}
+
+/**
+ * @dev Translates an error thrown by a contract call into a typed EducError. Errors that
+ * are not reverts (network failures, user rejections, ...) are returned unchanged.
+ * @param error The error thrown by ethers
+ * @param iface Interface of the called contract, used to decode custom errors
+ * @param contractName Name reported for custom errors, which carry no contract prefix
+ * @return Error The translated error
+ */
+function translateError(error, iface, contractName = null) {
+  if (error instanceof EducError) {
+    return error;
+  }
+
+  const revert = decodeRevert(error, iface);
+  if (!revert) {
+    return error;
+  }
+  const data = getRevertData(error);
+
+  if (revert.name === "Error") {
+    const reason = String(revert.args[0]);
+    const { contract, message } = splitReason(reason);
+    const ErrorClass = classifyReason(message);
+    return new ErrorClass(reason, {
+      contract: contract || contractName,
+      reason,
+      code: toErrorCode(message),
+      args: revert.args,
+      data,
+      cause: error,
+    });
+  }
+
+  const ErrorClass = CUSTOM_ERRORS[revert.name] || EducError;
+  const formattedArgs = revert.args.map((arg) => String(arg)).join(", ");
+  return new ErrorClass(`${contractName ? `${contractName}: ` : ""}${revert.name}(${formattedArgs})`, {
+    contract: contractName,
+    reason: revert.name,
+    code: toErrorCode(revert.name),
+    args: revert.args,
+    data,
+    cause: error,
+  });
+}
+
+module.exports = {
+  EducError,
+  EducUnauthorizedError,
+  EducNotFoundError,
+  EducAlreadyExistsError,
+  EducLimitExceededError,
+  EducPausedError,
+  EducStateError,
+  EducValidationError,
+  translateError,
+  toErrorCode,
+};
@@ -0,0 +1,123 @@
+const { getAddress, hexlify } = require("ethers");
+
+/**
+ * @dev ERC-2771 meta-transactions through EducForwarder. A student signs a request for a
+ * call and a relayer submits it with `execute`, paying the gas; the target attributes the
+ * call to the student.
+ */
+
+// Matches the ForwardRequest typehash of the OpenZeppelin ERC2771Forwarder
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+// Gas forwarded to the target when none is given, enough for transfers and releases
+const DEFAULT_REQUEST_GAS = 300000n;
+// Validity of a request when no deadline is given, in seconds
+const DEFAULT_REQUEST_TTL = 60 * 60;
+
+/**
+ * @dev Builds the typed data of a forward request
+ * @param forwarder EducForwarder contract, connected to a provider
+ * @param request from, to and data; value defaults to 0, gas to DEFAULT_REQUEST_GAS, the
+ * nonce to the current forwarder nonce of `from` and the deadline to DEFAULT_REQUEST_TTL
+ * after the latest block
+ * @return object { domain, types, message }, ready for signTypedData
+ */
+async function buildForwardRequest(forwarder, { from, to, data, value = 0n, gas = DEFAULT_REQUEST_GAS, nonce, deadline }) {
+  const fromAddress = getAddress(from);
+
+  if (deadline === undefined) {
+    const provider = forwarder.runner.provider ?? forwarder.runner;
+    deadline = BigInt((await provider.getBlock("latest")).timestamp + DEFAULT_REQUEST_TTL);
+  }
+
+  const domain = await forwarder.eip712Domain();
+  return {
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: getAddress(domain.verifyingContract),
+    },
+    types: FORWARD_REQUEST_TYPES,
+    message: {
+      from: fromAddress,
+      to: getAddress(to),
+      value: BigInt(value),
+      gas: BigInt(gas),
+      nonce: nonce === undefined ? await forwarder.nonces(fromAddress) : BigInt(nonce),
+      deadline: BigInt(deadline),
+      data: hexlify(data),
+    },
+  };
+}
+
+/**
+ * @dev Builds and signs a forward request with the signer of `from`
+ * @param forwarder EducForwarder contract, connected to a provider
+ * @param signer Signer of the account the call is made for
+ * @param request to and data, with optional value, gas, nonce and deadline, see buildForwardRequest
+ * @return object The ForwardRequestData of `execute`: from, to, value, gas, deadline, data and signature
+ */
+async function signForwardRequest(forwarder, signer, { to, data, value, gas, nonce, deadline }) {
+  const { domain, types, message } = await buildForwardRequest(forwarder, {
+    from: await signer.getAddress(),
+    to,
+    data,
+    value,
+    gas,
+    nonce,
+    deadline,
+  });
+  const signature = await signer.signTypedData(domain, types, message);
+
+  return {
+    from: message.from,
+    to: message.to,
+    value: message.value,
+    gas: message.gas,
+    deadline: message.deadline,
+    data: message.data,
+    signature,
+  };
+}
+
+/**
+ * @dev Posts a signed request to a relayer service
+ * @param relayerUrl Base URL of the relayer, e.g. http://localhost:4100
+ * @param request Signed request, see signForwardRequest
+ * @return object { hash, blockNumber } of the relayed transaction
+ */
+async function relayForwardRequest(relayerUrl, request) {
+  const response = await fetch(new URL("/relay", relayerUrl), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request, (key, value) => (typeof value === "bigint" ? value.toString() : value)),
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    const error = new Error(body.error ? body.error.message : `Relayer responded with ${response.status}`);
+    error.code = body.error ? body.error.code : "RELAY_FAILED";
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  DEFAULT_REQUEST_GAS,
+  DEFAULT_REQUEST_TTL,
+  buildForwardRequest,
+  signForwardRequest,
+  relayForwardRequest,
+};
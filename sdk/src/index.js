@@ -0,0 +1,25 @@
+const { EducClient } = require("./EducClient");
+const errors = require("./errors");
+const permit = require("./permit");
+const forwarder = require("./forwarder");
+const attestation = require("./attestation");
+
+const abi = {
+  EducLearning: require("./abi/EducLearning.json"),
+  EducStudent: require("./abi/EducStudent.json"),
+  EducCourse: require("./abi/EducCourse.json"),
+  EducEducator: require("./abi/EducEducator.json"),
+  EducToken: require("./abi/EducToken.json"),
+  EducVesting: require("./abi/EducVesting.json"),
+  EducVestingCloneable: require("./abi/EducVestingCloneable.json"),
+  EducVestingFactory: require("./abi/EducVestingFactory.json"),
+};
+
+module.exports = {
+  EducClient,
+  abi,
+  ...permit,
+  ...forwarder,
+  ...attestation,
+  ...errors,
+};
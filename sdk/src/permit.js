@@ -0,0 +1,114 @@
+const { Signature, getAddress, verifyTypedData } = require("ethers");
+
+/**
+ * @dev EIP-2612 permits for EducToken, EducTokenWithRecovery and EducTokenUpgradeable.
+ * A holder signs an approval off-chain and anyone (a spender, a relayer) submits it
+ * with `permit`, so the holder needs no ETH.
+ */
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Validity of a permit when no deadline is given, in seconds
+const DEFAULT_PERMIT_TTL = 60 * 60;
+
+/**
+ * @dev Reads the EIP-712 domain of a token (ERC-5267), so permits follow the name,
+ * version and chain the token actually checks
+ * @param token Token contract
+ * @return object The domain
+ */
+async function getPermitDomain(token) {
+  const domain = await token.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: getAddress(domain.verifyingContract),
+  };
+}
+
+/**
+ * @dev Builds the typed data of a permit
+ * @param token Token contract, connected to a provider
+ * @param permit owner, spender and value; the nonce defaults to the current nonce of the
+ * owner and the deadline to DEFAULT_PERMIT_TTL after the latest block
+ * @return object { domain, types, message }, ready for signTypedData
+ */
+async function buildPermit(token, { owner, spender, value, nonce, deadline }) {
+  const ownerAddress = getAddress(owner);
+
+  if (deadline === undefined) {
+    const provider = token.runner.provider ?? token.runner;
+    deadline = BigInt((await provider.getBlock("latest")).timestamp + DEFAULT_PERMIT_TTL);
+  }
+
+  return {
+    domain: await getPermitDomain(token),
+    types: PERMIT_TYPES,
+    message: {
+      owner: ownerAddress,
+      spender: getAddress(spender),
+      value: BigInt(value),
+      nonce: nonce === undefined ? await token.nonces(ownerAddress) : BigInt(nonce),
+      deadline: BigInt(deadline),
+    },
+  };
+}
+
+/**
+ * @dev Builds and signs a permit with the owner's signer
+ * @param token Token contract, connected to a provider
+ * @param signer Signer of the owner
+ * @param permit spender, value and optional nonce and deadline, see buildPermit
+ * @return object The permit fields, its signature split into v, r and s, and the `args`
+ * of `token.permit`
+ */
+async function signPermit(token, signer, { spender, value, nonce, deadline }) {
+  const { domain, types, message } = await buildPermit(token, {
+    owner: await signer.getAddress(),
+    spender,
+    value,
+    nonce,
+    deadline,
+  });
+  const signature = await signer.signTypedData(domain, types, message);
+  const { v, r, s } = Signature.from(signature);
+
+  return {
+    ...message,
+    signature,
+    v,
+    r,
+    s,
+    args: [message.owner, message.spender, message.value, message.deadline, v, r, s],
+  };
+}
+
+/**
+ * @dev Recovers the account that signed a permit, e.g. for a relayer to check a permit
+ * before paying for its transaction
+ * @param domain Domain of the token, see getPermitDomain
+ * @param permit owner, spender, value, nonce and deadline
+ * @param signature Signature of the permit
+ * @return string The signer address
+ */
+function recoverPermitSigner(domain, { owner, spender, value, nonce, deadline }, signature) {
+  return verifyTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline }, signature);
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  DEFAULT_PERMIT_TTL,
+  getPermitDomain,
+  buildPermit,
+  signPermit,
+  recoverPermitSigner,
+};
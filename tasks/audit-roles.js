@@ -0,0 +1,322 @@
+const { task, types } = require("hardhat/config");
+
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE", "EDUCATOR_ROLE", "MINTER_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE", "EMERGENCY_ROLE", "GUARDIAN_ROLE"];
+
+// Roles a contract must hold on another contract for the cross-contract calls in the
+// system to succeed. "TOKEN" resolves to EducToken or EducTokenUpgradeable, whichever
+// the deployment contains.
+const ROLE_REQUIREMENTS = [
+  {
+    target: "TOKEN",
+    role: "ADMIN_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.initialize -> setStudentContract",
+      "EducLearning.burnInactiveTokens -> burnFromInactive",
+    ],
+  },
+  {
+    target: "TOKEN",
+    role: "MINTER_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.completeCourse -> mintReward",
+      "EducLearning.claimCompletion -> mintReward",
+      "EducLearning.issueReward -> mintReward",
+      "EducLearning.batchIssueRewards -> batchMintReward",
+    ],
+  },
+  {
+    target: "EducEducator",
+    role: "ADMIN_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.completeCourse -> recordMint",
+      "EducLearning.claimCompletion -> recordMint",
+      "EducLearning.issueReward -> recordRewardMint",
+      "EducLearning.batchIssueRewards -> recordRewardMint",
+    ],
+  },
+  {
+    target: "EducEducator",
+    role: "ADMIN_ROLE",
+    grantee: "EducCourse",
+    paths: ["EducCourse.createCourse -> incrementCourseCount"],
+  },
+  {
+    target: "EducStudent",
+    role: "ADMIN_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.completeCourse -> registerStudent",
+      "EducLearning.claimCompletion -> registerStudent",
+      "EducLearning.issueReward -> registerStudent, recordCustomActivity",
+      "EducLearning.batchIssueRewards -> registerStudent, recordCustomActivity",
+    ],
+  },
+  {
+    target: "EducStudent",
+    role: "EDUCATOR_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.completeCourse -> recordCourseCompletion",
+      "EducLearning.claimCompletion -> recordCourseCompletion",
+    ],
+  },
+  {
+    target: "EducCourse",
+    role: "ADMIN_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.completeCourse -> incrementCompletionCount",
+      "EducLearning.claimCompletion -> incrementCompletionCount",
+    ],
+  },
+  {
+    target: "EducCertificate",
+    role: "MINTER_ROLE",
+    grantee: "EducLearning",
+    paths: [
+      "EducLearning.completeCourse -> issueCertificate",
+      "EducLearning.claimCompletion -> issueCertificate",
+    ],
+  },
+  {
+    target: "TOKEN",
+    role: "MINTER_ROLE",
+    grantee: "EducRewardDistributor",
+    paths: ["EducRewardDistributor.claim -> mintReward"],
+  },
+  {
+    target: "EducEducator",
+    role: "ADMIN_ROLE",
+    grantee: "EducRewardDistributor",
+    paths: [
+      "EducRewardDistributor.commitEpoch -> recordRewardMint",
+      "EducRewardDistributor.expireEpoch -> releaseMint",
+    ],
+  },
+  {
+    target: "EducStudent",
+    role: "ADMIN_ROLE",
+    grantee: "EducRewardDistributor",
+    paths: ["EducRewardDistributor.claim -> registerStudent, recordCustomActivity"],
+  },
+  {
+    target: "EducMultisig",
+    role: "ADMIN_ROLE",
+    grantee: "EducProposal",
+    paths: ["EducProposal.execute -> addSigner, removeSigner, changeThreshold"],
+  },
+  {
+    target: "EducConfig",
+    role: "ADMIN_ROLE",
+    grantee: "EducProposal",
+    paths: ["EducProposal.execute -> updateConfig"],
+  },
+  {
+    target: "EducEducator",
+    role: "ADMIN_ROLE",
+    grantee: "EducProposal",
+    paths: ["EducProposal.execute -> registerEducator, setEducatorStatus"],
+  },
+  {
+    target: "EducCourse",
+    role: "ADMIN_ROLE",
+    grantee: "EducProposal",
+    paths: ["EducProposal.execute -> createCourseForEducator, updateCourseForEducator"],
+  },
+  {
+    target: "EducTreasury",
+    role: "ADMIN_ROLE",
+    grantee: "EducProposal",
+    paths: ["EducProposal.execute -> transferFunds"],
+  },
+  {
+    target: "EducPause",
+    role: "EMERGENCY_ROLE",
+    grantee: "EducProposal",
+    paths: ["EducProposal.execute -> setEmergencyPause"],
+  },
+];
+
+function parseAddressList(ethers, value) {
+  return (value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0)
+    .map((address) => ethers.getAddress(address).toLowerCase());
+}
+
+function resolveName(manifest, name) {
+  if (name !== "TOKEN") {
+    return name;
+  }
+  return ["EducTokenUpgradeable", "EducToken"].find((candidate) => manifest.contracts[candidate]);
+}
+
+/**
+ * @dev Lists the current holders of every audited role on a contract by replaying its
+ * RoleGranted events and confirming each candidate with hasRole
+ */
+async function getRoleHolders(contract, roles, fromBlock, toBlock, queryInBatches) {
+  const candidates = new Map(roles.map(({ hash }) => [hash, new Set()]));
+  const events = await queryInBatches(contract, contract.filters.RoleGranted(), fromBlock, toBlock);
+
+  for (const event of events) {
+    const members = candidates.get(event.args.role);
+    if (members) {
+      members.add(event.args.account);
+    }
+  }
+
+  const holders = [];
+  for (const { name, hash } of roles) {
+    for (const account of candidates.get(hash)) {
+      if (await contract.hasRole(hash, account)) {
+        holders.push({ role: name, account });
+      }
+    }
+  }
+  return holders;
+}
+
+task("educ:audit-roles", "Checks every cross-contract role grant the EducLearning system needs")
+  .addOptionalParam("deployment", "Deployment manifest or Ignition deployment directory to use (defaults to deployments/<network>.json, then ignition/deployments/chain-<chainId>)", undefined, types.string)
+  .addOptionalParam("allow", "Comma-separated accounts allowed to hold roles beyond the requirements (e.g. the multisig)", "", types.string)
+  .addOptionalParam("fromBlock", "First block to scan for RoleGranted events (defaults to the earliest deployment block in the manifest)", undefined, types.int)
+  .addFlag("fix", "Send the missing grants, or print their calldata when the signer cannot grant them")
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { getManifestPath } = require("../scripts/utils/deployment-manifest");
+    const { queryInBatches } = require("../scripts/utils/snapshot");
+    const { loadDeployment } = require("./utils/deployment");
+
+    const manifest = loadDeployment(hre, taskArgs.deployment);
+    const source = taskArgs.deployment || manifest.ignitionDeployment || getManifestPath(hre.network.name);
+    console.log(`Auditing roles for ${hre.network.name} (${source})`);
+
+    const roles = ROLE_NAMES.map((name) => ({ name, hash: name === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(name) }));
+    const roleHash = (name) => roles.find((role) => role.name === name).hash;
+    const allowed = new Set(parseAddressList(ethers, taskArgs.allow));
+
+    const entries = Object.entries(manifest.contracts);
+    const deploymentBlocks = entries.map(([, entry]) => entry.blockNumber).filter((block) => block !== null && block !== undefined);
+    const fromBlock = taskArgs.fromBlock ?? (deploymentBlocks.length > 0 ? Math.min(...deploymentBlocks) : 0);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    const addressToName = new Map(entries.map(([name, entry]) => [entry.address.toLowerCase(), name]));
+    const label = (address) => addressToName.get(address.toLowerCase()) || address;
+
+    // Requirements whose target or grantee is not part of this deployment cannot be checked
+    const requirements = [];
+    for (const requirement of ROLE_REQUIREMENTS) {
+      const target = resolveName(manifest, requirement.target);
+      if (!target || !manifest.contracts[requirement.grantee]) {
+        console.log(`Skipping ${requirement.target} ${requirement.role} for ${requirement.grantee}: not in the manifest`);
+        continue;
+      }
+      requirements.push({ ...requirement, target });
+    }
+
+    console.log("\nCross-contract call paths");
+    for (const requirement of requirements) {
+      console.log(`${requirement.role} on ${requirement.target} for ${requirement.grantee}:`);
+      requirement.paths.forEach((callPath) => console.log(`  ${callPath}`));
+    }
+
+    const rows = [];
+    const missing = [];
+
+    for (const [name, entry] of entries) {
+      const contract = await ethers.getContractAt("AccessControl", entry.address);
+      const holders = await getRoleHolders(contract, roles, fromBlock, toBlock, queryInBatches);
+      const required = requirements.filter((requirement) => requirement.target === name);
+
+      for (const requirement of required) {
+        const grantee = manifest.contracts[requirement.grantee].address;
+        const present = await contract.hasRole(roleHash(requirement.role), grantee);
+        const row = {
+          contract: name,
+          role: requirement.role,
+          account: requirement.grantee,
+          type: "contract",
+          status: present ? "present" : "missing",
+        };
+        rows.push(row);
+        if (!present) {
+          missing.push({ row, contract, role: roleHash(requirement.role), grantee });
+        }
+      }
+
+      for (const { role, account } of holders) {
+        const isRequired = required.some(
+          (requirement) =>
+            requirement.role === role &&
+            manifest.contracts[requirement.grantee].address.toLowerCase() === account.toLowerCase()
+        );
+        if (isRequired) {
+          continue;
+        }
+
+        const isContract = (await ethers.provider.getCode(account)) !== "0x";
+        rows.push({
+          contract: name,
+          role,
+          account: label(account),
+          type: isContract ? "contract" : "EOA",
+          status: allowed.has(account.toLowerCase()) ? "allowed" : "excess",
+        });
+      }
+    }
+
+    console.log("\nRole matrix");
+    console.table(rows);
+
+    const excess = rows.filter((row) => row.status === "excess");
+    const eoaAdmins = excess.filter((row) => row.type === "EOA" && (row.role === "ADMIN_ROLE" || row.role === "DEFAULT_ADMIN_ROLE"));
+    console.log(
+      `Required grants: ${rows.length - excess.length - rows.filter((row) => row.status === "allowed").length}, ` +
+        `missing: ${missing.length}, excess: ${excess.length} (${eoaAdmins.length} EOA admin grants)`
+    );
+
+    // Returned for callers running the task programmatically
+    const result = { rows, missing: missing.map(({ row }) => row), unsent: [] };
+
+    if (missing.length === 0) {
+      console.log("✅ Every required cross-contract role is granted");
+      return result;
+    }
+
+    if (!taskArgs.fix) {
+      console.log("⚠️ Missing grants found, re-run with --fix to grant them");
+      process.exitCode = 1;
+      return result;
+    }
+
+    const [signer] = await ethers.getSigners();
+    console.log(`\nFixing missing grants as ${signer.address}...`);
+    const { unsent } = result;
+
+    for (const { row, contract, role, grantee } of missing) {
+      const adminRole = await contract.getRoleAdmin(role);
+      const data = contract.interface.encodeFunctionData("grantRole", [role, grantee]);
+
+      if (await contract.hasRole(adminRole, signer.address)) {
+        const tx = await contract.connect(signer).grantRole(role, grantee);
+        await tx.wait();
+        console.log(`Granted ${row.role} on ${row.contract} to ${row.account} (${tx.hash})`);
+      } else {
+        unsent.push({ contract: row.contract, to: contract.target, role: row.role, account: row.account, data });
+      }
+    }
+
+    if (unsent.length > 0) {
+      console.log(`\n${signer.address} cannot grant the following roles, submit them from an account holding the role admin:`);
+      console.table(unsent);
+      process.exitCode = 1;
+    }
+    return result;
+  });
+
+module.exports = { ROLE_REQUIREMENTS };
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+task("educ:export-transcript", "Exports a student's course completions as signed Open Badges 3.0 credentials")
+  .addParam("student", "Student address", undefined, types.string)
+  .addOptionalParam("issuerName", "Issuer name shown in the credentials", "EducToken", types.string)
+  .addOptionalParam("issuerUrl", "Issuer website", undefined, types.string)
+  .addOptionalParam("out", "Output directory (defaults to deployments/transcripts/<network>/<student>)", undefined, types.string)
+  .addOptionalParam("deployment", "Deployment manifest or Ignition deployment directory to use (defaults to deployments/<network>.json, then ignition/deployments/chain-<chainId>)", undefined, types.string)
+  .addOptionalParam("from", "Issuer account that signs the credentials (defaults to the first configured account)", undefined, types.string)
+  .addOptionalParam("fromBlock", "First block to scan for completions (defaults to the EducStudent deployment block)", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const { ethers } = hre;
+    const { loadDeployment, getTaskSigner, getDeployedContract } = require("./utils/deployment");
+    const { DEPLOYMENTS_DIR } = require("../scripts/utils/deployment-manifest");
+    const { collectCompletions, buildCompletionCredential } = require("../scripts/credentials/transcript");
+    const { signCredential } = require("../scripts/credentials/eip712-proof");
+
+    if (!ethers.isAddress(taskArgs.student)) {
+      throw new HardhatPluginError("educ", `--student must be an address, got "${taskArgs.student}"`);
+    }
+    const studentAddress = ethers.getAddress(taskArgs.student);
+
+    const deployment = loadDeployment(hre, taskArgs.deployment);
+    const signer = await getTaskSigner(hre, taskArgs.from);
+    const student = await getDeployedContract(hre, deployment, "EducStudent", ethers.provider);
+    const course = await getDeployedContract(hre, deployment, "EducCourse", ethers.provider);
+    const learning = await getDeployedContract(hre, deployment, "EducLearning", ethers.provider);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const fromBlock = taskArgs.fromBlock ?? deployment.contracts.EducStudent.blockNumber ?? 0;
+
+    console.log(`Reading completions of ${studentAddress} from block ${fromBlock}...`);
+    const completions = await collectCompletions({ student, course, learning }, studentAddress, { fromBlock });
+    if (completions.length === 0) {
+      console.log("No course completions found");
+      return;
+    }
+
+    const outDir = path.resolve(taskArgs.out || path.join(DEPLOYMENTS_DIR, "transcripts", hre.network.name, studentAddress));
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const issuer = { address: await signer.getAddress(), name: taskArgs.issuerName, url: taskArgs.issuerUrl };
+    for (const completion of completions) {
+      const credential = buildCompletionCredential(completion, {
+        chainId,
+        issuer,
+        studentContract: await student.getAddress(),
+        courseContract: await course.getAddress(),
+      });
+      const signed = await signCredential(credential, signer);
+
+      const file = path.join(outDir, `${encodeURIComponent(completion.courseId)}.json`);
+      fs.writeFileSync(file, JSON.stringify(signed, null, 2));
+      console.log(`${completion.courseId}: ${completion.courseName} (${credential.validFrom}) -> ${file}`);
+    }
+
+    console.log(`\nExported ${completions.length} credential(s) signed by ${issuer.address}`);
+  });
+
+task("educ:verify-credential", "Verifies a completion credential's signature and re-checks the completion on-chain")
+  .addPositionalParam("file", "Credential JSON file", undefined, types.string)
+  .addOptionalParam("issuer", "Address the credential must be issued by", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { verifyCredentialProof } = require("../scripts/credentials/eip712-proof");
+    const { verifyCompletionOnChain } = require("../scripts/credentials/transcript");
+
+    let credential;
+    try {
+      credential = JSON.parse(fs.readFileSync(path.resolve(taskArgs.file), "utf8"));
+    } catch (error) {
+      throw new HardhatPluginError("educ", `Cannot read credential ${taskArgs.file}: ${error.message}`);
+    }
+
+    const proof = verifyCredentialProof(credential);
+    if (proof.valid && taskArgs.issuer && proof.signer !== hre.ethers.getAddress(taskArgs.issuer)) {
+      proof.valid = false;
+      proof.errors.push(`Issued by ${proof.signer}, expected ${hre.ethers.getAddress(taskArgs.issuer)}`);
+    }
+    console.log(`Signature: ${proof.valid ? `valid, signed by ${proof.signer}` : "INVALID"}`);
+    proof.errors.forEach((error) => console.log(`  ${error}`));
+
+    const chain = await verifyCompletionOnChain(credential, hre.ethers.provider);
+    console.log(`On-chain completion: ${chain.valid ? "confirmed" : "NOT CONFIRMED"}`);
+    chain.errors.forEach((error) => console.log(`  ${error}`));
+
+    if (!proof.valid || !chain.valid) {
+      throw new HardhatPluginError("educ", "Credential verification failed");
+    }
+    console.log("\nCredential verified");
+  });
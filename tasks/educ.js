@@ -0,0 +1,144 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+/**
+ * @dev Registers a task that resolves contracts from a deployment manifest and sends one
+ * transaction, returning its receipt (null for a dry run). Every task accepts --deployment,
+ * --from and --dry-run.
+ */
+function educTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("deployment", "Deployment manifest or Ignition deployment directory to use (defaults to deployments/<network>.json, then ignition/deployments/chain-<chainId>)", undefined, types.string)
+    .addOptionalParam("from", "Account that sends the transaction (defaults to the first configured account)", undefined, types.string)
+    .addFlag("dryRun", "Only simulate the transaction");
+}
+
+/**
+ * @dev Loads the manifest, the signer and the helpers shared by every educ:* task
+ */
+async function setup(hre, taskArgs) {
+  const helpers = require("./utils/deployment");
+  const deployment = helpers.loadDeployment(hre, taskArgs.deployment);
+  const signer = await helpers.getTaskSigner(hre, taskArgs.from);
+
+  const send = (contract, method, args) =>
+    helpers.simulateAndSend(hre, deployment, contract, method, args, taskArgs.dryRun);
+  const getContract = (name) => helpers.getDeployedContract(hre, deployment, name, signer);
+
+  return { signer, send, getContract };
+}
+
+/**
+ * @dev Converts a human-readable token amount (e.g. "12.5") to wei
+ */
+function parseTokenAmount(hre, value, paramName) {
+  try {
+    return hre.ethers.parseEther(value);
+  } catch (error) {
+    throw new HardhatPluginError("educ", `--${paramName} must be a token amount such as "10" or "2.5", got "${value}"`);
+  }
+}
+
+/**
+ * @dev Accepts a 32-byte hex value as is and hashes anything else (e.g. a URI or a JSON document)
+ */
+function parseMetadataHash(hre, value) {
+  if (value === undefined) {
+    return hre.ethers.ZeroHash;
+  }
+  return hre.ethers.isHexString(value, 32) ? value : hre.ethers.id(value);
+}
+
+educTask("educ:register-educator", "Registers an educator on EducEducator")
+  .addParam("educator", "Educator address", undefined, types.string)
+  .addParam("mintLimit", "Maximum amount of tokens the educator can mint, in tokens", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { send, getContract } = await setup(hre, taskArgs);
+    const educator = await getContract("EducEducator");
+
+    return send(educator, "registerEducator(address,uint256)", [
+      hre.ethers.getAddress(taskArgs.educator),
+      parseTokenAmount(hre, taskArgs.mintLimit, "mint-limit"),
+    ]);
+  });
+
+educTask("educ:create-course", "Creates a course owned by the sending educator")
+  .addParam("id", "Course ID", undefined, types.string)
+  .addParam("name", "Course name", undefined, types.string)
+  .addParam("reward", "Completion reward, in tokens", undefined, types.string)
+  .addOptionalParam("metadata", "Metadata hash, or any other value to hash into one", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { send, getContract } = await setup(hre, taskArgs);
+    const course = await getContract("EducCourse");
+
+    return send(course, "createCourse(string,string,uint256,bytes32)", [
+      taskArgs.id,
+      taskArgs.name,
+      parseTokenAmount(hre, taskArgs.reward, "reward"),
+      parseMetadataHash(hre, taskArgs.metadata),
+    ]);
+  });
+
+educTask("educ:update-course", "Updates a course owned by the sending educator, keeping every field not given")
+  .addParam("id", "Course ID", undefined, types.string)
+  .addOptionalParam("name", "New course name", undefined, types.string)
+  .addOptionalParam("reward", "New completion reward, in tokens", undefined, types.string)
+  .addOptionalParam("active", "New active status", undefined, types.boolean)
+  .addOptionalParam("metadata", "New metadata hash, or any other value to hash into one", undefined, types.string)
+  .addOptionalParam("description", "Description of the change, stored in the course history", "", types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { signer, send, getContract } = await setup(hre, taskArgs);
+    const course = await getContract("EducCourse");
+
+    // The active flag is always written, so read the current one when it is not changed
+    const current = await course.getCourseInfo(signer.address, taskArgs.id);
+    const isActive = taskArgs.active ?? current.isActive;
+
+    return send(course, "updateCourse((string,string,uint256,bool,bytes32,string))", [
+      {
+        courseId: taskArgs.id,
+        courseName: taskArgs.name ?? "",
+        rewardAmount: taskArgs.reward === undefined ? 0n : parseTokenAmount(hre, taskArgs.reward, "reward"),
+        isActive,
+        metadataHash: parseMetadataHash(hre, taskArgs.metadata),
+        changeDescription: taskArgs.description,
+      },
+    ]);
+  });
+
+educTask("educ:complete-course", "Records a course completion for a student and mints the course reward")
+  .addParam("student", "Student address", undefined, types.string)
+  .addParam("id", "Course ID", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { send, getContract } = await setup(hre, taskArgs);
+    const learning = await getContract("EducLearning");
+
+    return send(learning, "completeCourse", [hre.ethers.getAddress(taskArgs.student), taskArgs.id]);
+  });
+
+educTask("educ:issue-reward", "Issues a reward to a student")
+  .addParam("student", "Student address", undefined, types.string)
+  .addParam("amount", "Reward amount, in tokens", undefined, types.string)
+  .addParam("reason", "Reason for the reward", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { send, getContract } = await setup(hre, taskArgs);
+    const learning = await getContract("EducLearning");
+
+    return send(learning, "issueReward", [
+      hre.ethers.getAddress(taskArgs.student),
+      parseTokenAmount(hre, taskArgs.amount, "amount"),
+      taskArgs.reason,
+    ]);
+  });
+
+educTask("educ:set-daily-minting-limit", "Sets the daily minting limit of EducLearning")
+  .addParam("limit", "New daily limit, in tokens", undefined, types.string)
+  .setAction(async (taskArgs, hre) => {
+    const { send, getContract } = await setup(hre, taskArgs);
+    const learning = await getContract("EducLearning");
+
+    const limit = parseTokenAmount(hre, taskArgs.limit, "limit");
+
+    console.log(`Current daily minting limit: ${hre.ethers.formatEther(await learning.dailyMintingLimit())}`);
+    return send(learning, "setDailyMintingLimit", [limit]);
+  });
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+/**
+ * @dev Parses "name=value" pairs, merged over the fields of an optional JSON input file
+ */
+function readInstructionInput(taskArgs) {
+  let input = {};
+  if (taskArgs.input) {
+    try {
+      input = JSON.parse(fs.readFileSync(path.resolve(taskArgs.input), "utf8"));
+    } catch (error) {
+      throw new HardhatPluginError("educ", `Cannot read instruction input ${taskArgs.input}: ${error.message}`);
+    }
+  }
+
+  for (const pair of taskArgs.fields) {
+    const separator = pair.indexOf("=");
+    if (separator <= 0) {
+      throw new HardhatPluginError("educ", `Instruction fields must be given as name=value, got "${pair}"`);
+    }
+    input[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+  return input;
+}
+
+/**
+ * @dev Loads the ABI of every contract in the manifest, to decode the actions of Call proposals
+ */
+async function loadKnownContracts(hre, deployment) {
+  return Promise.all(
+    Object.entries(deployment.contracts).map(async ([name, entry]) => ({
+      name,
+      address: entry.address,
+      interface: new hre.ethers.Interface((await hre.artifacts.readArtifact(entry.contract)).abi),
+    }))
+  );
+}
+
+task("educ:propose", "Builds an EducProposal instruction from human input and creates the proposal")
+  .addPositionalParam("type", "Instruction type, by name (e.g. RegisterEducator) or number", undefined, types.string)
+  .addOptionalVariadicPositionalParam("fields", "Instruction fields as name=value (token amounts in whole tokens)", [], types.string)
+  .addOptionalParam("input", "JSON file with the instruction fields, or the actions of a Call", undefined, types.string)
+  .addOptionalParam("description", "Proposal description", "", types.string)
+  .addOptionalParam("requiredApprovals", "Approvals needed (defaults to the multisig threshold)", undefined, types.int)
+  .addOptionalParam("deployment", "Deployment manifest or Ignition deployment directory to use (defaults to deployments/<network>.json, then ignition/deployments/chain-<chainId>)", undefined, types.string)
+  .addOptionalParam("from", "Signer that creates the proposal (defaults to the first configured account)", undefined, types.string)
+  .addFlag("encodeOnly", "Only print the encoded ProposalCreationParams, e.g. to submit them from a wallet")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (taskArgs, hre) => {
+    const { loadDeployment, getTaskSigner, getDeployedContract, simulateAndSend } = require("./utils/deployment");
+    const { INSTRUCTION_TYPES, SCHEMAS, buildProposalParams, decodeInstruction, formatField } = require("../scripts/governance/proposal-codec");
+
+    const deployment = loadDeployment(hre, taskArgs.deployment);
+    const signer = await getTaskSigner(hre, taskArgs.from);
+    const proposal = await getDeployedContract(hre, deployment, "EducProposal", signer);
+
+    let params;
+    try {
+      const requiredApprovals =
+        taskArgs.requiredApprovals ?? (await (await getDeployedContract(hre, deployment, "EducMultisig", signer)).threshold());
+      params = buildProposalParams({
+        instructionType: taskArgs.type,
+        input: readInstructionInput(taskArgs),
+        description: taskArgs.description,
+        requiredApprovals,
+      });
+    } catch (error) {
+      if (error instanceof HardhatPluginError) throw error;
+      throw new HardhatPluginError("educ", error.message);
+    }
+
+    // Echo the decoded data, so what is signed is what was meant
+    const typeName = INSTRUCTION_TYPES[params.instructionType];
+    const decoded = decodeInstruction(params.instructionType, params.data);
+    console.log(`${typeName} (${params.instructionType}), ${params.requiredApprovals} approval(s) required`);
+    for (const field of SCHEMAS[typeName]) {
+      console.log(`  ${field.name}: ${formatField(field, decoded[field.name])}`);
+    }
+
+    if (taskArgs.encodeOnly) {
+      console.log(JSON.stringify({
+        to: await proposal.getAddress(),
+        params: { ...params, requiredApprovals: params.requiredApprovals.toString() },
+        calldata: proposal.interface.encodeFunctionData("createProposal", [params]),
+      }, null, 2));
+      return;
+    }
+
+    const receipt = await simulateAndSend(hre, deployment, proposal, "createProposal", [params], taskArgs.dryRun);
+    if (receipt) {
+      const created = receipt.logs
+        .map((log) => proposal.interface.parseLog(log))
+        .find((parsed) => parsed && parsed.name === "ProposalCreated");
+      console.log(`\nCreated proposal #${created.args.proposalId}, review it with educ:review-proposal ${created.args.proposalId}`);
+    }
+  });
+
+task("educ:review-proposal", "Decodes a proposal and compares it with the current on-chain state")
+  .addPositionalParam("id", "Proposal ID", undefined, types.string)
+  .addOptionalParam("deployment", "Deployment manifest or Ignition deployment directory to use (defaults to deployments/<network>.json, then ignition/deployments/chain-<chainId>)", undefined, types.string)
+  .addFlag("json", "Print the review as JSON")
+  .setAction(async (taskArgs, hre) => {
+    const { loadDeployment, getDeployedContract } = require("./utils/deployment");
+    const { reviewProposal, formatReview } = require("../scripts/governance/proposal-review");
+
+    const deployment = loadDeployment(hre, taskArgs.deployment);
+    const proposal = await getDeployedContract(hre, deployment, "EducProposal", hre.ethers.provider);
+
+    let review;
+    try {
+      review = await reviewProposal(proposal, BigInt(taskArgs.id), {
+        knownContracts: await loadKnownContracts(hre, deployment),
+      });
+    } catch (error) {
+      throw new HardhatPluginError("educ", error.message);
+    }
+
+    if (taskArgs.json) {
+      console.log(JSON.stringify(review, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    } else {
+      console.log(formatReview(review));
+    }
+  });
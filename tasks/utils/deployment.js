@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+const PLUGIN_NAME = "educ";
+
+/**
+ * @dev Loads a deployment manifest written by the deploy scripts, or a Hardhat Ignition
+ * deployment read as one (see loadIgnitionManifest)
+ * @param hre Hardhat runtime environment
+ * @param deploymentPath Explicit manifest file or Ignition deployment directory (defaults to
+ * deployments/<network>.json, then ignition/deployments/chain-<chainId>)
+ * @return object The manifest
+ */
+function loadDeployment(hre, deploymentPath) {
+  const { getManifestPath, getIgnitionDeploymentDir, loadIgnitionManifest } = require("../../scripts/utils/deployment-manifest");
+
+  let candidates;
+  if (deploymentPath) {
+    candidates = [path.resolve(deploymentPath)];
+  } else {
+    candidates = [getManifestPath(hre.network.name)];
+    if (hre.network.config.chainId !== undefined) {
+      candidates.push(getIgnitionDeploymentDir(hre.network.config.chainId));
+    }
+  }
+
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate)) {
+      continue;
+    }
+    if (!fs.statSync(candidate).isDirectory()) {
+      return JSON.parse(fs.readFileSync(candidate, "utf8"));
+    }
+    const manifest = loadIgnitionManifest(candidate, hre.network.name);
+    if (manifest) {
+      return manifest;
+    }
+  }
+
+  throw new HardhatPluginError(
+    PLUGIN_NAME,
+    `No deployment manifest found at ${candidates.join(" or ")}, deploy first or pass --deployment`
+  );
+}
+
+/**
+ * @dev Resolves the signer for a task: the given address, or the first configured account
+ */
+async function getTaskSigner(hre, from) {
+  if (from) {
+    return hre.ethers.getSigner(hre.ethers.getAddress(from));
+  }
+  const [signer] = await hre.ethers.getSigners();
+  return signer;
+}
+
+/**
+ * @dev Returns a contract instance for a manifest entry, connected to the signer
+ * @param hre Hardhat runtime environment
+ * @param deployment The manifest
+ * @param name Entry name (e.g. "EducLearning"); an array tries each name in order
+ * @param signer Signer to connect
+ */
+async function getDeployedContract(hre, deployment, name, signer) {
+  const names = Array.isArray(name) ? name : [name];
+  const entryName = names.find((candidate) => deployment.contracts[candidate]);
+  if (!entryName) {
+    throw new HardhatPluginError(PLUGIN_NAME, `${names.join(" or ")} not found in the deployment manifest`);
+  }
+
+  const entry = deployment.contracts[entryName];
+  const artifact = await hre.artifacts.readArtifact(entry.contract);
+  return new hre.ethers.Contract(entry.address, artifact.abi, signer);
+}
+
+function formatValue(value) {
+  // Indexed dynamic values (strings, arrays) are only available as their hash
+  if (value && value._isIndexed) {
+    return value.hash;
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(formatValue).join(", ")}]`;
+  }
+  return String(value);
+}
+
+/**
+ * @dev Extracts a readable revert reason from a failed call, decoding require strings
+ * and custom errors from the revert data when the provider does not
+ */
+function describeRevert(contract, error) {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  // Hardhat nodes nest the revert data one level deeper than ethers expects
+  const data = typeof error.data === "string" ? error.data : error.data && error.data.data;
+  if (data) {
+    try {
+      const parsed = contract.interface.parseError(data);
+      if (parsed && parsed.name === "Error") {
+        return parsed.args[0];
+      }
+      if (parsed) {
+        return `${parsed.name}(${parsed.args.map(formatValue).join(", ")})`;
+      }
+    } catch (decodeError) {
+      // Fall through to the provider message
+    }
+  }
+
+  return error.shortMessage || error.message;
+}
+
+/**
+ * @dev Decodes every log in a receipt against the ABIs of the contracts in the manifest
+ * @return Array Decoded events as { contract, name, args }
+ */
+async function decodeReceiptEvents(hre, deployment, receipt) {
+  const interfaces = new Map();
+  for (const [name, entry] of Object.entries(deployment.contracts)) {
+    const artifact = await hre.artifacts.readArtifact(entry.contract);
+    interfaces.set(entry.address.toLowerCase(), { name, iface: new hre.ethers.Interface(artifact.abi) });
+  }
+
+  const events = [];
+  for (const log of receipt.logs) {
+    const known = interfaces.get(log.address.toLowerCase());
+    const parsed = known ? known.iface.parseLog(log) : null;
+    if (!parsed) {
+      events.push({ contract: log.address, name: "<unknown>", args: { topic: log.topics[0] } });
+      continue;
+    }
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      args[input.name || `arg${index}`] = formatValue(parsed.args[index]);
+    });
+    events.push({ contract: known.name, name: parsed.name, args });
+  }
+  return events;
+}
+
+/**
+ * @dev Simulates a call with staticCall, sends it unless dryRun is set, waits for it to
+ * be mined and prints the decoded events it emitted
+ * @param hre Hardhat runtime environment
+ * @param deployment The manifest
+ * @param contract Connected contract instance
+ * @param method Method name or full signature for overloaded methods
+ * @param args Call arguments
+ * @param dryRun Stop after the simulation
+ * @return object|null The transaction receipt, or null for a dry run
+ */
+async function simulateAndSend(hre, deployment, contract, method, args, dryRun = false) {
+  const fn = contract.getFunction(method);
+  const signerAddress = await contract.runner.getAddress();
+
+  console.log(`Simulating ${method} as ${signerAddress}...`);
+  try {
+    await fn.staticCall(...args);
+  } catch (error) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Simulation of ${method} failed: ${describeRevert(contract, error)}`);
+  }
+  console.log("Simulation succeeded");
+
+  if (dryRun) {
+    console.log("Dry run, transaction not sent");
+    return null;
+  }
+
+  const tx = await fn(...args);
+  console.log(`Transaction sent: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`Mined in block ${receipt.blockNumber} (gas used: ${receipt.gasUsed})`);
+
+  const events = await decodeReceiptEvents(hre, deployment, receipt);
+  console.log("Events:");
+  for (const event of events) {
+    const formattedArgs = Object.entries(event.args).map(([key, value]) => `${key}=${value}`);
+    console.log(`  ${event.contract}.${event.name}(${formattedArgs.join(", ")})`);
+  }
+
+  return receipt;
+}
+
+module.exports = {
+  PLUGIN_NAME,
+  loadDeployment,
+  getTaskSigner,
+  getDeployedContract,
+  describeRevert,
+  decodeReceiptEvents,
+  simulateAndSend,
+};
@@ -3,8 +3,12 @@ require('./unit/EducToken_unit.test.js');
 require('./unit/EducEducator_unit.test.js');
 require('./unit/EducStudent_unit.test.js');
 require('./unit/EducCourse_unit.test.js');
+require('./unit/EducCertificate_unit.test.js');
 require('./unit/EducConfig_unit.test.js');
 require('./unit/EducPause_unit.test.js');
 require('./unit/EducMultisig_unit.test.js');
 require('./unit/EducProposal_unit.test.js');
+require('./unit/EducGovernor_unit.test.js');
 require('./unit/EducLearning_unit.test.js');
+require('./unit/EducMigrationClaim_unit.test.js');
+require('./unit/EducRewardDistributor_unit.test.js');
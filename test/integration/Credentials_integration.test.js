@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { collectCompletions, buildCompletionCredential, verifyCompletionOnChain } = require("../../scripts/credentials/transcript");
+const { signCredential, verifyCredentialProof, toDid } = require("../../scripts/credentials/eip712-proof");
+
+describe("Completion Credentials Integration Tests", function () {
+  let learning;
+  let student;
+  let course;
+  let admin;
+  let issuerAccount;
+  let educatorAccount;
+  let studentAccount;
+  let student2Account;
+  let chainId;
+
+  const METADATA_HASH = ethers.keccak256(ethers.toUtf8Bytes("ipfs://course-metadata"));
+
+  async function issueCredentials(studentAddress) {
+    const completions = await collectCompletions({ student, course, learning }, studentAddress);
+    return Promise.all(
+      completions.map((completion) =>
+        signCredential(
+          buildCompletionCredential(completion, {
+            chainId,
+            issuer: { address: issuerAccount.address, name: "EducToken Academy" },
+            studentContract: student.target,
+            courseContract: course.target,
+          }),
+          issuerAccount
+        )
+      )
+    );
+  }
+
+  beforeEach(async function () {
+    let deployer;
+    let signer2;
+    [deployer, admin, signer2, issuerAccount, educatorAccount, studentAccount, student2Account] = await ethers.getSigners();
+
+    const system = await ignition.deploy(EducLearningSystemModule, {
+      parameters: {
+        EducGovernanceModule: {
+          signers: [deployer.address, signer2.address],
+          threshold: 2,
+        },
+        EducLearningSystemModule: {
+          admin: admin.address,
+        },
+      },
+    });
+    ({ learning, student, course } = system);
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    await system.educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, ethers.parseEther("1000"));
+    await course
+      .connect(educatorAccount)
+      ["createCourse(string,string,uint256,bytes32)"]("CS101", "Introduction to Computer Science", ethers.parseEther("50"), METADATA_HASH);
+    await course
+      .connect(educatorAccount)
+      ["createCourse(string,string,uint256,bytes32)"]("CS102", "Data Structures", ethers.parseEther("20"), ethers.ZeroHash);
+
+    await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101");
+    await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS102");
+    await learning.connect(educatorAccount).completeCourse(student2Account.address, "CS102");
+  });
+
+  describe("Export", function () {
+    it("Should read a student's completions with the course educator and metadata", async function () {
+      const completions = await collectCompletions({ student, course, learning }, studentAccount.address);
+
+      expect(completions.map((completion) => completion.courseId)).to.deep.equal(["CS101", "CS102"]);
+      expect(completions[0]).to.include({
+        student: studentAccount.address,
+        courseName: "Introduction to Computer Science",
+        metadataHash: METADATA_HASH,
+        educator: educatorAccount.address,
+        verifiedBy: learning.target,
+      });
+      expect(completions[0].tokensAwarded).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should describe the course as it was when it was completed", async function () {
+      const updatedHash = ethers.keccak256(ethers.toUtf8Bytes("syllabus v2"));
+      await course
+        .connect(educatorAccount)
+        ["updateCourse(string,string,uint256,bool,bytes32,string)"](
+          "CS101",
+          "Computer Science Fundamentals",
+          0,
+          true,
+          updatedHash,
+          "New syllabus"
+        );
+
+      const [completion] = await collectCompletions({ student, course, learning }, studentAccount.address);
+      expect(completion).to.include({ courseName: "Introduction to Computer Science", metadataHash: METADATA_HASH });
+
+      // Completions after the update get the new version
+      await learning.connect(educatorAccount).completeCourse(student2Account.address, "CS101");
+      const [, later] = await collectCompletions({ student, course, learning }, student2Account.address);
+      expect(later).to.include({ courseId: "CS101", courseName: "Computer Science Fundamentals", metadataHash: updatedHash });
+    });
+
+    it("Should build Open Badges 3.0 credentials referencing the metadata hash and completion tx", async function () {
+      const [credential] = await issueCredentials(studentAccount.address);
+      const completionTx = (await student.queryFilter(student.filters.CourseCompletionRecorded(studentAccount.address)))[0];
+
+      expect(credential.type).to.deep.equal(["VerifiableCredential", "OpenBadgeCredential"]);
+      expect(credential.issuer).to.deep.equal({
+        id: toDid(chainId, issuerAccount.address),
+        type: ["Profile"],
+        name: "EducToken Academy",
+      });
+      expect(credential.credentialSubject.id).to.equal(toDid(chainId, studentAccount.address));
+      expect(credential.credentialSubject.achievement.metadataHash).to.equal(METADATA_HASH);
+      expect(credential.credentialSubject.achievement.creator.id).to.equal(toDid(chainId, educatorAccount.address));
+      expect(credential.evidence[0]).to.include({
+        transactionHash: completionTx.transactionHash,
+        studentContract: student.target,
+        courseId: "CS101",
+        tokensAwarded: ethers.parseEther("50").toString(),
+      });
+      expect(credential.proof).to.include({
+        type: "EthereumEip712Signature2021",
+        proofPurpose: "assertionMethod",
+        verificationMethod: `${toDid(chainId, issuerAccount.address)}#blockchainAccountId`,
+      });
+      expect(credential.proof.eip712.primaryType).to.equal("VerifiableCredential");
+    });
+
+    it("Should refuse to sign for another issuer", async function () {
+      const [completion] = await collectCompletions({ student, course, learning }, studentAccount.address);
+      const credential = buildCompletionCredential(completion, {
+        chainId,
+        issuer: { address: issuerAccount.address, name: "EducToken Academy" },
+        studentContract: student.target,
+        courseContract: course.target,
+      });
+
+      try {
+        await signCredential(credential, admin);
+        expect.fail("Expected signing to fail");
+      } catch (error) {
+        expect(error.message).to.equal(`Signer ${admin.address} is not the credential issuer ${issuerAccount.address}`);
+      }
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should verify the signature and the on-chain completion", async function () {
+      const credentials = await issueCredentials(studentAccount.address);
+      // A credential survives a round trip through a file
+      const credential = JSON.parse(JSON.stringify(credentials[1]));
+
+      expect(verifyCredentialProof(credential)).to.deep.equal({ valid: true, signer: issuerAccount.address, errors: [] });
+      expect(await verifyCompletionOnChain(credential, ethers.provider)).to.deep.equal({ valid: true, errors: [] });
+    });
+
+    it("Should reject tampered credentials", async function () {
+      const [credential] = await issueCredentials(studentAccount.address);
+
+      const renamed = { ...credential, name: "Advanced Cryptography completion" };
+      expect(verifyCredentialProof(renamed).valid).to.be.false;
+
+      const reassigned = {
+        ...credential,
+        credentialSubject: { ...credential.credentialSubject, id: toDid(chainId, student2Account.address) },
+      };
+      const result = verifyCredentialProof(reassigned);
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.match(/^Signed by 0x[0-9a-fA-F]{40}, not by the issuer/);
+    });
+
+    it("Should reject completions that are not recorded on-chain", async function () {
+      const [credential] = await issueCredentials(studentAccount.address);
+      const otherStudent = {
+        ...credential,
+        credentialSubject: { ...credential.credentialSubject, id: toDid(chainId, student2Account.address) },
+      };
+
+      const result = await verifyCompletionOnChain(otherStudent, ethers.provider);
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.deep.equal([
+        `${student2Account.address} has no completion of CS101 in EducStudent ${student.target}`,
+        `Transaction ${credential.evidence[0].transactionHash} did not record the completion`,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const {
+  DEPLOYMENTS_DIR,
+  getManifestPath,
+  loadManifest,
+  serialize,
+  createManifest,
+  recordDeployment,
+  recordProxyDeployment,
+} = require("../../scripts/utils/deployment-manifest");
+const {
+  recordVerification,
+  isRecordedAsVerified,
+  verifyContracts,
+  verifyProxies,
+} = require("../../scripts/utils/verification");
+
+const { ethers, upgrades } = hre;
+
+describe("Deployment Tooling", function () {
+  let deployer;
+  let manifestPath;
+  let existingManifest;
+
+  async function deployConfig() {
+    const config = await (await ethers.getContractFactory("EducConfig")).deploy(deployer.address);
+    await config.waitForDeployment();
+    return config;
+  }
+
+  async function deployPause() {
+    const pauseControl = await (await ethers.getContractFactory("EducPause")).deploy(deployer.address);
+    await pauseControl.waitForDeployment();
+    return pauseControl;
+  }
+
+  async function deployTokenProxy() {
+    const EducTokenUpgradeable = await ethers.getContractFactory("EducTokenUpgradeable");
+    const proxy = await upgrades.deployProxy(EducTokenUpgradeable, [deployer.address], { initializer: "initialize", kind: "uups" });
+    await proxy.waitForDeployment();
+    return proxy;
+  }
+
+  // The tooling writes deployments/<network>.json, so a manifest left by a local run is put back afterwards
+  before(function () {
+    manifestPath = getManifestPath();
+    existingManifest = fs.existsSync(manifestPath) ? fs.readFileSync(manifestPath, "utf8") : null;
+  });
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+    fs.rmSync(manifestPath, { force: true });
+  });
+
+  after(function () {
+    if (existingManifest !== null) {
+      fs.writeFileSync(manifestPath, existingManifest);
+      return;
+    }
+    fs.rmSync(manifestPath, { force: true });
+    if (fs.existsSync(DEPLOYMENTS_DIR) && fs.readdirSync(DEPLOYMENTS_DIR).length === 0) {
+      fs.rmdirSync(DEPLOYMENTS_DIR);
+    }
+  });
+
+  describe("Manifest", function () {
+    it("Should serialize bigints, nested arrays and contract instances", async function () {
+      const config = await deployConfig();
+
+      expect(serialize([1n, [2n, "two"], config, true, null])).to.deep.equal(["1", ["2", "two"], config.target, true, null]);
+      expect(serialize(5n)).to.equal("5");
+    });
+
+    it("Should record a deployment with its source, arguments and block", async function () {
+      const config = await deployConfig();
+      const receipt = await config.deploymentTransaction().wait();
+
+      const manifest = await createManifest(deployer.address);
+      await recordDeployment(manifest, "EducConfig", config, [deployer.address, 10n]);
+
+      const written = loadManifest();
+      expect(written).to.include({ network: "hardhat", chainId: "31337", deployer: deployer.address });
+      expect(written.updatedAt).to.be.a("string");
+      expect(written.contracts.EducConfig).to.include({
+        contract: "contracts/config/EducConfig.sol:EducConfig",
+        address: config.target,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+      });
+      expect(written.contracts.EducConfig.constructorArgs).to.deep.equal([deployer.address, "10"]);
+    });
+
+    it("Should keep the entries of previous runs by name and overwrite redeployed ones", async function () {
+      const firstConfig = await deployConfig();
+      const pauseControl = await deployPause();
+      const firstRun = await createManifest(deployer.address);
+      await recordDeployment(firstRun, "EducConfig", firstConfig, [deployer.address]);
+      await recordDeployment(firstRun, "EducPause", pauseControl, [deployer.address]);
+
+      // A second run only redeploys EducConfig
+      const secondConfig = await deployConfig();
+      const secondRun = await createManifest(deployer.address);
+      expect(Object.keys(secondRun.contracts)).to.deep.equal(["EducConfig", "EducPause"]);
+      await recordDeployment(secondRun, "EducConfig", secondConfig, [deployer.address]);
+
+      const written = loadManifest();
+      expect(written.contracts.EducConfig.address).to.equal(secondConfig.target);
+      expect(written.contracts.EducPause.address).to.equal(pauseControl.target);
+    });
+
+    it("Should record a proxy with its initializer arguments and implementation", async function () {
+      const proxy = await deployTokenProxy();
+
+      const manifest = await createManifest(deployer.address);
+      await recordProxyDeployment(manifest, "EducTokenUpgradeable", proxy, [deployer.address], "uups");
+
+      const entry = loadManifest().contracts.EducTokenUpgradeable;
+      expect(entry).to.include({
+        contract: "contracts/proxy/EducTokenUpgradeable.sol:EducTokenUpgradeable",
+        address: proxy.target,
+        proxy: true,
+        kind: "uups",
+        implementation: await upgrades.erc1967.getImplementationAddress(proxy.target),
+      });
+      expect(entry.constructorArgs).to.deep.equal([]);
+      expect(entry.initializerArgs).to.deep.equal([deployer.address]);
+    });
+  });
+
+  describe("Verification", function () {
+    const unverifiedEtherscan = { isVerified: async () => false };
+
+    it("Should only skip entries recorded as verified", function () {
+      const entry = {};
+      expect(isRecordedAsVerified(entry)).to.be.false;
+
+      recordVerification(entry, "failed", "Rate limited");
+      expect(entry.verification).to.include({ status: "failed", error: "Rate limited" });
+      expect(isRecordedAsVerified(entry)).to.be.false;
+
+      recordVerification(entry, "already verified");
+      expect(entry.verification).to.not.have.property("error");
+      expect(isRecordedAsVerified(entry)).to.be.true;
+    });
+
+    it("Should report the status of each contract and only retry failed ones", async function () {
+      const config = await deployConfig();
+      const pauseControl = await deployPause();
+      const proxy = await deployTokenProxy();
+      const manifest = await createManifest(deployer.address);
+      await recordDeployment(manifest, "EducConfig", config, [deployer.address]);
+      await recordDeployment(manifest, "EducPause", pauseControl, [deployer.address]);
+      await recordProxyDeployment(manifest, "EducTokenUpgradeable", proxy, [deployer.address]);
+
+      const calls = [];
+      let failing = pauseControl.target;
+      const verify = async (etherscan, address, constructorArgs, contract) => {
+        calls.push({ address, constructorArgs, contract });
+        if (address === failing) {
+          throw new Error("Explorer unavailable");
+        }
+        return "verified";
+      };
+
+      const results = await verifyContracts(manifest, unverifiedEtherscan, verify);
+      expect(results).to.deep.equal([
+        { name: "EducConfig", address: config.target, status: "verified" },
+        { name: "EducPause", address: pauseControl.target, status: "failed" },
+        { name: "EducTokenUpgradeable", address: proxy.target, status: "skipped (proxy)" },
+      ]);
+      expect(calls[0]).to.deep.equal({
+        address: config.target,
+        constructorArgs: [deployer.address],
+        contract: "contracts/config/EducConfig.sol:EducConfig",
+      });
+
+      const written = loadManifest();
+      expect(written.contracts.EducConfig.verification.status).to.equal("verified");
+      expect(written.contracts.EducPause.verification).to.include({ status: "failed", error: "Explorer unavailable" });
+
+      // The next run starts from the written manifest and only retries EducPause
+      calls.length = 0;
+      failing = null;
+      const retried = await verifyContracts(loadManifest(), unverifiedEtherscan, verify);
+      expect(retried.map(({ status }) => status)).to.deep.equal(["already verified", "verified", "skipped (proxy)"]);
+      expect(calls.map(({ address }) => address)).to.deep.equal([pauseControl.target]);
+    });
+
+    it("Should verify a proxy again once its implementation changed", async function () {
+      const proxy = await deployTokenProxy();
+      const implementation = await upgrades.erc1967.getImplementationAddress(proxy.target);
+      const manifest = await createManifest(deployer.address);
+      await recordProxyDeployment(manifest, "EducTokenUpgradeable", proxy, [deployer.address]);
+
+      const verified = [];
+      const verifyProxy = async (address) => verified.push(address);
+      const proxies = () => Object.entries(manifest.contracts).filter(([, entry]) => entry.proxy);
+
+      expect(await verifyProxies(manifest, proxies(), unverifiedEtherscan, verifyProxy)).to.deep.equal([
+        { name: "EducTokenUpgradeable", proxy: proxy.target, implementation, status: "verified" },
+      ]);
+      expect((await verifyProxies(manifest, proxies(), unverifiedEtherscan, verifyProxy))[0].status).to.equal(
+        "already verified"
+      );
+      expect(verified).to.deep.equal([proxy.target]);
+
+      // A manifest written before an upgrade records the previous implementation
+      manifest.contracts.EducTokenUpgradeable.implementation = deployer.address;
+      expect((await verifyProxies(manifest, proxies(), unverifiedEtherscan, verifyProxy))[0].status).to.equal("verified");
+      expect(verified).to.deep.equal([proxy.target, proxy.target]);
+      expect(loadManifest().contracts.EducTokenUpgradeable).to.include({ implementation });
+    });
+
+    it("Should not call the explorer for proxies it reports as verified", async function () {
+      const proxy = await deployTokenProxy();
+      const verifyProxy = async () => expect.fail("verifyProxy should not be called");
+
+      const results = await verifyProxies(
+        null,
+        [["EducTokenUpgradeable", { address: proxy.target, proxy: true }]],
+        { isVerified: async () => true },
+        verifyProxy
+      );
+      expect(results[0].status).to.equal("already verified");
+      expect(fs.existsSync(manifestPath)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,310 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const {
+  EducClient,
+  EducError,
+  EducNotFoundError,
+  EducUnauthorizedError,
+  EducAlreadyExistsError,
+  EducLimitExceededError,
+  EducValidationError,
+  translateError,
+  buildCompletionAttestation,
+  signCompletionAttestation,
+  recoverAttestationSigner,
+} = require("../../sdk/src");
+
+describe("EducClient SDK Integration Tests", function () {
+  let system;
+  let client;
+  let educatorClient;
+  let deployer;
+  let admin;
+  let signer2;
+  let educatorAccount;
+  let studentAccount;
+
+  const METADATA = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+
+  beforeEach(async function () {
+    [deployer, admin, signer2, educatorAccount, studentAccount] = await ethers.getSigners();
+
+    system = await ignition.deploy(EducLearningSystemModule, {
+      parameters: {
+        EducGovernanceModule: {
+          signers: [deployer.address, signer2.address],
+          threshold: 2,
+        },
+        EducLearningSystemModule: {
+          admin: admin.address,
+        },
+      },
+    });
+
+    const { learning, educator, course } = system;
+
+    await educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, ethers.parseEther("1000"));
+    await course
+      .connect(educatorAccount)
+      ["createCourse(string,string,uint256,bytes32)"]("CS101", "Introduction to Computer Science", ethers.parseEther("50"), METADATA);
+
+    client = await EducClient.connect(learning.target, ethers.provider);
+    educatorClient = await EducClient.connect(learning.target, educatorAccount);
+  });
+
+  describe("Connection", function () {
+    it("Should resolve the suite contracts from EducLearning", async function () {
+      expect(await client.student.getAddress()).to.equal(system.student.target);
+      expect(await client.course.getAddress()).to.equal(system.course.target);
+      expect(await client.educator.getAddress()).to.equal(system.educator.target);
+      expect(await client.token.getAddress()).to.equal(system.token.target);
+    });
+  });
+
+  describe("Course Completion", function () {
+    it("Should complete a course and return the decoded completion event", async function () {
+      const { completion, receipt } = await educatorClient.completeCourse(studentAccount.address, "CS101");
+
+      expect(receipt.status).to.equal(1);
+      expect(completion.student).to.equal(studentAccount.address);
+      expect(completion.courseId).to.equal("CS101");
+      expect(completion.educator).to.equal(educatorAccount.address);
+      expect(completion.tokensAwarded).to.equal(ethers.parseEther("50"));
+      expect(await system.token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should throw typed errors without sending a transaction", async function () {
+      await educatorClient.completeCourse(studentAccount.address, "CS101");
+      const nonce = await ethers.provider.getTransactionCount(educatorAccount.address);
+
+      let error;
+      try {
+        await educatorClient.completeCourse(studentAccount.address, "CS101");
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).to.be.instanceOf(EducAlreadyExistsError);
+      expect(error).to.be.instanceOf(EducError);
+      expect(error.contract).to.equal("EducLearning");
+      expect(error.reason).to.equal("EducLearning: Course already completed");
+      expect(error.code).to.equal("COURSE_ALREADY_COMPLETED");
+      expect(await ethers.provider.getTransactionCount(educatorAccount.address)).to.equal(nonce);
+    });
+
+    it("Should reject completions from accounts that are not educators", async function () {
+      const studentClient = await EducClient.connect(system.learning.target, studentAccount);
+
+      try {
+        await studentClient.completeCourse(studentAccount.address, "CS101");
+        expect.fail("completeCourse should have thrown");
+      } catch (error) {
+        expect(error).to.be.instanceOf(EducUnauthorizedError);
+      }
+    });
+  });
+
+  describe("Completion Attestations", function () {
+    it("Should let the student claim a completion signed by the educator", async function () {
+      const attestation = await signCompletionAttestation(system.learning, educatorAccount, {
+        student: studentAccount.address,
+        courseId: "CS101",
+      });
+      expect(attestation.courseVersion).to.equal(1n);
+
+      const { domain } = await buildCompletionAttestation(system.learning, attestation);
+      expect(recoverAttestationSigner(domain, attestation, attestation.signature)).to.equal(educatorAccount.address);
+
+      const studentClient = await EducClient.connect(system.learning.target, studentAccount);
+      const { completion } = await studentClient.claimCompletion(attestation, attestation.signature);
+
+      expect(completion.educator).to.equal(educatorAccount.address);
+      expect(completion.tokensAwarded).to.equal(ethers.parseEther("50"));
+      expect(await system.learning.isAttestationNonceUsed(educatorAccount.address, attestation.nonce)).to.equal(true);
+    });
+
+    it("Should throw typed errors for replayed attestations", async function () {
+      const attestation = await signCompletionAttestation(system.learning, educatorAccount, {
+        student: studentAccount.address,
+        courseId: "CS101",
+      });
+      await client.learning.connect(studentAccount).claimCompletion(...attestation.args);
+
+      try {
+        await client.claimCompletion(attestation, attestation.signature);
+        expect.fail("claimCompletion should have thrown");
+      } catch (error) {
+        expect(error).to.be.instanceOf(EducAlreadyExistsError);
+        expect(error.code).to.equal("ATTESTATION_ALREADY_USED");
+      }
+    });
+  });
+
+  describe("Student Profile", function () {
+    it("Should combine the student record, balance and activity categories", async function () {
+      await educatorClient.completeCourse(studentAccount.address, "CS101");
+
+      const profile = await client.getStudentProfile(studentAccount.address);
+
+      expect(profile.address).to.equal(studentAccount.address);
+      expect(profile.coursesCompleted).to.equal(1n);
+      expect(profile.totalEarned).to.equal(ethers.parseEther("50"));
+      expect(profile.balance).to.equal(ethers.parseEther("50"));
+      expect(profile.registeredAt).to.be.instanceOf(Date);
+
+      const activities = Object.fromEntries(profile.activities.map(({ category, lastActivity }) => [category, lastActivity]));
+      expect(activities.CourseCompletion).to.be.instanceOf(Date);
+      expect(activities.TokenUsage).to.be.null;
+    });
+
+    it("Should throw a not found error for unregistered students", async function () {
+      try {
+        await client.getStudentProfile(signer2.address);
+        expect.fail("getStudentProfile should have thrown");
+      } catch (error) {
+        expect(error).to.be.instanceOf(EducNotFoundError);
+        expect(error.contract).to.equal("EducStudent");
+        expect(error.code).to.equal("STUDENT_NOT_REGISTERED");
+      }
+    });
+  });
+
+  describe("Courses", function () {
+    it("Should return a course with its version history", async function () {
+      await system.course.connect(educatorAccount)["updateCourse((string,string,uint256,bool,bytes32,string))"]({
+        courseId: "CS101",
+        courseName: "Computer Science I",
+        rewardAmount: 0,
+        isActive: true,
+        metadataHash: ethers.ZeroHash,
+        changeDescription: "Renamed",
+      });
+      await system.course.connect(educatorAccount)["updateCourse((string,string,uint256,bool,bytes32,string))"]({
+        courseId: "CS101",
+        courseName: "",
+        rewardAmount: ethers.parseEther("75"),
+        isActive: true,
+        metadataHash: ethers.ZeroHash,
+        changeDescription: "Raised reward",
+      });
+
+      const course = await client.getCourse(educatorAccount.address, "CS101");
+
+      expect(course.name).to.equal("Computer Science I");
+      expect(course.rewardAmount).to.equal(ethers.parseEther("75"));
+      expect(course.version).to.equal(3);
+      expect(course.history.map(({ version }) => version)).to.deep.equal([2, 3]);
+      expect(course.history[0].previousName).to.equal("Introduction to Computer Science");
+      expect(course.history[0].changeDescription).to.equal("Renamed");
+      expect(course.history[1].previousReward).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should throw a not found error for unknown courses", async function () {
+      try {
+        await client.getCourse(educatorAccount.address, "UNKNOWN");
+        expect.fail("getCourse should have thrown");
+      } catch (error) {
+        expect(error).to.be.instanceOf(EducNotFoundError);
+        expect(error.code).to.equal("COURSE_NOT_FOUND");
+      }
+    });
+  });
+
+  describe("Vesting Overview", function () {
+    it("Should combine cloneable and factory vesting contracts", async function () {
+      const { token } = system;
+      const duration = 365 * 24 * 60 * 60;
+      const startTime = (await ethers.provider.getBlock("latest")).timestamp + 100;
+
+      await token.connect(admin).grantRole(ethers.id("MINTER_ROLE"), admin.address);
+      await token.connect(admin).mint(admin.address, ethers.parseEther("500"));
+
+      const cloneable = await (await ethers.getContractFactory("EducVestingCloneable")).deploy();
+      await cloneable.initialize(token.target, admin.address, admin.address);
+      await token.connect(admin).approve(cloneable.target, ethers.parseEther("200"));
+      await cloneable
+        .connect(admin)
+        ["createLinearVesting(address,uint256,uint256,uint256,bool,bytes32)"](
+          studentAccount.address,
+          ethers.parseEther("200"),
+          startTime,
+          duration,
+          true,
+          METADATA
+        );
+
+      const factory = await (await ethers.getContractFactory("EducVestingFactory")).deploy(admin.address);
+      await factory.connect(admin).createVestingContract(token.target, admin.address);
+      const [vestingAddress] = await factory.getVestingContractsForToken(token.target);
+      const vesting = await ethers.getContractAt("EducVesting", vestingAddress);
+      await token.connect(admin).approve(vestingAddress, ethers.parseEther("300"));
+      await vesting
+        .connect(admin)
+        .createLinearVesting(studentAccount.address, ethers.parseEther("300"), startTime, duration, false, METADATA);
+
+      await ethers.provider.send("evm_increaseTime", [100 + duration / 2]);
+      await ethers.provider.send("evm_mine", []);
+
+      const vestingClient = await EducClient.connect(system.learning.target, ethers.provider, {
+        vestingFactory: factory.target,
+        vesting: [cloneable.target],
+      });
+      const overview = await vestingClient.getVestingOverview(studentAccount.address);
+
+      expect(overview.schedules).to.have.lengthOf(2);
+
+      const [cloneableSchedule, replayedSchedule] = overview.schedules;
+      expect(cloneableSchedule.vestingContract).to.equal(cloneable.target);
+      expect(cloneableSchedule.vestingType).to.equal("Linear");
+      expect(cloneableSchedule.totalAmount).to.equal(ethers.parseEther("200"));
+      expect(cloneableSchedule.releasable > 0n).to.be.true;
+      expect(replayedSchedule.vestingContract).to.equal(vestingAddress);
+      expect(replayedSchedule.totalAmount).to.equal(ethers.parseEther("300"));
+      expect(replayedSchedule.releasable).to.be.null;
+
+      expect(overview.totals.allocated).to.equal(ethers.parseEther("500"));
+      expect(overview.totals.released).to.equal(0n);
+      expect(overview.totals.releasable).to.equal(cloneableSchedule.releasable);
+      expect(overview.totals.locked).to.equal(ethers.parseEther("500") - cloneableSchedule.releasable);
+    });
+  });
+
+  describe("Error Translation", function () {
+    it("Should classify require strings by their message", async function () {
+      const iface = system.learning.interface;
+      const revert = (reason) => ({ data: iface.encodeErrorResult("Error", [reason]) });
+
+      const cases = [
+        ["EducLearning: Daily mint limit exceeded", EducLimitExceededError, "DAILY_MINT_LIMIT_EXCEEDED"],
+        ["EducCourse: Invalid reward amount", EducValidationError, "INVALID_REWARD_AMOUNT"],
+        ["EducEducator: educator already registered", EducAlreadyExistsError, "EDUCATOR_ALREADY_REGISTERED"],
+        ["EducLearning: Caller not an active educator", EducUnauthorizedError, "CALLER_NOT_AN_ACTIVE_EDUCATOR"],
+      ];
+
+      for (const [reason, ErrorClass, code] of cases) {
+        const error = translateError(revert(reason), iface);
+        expect(error).to.be.instanceOf(ErrorClass);
+        expect(error.code).to.equal(code);
+        expect(error.message).to.equal(reason);
+      }
+    });
+
+    it("Should translate custom errors", async function () {
+      const iface = system.learning.interface;
+      const data = iface.encodeErrorResult("AccessControlUnauthorizedAccount", [studentAccount.address, ethers.ZeroHash]);
+
+      const error = translateError({ data }, iface, "EducLearning");
+
+      expect(error).to.be.instanceOf(EducUnauthorizedError);
+      expect(error.contract).to.equal("EducLearning");
+      expect(error.code).to.equal("ACCESS_CONTROL_UNAUTHORIZED_ACCOUNT");
+      expect(error.args[0]).to.equal(studentAccount.address);
+    });
+
+    it("Should leave errors that are not reverts unchanged", async function () {
+      const original = new Error("network unreachable");
+      expect(translateError(original, system.learning.interface)).to.equal(original);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { buildRewardTree } = require("../../scripts/utils/merkle");
+
+describe("EducLearningSystem Ignition Module Integration Tests", function () {
+  let system;
+  let deployer;
+  let admin;
+  let signer2;
+  let educatorAccount;
+  let studentAccount;
+
+  const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
+  const EDUCATOR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EDUCATOR_ROLE"));
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const GUARDIAN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("GUARDIAN_ROLE"));
+
+  beforeEach(async function () {
+    [deployer, admin, signer2, educatorAccount, studentAccount] = await ethers.getSigners();
+
+    system = await ignition.deploy(EducLearningSystemModule, {
+      parameters: {
+        EducGovernanceModule: {
+          signers: [deployer.address, signer2.address],
+          threshold: 2,
+        },
+        EducLearningSystemModule: {
+          admin: admin.address,
+        },
+      },
+    });
+  });
+
+  describe("Deployment", function () {
+    it("Should initialize EducLearning with every contract reference", async function () {
+      const { learning, token, educator, student, course, config, pauseControl, multisig, proposal } = system;
+
+      expect(await learning.token()).to.equal(token.target);
+      expect(await learning.educator()).to.equal(educator.target);
+      expect(await learning.student()).to.equal(student.target);
+      expect(await learning.course()).to.equal(course.target);
+      expect(await learning.config()).to.equal(config.target);
+      expect(await learning.pauseControl()).to.equal(pauseControl.target);
+      expect(await learning.multisig()).to.equal(multisig.target);
+      expect(await learning.proposal()).to.equal(proposal.target);
+      expect(await token.studentContract()).to.equal(student.target);
+    });
+
+    it("Should deploy the multisig with the configured signers and threshold", async function () {
+      expect(await system.multisig.getSigners()).to.deep.equal([deployer.address, signer2.address]);
+      expect(await system.multisig.threshold()).to.equal(2);
+    });
+
+    it("Should grant the cross-contract roles EducLearning needs", async function () {
+      const { learning, token, educator, student, course, multisig, proposal } = system;
+
+      expect(await student.hasRole(EDUCATOR_ROLE, learning.target)).to.be.true;
+      expect(await student.hasRole(ADMIN_ROLE, learning.target)).to.be.true;
+      expect(await course.hasRole(ADMIN_ROLE, learning.target)).to.be.true;
+      expect(await educator.hasRole(ADMIN_ROLE, learning.target)).to.be.true;
+      expect(await educator.hasRole(ADMIN_ROLE, course.target)).to.be.true;
+      expect(await token.hasRole(ADMIN_ROLE, learning.target)).to.be.true;
+      expect(await token.hasRole(MINTER_ROLE, learning.target)).to.be.true;
+      expect(await multisig.hasRole(ADMIN_ROLE, proposal.target)).to.be.true;
+    });
+
+    it("Should point the core contracts at the shared pause control", async function () {
+      const { token, educator, student, course, pauseControl } = system;
+
+      for (const contract of [token, educator, student, course]) {
+        expect(await contract.pauseControl()).to.equal(pauseControl.target);
+      }
+    });
+
+    it("Should point registration and course creation at the live config", async function () {
+      const { educator, course, config } = system;
+
+      expect(await educator.configContract()).to.equal(config.target);
+      expect(await course.configContract()).to.equal(config.target);
+    });
+
+    it("Should hand the admin roles over to the configured admin", async function () {
+      const { treasury, governor, forwarder, ...contracts } = system;
+
+      for (const contract of Object.values(contracts)) {
+        expect(await contract.hasRole(ethers.ZeroHash, admin.address)).to.be.true;
+        expect(await contract.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
+      }
+
+      // The admin can cancel queued proposals
+      expect(await system.proposal.hasRole(GUARDIAN_ROLE, admin.address)).to.be.true;
+
+      // Treasury funds only move through governance
+      expect(await treasury.hasRole(ADMIN_ROLE, admin.address)).to.be.false;
+      expect(await treasury.hasRole(ADMIN_ROLE, system.proposal.target)).to.be.true;
+    });
+
+    it("Should deploy EducGovernor on the token, config and multisig without roles", async function () {
+      const { token, config, multisig, governor } = system;
+
+      expect(await governor.token()).to.equal(token.target);
+      expect(await governor.config()).to.equal(config.target);
+      expect(await governor.multisig()).to.equal(multisig.target);
+      expect(await config.hasRole(ADMIN_ROLE, governor.target)).to.be.false;
+    });
+
+    it("Should trust EducForwarder on the token and student contracts", async function () {
+      const { token, student, forwarder } = system;
+
+      expect(await token.trustedForwarder()).to.equal(forwarder.target);
+      expect(await student.trustedForwarder()).to.equal(forwarder.target);
+    });
+
+    it("Should let EducRewardDistributor reserve allowances, register students and mint", async function () {
+      const { token, educator, student, pauseControl, rewardDistributor } = system;
+
+      expect(await educator.hasRole(ADMIN_ROLE, rewardDistributor.target)).to.be.true;
+      expect(await student.hasRole(ADMIN_ROLE, rewardDistributor.target)).to.be.true;
+      expect(await token.hasRole(MINTER_ROLE, rewardDistributor.target)).to.be.true;
+      expect(await rewardDistributor.pauseControl()).to.equal(pauseControl.target);
+    });
+
+    it("Should let EducProposal execute every instruction type", async function () {
+      const { config, educator, course, pauseControl, proposal, treasury } = system;
+      const EMERGENCY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE"));
+
+      const targets = await proposal.executionTargets();
+      expect(targets.config).to.equal(config.target);
+      expect(targets.educator).to.equal(educator.target);
+      expect(targets.course).to.equal(course.target);
+      expect(targets.treasury).to.equal(treasury.target);
+      expect(targets.pauseControl).to.equal(pauseControl.target);
+
+      expect(await config.hasRole(ADMIN_ROLE, proposal.target)).to.be.true;
+      expect(await educator.hasRole(ADMIN_ROLE, proposal.target)).to.be.true;
+      expect(await course.hasRole(ADMIN_ROLE, proposal.target)).to.be.true;
+      expect(await pauseControl.hasRole(EMERGENCY_ROLE, proposal.target)).to.be.true;
+    });
+  });
+
+  describe("End-to-end Flow", function () {
+    it("Should register an educator through an approved and queued proposal", async function () {
+      const { educator, proposal } = system;
+      const REGISTER_EDUCATOR = 1;
+
+      await proposal.connect(deployer).createProposal({
+        instructionType: REGISTER_EDUCATOR,
+        data: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address", "uint256"],
+          [educatorAccount.address, ethers.parseEther("1000")]
+        ),
+        description: "Register a new educator",
+        requiredApprovals: 2,
+      });
+      await proposal.connect(deployer).approveProposal({ proposalId: 1 });
+      await proposal.connect(signer2).approveProposal({ proposalId: 1 });
+      expect(await educator.isActiveEducator(educatorAccount.address)).to.be.false;
+
+      await time.increase(await proposal.executionDelays(REGISTER_EDUCATOR));
+      await proposal.connect(studentAccount).execute(1);
+
+      expect(await educator.isActiveEducator(educatorAccount.address)).to.be.true;
+    });
+
+    it("Should administer EducLearning through a Call proposal", async function () {
+      const { learning, proposal } = system;
+      const CALL = 10;
+      const newLimit = ethers.parseEther("5000");
+
+      // Governance needs the role the call requires
+      await learning.connect(admin).grantRole(ADMIN_ROLE, proposal.target);
+
+      await proposal.connect(deployer).createProposal({
+        instructionType: CALL,
+        data: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address[]", "uint256[]", "bytes[]"],
+          [
+            [proposal.target, learning.target],
+            [0, 0],
+            [
+              proposal.interface.encodeFunctionData("setCallTargetAllowed", [learning.target, true]),
+              learning.interface.encodeFunctionData("setDailyMintingLimit", [newLimit]),
+            ],
+          ]
+        ),
+        description: "Raise the daily minting limit",
+        requiredApprovals: 2,
+      });
+      await proposal.connect(deployer).approveProposal({ proposalId: 1 });
+      await proposal.connect(signer2).approveProposal({ proposalId: 1 });
+
+      await time.increase(await proposal.executionDelays(CALL));
+      await proposal.execute(1);
+
+      expect(await learning.dailyMintingLimit()).to.equal(newLimit);
+    });
+
+    it("Should let a registered educator create a course and complete it for a student", async function () {
+      const { learning, token, educator, course, student } = system;
+
+      await educator.connect(admin)["registerEducator(address,uint256)"](
+        educatorAccount.address,
+        ethers.parseEther("1000")
+      );
+
+      await course.connect(educatorAccount)["createCourse(string,string,uint256,bytes32)"](
+        "CS101",
+        "Introduction to Computer Science",
+        ethers.parseEther("50"),
+        ethers.keccak256(ethers.toUtf8Bytes("metadata"))
+      );
+
+      await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101");
+
+      expect(await student.hasCourseCompletion(studentAccount.address, "CS101")).to.be.true;
+      expect(await token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should freeze minting with one granular pause and let overridden educators through", async function () {
+      const { learning, token, educator, course, pauseControl } = system;
+      const PAUSE_FLAG_MINT = 1 << 0;
+
+      await educator.connect(admin)["registerEducator(address,uint256)"](
+        educatorAccount.address,
+        ethers.parseEther("1000")
+      );
+      await course.connect(educatorAccount)["createCourse(string,string,uint256,bytes32)"](
+        "CS101",
+        "Introduction to Computer Science",
+        ethers.parseEther("50"),
+        ethers.keccak256(ethers.toUtf8Bytes("metadata"))
+      );
+
+      await pauseControl.connect(deployer).setGranularPauseLegacy(PAUSE_FLAG_MINT, true);
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      // EducLearning checks the educator, EducToken checks EducLearning
+      await pauseControl.connect(admin).setPauseOverride(educatorAccount.address, PAUSE_FLAG_MINT, true);
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      await pauseControl.connect(admin).setPauseOverride(learning.target, PAUSE_FLAG_MINT, true);
+      await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101");
+      expect(await token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should pay a reward epoch committed by an educator", async function () {
+      const { token, educator, student, rewardDistributor } = system;
+
+      await educator.connect(admin)["registerEducator(address,uint256)"](
+        educatorAccount.address,
+        ethers.parseEther("1000")
+      );
+
+      const tree = buildRewardTree([
+        { address: studentAccount.address, amount: ethers.parseEther("40"), reason: "Hackathon winner" },
+        { address: signer2.address, amount: ethers.parseEther("10"), reason: "Hackathon entry" },
+      ]);
+      const claimDeadline = (await time.latest()) + 7 * 24 * 60 * 60;
+      await rewardDistributor
+        .connect(educatorAccount)
+        .commitEpoch(tree.root, ethers.parseEther("50"), claimDeadline);
+
+      const [[index, leaf]] = [...tree.entries()].filter(([, [address]]) => address === studentAccount.address);
+      await rewardDistributor.connect(studentAccount).claim(1, ...leaf, tree.getProof(index));
+
+      expect(await token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("40"));
+      expect(await student.isStudent(studentAccount.address)).to.be.true;
+
+      // The unclaimed reward goes back to the educator's allowance
+      await time.increaseTo(claimDeadline + 1);
+      await rewardDistributor.expireEpoch(1);
+      expect(await educator.getEducatorTotalMinted(educatorAccount.address)).to.equal(ethers.parseEther("40"));
+    });
+  });
+});
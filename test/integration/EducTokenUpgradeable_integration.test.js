@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("EducTokenUpgradeable Integration Tests", function () {
   let token;
@@ -54,4 +55,38 @@ describe("EducTokenUpgradeable Integration Tests", function () {
       expect(await token.balanceOf(user1.address)).to.equal(mintAmount);
     });
   });
-});
\ No newline at end of file
+
+  describe("Voting Power", function () {
+    it("Should checkpoint delegated votes through the proxy", async function () {
+      await token.connect(admin).grantRole(await token.MINTER_ROLE(), minter.address);
+      await token.connect(user1).delegate(user1.address);
+      await token.connect(minter).mint(user1.address, ethers.parseEther("1000"));
+      const mintBlock = await ethers.provider.getBlockNumber();
+      await mine();
+
+      expect(await token.getVotes(user1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await token.getPastVotes(user1.address, mintBlock)).to.equal(ethers.parseEther("1000"));
+      expect(await token.getPastTotalSupply(mintBlock)).to.equal(await token.totalSupply());
+    });
+
+    it("Should run initializeVotes once with an upgrade without recounting the supply", async function () {
+      const TokenFactory = await ethers.getContractFactory("EducTokenUpgradeable");
+      const upgraded = await upgrades.upgradeProxy(token.target, TokenFactory, { call: "initializeVotes" });
+      await mine();
+
+      const block = (await ethers.provider.getBlockNumber()) - 1;
+      expect(await upgraded.getPastTotalSupply(block)).to.equal(await upgraded.totalSupply());
+
+      try {
+        await upgraded.connect(admin).initializeVotes();
+        expect.fail("Expected initializeVotes to revert");
+      } catch (error) {
+        expect(error.message).to.include("InvalidInitialization");
+      }
+    });
+
+    it("Should not allow non-upgraders to initialize votes", async function () {
+      await expect(token.connect(user1).initializeVotes()).to.be.reverted;
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers, ignition, artifacts } = require("hardhat");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { EventStore } = require("../../scripts/indexer/event-store");
+const { EventIndexer, loadEventSources } = require("../../scripts/indexer/event-indexer");
+
+describe("EventIndexer Integration Tests", function () {
+  let system;
+  let store;
+  let sources;
+  let deployer;
+  let admin;
+  let signer2;
+  let educatorAccount;
+  let studentAccount;
+  let student2Account;
+
+  const CONTRACT_NAMES = {
+    learning: "EducLearning",
+    token: "EducToken",
+    educator: "EducEducator",
+    student: "EducStudent",
+    course: "EducCourse",
+    certificate: "EducCertificate",
+    config: "EducConfig",
+    pauseControl: "EducPause",
+    multisig: "EducMultisig",
+    proposal: "EducProposal",
+  };
+
+  function createIndexer(options = {}) {
+    return new EventIndexer({
+      provider: ethers.provider,
+      store,
+      sources,
+      contracts: Object.entries(system).map(([key, contract]) => ({ name: CONTRACT_NAMES[key], address: contract.target })),
+      batchSize: 5,
+      ...options,
+    });
+  }
+
+  before(async function () {
+    sources = await loadEventSources(artifacts);
+  });
+
+  beforeEach(async function () {
+    [deployer, admin, signer2, educatorAccount, studentAccount, student2Account] = await ethers.getSigners();
+
+    system = await ignition.deploy(EducLearningSystemModule, {
+      parameters: {
+        EducGovernanceModule: {
+          signers: [deployer.address, signer2.address],
+          threshold: 2,
+        },
+        EducLearningSystemModule: {
+          admin: admin.address,
+        },
+      },
+    });
+
+    const { learning, educator, course } = system;
+    await educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, ethers.parseEther("1000"));
+    await course
+      .connect(educatorAccount)
+      ["createCourse(string,string,uint256,bytes32)"](
+        "CS101",
+        "Introduction to Computer Science",
+        ethers.parseEther("50"),
+        ethers.keccak256(ethers.toUtf8Bytes("metadata"))
+      );
+    await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101");
+
+    store = new EventStore(":memory:");
+  });
+
+  afterEach(async function () {
+    store.close();
+  });
+
+  describe("Indexing", function () {
+    it("Should store decoded events and look them up by address argument", async function () {
+      const result = await createIndexer().sync();
+
+      expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+      expect(result.eventCount).to.equal(store.countEvents());
+
+      const studentEvents = store.getEvents({ address: studentAccount.address });
+      const names = studentEvents.map(({ eventName }) => eventName);
+      expect(names).to.include.members(["StudentRegistered", "CourseCompletionRecorded", "TokensMinted"]);
+
+      const [courseCreated] = store.getEvents({ eventName: "CourseCreated" });
+      expect(courseCreated.contractName).to.equal("EducCourse");
+      expect(courseCreated.source).to.equal("CourseEvents");
+      expect(courseCreated.blockTimestamp).to.be.greaterThan(0);
+    });
+
+    it("Should index EducLearning reward events with their address arrays", async function () {
+      await system.learning
+        .connect(educatorAccount)
+        .batchIssueRewards(
+          [studentAccount.address, student2Account.address],
+          [ethers.parseEther("5"), ethers.parseEther("7")],
+          ["Quiz", "Quiz"]
+        );
+
+      await createIndexer().sync();
+
+      const [batch] = store.getEvents({ eventName: "BatchRewardsIssued", address: student2Account.address });
+      expect(batch.contractName).to.equal("EducLearning");
+      expect(batch.args.students).to.deep.equal([studentAccount.address, student2Account.address]);
+      expect(batch.args.totalAmount).to.equal(ethers.parseEther("12").toString());
+    });
+
+    it("Should resume from the last indexed block", async function () {
+      const indexer = createIndexer();
+      const first = await indexer.sync();
+      const count = store.countEvents();
+
+      expect(await indexer.sync()).to.be.null;
+
+      await system.learning.connect(educatorAccount).issueReward(studentAccount.address, ethers.parseEther("3"), "Bonus");
+      const second = await createIndexer().sync();
+
+      expect(second.fromBlock).to.equal(first.toBlock + 1);
+      expect(store.countEvents()).to.equal(count + second.eventCount);
+      const rewards = store.getEvents({ eventName: "RewardIssued", contractName: "EducLearning" });
+      expect(rewards.map(({ args }) => args.reason)).to.deep.equal(["Course Completion: CS101", "Bonus"]);
+    });
+
+    it("Should track vesting contracts created by the factory", async function () {
+      const factory = await (await ethers.getContractFactory("EducVestingFactory")).deploy(admin.address);
+      const indexer = createIndexer({ contracts: [{ name: "EducVestingFactory", address: factory.target }] });
+
+      await factory.connect(admin).createVestingContract(system.token.target, admin.address);
+      const [vestingAddress] = await factory.getVestingContractsForToken(system.token.target);
+      const vesting = await ethers.getContractAt("EducVesting", vestingAddress);
+
+      await system.token.connect(admin).grantRole(ethers.id("MINTER_ROLE"), admin.address);
+      await system.token.connect(admin).mint(admin.address, ethers.parseEther("100"));
+      await system.token.connect(admin).approve(vestingAddress, ethers.parseEther("100"));
+      const startTime = (await ethers.provider.getBlock("latest")).timestamp + 100;
+      await vesting
+        .connect(admin)
+        .createLinearVesting(studentAccount.address, ethers.parseEther("100"), startTime, 3600, false, ethers.ZeroHash);
+
+      // Creation and schedule land in the same batch, so the new contract is fetched within it
+      await indexer.sync();
+
+      expect(store.getContracts().map(({ address }) => address)).to.include(vestingAddress);
+      expect(store.getEvents({ eventName: "VestingContractCreated" })).to.have.lengthOf(1);
+
+      const [schedule] = store.getEvents({ contractAddress: vestingAddress });
+      expect(schedule.eventName).to.equal("VestingScheduleCreated");
+      expect(schedule.contractName).to.equal("EducVesting");
+      expect(schedule.args.beneficiary).to.equal(studentAccount.address);
+    });
+  });
+
+  describe("Reorganizations", function () {
+    const rewardReasons = () =>
+      store.getEvents({ eventName: "RewardIssued", contractName: "EducLearning" }).map(({ args }) => args.reason);
+
+    it("Should roll back events from blocks that left the chain", async function () {
+      const indexer = createIndexer();
+      await indexer.sync();
+
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await system.learning.connect(educatorAccount).issueReward(studentAccount.address, ethers.parseEther("3"), "Orphaned");
+      await indexer.sync();
+      expect(rewardReasons()).to.deep.equal(["Course Completion: CS101", "Orphaned"]);
+
+      // Replace the block with a different one at the same height
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await system.learning.connect(educatorAccount).issueReward(student2Account.address, ethers.parseEther("4"), "Canonical");
+      await indexer.sync();
+
+      expect(rewardReasons()).to.deep.equal(["Course Completion: CS101", "Canonical"]);
+      expect(store.getEvents({ address: student2Account.address, eventName: "RewardIssued" })).to.have.lengthOf(2);
+      expect(store.getState().lastBlockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should roll back a shallow reorg right after a range of blocks without events", async function () {
+      const mineBlocks = async (count) => {
+        for (let i = 0; i < count; i++) {
+          await ethers.provider.send("evm_mine", []);
+        }
+      };
+      const indexer = createIndexer({ batchSize: 100, reorgDepth: 4 });
+      await indexer.sync();
+
+      // One range of ten empty blocks: its last reorgDepth blocks are kept although none has events
+      await mineBlocks(8);
+      const ancestor = await ethers.provider.getBlockNumber();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await mineBlocks(2);
+      await indexer.sync();
+
+      // Replace the last two blocks
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await system.learning.connect(educatorAccount).issueReward(student2Account.address, ethers.parseEther("4"), "Canonical");
+      await mineBlocks(1);
+
+      expect(await indexer.handleReorg()).to.equal(ancestor);
+      await indexer.sync();
+      expect(rewardReasons()).to.deep.equal(["Course Completion: CS101", "Canonical"]);
+      expect(store.getState().lastBlockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("Should refuse to continue on a different chain", async function () {
+      await createIndexer().sync();
+      store.db.prepare("UPDATE sync_state SET chain_id = '1'").run();
+
+      try {
+        await createIndexer().sync();
+        expect.fail("sync should have thrown");
+      } catch (error) {
+        expect(error.message).to.include("Database was indexed on chain 1");
+      }
+    });
+  });
+});
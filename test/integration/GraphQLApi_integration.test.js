@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers, ignition, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { EventStore } = require("../../scripts/indexer/event-store");
+const { EventIndexer, loadEventSources } = require("../../scripts/indexer/event-indexer");
+const { executeQuery } = require("../../scripts/graphql/server");
+
+describe("GraphQL API Integration Tests", function () {
+  let system;
+  let store;
+  let chain;
+  let admin;
+  let educatorAccount;
+  let educator2Account;
+  let studentAccount;
+  let student2Account;
+  let firstCompletionTime;
+
+  const CONTRACT_NAMES = {
+    learning: "EducLearning",
+    token: "EducToken",
+    educator: "EducEducator",
+    student: "EducStudent",
+    course: "EducCourse",
+    certificate: "EducCertificate",
+    config: "EducConfig",
+    pauseControl: "EducPause",
+    multisig: "EducMultisig",
+    proposal: "EducProposal",
+  };
+
+  async function query(source, variables) {
+    const result = await executeQuery(store, chain, { query: source, variables });
+    if (result.errors) {
+      throw new Error(result.errors.map((error) => error.message).join("; "));
+    }
+    return result.data;
+  }
+
+  before(async function () {
+    let deployer;
+    let signer2;
+    [deployer, admin, signer2, educatorAccount, educator2Account, studentAccount, student2Account] = await ethers.getSigners();
+
+    system = await ignition.deploy(EducLearningSystemModule, {
+      parameters: {
+        EducGovernanceModule: {
+          signers: [deployer.address, signer2.address],
+          threshold: 2,
+        },
+        EducLearningSystemModule: {
+          admin: admin.address,
+        },
+      },
+    });
+
+    const { learning, educator, course } = system;
+    const createCourse = (account, courseId, name, reward) =>
+      course.connect(account)["createCourse(string,string,uint256,bytes32)"](courseId, name, reward, ethers.ZeroHash);
+
+    await educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, ethers.parseEther("1000"));
+    await educator.connect(admin)["registerEducator(address,uint256)"](educator2Account.address, ethers.parseEther("1000"));
+    await createCourse(educatorAccount, "CS101", "Introduction to Computer Science", ethers.parseEther("50"));
+    await createCourse(educatorAccount, "CS102", "Data Structures", ethers.parseEther("20"));
+    await createCourse(educatorAccount, "CS201", "Algorithms", ethers.parseEther("30"));
+    await createCourse(educator2Account, "MATH101", "Calculus", ethers.parseEther("40"));
+
+    await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS101");
+    firstCompletionTime = await time.latest();
+
+    await time.increase(7 * 24 * 60 * 60);
+    await learning.connect(educatorAccount).completeCourse(student2Account.address, "CS101");
+    await learning.connect(educatorAccount).completeCourse(studentAccount.address, "CS102");
+    await learning.connect(educator2Account).completeCourse(studentAccount.address, "MATH101");
+    await learning.connect(educatorAccount).issueReward(studentAccount.address, ethers.parseEther("5"), "Forum participation");
+
+    await course
+      .connect(educatorAccount)
+      ["updateCourse(string,string,uint256,bool,bytes32,string)"](
+        "CS101",
+        "Computer Science Fundamentals",
+        ethers.parseEther("60"),
+        true,
+        ethers.ZeroHash,
+        "Renamed and raised the reward"
+      );
+
+    store = new EventStore(":memory:");
+    await new EventIndexer({
+      provider: ethers.provider,
+      store,
+      sources: await loadEventSources(artifacts),
+      contracts: Object.entries(system).map(([key, contract]) => ({ name: CONTRACT_NAMES[key], address: contract.target })),
+    }).sync();
+
+    const vestingArtifact = await artifacts.readArtifact("EducVestingCloneable");
+    chain = {
+      provider: ethers.provider,
+      course: system.course,
+      student: system.student,
+      educator: system.educator,
+      proposal: system.proposal,
+      vestingCloneable: (address) => new ethers.Contract(address, vestingArtifact.abi, ethers.provider),
+    };
+  });
+
+  after(async function () {
+    store.close();
+  });
+
+  describe("Courses", function () {
+    it("Should filter courses by educator", async function () {
+      const data = await query(
+        `query ($educator: String!) {
+          courses(filter: { educator: $educator }) {
+            totalCount
+            nodes { courseId educatorAddress }
+          }
+        }`,
+        { educator: educatorAccount.address }
+      );
+
+      expect(data.courses.totalCount).to.equal(3);
+      expect(data.courses.nodes.map((node) => node.courseId)).to.deep.equal(["CS101", "CS102", "CS201"]);
+      expect(data.courses.nodes.every((node) => node.educatorAddress === educatorAccount.address)).to.be.true;
+    });
+
+    it("Should sort courses by reward amount", async function () {
+      const data = await query(`{
+        courses(orderBy: { field: REWARD_AMOUNT, direction: DESC }) {
+          nodes { courseId rewardAmount }
+        }
+      }`);
+
+      expect(data.courses.nodes.map((node) => node.courseId)).to.deep.equal(["CS101", "MATH101", "CS201", "CS102"]);
+      expect(data.courses.nodes[0].rewardAmount).to.equal(ethers.parseEther("60").toString());
+    });
+
+    it("Should read current values and version history of updated courses", async function () {
+      const data = await query(
+        `query ($educator: String!) {
+          course(educator: $educator, courseId: "CS101") {
+            name
+            rewardAmount
+            version
+            completionCount
+            educator { address courseCount }
+            versions { version previousName previousReward changeDescription updatedBy }
+          }
+        }`,
+        { educator: educatorAccount.address }
+      );
+
+      const { course } = data;
+      expect(course.name).to.equal("Computer Science Fundamentals");
+      expect(course.version).to.equal(2);
+      expect(course.completionCount).to.equal(2);
+      expect(course.educator).to.deep.equal({ address: educatorAccount.address, courseCount: 3 });
+      expect(course.versions).to.deep.equal([
+        {
+          version: 2,
+          previousName: "Introduction to Computer Science",
+          previousReward: ethers.parseEther("50").toString(),
+          changeDescription: "Renamed and raised the reward",
+          updatedBy: educatorAccount.address,
+        },
+      ]);
+    });
+
+    it("Should page through courses with cursors", async function () {
+      const pageQuery = `query ($after: String) {
+        courses(first: 3, after: $after) {
+          totalCount
+          nodes { courseId }
+          pageInfo { hasNextPage hasPreviousPage endCursor }
+        }
+      }`;
+
+      const first = await query(pageQuery);
+      expect(first.courses.totalCount).to.equal(4);
+      expect(first.courses.nodes).to.have.lengthOf(3);
+      expect(first.courses.pageInfo.hasNextPage).to.be.true;
+      expect(first.courses.pageInfo.hasPreviousPage).to.be.false;
+
+      const second = await query(pageQuery, { after: first.courses.pageInfo.endCursor });
+      expect(second.courses.nodes.map((node) => node.courseId)).to.deep.equal(["MATH101"]);
+      expect(second.courses.pageInfo.hasNextPage).to.be.false;
+      expect(second.courses.pageInfo.hasPreviousPage).to.be.true;
+    });
+  });
+
+  describe("Completions and rewards", function () {
+    it("Should filter completions by date range", async function () {
+      const data = await query(
+        `query ($to: DateTime) {
+          completions(filter: { to: $to }) {
+            nodes { studentAddress courseId tokensAwarded course { courseId } }
+          }
+        }`,
+        { to: new Date((firstCompletionTime + 60) * 1000).toISOString() }
+      );
+
+      expect(data.completions.nodes).to.deep.equal([
+        {
+          studentAddress: studentAccount.address,
+          courseId: "CS101",
+          tokensAwarded: ethers.parseEther("50").toString(),
+          course: { courseId: "CS101" },
+        },
+      ]);
+    });
+
+    it("Should return a student with live totals and nested connections", async function () {
+      const data = await query(
+        `query ($address: String!) {
+          student(address: $address) {
+            totalEarned
+            coursesCompleted
+            completions(orderBy: { field: TOKENS_AWARDED, direction: DESC }) { nodes { courseId } }
+            rewards(filter: { minAmount: "10000000000000000000" }) { totalCount }
+          }
+        }`,
+        { address: studentAccount.address }
+      );
+
+      expect(data.student.totalEarned).to.equal(ethers.parseEther("110").toString());
+      expect(data.student.coursesCompleted).to.equal(3);
+      expect(data.student.completions.nodes.map((node) => node.courseId)).to.deep.equal(["CS101", "MATH101", "CS102"]);
+      expect(data.student.rewards.totalCount).to.equal(3);
+    });
+
+    it("Should attribute rewards to the issuing educator", async function () {
+      const data = await query(
+        `query ($educator: String!) {
+          rewards(filter: { educator: $educator }) {
+            nodes { studentAddress educatorAddress amount reason }
+          }
+        }`,
+        { educator: educator2Account.address }
+      );
+
+      expect(data.rewards.nodes).to.deep.equal([
+        {
+          studentAddress: studentAccount.address,
+          educatorAddress: educator2Account.address,
+          amount: ethers.parseEther("40").toString(),
+          reason: "Course Completion: MATH101",
+        },
+      ]);
+
+      const forum = await query(`{ rewards(filter: { minAmount: "1" }, orderBy: { field: AMOUNT }, first: 1) { nodes { reason } } }`);
+      expect(forum.rewards.nodes[0].reason).to.equal("Forum participation");
+    });
+  });
+
+  describe("Errors", function () {
+    it("Should report invalid arguments and unavailable live reads", async function () {
+      const invalid = await executeQuery(store, chain, { query: `{ courses(filter: { educator: "0x1234" }) { totalCount } }` });
+      expect(invalid.errors[0].message).to.equal('filter.educator must be an address, got "0x1234"');
+
+      const variables = { address: studentAccount.address };
+      const indexed = await executeQuery(store, null, {
+        query: `query ($address: String!) { student(address: $address) { registeredAt } }`,
+        variables,
+      });
+      expect(indexed.errors).to.be.undefined;
+      expect(indexed.data.student.registeredAt).to.be.a("string");
+
+      const live = await executeQuery(store, null, {
+        query: `query ($address: String!) { student(address: $address) { totalEarned } }`,
+        variables,
+      });
+      expect(live.errors[0].message).to.equal("Live chain reads are not configured");
+    });
+  });
+});
@@ -0,0 +1,287 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { signForwardRequest, relayForwardRequest, translateError, EducUnauthorizedError } = require("../../sdk/src");
+const { Relayer, RelayerError } = require("../../scripts/relayer/relayer");
+const { createRelayerServer } = require("../../scripts/relayer/server");
+
+describe("Meta-Transaction Integration Tests", function () {
+  let token;
+  let student;
+  let vesting;
+  let forwarder;
+  let admin;
+  let treasury;
+  let studentAccount;
+  let recipient;
+  let relayerAccount;
+  let other;
+
+  const VESTING_DURATION = 100 * 24 * 60 * 60;
+
+  async function expectRelayError(promise, status, code) {
+    try {
+      await promise;
+      expect.fail(`Expected ${code}`);
+    } catch (error) {
+      expect(error).to.be.instanceOf(RelayerError);
+      expect(error.status).to.equal(status);
+      expect(error.code).to.equal(code);
+    }
+  }
+
+  function transferRequest(signer, amount = ethers.parseEther("1"), options = {}) {
+    return signForwardRequest(forwarder, signer, {
+      to: token.target,
+      data: token.interface.encodeFunctionData("transfer", [recipient.address, amount]),
+      ...options,
+    });
+  }
+
+  function createRelayer(options = {}) {
+    return new Relayer({
+      forwarder: forwarder.connect(relayerAccount),
+      targets: [
+        { name: "EducToken", contract: token, methods: ["transfer", "approve"] },
+        { name: "EducStudent", contract: student, methods: ["recordTokenUsage"] },
+        { name: "EducVestingCloneable", contract: vesting, methods: ["release"] },
+      ],
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    [admin, treasury, studentAccount, recipient, relayerAccount, other] = await ethers.getSigners();
+
+    forwarder = await (await ethers.getContractFactory("EducForwarder")).deploy();
+    token = await (await ethers.getContractFactory("EducToken")).deploy(admin.address);
+    student = await (await ethers.getContractFactory("EducStudent")).deploy(admin.address);
+    vesting = await (await ethers.getContractFactory("EducVestingCloneable")).deploy();
+    await vesting.initialize(token.target, treasury.address, admin.address);
+
+    for (const contract of [token, student, vesting]) {
+      await contract.connect(admin).setTrustedForwarder(forwarder.target);
+    }
+
+    await token.connect(admin).transfer(studentAccount.address, ethers.parseEther("100"));
+    await student.connect(admin)["registerStudent(address)"](studentAccount.address);
+  });
+
+  describe("Forwarder", function () {
+    it("Should relay a token transfer signed by the student", async function () {
+      const request = await transferRequest(studentAccount, ethers.parseEther("25"));
+      const balanceBefore = await ethers.provider.getBalance(studentAccount.address);
+
+      await expect(forwarder.connect(relayerAccount).execute(request))
+        .to.emit(token, "Transfer")
+        .withArgs(studentAccount.address, recipient.address, ethers.parseEther("25"));
+
+      expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseEther("25"));
+      expect(await forwarder.nonces(studentAccount.address)).to.equal(1);
+      // The relayer paid the gas
+      expect(await ethers.provider.getBalance(studentAccount.address)).to.equal(balanceBefore);
+    });
+
+    it("Should relay a vesting release by the beneficiary", async function () {
+      const startTime = (await time.latest()) + 10;
+      await token.connect(admin).approve(vesting.target, ethers.parseEther("100"));
+      await vesting.connect(admin)["createLinearVesting(address,uint256,uint256,uint256,bool,bytes32)"](
+        studentAccount.address,
+        ethers.parseEther("100"),
+        startTime,
+        VESTING_DURATION,
+        true,
+        ethers.id("relayed")
+      );
+      const [scheduleId] = await vesting.getVestingSchedulesForBeneficiary(studentAccount.address);
+      await time.increaseTo(startTime + VESTING_DURATION);
+
+      const request = await signForwardRequest(forwarder, studentAccount, {
+        to: vesting.target,
+        data: vesting.interface.encodeFunctionData("release", [scheduleId]),
+      });
+      await forwarder.connect(relayerAccount).execute(request);
+
+      expect(await token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should relay recordTokenUsage with the signer's role", async function () {
+      const request = await signForwardRequest(forwarder, admin, {
+        to: student.target,
+        data: student.interface.encodeFunctionData("recordTokenUsage(address,uint256,string)", [
+          studentAccount.address,
+          ethers.parseEther("5"),
+          "Course materials",
+        ]),
+      });
+      await forwarder.connect(relayerAccount).execute(request);
+
+      // A student cannot record usage through the forwarder either
+      const denied = await signForwardRequest(forwarder, studentAccount, {
+        to: student.target,
+        data: student.interface.encodeFunctionData("recordTokenUsage(address,uint256,string)", [
+          studentAccount.address,
+          1n,
+          "Self-service",
+        ]),
+      });
+      try {
+        await forwarder.connect(relayerAccount).execute(denied);
+        expect.fail("Expected the forwarded call to revert");
+      } catch (error) {
+        expect(error.message).to.match(/FailedCall|reverted/);
+      }
+    });
+
+    it("Should reject targets that do not trust the forwarder", async function () {
+      await token.connect(admin).setTrustedForwarder(ethers.ZeroAddress);
+      const request = await transferRequest(studentAccount);
+
+      expect(await forwarder.verify(request)).to.equal(false);
+      try {
+        await forwarder.connect(relayerAccount).execute(request);
+        expect.fail("Expected ERC2771UntrustfulTarget");
+      } catch (error) {
+        expect(error.message).to.include("ERC2771UntrustfulTarget");
+      }
+    });
+
+    it("Should not treat calls from other accounts as forwarded", async function () {
+      // Appending an address outside the forwarder has no effect
+      const data = token.interface.encodeFunctionData("transfer", [other.address, ethers.parseEther("1")]);
+      await expect(
+        relayerAccount.sendTransaction({ to: token.target, data: ethers.concat([data, studentAccount.address]) })
+      ).to.be.reverted;
+      expect(await token.balanceOf(other.address)).to.equal(0);
+    });
+
+    it("Should reject replayed and tampered requests", async function () {
+      const request = await transferRequest(studentAccount);
+      await forwarder.connect(relayerAccount).execute(request);
+
+      for (const invalid of [request, { ...request, gas: request.gas + 1n }]) {
+        try {
+          await forwarder.connect(relayerAccount).execute(invalid);
+          expect.fail("Expected ERC2771ForwarderInvalidSigner");
+        } catch (error) {
+          const translated = translateError(error, forwarder.interface, "EducForwarder");
+          expect(translated).to.be.instanceOf(EducUnauthorizedError);
+          expect(translated.reason).to.equal("ERC2771ForwarderInvalidSigner");
+        }
+      }
+    });
+  });
+
+  describe("Relayer", function () {
+    it("Should relay allowlisted methods and charge the student's quota", async function () {
+      const relayer = createRelayer({ quota: { limit: 2, window: 3600 } });
+
+      const result = await relayer.relay(await transferRequest(studentAccount));
+      expect(result.target).to.equal("EducToken");
+      expect(result.method).to.equal("transfer(address,uint256)");
+      expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseEther("1"));
+
+      const quota = relayer.getQuota(studentAccount.address);
+      expect(quota.used).to.equal(1);
+      expect(quota.remaining).to.equal(1);
+    });
+
+    it("Should reject methods and targets outside the allowlist", async function () {
+      const relayer = createRelayer();
+
+      const burn = await signForwardRequest(forwarder, studentAccount, {
+        to: token.target,
+        data: token.interface.encodeFunctionData("burn", [1n]),
+      });
+      await expectRelayError(relayer.relay(burn), 403, "METHOD_NOT_ALLOWED");
+
+      const unknown = await signForwardRequest(forwarder, studentAccount, { to: other.address, data: "0x" });
+      await expectRelayError(relayer.relay(unknown), 403, "TARGET_NOT_ALLOWED");
+    });
+
+    it("Should enforce per-student quotas within the window", async function () {
+      let now = 1000;
+      const relayer = createRelayer({
+        quota: { limit: 1, window: 600 },
+        quotas: { [other.address]: 0 },
+        now: () => now,
+      });
+
+      await relayer.relay(await transferRequest(studentAccount));
+      await expectRelayError(relayer.relay(await transferRequest(studentAccount)), 429, "QUOTA_EXCEEDED");
+      await token.connect(admin).transfer(other.address, ethers.parseEther("1"));
+      await expectRelayError(relayer.relay(await transferRequest(other)), 429, "QUOTA_EXCEEDED");
+
+      now += 601;
+      await relayer.relay(await transferRequest(studentAccount));
+      expect(relayer.getQuota(studentAccount.address).used).to.equal(1);
+    });
+
+    it("Should reject invalid signatures, expired requests and ETH values before sending", async function () {
+      const relayer = createRelayer();
+
+      const request = await transferRequest(studentAccount);
+      await expectRelayError(relayer.relay({ ...request, from: other.address }), 401, "INVALID_SIGNATURE");
+
+      const deadline = BigInt(await time.latest()) + 60n;
+      const expiring = await transferRequest(studentAccount, ethers.parseEther("1"), { deadline });
+      await time.increaseTo(deadline + 1n);
+      await expectRelayError(relayer.relay(expiring), 400, "REQUEST_EXPIRED");
+
+      await expectRelayError(relayer.relay({ ...request, value: 1n }), 400, "VALUE_NOT_ALLOWED");
+      await expectRelayError(relayer.relay({ ...request, gas: 10n ** 7n }), 400, "GAS_TOO_HIGH");
+      await expectRelayError(relayer.relay({ ...request, to: "not an address" }), 400, "INVALID_REQUEST");
+    });
+
+    it("Should report reverting calls without sending them", async function () {
+      const relayer = createRelayer();
+      const request = await transferRequest(studentAccount, ethers.parseEther("1000"));
+
+      await expectRelayError(relayer.relay(request), 422, "CALL_REVERTED");
+      expect(await forwarder.nonces(studentAccount.address)).to.equal(0);
+      expect(relayer.getQuota(studentAccount.address).used).to.equal(0);
+    });
+  });
+
+  describe("Server", function () {
+    let server;
+    let url;
+
+    beforeEach(async function () {
+      server = createRelayerServer(createRelayer({ quota: { limit: 1, window: 3600 } }));
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should relay requests posted by the SDK and report quotas", async function () {
+      const result = await relayForwardRequest(url, await transferRequest(studentAccount));
+      expect(result.hash).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseEther("1"));
+
+      const quota = await (await fetch(`${url}/quota/${studentAccount.address}`)).json();
+      expect(quota).to.include({ limit: 1, used: 1, remaining: 0 });
+
+      try {
+        await relayForwardRequest(url, await transferRequest(studentAccount));
+        expect.fail("Expected QUOTA_EXCEEDED");
+      } catch (error) {
+        expect(error.status).to.equal(429);
+        expect(error.code).to.equal("QUOTA_EXCEEDED");
+      }
+    });
+
+    it("Should list the allowlist and reject unknown routes", async function () {
+      const allowlist = await (await fetch(`${url}/allowlist`)).json();
+      expect(allowlist.map((target) => target.name)).to.deep.equal(["EducToken", "EducStudent", "EducVestingCloneable"]);
+      expect(allowlist[1].methods).to.have.lengthOf(2);
+
+      expect((await fetch(`${url}/unknown`)).status).to.equal(404);
+      expect((await fetch(`${url}/relay`)).status).to.equal(405);
+      expect((await fetch(`${url}/relay`, { method: "POST", body: "{" })).status).to.equal(400);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { findDeploymentBlock, deriveBalances } = require("../../scripts/utils/snapshot");
+const { reconcileSubmitted } = require("../../scripts/utils/journal");
+const { loadMigrationJournal, migrateHolders } = require("../../scripts/utils/migration");
+const { deriveVestingAllocations } = require("../../scripts/utils/vesting");
+
+describe("Token Migration", function () {
+  let token;
+  let admin;
+  let holders;
+  let journalDir;
+  let journalPath;
+
+  const BATCH_GAS_LIMIT = 8_000_000n;
+
+  // Mines real blocks: the node can report stale code for blocks reserved by hardhat_mine
+  async function mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      await ethers.provider.send("evm_mine", []);
+    }
+  }
+
+  function newJournal() {
+    return loadMigrationJournal(journalPath, {
+      snapshot: "test-snapshot.json",
+      token: token.target,
+      mode: "transfer",
+      sender: admin.address,
+    });
+  }
+
+  function migrate(journal, overrides = {}) {
+    return migrateHolders({
+      token,
+      provider: ethers.provider,
+      sender: admin.address,
+      holders,
+      journal,
+      journalPath,
+      mode: "transfer",
+      batchSize: 10,
+      batchGasLimit: BATCH_GAS_LIMIT,
+      ...overrides,
+    });
+  }
+
+  // Wraps the token so that the nth transfer fails before it is sent
+  function failingOnTransfer(failAt) {
+    let calls = 0;
+    return new Proxy(token, {
+      get(target, prop) {
+        if (prop !== "transfer") {
+          return Reflect.get(target, prop);
+        }
+        const transfer = async (...args) => {
+          calls++;
+          if (calls === failAt) {
+            throw new Error("RPC unavailable");
+          }
+          return target.transfer(...args);
+        };
+        transfer.estimateGas = target.transfer.estimateGas;
+        return transfer;
+      },
+    });
+  }
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    admin = signers[0];
+
+    token = await (await ethers.getContractFactory("EducToken")).deploy(admin.address);
+    await token.connect(admin).mint(admin.address, ethers.parseEther("1000"));
+
+    holders = signers.slice(1, 5).map((signer, index) => ({
+      address: signer.address,
+      balance: ethers.parseEther(String(10 * (index + 1))),
+    }));
+
+    journalDir = fs.mkdtempSync(path.join(os.tmpdir(), "educ-migration-"));
+    journalPath = path.join(journalDir, "journal.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(journalDir, { recursive: true, force: true });
+  });
+
+  describe("Snapshot", function () {
+    it("Should find the block a contract was deployed in", async function () {
+      await mineBlocks(5);
+      const deployed = await (await ethers.getContractFactory("EducToken")).deploy(admin.address);
+      const deploymentBlock = (await deployed.deploymentTransaction().wait()).blockNumber;
+      await mineBlocks(10);
+      const latestBlock = await ethers.provider.getBlockNumber();
+
+      expect(await findDeploymentBlock(ethers.provider, deployed.target, latestBlock)).to.equal(deploymentBlock);
+      expect(await findDeploymentBlock(ethers.provider, deployed.target, deploymentBlock)).to.equal(deploymentBlock);
+      expect(await findDeploymentBlock(ethers.provider, holders[0].address, latestBlock)).to.be.null;
+      expect(await findDeploymentBlock(ethers.provider, deployed.target, deploymentBlock - 1)).to.be.null;
+    });
+
+    it("Should derive holder balances from Transfer events", async function () {
+      await token.connect(admin).transfer(holders[0].address, holders[0].balance);
+      await token.connect(admin).transfer(holders[1].address, holders[1].balance);
+      const holder0 = await ethers.getSigner(holders[0].address);
+      await token.connect(holder0).transfer(holders[1].address, holders[0].balance);
+
+      const latestBlock = await ethers.provider.getBlockNumber();
+      const fromBlock = await findDeploymentBlock(ethers.provider, token.target, latestBlock);
+      const balances = await deriveBalances(token, fromBlock, latestBlock, 2);
+
+      expect(balances.has(holders[0].address.toLowerCase())).to.be.false;
+      expect(balances.get(holders[1].address.toLowerCase())).to.equal(holders[0].balance + holders[1].balance);
+      expect(balances.get(admin.address.toLowerCase())).to.equal(await token.balanceOf(admin.address));
+    });
+  });
+
+  describe("Journal", function () {
+    it("Should journal every transfer sent before a failure and resume without paying twice", async function () {
+      const journal = newJournal();
+
+      try {
+        await migrate(journal, { token: failingOnTransfer(3) });
+        expect.fail("Migration should have failed");
+      } catch (error) {
+        expect(error.message).to.equal("RPC unavailable");
+      }
+
+      // The two transfers sent before the failure are on disk, not just in memory
+      const saved = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+      const sent = Object.values(saved.entries);
+      expect(sent).to.have.length(2);
+      expect(sent.map((entry) => entry.address)).to.deep.equal([holders[0].address, holders[1].address]);
+      sent.forEach((entry) => {
+        expect(entry.status).to.equal("submitted");
+        expect(entry.txHash).to.match(/^0x[0-9a-f]{64}$/);
+      });
+
+      // A new run reconciles the submitted entries and pays the rest
+      const resumed = newJournal();
+      await reconcileSubmitted(resumed, journalPath, ethers.provider, admin.address);
+      Object.values(resumed.entries).forEach((entry) => expect(entry.status).to.equal("confirmed"));
+
+      expect(await migrate(resumed)).to.be.true;
+
+      for (const holder of holders) {
+        expect(await token.balanceOf(holder.address)).to.equal(holder.balance);
+        expect(resumed.entries[holder.address.toLowerCase()].status).to.equal("confirmed");
+      }
+      expect(Object.keys(resumed.entries)).to.have.length(holders.length);
+    });
+
+    it("Should retry an entry whose transaction the node does not know", async function () {
+      const journal = newJournal();
+      journal.entries[holders[0].address.toLowerCase()] = {
+        address: holders[0].address,
+        amount: holders[0].balance.toString(),
+        status: "submitted",
+        txHash: ethers.id("dropped transaction"),
+        nonce: 0,
+        batch: 1,
+      };
+
+      await reconcileSubmitted(journal, journalPath, ethers.provider, admin.address);
+      expect(journal.entries[holders[0].address.toLowerCase()]).to.be.undefined;
+
+      await migrate(journal);
+      for (const holder of holders) {
+        expect(await token.balanceOf(holder.address)).to.equal(holder.balance);
+      }
+    });
+
+    it("Should refuse a journal created by another sender", async function () {
+      const journal = newJournal();
+      await migrate(journal);
+
+      expect(() =>
+        loadMigrationJournal(journalPath, { mode: "transfer", sender: holders[0].address })
+      ).to.throw("was created by");
+    });
+  });
+
+  describe("Vesting Allocations", function () {
+    let vesting;
+    let beneficiary1;
+    let beneficiary2;
+
+    const DURATION = 100 * 24 * 60 * 60;
+
+    async function createSchedule(beneficiary, amount, label) {
+      const receipt = await (
+        await vesting.createLinearVesting(beneficiary.address, amount, 0, DURATION, true, ethers.id(label))
+      ).wait();
+      const [created] = receipt.logs
+        .map((log) => vesting.interface.parseLog(log))
+        .filter((event) => event?.name === "VestingScheduleCreated");
+      return created.args.vestingScheduleId;
+    }
+
+    beforeEach(async function () {
+      [, beneficiary1, beneficiary2] = await ethers.getSigners();
+
+      vesting = await (await ethers.getContractFactory("EducVestingCloneable")).deploy();
+      await vesting.initialize(token.target, admin.address, admin.address);
+      await token.connect(admin).approve(vesting.target, ethers.parseEther("1000"));
+    });
+
+    it("Should load schedules created before the start block from chain state", async function () {
+      const scheduleId1 = await createSchedule(beneficiary1, ethers.parseEther("100"), "early");
+      const scheduleId2 = await createSchedule(beneficiary2, ethers.parseEther("50"), "early-revoked");
+      const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+      await time.increase(DURATION / 4);
+      await vesting.connect(beneficiary1).release(scheduleId1);
+      await vesting.connect(beneficiary1).release(scheduleId1);
+      await vesting.connect(admin).revoke(scheduleId2);
+      const scheduleId3 = await createSchedule(beneficiary2, ethers.parseEther("30"), "late");
+      const currentBlock = await ethers.provider.getBlockNumber();
+
+      const replayed = await deriveVestingAllocations(vesting, 0, currentBlock);
+      const { allocations, loadedFromChain } = await deriveVestingAllocations(vesting, startBlock, currentBlock);
+
+      expect(loadedFromChain).to.deep.equal([scheduleId1, scheduleId2]);
+      expect(allocations).to.deep.equal(replayed.allocations);
+      expect(replayed.loadedFromChain).to.be.empty;
+
+      const { released } = await vesting.getVestingSchedule(scheduleId1);
+      expect(allocations.get(beneficiary1.address.toLowerCase())).to.equal(ethers.parseEther("100") - released);
+      expect(allocations.get(beneficiary2.address.toLowerCase())).to.equal(
+        (await vesting.getVestingSchedule(scheduleId3)).totalAmount
+      );
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+  buildPermit,
+  signPermit,
+  recoverPermitSigner,
+  translateError,
+  EducStateError,
+  EducUnauthorizedError,
+} = require("../../sdk/src");
+
+describe("EIP-2612 Permit Integration Tests", function () {
+  let admin;
+  let treasury;
+  let student;
+  let spender;
+  let relayer;
+
+  // Every token variant, deployed with the admin holding the initial supply
+  const TOKENS = {
+    EducToken: async () => (await ethers.getContractFactory("EducToken")).deploy(admin.address),
+    EducTokenWithRecovery: async () =>
+      (await ethers.getContractFactory("EducTokenWithRecovery")).deploy(admin.address, treasury.address, admin.address),
+    EducTokenUpgradeable: async () =>
+      upgrades.deployProxy(await ethers.getContractFactory("EducTokenUpgradeable"), [admin.address], {
+        initializer: "initialize(address)",
+        kind: "uups",
+      }),
+  };
+
+  async function expectRevert(promise, token, ErrorClass, errorName) {
+    try {
+      await promise;
+      expect.fail(`Expected ${errorName}`);
+    } catch (error) {
+      const translated = translateError(error, token.interface, "EducToken");
+      expect(translated).to.be.instanceOf(ErrorClass);
+      expect(translated.reason).to.equal(errorName);
+    }
+  }
+
+  beforeEach(async function () {
+    [admin, treasury, student, spender, relayer] = await ethers.getSigners();
+  });
+
+  for (const [name, deploy] of Object.entries(TOKENS)) {
+    describe(name, function () {
+      let token;
+
+      beforeEach(async function () {
+        token = await deploy();
+        await token.connect(admin).transfer(student.address, ethers.parseEther("100"));
+      });
+
+      it("Should approve with a permit relayed by another account", async function () {
+        const permit = await signPermit(token, student, { spender: spender.address, value: ethers.parseEther("40") });
+
+        await expect(token.connect(relayer).permit(...permit.args))
+          .to.emit(token, "Approval")
+          .withArgs(student.address, spender.address, ethers.parseEther("40"));
+
+        expect(await token.allowance(student.address, spender.address)).to.equal(ethers.parseEther("40"));
+        expect(await token.nonces(student.address)).to.equal(1);
+
+        await token.connect(spender).transferFrom(student.address, spender.address, ethers.parseEther("40"));
+        expect(await token.balanceOf(spender.address)).to.equal(ethers.parseEther("40"));
+      });
+
+      it("Should reject replayed and expired permits", async function () {
+        const permit = await signPermit(token, student, { spender: spender.address, value: 1n });
+        await token.connect(relayer).permit(...permit.args);
+
+        await expectRevert(token.connect(relayer).permit(...permit.args), token, EducUnauthorizedError, "ERC2612InvalidSigner");
+
+        const deadline = BigInt(await time.latest()) + 60n;
+        const expiring = await signPermit(token, student, { spender: spender.address, value: 1n, deadline });
+        await time.increaseTo(deadline + 1n);
+
+        await expectRevert(token.connect(relayer).permit(...expiring.args), token, EducStateError, "ERC2612ExpiredSignature");
+      });
+    });
+  }
+
+  describe("Helpers", function () {
+    let token;
+
+    beforeEach(async function () {
+      token = await TOKENS.EducToken();
+    });
+
+    it("Should build the typed data from the token domain and nonce", async function () {
+      const { domain, types, message } = await buildPermit(token, {
+        owner: student.address.toLowerCase(),
+        spender: spender.address,
+        value: "5",
+      });
+
+      expect(domain).to.deep.equal({
+        name: "EducToken",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: token.target,
+      });
+      expect(types.Permit.map((field) => field.name)).to.deep.equal(["owner", "spender", "value", "nonce", "deadline"]);
+      expect(message.owner).to.equal(student.address);
+      expect(message.value).to.equal(5n);
+      expect(message.nonce).to.equal(0n);
+      expect(message.deadline).to.equal(BigInt(await time.latest()) + 3600n);
+    });
+
+    it("Should recover the signer of a permit", async function () {
+      const permit = await signPermit(token, student, { spender: spender.address, value: 5n });
+      const domain = (await buildPermit(token, permit)).domain;
+
+      expect(recoverPermitSigner(domain, permit, permit.signature)).to.equal(student.address);
+      expect(recoverPermitSigner(domain, { ...permit, value: 6n }, permit.signature)).to.not.equal(student.address);
+    });
+  });
+
+  describe("Upgrade", function () {
+    it("Should run initializePermit once with an upgrade", async function () {
+      const token = await TOKENS.EducTokenUpgradeable();
+      const factory = await ethers.getContractFactory("EducTokenUpgradeable");
+      const upgraded = await upgrades.upgradeProxy(token.target, factory, { call: "initializePermit" });
+
+      // Permits keep working on the upgraded proxy
+      await upgraded.connect(admin).transfer(student.address, ethers.parseEther("1"));
+      const permit = await signPermit(upgraded, student, { spender: spender.address, value: 1n });
+      await upgraded.connect(relayer).permit(...permit.args);
+      expect(await upgraded.allowance(student.address, spender.address)).to.equal(1n);
+
+      try {
+        await upgraded.connect(admin).initializePermit();
+        expect.fail("Expected initializePermit to revert");
+      } catch (error) {
+        expect(error.message).to.include("InvalidInitialization");
+      }
+    });
+  });
+});
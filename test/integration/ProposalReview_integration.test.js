@@ -0,0 +1,243 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { buildProposalParams, decodeInstruction, encodeInstruction } = require("../../scripts/governance/proposal-codec");
+const { reviewProposal, formatReview, formatDuration } = require("../../scripts/governance/proposal-review");
+
+describe("Proposal Builder and Reviewer Integration Tests", function () {
+  let system;
+  let deployer;
+  let admin;
+  let signer2;
+  let educatorAccount;
+  let recipient;
+
+  async function propose(instructionType, input, description = "Test proposal") {
+    const params = buildProposalParams({ instructionType, input, description, requiredApprovals: 2 });
+    await system.proposal.connect(deployer).createProposal(params);
+    return system.proposal.proposalCount();
+  }
+
+  function changeOf(review, field) {
+    return review.changes.find((change) => change.field === field);
+  }
+
+  beforeEach(async function () {
+    [deployer, admin, signer2, educatorAccount, recipient] = await ethers.getSigners();
+
+    system = await ignition.deploy(EducLearningSystemModule, {
+      parameters: {
+        EducGovernanceModule: {
+          signers: [deployer.address, signer2.address],
+          threshold: 2,
+        },
+        EducLearningSystemModule: {
+          admin: admin.address,
+        },
+      },
+    });
+  });
+
+  describe("Builder", function () {
+    it("Should encode human input into data createProposal accepts", async function () {
+      const params = buildProposalParams({
+        instructionType: "registereducator",
+        input: { educator: educatorAccount.address.toLowerCase(), mintLimit: "1000.5" },
+        description: "Register a new educator",
+        requiredApprovals: 2,
+      });
+
+      expect(params.instructionType).to.equal(1);
+      expect(params.data).to.equal(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [educatorAccount.address, ethers.parseEther("1000.5")])
+      );
+      await expect(system.proposal.connect(deployer).createProposal(params)).to.emit(system.proposal, "ProposalCreated");
+    });
+
+    it("Should default the fields whose zero value keeps the current state", async function () {
+      const params = buildProposalParams({
+        instructionType: "UpdateCourse",
+        input: { educator: educatorAccount.address, courseId: "CS101", isActive: "false" },
+        requiredApprovals: 2,
+      });
+
+      expect(decodeInstruction("UpdateCourse", params.data)).to.deep.include({
+        courseName: "",
+        rewardAmount: 0n,
+        isActive: false,
+        metadataHash: ethers.ZeroHash,
+      });
+    });
+
+    it("Should encode Call actions from function signatures", async function () {
+      const { proposal, learning } = system;
+      const params = buildProposalParams({
+        instructionType: "Call",
+        input: {
+          actions: [
+            { target: proposal.target, function: "setCallTargetAllowed(address,bool)", args: [learning.target, true] },
+            { target: learning.target, data: learning.interface.encodeFunctionData("setDailyMintingLimit", [1n]) },
+          ],
+        },
+        requiredApprovals: 2,
+      });
+
+      const decoded = decodeInstruction("Call", params.data);
+      expect(decoded.targets).to.deep.equal([proposal.target, learning.target]);
+      expect(decoded.values).to.deep.equal([0n, 0n]);
+      expect(decoded.calldatas[0]).to.equal(
+        proposal.interface.encodeFunctionData("setCallTargetAllowed", [learning.target, true])
+      );
+    });
+
+    it("Should reject invalid human input", function () {
+      const build = (instructionType, input) => () => buildProposalParams({ instructionType, input, requiredApprovals: 1 });
+
+      expect(build("Upgrade", {})).to.throw("Unknown instruction type");
+      expect(build("RegisterEducator", { educator: educatorAccount.address })).to.throw("RegisterEducator requires mintLimit");
+      expect(build("RegisterEducator", { educator: "0x1234", mintLimit: "1" })).to.throw("educator must be an address");
+      expect(build("RegisterEducator", { educator: educatorAccount.address, mintLimit: "lots" })).to.throw("mintLimit must be a token amount");
+      expect(build("AddSigner", { signer: educatorAccount.address, threshold: "1" })).to.throw("Unknown AddSigner field(s) threshold");
+      expect(build("ChangeThreshold", { threshold: "256" })).to.throw("threshold must be between 1 and 255");
+      expect(build("Call", { actions: [] })).to.throw("between 1 and 20 actions");
+    });
+
+    it("Should refuse to decode data the contract would reject", function () {
+      const data = encodeInstruction("AddSigner", { signer: educatorAccount.address });
+
+      expect(() => decodeInstruction("AddSigner", data + "00")).to.throw("not a canonical encoding");
+      expect(() => decodeInstruction("RegisterEducator", data)).to.throw("Invalid RegisterEducator data");
+    });
+  });
+
+  describe("Reviewer", function () {
+    it("Should show the votes and the expiry countdown of a pending proposal", async function () {
+      const proposalId = await propose("RegisterEducator", { educator: educatorAccount.address, mintLimit: "1000" });
+      await system.proposal.connect(signer2).rejectProposal({ proposalId });
+
+      const review = await reviewProposal(system.proposal, proposalId);
+
+      expect(review.status).to.equal("Pending");
+      expect(review.instructionType).to.equal("RegisterEducator");
+      expect(review.proposer).to.equal(deployer.address);
+      expect(review.approvers).to.deep.equal([]);
+      expect(review.rejectors).to.deep.equal([signer2.address]);
+      expect(review.notVoted).to.deep.equal([deployer.address]);
+      expect(review.timing).to.match(/^voting expires in 6d 23h 59m/);
+      expect(review.instruction.mintLimit).to.equal(ethers.parseEther("1000"));
+      expect(changeOf(review, "educator")).to.deep.equal({
+        field: "educator",
+        current: "not registered",
+        proposed: "registered (active)",
+      });
+      expect(review.warnings).to.deep.equal([]);
+    });
+
+    it("Should count down to execution once the proposal is queued", async function () {
+      const proposalId = await propose("RegisterEducator", { educator: educatorAccount.address, mintLimit: "1000" });
+      await system.proposal.connect(deployer).approveProposal({ proposalId });
+      await system.proposal.connect(signer2).approveProposal({ proposalId });
+
+      let review = await reviewProposal(system.proposal, proposalId);
+      expect(review.status).to.equal("Queued");
+      expect(review.approvers).to.deep.equal([deployer.address, signer2.address]);
+      expect(review.timing).to.match(/^executable in 1d/);
+
+      await time.increase(await system.proposal.executionDelays(1));
+      review = await reviewProposal(system.proposal, proposalId);
+      expect(review.timing).to.match(/^executable now, until /);
+
+      await time.increase(await system.proposal.EXECUTION_GRACE_PERIOD());
+      review = await reviewProposal(system.proposal, proposalId);
+      expect(review.timing).to.match(/^execution grace period ended .* ago, the proposal can no longer be executed$/);
+    });
+
+    it("Should diff a signer removal against the current signers and threshold", async function () {
+      const proposalId = await propose("RemoveSigner", { signer: signer2.address });
+
+      const review = await reviewProposal(system.proposal, proposalId);
+
+      expect(changeOf(review, "signers")).to.deep.include({
+        current: `${deployer.address}, ${signer2.address}`,
+        proposed: deployer.address,
+      });
+      expect(review.warnings).to.deep.equal(["Removing a signer needs more than 2 signers, there are 2"]);
+    });
+
+    it("Should mark the config fields a proposal keeps", async function () {
+      const proposalId = await propose("UpdateConfig", { maxEducators: "250" });
+
+      const review = await reviewProposal(system.proposal, proposalId);
+
+      expect(changeOf(review, "maxEducators").proposed).to.equal("250");
+      expect(changeOf(review, "maxMintAmount").proposed).to.equal("(unchanged)");
+      expect(changeOf(review, "mintCooldownPeriod").proposed).to.equal("(unchanged)");
+    });
+
+    it("Should warn about transfers the treasury cannot cover", async function () {
+      const proposalId = await propose("TransferFunds", {
+        token: system.token.target,
+        recipient: recipient.address,
+        amount: ethers.parseEther("10").toString(),
+      });
+
+      const review = await reviewProposal(system.proposal, proposalId);
+
+      expect(changeOf(review, "treasury balance").current).to.equal("0.0 EDUC");
+      expect(review.warnings[0]).to.match(/^The treasury holds 0.0 EDUC, less than the 10.0 EDUC to transfer/);
+    });
+
+    it("Should decode Call actions and follow allowlistings made by earlier actions", async function () {
+      const { proposal, learning, educator } = system;
+      const proposalId = await propose("Call", {
+        actions: [
+          { target: proposal.target, function: "setCallTargetAllowed(address,bool)", args: [learning.target, true] },
+          { target: learning.target, data: learning.interface.encodeFunctionData("setDailyMintingLimit", [5n]) },
+          { target: educator.target, data: educator.interface.encodeFunctionData("setConfigContract", [ethers.ZeroAddress]) },
+        ],
+      });
+
+      const review = await reviewProposal(proposal, proposalId, {
+        knownContracts: [
+          { name: "EducLearning", address: learning.target, interface: learning.interface },
+          { name: "EducEducator", address: educator.target, interface: educator.interface },
+        ],
+      });
+
+      expect(changeOf(review, "action 0")).to.deep.include({
+        current: "EducProposal",
+        proposed: `setCallTargetAllowed(${learning.target}, true)`,
+      });
+      expect(changeOf(review, "action 1")).to.deep.include({ current: "EducLearning", proposed: "setDailyMintingLimit(5)" });
+      expect(changeOf(review, "action 2").current).to.equal("EducEducator (not allowed)");
+      expect(review.warnings).to.deep.equal(["Action 2: EducEducator is not an allowed call target"]);
+    });
+
+    it("Should render the review as text", async function () {
+      const proposalId = await propose("EmergencyPause", { pauseStatus: "true" }, "Freeze everything");
+
+      const text = formatReview(await reviewProposal(system.proposal, proposalId));
+
+      expect(text).to.include(`Proposal #${proposalId}: EmergencyPause (Pending)`);
+      expect(text).to.include("Description: Freeze everything");
+      expect(text).to.include("  pauseStatus: true");
+      expect(text).to.include("  paused:\n    current:  false\n    proposed: true");
+    });
+
+    it("Should reject unknown proposals", async function () {
+      try {
+        await reviewProposal(system.proposal, 1);
+        expect.fail("Expected the review to fail");
+      } catch (error) {
+        expect(error.message).to.equal("Proposal 1 does not exist");
+      }
+    });
+
+    it("Should format durations", function () {
+      expect(formatDuration(0)).to.equal("0s");
+      expect(formatDuration(90061)).to.equal("1d 1h 1m 1s");
+      expect(formatDuration(7200)).to.equal("2h");
+    });
+  });
+});
@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { parseCsv } = require("../../scripts/utils/csv");
+const { reconcileSubmitted } = require("../../scripts/utils/journal");
+const { writeRewardProofs } = require("../../scripts/utils/merkle");
+const {
+  ONE_DAY,
+  validateRewardRows,
+  buildRewardEpoch,
+  claimWindowCapacity,
+  scheduleRows,
+  loadRewardJournal,
+  importRewards,
+} = require("../../scripts/utils/rewards");
+
+describe("Reward CSV Import", function () {
+  const DAILY_LIMIT = ethers.parseEther("1000");
+  const MAX_MINT_AMOUNT = ethers.parseEther("100000");
+
+  describe("CSV Parser", function () {
+    it("Should parse quoted fields with commas, escaped quotes and line breaks", function () {
+      const records = parseCsv('address,amount,reason\n0x1,10,"Top, of the ""cohort"""\n0x2,5,"Two\nlines"\n0x3,1,Plain\n');
+
+      expect(records).to.deep.equal([
+        { line: 2, values: { address: "0x1", amount: "10", reason: 'Top, of the "cohort"' } },
+        { line: 3, values: { address: "0x2", amount: "5", reason: "Two\nlines" } },
+        { line: 5, values: { address: "0x3", amount: "1", reason: "Plain" } },
+      ]);
+    });
+
+    it("Should handle CRLF line endings, a byte order mark and header case", function () {
+      const records = parseCsv("\uFEFFAddress, Amount ,REASON\r\n0x1,10,First\r\n\r\n0x2,5,Second");
+
+      expect(records).to.deep.equal([
+        { line: 2, values: { address: "0x1", amount: "10", reason: "First" } },
+        { line: 4, values: { address: "0x2", amount: "5", reason: "Second" } },
+      ]);
+    });
+
+    it("Should reject unterminated quoted fields and return nothing for empty files", function () {
+      expect(() => parseCsv('address,amount,reason\n0x1,10,"Open')).to.throw(
+        "Unterminated quoted field starting on line 2"
+      );
+      expect(parseCsv("\n \n")).to.deep.equal([]);
+    });
+  });
+
+  describe("Row Validation", function () {
+    let student1;
+    let student2;
+    let others;
+
+    beforeEach(async function () {
+      [, student1, student2, ...others] = await ethers.getSigners();
+    });
+
+    const validate = (csv, allowDuplicates = false) =>
+      validateRewardRows(parseCsv(csv), DAILY_LIMIT, MAX_MINT_AMOUNT, allowDuplicates);
+
+    it("Should convert valid rows to checksummed addresses and wei amounts", function () {
+      const { rows, errors } = validate(`address,amount,reason\n${student1.address.toLowerCase()},12.5,Quiz`);
+
+      expect(errors).to.be.empty;
+      expect(rows).to.deep.equal([
+        { key: "line:2", line: 2, address: student1.address, amount: ethers.parseEther("12.5"), reason: "Quiz" },
+      ]);
+    });
+
+    it("Should report every invalid row with its line number", function () {
+      const { rows, errors } = validate(
+        [
+          "address,amount,reason",
+          "0x1234,10,Bad address",
+          `${ethers.ZeroAddress},10,Zero`,
+          `${student1.address},ten,Bad amount`,
+          `${others[0].address},0,Zero amount`,
+          `${others[1].address},1001,Over the daily limit`,
+          `${student2.address},1,`,
+        ].join("\n")
+      );
+
+      expect(rows).to.be.empty;
+      expect(errors).to.deep.equal([
+        'line 2: invalid address "0x1234"',
+        "line 3: zero address",
+        'line 4: invalid amount "ten"',
+        "line 5: amount must be positive",
+        "line 6: amount 1001 exceeds the daily minting limit of 1000.0",
+        "line 7: reason cannot be empty",
+      ]);
+    });
+
+    it("Should reject duplicate addresses unless they are allowed", function () {
+      const csv = `address,amount,reason\n${student1.address},10,First\n${student1.address.toLowerCase()},5,Second`;
+
+      const strict = validate(csv);
+      expect(strict.errors).to.deep.equal(["line 3: duplicate of line 2"]);
+      expect(strict.rows).to.have.length(1);
+
+      const lenient = validate(csv, true);
+      expect(lenient.errors).to.be.empty;
+      expect(lenient.warnings).to.deep.equal([`line 3: ${student1.address} already appears on line 2`]);
+      expect(lenient.rows).to.have.length(2);
+    });
+
+    it("Should require the address, amount and reason columns", function () {
+      const { errors } = validate("wallet,amount\n0x1,10");
+      expect(errors).to.deep.equal(["Missing column(s): address, reason"]);
+    });
+
+    it("Should schedule rows over the following days up to the daily limit", function () {
+      const rows = [600, 300, 500, 200].map((amount, index) => ({
+        line: index + 2,
+        amount: ethers.parseEther(String(amount)),
+      }));
+      const firstDay = Math.floor(Date.UTC(2026, 0, 1) / 1000 / ONE_DAY);
+
+      expect(scheduleRows(rows, firstDay, DAILY_LIMIT, ethers.parseEther("100"))).to.deep.equal([
+        { date: "2026-01-01", lines: [], total: "0" },
+        { date: "2026-01-02", lines: [2, 3], total: ethers.parseEther("900").toString() },
+        { date: "2026-01-03", lines: [4, 5], total: ethers.parseEther("700").toString() },
+      ]);
+    });
+  });
+
+  describe("Import", function () {
+    let system;
+    let learning;
+    let admin;
+    let educatorAccount;
+    let students;
+    let journalDir;
+    let journalPath;
+    let csv;
+
+    const COOLDOWN = 2n * 60n * 60n;
+
+    function newJournal() {
+      return loadRewardJournal(journalPath, {
+        csvFile: "rewards.csv",
+        csvHash: ethers.id(csv),
+        learning: learning.target,
+        sender: educatorAccount.address,
+      });
+    }
+
+    function runImport(journal, overrides = {}) {
+      const { rows } = validateRewardRows(parseCsv(csv), DAILY_LIMIT, MAX_MINT_AMOUNT, false);
+      return importRewards({
+        learning,
+        token: system.token,
+        educator: system.educator,
+        provider: ethers.provider,
+        sender: educatorAccount.address,
+        rows,
+        journal,
+        journalPath,
+        batchSize: 50,
+        batchGasLimit: 8_000_000n,
+        maxMintAmount: ethers.parseEther("100"),
+        mintCooldown: COOLDOWN,
+        ...overrides,
+      });
+    }
+
+    beforeEach(async function () {
+      let signers;
+      [admin, educatorAccount, ...signers] = await ethers.getSigners();
+      students = signers.slice(0, 3);
+
+      system = await ignition.deploy(EducLearningSystemModule, {
+        parameters: { EducGovernanceModule: { signers: [admin.address], threshold: 1 } },
+      });
+      learning = system.learning.connect(educatorAccount);
+      await system.educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, ethers.parseEther("1000"));
+      await system.config.connect(admin).updateConfig(0, 0, ethers.parseEther("100"), COOLDOWN);
+
+      csv = ["address,amount,reason", ...students.map((student) => `${student.address},40,Hackathon`)].join("\n");
+
+      journalDir = fs.mkdtempSync(path.join(os.tmpdir(), "educ-rewards-"));
+      journalPath = path.join(journalDir, "rewards.csv.journal.json");
+    });
+
+    afterEach(function () {
+      fs.rmSync(journalDir, { recursive: true, force: true });
+    });
+
+    it("Should stop at the mint cooldown and resume from the journal without paying twice", async function () {
+      const journal = newJournal();
+
+      // The max mint amount of 100 fits two 40 token rows in the first batch
+      const first = await runImport(journal);
+      expect(first.stopReason).to.equal("cooldown");
+      expect(await system.token.balanceOf(students[0].address)).to.equal(ethers.parseEther("40"));
+      expect(await system.token.balanceOf(students[1].address)).to.equal(ethers.parseEther("40"));
+      expect(await system.token.balanceOf(students[2].address)).to.equal(0);
+
+      const saved = JSON.parse(fs.readFileSync(journalPath, "utf8"));
+      expect(Object.keys(saved.entries)).to.deep.equal(["line:2", "line:3"]);
+      Object.values(saved.entries).forEach((entry) => expect(entry.status).to.equal("confirmed"));
+
+      await time.increaseTo(first.nextMintTime);
+
+      const resumed = newJournal();
+      expect((await runImport(resumed)).stopReason).to.be.null;
+      for (const student of students) {
+        expect(await system.token.balanceOf(student.address)).to.equal(ethers.parseEther("40"));
+      }
+      expect(Object.keys(resumed.entries)).to.have.length(3);
+    });
+
+    it("Should confirm a submitted batch when the run is interrupted before it is awaited", async function () {
+      const journal = newJournal();
+
+      // Simulate a crash between sending the batch and recording its receipt
+      const crashing = new Proxy(learning, {
+        get(target, prop) {
+          if (prop !== "batchIssueRewards") {
+            return Reflect.get(target, prop);
+          }
+          const batchIssueRewards = async (...args) => {
+            const tx = await target.batchIssueRewards(...args);
+            return { hash: tx.hash, wait: () => Promise.reject(new Error("Connection lost")) };
+          };
+          batchIssueRewards.estimateGas = target.batchIssueRewards.estimateGas;
+          return batchIssueRewards;
+        },
+      });
+
+      try {
+        await runImport(journal, { learning: crashing });
+        expect.fail("Import should have failed");
+      } catch (error) {
+        expect(error.message).to.equal("Connection lost");
+      }
+
+      const resumed = newJournal();
+      Object.values(resumed.entries).forEach((entry) => expect(entry.status).to.equal("submitted"));
+      await reconcileSubmitted(resumed, journalPath, ethers.provider, educatorAccount.address);
+      Object.values(resumed.entries).forEach((entry) => expect(entry.status).to.equal("confirmed"));
+
+      await time.increase(COOLDOWN);
+      await runImport(resumed);
+      for (const student of students) {
+        expect(await system.token.balanceOf(student.address)).to.equal(ethers.parseEther("40"));
+      }
+    });
+
+    it("Should stop when the educator's allowance runs out", async function () {
+      await system.educator.connect(admin)["setEducatorStatus(address,bool,uint256)"](educatorAccount.address, true, ethers.parseEther("30"));
+
+      const { stopReason } = await runImport(newJournal());
+
+      expect(stopReason).to.equal("allowance");
+      expect(await system.token.balanceOf(students[0].address)).to.equal(0);
+    });
+
+    it("Should refuse a journal created for a different file", async function () {
+      await runImport(newJournal());
+
+      csv = `${csv}\n${admin.address},1,Late entry`;
+      expect(() => newJournal()).to.throw("changed since journal");
+    });
+  });
+
+  describe("Reward Epochs", function () {
+    let system;
+    let admin;
+    let educatorAccount;
+    let students;
+    let epochDir;
+
+    beforeEach(async function () {
+      let signers;
+      [admin, educatorAccount, ...signers] = await ethers.getSigners();
+      students = signers.slice(0, 3);
+
+      system = await ignition.deploy(EducLearningSystemModule, {
+        parameters: { EducGovernanceModule: { signers: [admin.address], threshold: 1 } },
+      });
+      await system.educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, ethers.parseEther("1000"));
+
+      epochDir = fs.mkdtempSync(path.join(os.tmpdir(), "educ-epoch-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(epochDir, { recursive: true, force: true });
+    });
+
+    it("Should build an epoch from a CSV and claim every reward with the written proofs", async function () {
+      const csv = [
+        "address,amount,reason",
+        `${students[0].address.toLowerCase()},40,Hackathon`,
+        `${students[1].address},12.5,"Top, of the cohort"`,
+        `${students[2].address},7,Quiz`,
+      ].join("\n");
+
+      const { rewards, tree, total, errors } = buildRewardEpoch(csv, MAX_MINT_AMOUNT);
+      expect(errors).to.be.empty;
+      expect(rewards).to.have.length(3);
+      expect(total).to.equal(ethers.parseEther("59.5"));
+
+      const latest = await time.latest();
+      const claimDeadline = latest + 30 * ONE_DAY;
+      expect(claimWindowCapacity(latest, claimDeadline, await system.token.getDailyMintingRemaining())).to.be.gte(total);
+
+      const distributor = system.rewardDistributor;
+      await distributor.connect(educatorAccount).commitEpoch(tree.root, total, claimDeadline);
+      const epochPath = path.join(epochDir, "rewards.csv.epoch.json");
+      writeRewardProofs(epochPath, tree, { epochId: "1", claimDeadline });
+
+      // Claims only use the published file
+      const epoch = JSON.parse(fs.readFileSync(epochPath, "utf8"));
+      expect(epoch.merkleRoot).to.equal((await distributor.getEpoch(1)).merkleRoot);
+      expect(epoch.total).to.equal(total.toString());
+      for (const student of students) {
+        const { amount, reason, proof } = epoch.claims[student.address];
+        await distributor.connect(student).claim(epoch.epochId, student.address, amount, reason, proof);
+        expect(await system.token.balanceOf(student.address)).to.equal(BigInt(amount));
+      }
+      expect(await system.token.balanceOf(students[1].address)).to.equal(ethers.parseEther("12.5"));
+      expect((await distributor.getEpoch(1)).claimedAmount).to.equal(total);
+    });
+
+    it("Should reject duplicate rows and files without rewards", function () {
+      const duplicate = `address,amount,reason\n${students[0].address},10,First\n${students[0].address},5,Second`;
+      const { tree, errors } = buildRewardEpoch(duplicate, MAX_MINT_AMOUNT);
+      expect(tree).to.be.null;
+      expect(errors).to.deep.equal(["line 3: duplicate of line 2"]);
+
+      expect(buildRewardEpoch("address,amount,reason\n", MAX_MINT_AMOUNT).errors).to.deep.equal([
+        "the file has no reward rows",
+      ]);
+    });
+
+    it("Should bound an epoch by what the token can mint before the claim deadline", async function () {
+      const today = Math.floor(Date.UTC(2026, 0, 1) / 1000 / ONE_DAY) * ONE_DAY;
+      const now = today + 20 * 60 * 60;
+
+      // The rest of today's limit plus one full day for a deadline on the next day
+      expect(claimWindowCapacity(now, now + ONE_DAY, ethers.parseEther("250"))).to.equal(ethers.parseEther("1250"));
+      expect(claimWindowCapacity(now, today + ONE_DAY - 1, ethers.parseEther("250"))).to.equal(ethers.parseEther("250"));
+      expect(claimWindowCapacity(now, now + 30 * ONE_DAY, DAILY_LIMIT)).to.equal(ethers.parseEther("31000"));
+    });
+  });
+});
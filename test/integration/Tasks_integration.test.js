@@ -0,0 +1,332 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("@nomicfoundation/ignition-core");
+const { HardhatArtifactResolver } = require("@nomicfoundation/hardhat-ignition/helpers");
+const EducLearningSystemModule = require("../../ignition/modules/EducLearningSystem");
+const { ROLE_REQUIREMENTS } = require("../../tasks/audit-roles");
+const { loadIgnitionManifest } = require("../../scripts/utils/deployment-manifest");
+
+const { ethers } = hre;
+
+// Manifest entry names of the contracts returned by the Ignition module
+const MANIFEST_NAMES = {
+  token: "EducToken",
+  educator: "EducEducator",
+  student: "EducStudent",
+  course: "EducCourse",
+  certificate: "EducCertificate",
+  config: "EducConfig",
+  pauseControl: "EducPause",
+  multisig: "EducMultisig",
+  proposal: "EducProposal",
+  treasury: "EducTreasury",
+  governor: "EducGovernor",
+  forwarder: "EducForwarder",
+  learning: "EducLearning",
+  rewardDistributor: "EducRewardDistributor",
+};
+
+describe("Hardhat Tasks", function () {
+  let system;
+  let deployer;
+  let signer2;
+  let manifestDir;
+  let manifestPath;
+  let deploymentDir;
+
+  // Deploys like `hardhat ignition deploy`, which keeps the deployment on disk, unlike
+  // ignition.deploy on the in-process network
+  async function deployToDirectory(parameters) {
+    const result = await deploy({
+      config: hre.config.ignition,
+      provider: hre.network.provider,
+      deploymentDir,
+      artifactResolver: new HardhatArtifactResolver(hre),
+      ignitionModule: EducLearningSystemModule,
+      deploymentParameters: parameters,
+      accounts: await hre.network.provider.request({ method: "eth_accounts" }),
+    });
+    expect(result.type).to.equal("SUCCESSFUL_DEPLOYMENT");
+
+    const contracts = {};
+    for (const [key, future] of Object.entries(EducLearningSystemModule.results)) {
+      contracts[key] = await ethers.getContractAt(future.contractName, result.contracts[future.id].address);
+    }
+    return contracts;
+  }
+
+  function writeManifest(contracts) {
+    const manifest = { network: hre.network.name, contracts: {} };
+    for (const [name, { artifact, address }] of Object.entries(contracts)) {
+      manifest.contracts[name] = {
+        contract: `${artifact.sourceName}:${artifact.contractName}`,
+        address,
+        constructorArgs: [],
+        blockNumber: 0,
+      };
+    }
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  }
+
+  async function writeSystemManifest(omit = []) {
+    const contracts = {};
+    for (const [key, name] of Object.entries(MANIFEST_NAMES)) {
+      if (!omit.includes(name)) {
+        contracts[name] = { artifact: await hre.artifacts.readArtifact(name), address: system[key].target };
+      }
+    }
+    writeManifest(contracts);
+  }
+
+  beforeEach(async function () {
+    [deployer, signer2] = await ethers.getSigners();
+
+    manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "educ-tasks-"));
+    manifestPath = path.join(manifestDir, "deployment.json");
+    deploymentDir = path.join(manifestDir, "ignition");
+
+    system = await deployToDirectory({
+      EducGovernanceModule: { signers: [deployer.address, signer2.address], threshold: 2 },
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(manifestDir, { recursive: true, force: true });
+    process.exitCode = 0;
+  });
+
+  describe("Ignition Deployments", function () {
+    it("Should read the deployment with entries named after the contracts of their futures", function () {
+      const manifest = loadIgnitionManifest(deploymentDir);
+
+      for (const [key, name] of Object.entries(MANIFEST_NAMES)) {
+        expect(manifest.contracts[name].address).to.equal(system[key].target);
+      }
+      expect(manifest.contracts.EducLearning).to.include({
+        contract: "contracts/EducLearning.sol:EducLearning",
+        futureId: "EducLearningSystemModule#EducLearning",
+      });
+      expect(manifest.contracts.EducToken.blockNumber).to.be.greaterThan(0);
+      expect(loadIgnitionManifest(manifestDir)).to.be.null;
+    });
+  });
+
+  describe("educ:audit-roles", function () {
+    const MINTER_ROLE = ethers.id("MINTER_ROLE");
+
+    it("Should find every required grant in a complete deployment", async function () {
+      const { rows, missing } = await hre.run("educ:audit-roles", { deployment: deploymentDir });
+
+      expect(missing).to.be.empty;
+      expect(process.exitCode ?? 0).to.equal(0);
+
+      // Every requirement applies to the Ignition deployment
+      for (const requirement of ROLE_REQUIREMENTS) {
+        const target = requirement.target === "TOKEN" ? "EducToken" : requirement.target;
+        const row = rows.find(
+          (candidate) =>
+            candidate.contract === target && candidate.role === requirement.role && candidate.account === requirement.grantee
+        );
+        expect(row, `${requirement.role} on ${target} for ${requirement.grantee}`).to.not.be.undefined;
+        expect(row.status).to.equal("present");
+      }
+
+      // The deployer keeps its admin roles until it renounces them
+      const deployerAdmin = rows.find(
+        (row) => row.contract === "EducToken" && row.role === "DEFAULT_ADMIN_ROLE" && row.account === deployer.address
+      );
+      expect(deployerAdmin).to.include({ type: "EOA", status: "excess" });
+    });
+
+    it("Should list the claimCompletion path next to every completeCourse path", function () {
+      // Both complete a course through _completeCourse, so they need the same grants
+      for (const { target, role, paths } of ROLE_REQUIREMENTS) {
+        const completions = paths.filter((entry) => entry.startsWith("EducLearning.completeCourse"));
+        for (const entry of completions) {
+          const claim = entry.replace("completeCourse", "claimCompletion");
+          expect(paths, `${role} on ${target}`).to.include(claim);
+        }
+      }
+    });
+
+    it("Should mark allowed accounts instead of reporting them as excess", async function () {
+      const { rows } = await hre.run("educ:audit-roles", { deployment: deploymentDir, allow: deployer.address });
+
+      const deployerRows = rows.filter((row) => row.account === deployer.address);
+      expect(deployerRows).to.not.be.empty;
+      deployerRows.forEach((row) => expect(row.status).to.equal("allowed"));
+    });
+
+    it("Should report a missing grant and send it with --fix", async function () {
+      await system.token.revokeRole(MINTER_ROLE, system.learning.target);
+      const { missing } = await hre.run("educ:audit-roles", { deployment: deploymentDir });
+      expect(missing).to.deep.equal([
+        { contract: "EducToken", role: "MINTER_ROLE", account: "EducLearning", type: "contract", status: "missing" },
+      ]);
+      expect(process.exitCode).to.equal(1);
+      process.exitCode = 0;
+
+      const fixed = await hre.run("educ:audit-roles", { deployment: deploymentDir, fix: true });
+      expect(fixed.unsent).to.be.empty;
+      expect(await system.token.hasRole(MINTER_ROLE, system.learning.target)).to.be.true;
+
+      const { missing: afterFix } = await hre.run("educ:audit-roles", { deployment: deploymentDir });
+      expect(afterFix).to.be.empty;
+    });
+
+    it("Should print the calldata of grants the signer cannot send", async function () {
+      await system.token.revokeRole(MINTER_ROLE, system.learning.target);
+      await system.token.grantRole(ethers.ZeroHash, signer2.address);
+      await system.token.renounceRole(ethers.ZeroHash, deployer.address);
+      const { unsent } = await hre.run("educ:audit-roles", { deployment: deploymentDir, fix: true });
+
+      expect(unsent).to.have.length(1);
+      expect(unsent[0].to).to.equal(system.token.target);
+      expect(unsent[0].data).to.equal(
+        system.token.interface.encodeFunctionData("grantRole", [MINTER_ROLE, system.learning.target])
+      );
+      expect(process.exitCode).to.equal(1);
+      expect(await system.token.hasRole(MINTER_ROLE, system.learning.target)).to.be.false;
+    });
+
+    it("Should skip requirements whose contracts are not in the manifest", async function () {
+      await writeSystemManifest(["EducCertificate", "EducProposal"]);
+
+      const { rows, missing } = await hre.run("educ:audit-roles", { deployment: manifestPath });
+
+      expect(missing).to.be.empty;
+      expect(rows.some((row) => row.contract === "EducCertificate")).to.be.false;
+      expect(rows.some((row) => row.account === "EducProposal")).to.be.false;
+    });
+
+    it("Should fail without a deployment manifest", async function () {
+      try {
+        await hre.run("educ:audit-roles", { deployment: path.join(manifestDir, "missing.json") });
+        expect.fail("Task should have failed");
+      } catch (error) {
+        expect(error.message).to.include("No deployment manifest found");
+      }
+    });
+  });
+
+  describe("educ:* operator tasks", function () {
+    let educatorAccount;
+    let studentAccount;
+
+    const run = (name, args) => hre.run(name, { deployment: deploymentDir, ...args });
+
+    async function registerEducator() {
+      await run("educ:register-educator", { educator: educatorAccount.address, mintLimit: "1000" });
+    }
+
+    async function createCourse(args = {}) {
+      await run("educ:create-course", {
+        from: educatorAccount.address,
+        id: "SOL-101",
+        name: "Solidity Basics",
+        reward: "10",
+        ...args,
+      });
+    }
+
+    beforeEach(async function () {
+      [, , educatorAccount, studentAccount] = await ethers.getSigners();
+    });
+
+    it("Should register an educator with a mint limit given in tokens", async function () {
+      const receipt = await run("educ:register-educator", { educator: educatorAccount.address, mintLimit: "1500.5" });
+
+      expect(receipt.status).to.equal(1);
+      expect(await system.educator.isActiveEducator(educatorAccount.address)).to.be.true;
+      expect(await system.educator.getEducatorMintLimit(educatorAccount.address)).to.equal(ethers.parseEther("1500.5"));
+    });
+
+    it("Should create and update a course from the educator account", async function () {
+      await registerEducator();
+      await createCourse({ metadata: "ipfs://course" });
+
+      let course = await system.course.getCourseInfo(educatorAccount.address, "SOL-101");
+      expect(course.courseName).to.equal("Solidity Basics");
+      expect(course.rewardAmount).to.equal(ethers.parseEther("10"));
+      expect(course.metadataHash).to.equal(ethers.id("ipfs://course"));
+
+      // Fields that are not given keep their current value
+      await run("educ:update-course", { from: educatorAccount.address, id: "SOL-101", reward: "12" });
+      course = await system.course.getCourseInfo(educatorAccount.address, "SOL-101");
+      expect(course.courseName).to.equal("Solidity Basics");
+      expect(course.rewardAmount).to.equal(ethers.parseEther("12"));
+      expect(course.isActive).to.be.true;
+
+      await run("educ:update-course", { from: educatorAccount.address, id: "SOL-101", active: false });
+      expect((await system.course.getCourseInfo(educatorAccount.address, "SOL-101")).isActive).to.be.false;
+    });
+
+    it("Should complete a course and mint its reward to the student", async function () {
+      await registerEducator();
+      await createCourse();
+
+      const receipt = await run("educ:complete-course", {
+        from: educatorAccount.address,
+        student: studentAccount.address,
+        id: "SOL-101",
+      });
+
+      expect(receipt.status).to.equal(1);
+      expect(await system.token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("10"));
+      expect(await system.student.hasCourseCompletion(studentAccount.address, "SOL-101")).to.be.true;
+    });
+
+    it("Should issue a reward and set the daily minting limit", async function () {
+      await registerEducator();
+
+      await run("educ:issue-reward", {
+        from: educatorAccount.address,
+        student: studentAccount.address,
+        amount: "2.5",
+        reason: "Hackathon",
+      });
+      expect(await system.token.balanceOf(studentAccount.address)).to.equal(ethers.parseEther("2.5"));
+
+      await run("educ:set-daily-minting-limit", { limit: "500" });
+      expect(await system.learning.dailyMintingLimit()).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should only simulate with --dry-run", async function () {
+      const receipt = await run("educ:register-educator", {
+        educator: educatorAccount.address,
+        mintLimit: "1000",
+        dryRun: true,
+      });
+
+      expect(receipt).to.be.null;
+      expect(await system.educator.isActiveEducator(educatorAccount.address)).to.be.false;
+    });
+
+    it("Should surface the revert reason of a failed simulation", async function () {
+      try {
+        await run("educ:create-course", {
+          from: studentAccount.address,
+          id: "SOL-101",
+          name: "Solidity Basics",
+          reward: "10",
+        });
+        expect.fail("Task should have failed");
+      } catch (error) {
+        expect(error.message).to.include("Simulation of createCourse(string,string,uint256,bytes32) failed");
+      }
+      expect(await system.course.getTotalCourses()).to.equal(0);
+    });
+
+    it("Should reject malformed token amounts", async function () {
+      try {
+        await run("educ:register-educator", { educator: educatorAccount.address, mintLimit: "lots" });
+        expect.fail("Task should have failed");
+      } catch (error) {
+        expect(error.message).to.include('--mint-limit must be a token amount such as "10" or "2.5", got "lots"');
+      }
+    });
+  });
+});
@@ -0,0 +1,245 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("EducCertificate", function () {
+  let EducCertificate;
+  let certificate;
+  let admin;
+  let minter;
+  let educator;
+  let student1;
+  let student2;
+
+  // Constants for roles
+  let ADMIN_ROLE;
+  let MINTER_ROLE;
+
+  const METADATA_HASH = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+
+  function certificateParams(overrides = {}) {
+    return {
+      student: student1.address,
+      courseId: "CS101",
+      courseName: "Introduction to Computer Science",
+      educator: educator.address,
+      courseVersion: 1,
+      metadataHash: METADATA_HASH,
+      ...overrides,
+    };
+  }
+
+  function decodeTokenURI(uri) {
+    const prefix = "data:application/json;base64,";
+    expect(uri.startsWith(prefix)).to.be.true;
+    return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+  }
+
+  beforeEach(async function () {
+    // Get signers
+    [admin, minter, educator, student1, student2] = await ethers.getSigners();
+
+    // Calculate role hashes
+    ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
+    MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+
+    // Deploy certificate contract
+    EducCertificate = await ethers.getContractFactory("EducCertificate");
+    certificate = await EducCertificate.deploy(admin.address);
+
+    // Grant minter role
+    await certificate.grantRole(MINTER_ROLE, minter.address);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the right admin", async function () {
+      expect(await certificate.hasRole(ADMIN_ROLE, admin.address)).to.equal(true);
+    });
+
+    it("Should not allow deployment with zero admin address", async function () {
+      await expect(EducCertificate.deploy(ethers.ZeroAddress)).to.be.revertedWith(
+        "EducCertificate: Invalid admin address"
+      );
+    });
+
+    it("Should support the ERC-721 and ERC-5192 interfaces", async function () {
+      expect(await certificate.supportsInterface("0x80ac58cd")).to.equal(true); // ERC-721
+      expect(await certificate.supportsInterface("0x5b5e139f")).to.equal(true); // ERC-721 metadata
+      expect(await certificate.supportsInterface("0xb45a3c0e")).to.equal(true); // ERC-5192
+    });
+  });
+
+  describe("Issuing Certificates", function () {
+    it("Should issue a locked certificate to the student", async function () {
+      const tx = certificate.connect(minter).issueCertificate(certificateParams());
+
+      await expect(tx).to.emit(certificate, "Locked").withArgs(1);
+      await expect(tx)
+        .to.emit(certificate, "CertificateIssued")
+        .withArgs(1, student1.address, "CS101", educator.address, 1, METADATA_HASH, anyValue);
+
+      expect(await certificate.ownerOf(1)).to.equal(student1.address);
+      expect(await certificate.locked(1)).to.equal(true);
+      expect(await certificate.totalIssued()).to.equal(1);
+      expect(await certificate.getCertificateId(student1.address, educator.address, "CS101")).to.equal(1);
+      expect(await certificate.getStudentCertificates(student1.address)).to.deep.equal([1n]);
+      expect(await certificate.isValidCertificate(1)).to.equal(true);
+    });
+
+    it("Should store the certificate details", async function () {
+      await certificate.connect(minter).issueCertificate(certificateParams({ courseVersion: 3 }));
+
+      const info = await certificate.getCertificate(1);
+      expect(info.student).to.equal(student1.address);
+      expect(info.courseId).to.equal("CS101");
+      expect(info.courseName).to.equal("Introduction to Computer Science");
+      expect(info.educator).to.equal(educator.address);
+      expect(info.courseVersion).to.equal(3);
+      expect(info.metadataHash).to.equal(METADATA_HASH);
+      expect(info.revoked).to.equal(false);
+    });
+
+    it("Should not issue two certificates for the same completion", async function () {
+      await certificate.connect(minter).issueCertificate(certificateParams());
+
+      await expect(
+        certificate.connect(minter).issueCertificate(certificateParams())
+      ).to.be.revertedWith("EducCertificate: Certificate already issued");
+    });
+
+    it("Should not allow non-minter to issue certificates", async function () {
+      await expect(
+        certificate.connect(student1).issueCertificate(certificateParams())
+      ).to.be.revertedWithCustomError(certificate, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should validate the certificate parameters", async function () {
+      await expect(
+        certificate.connect(minter).issueCertificate(certificateParams({ student: ethers.ZeroAddress }))
+      ).to.be.revertedWith("EducCertificate: Invalid student address");
+      await expect(
+        certificate.connect(minter).issueCertificate(certificateParams({ educator: ethers.ZeroAddress }))
+      ).to.be.revertedWith("EducCertificate: Invalid educator address");
+      await expect(
+        certificate.connect(minter).issueCertificate(certificateParams({ courseId: "" }))
+      ).to.be.revertedWith("EducCertificate: Course ID cannot be empty");
+    });
+
+    it("Should not issue certificates when paused", async function () {
+      await certificate.connect(admin).pause();
+
+      await expect(
+        certificate.connect(minter).issueCertificate(certificateParams())
+      ).to.be.revertedWithCustomError(certificate, "EnforcedPause");
+    });
+  });
+
+  describe("Soulbound", function () {
+    beforeEach(async function () {
+      await certificate.connect(minter).issueCertificate(certificateParams());
+    });
+
+    it("Should not allow transfers", async function () {
+      await expect(
+        certificate.connect(student1).transferFrom(student1.address, student2.address, 1)
+      ).to.be.revertedWith("EducCertificate: Certificates are soulbound");
+      await expect(
+        certificate.connect(student1)["safeTransferFrom(address,address,uint256)"](student1.address, student2.address, 1)
+      ).to.be.revertedWith("EducCertificate: Certificates are soulbound");
+    });
+
+    it("Should not allow approvals", async function () {
+      await expect(
+        certificate.connect(student1).approve(student2.address, 1)
+      ).to.be.revertedWith("EducCertificate: Certificates are soulbound");
+      await expect(
+        certificate.connect(student1).setApprovalForAll(student2.address, true)
+      ).to.be.revertedWith("EducCertificate: Certificates are soulbound");
+    });
+  });
+
+  describe("Revocation", function () {
+    beforeEach(async function () {
+      await certificate.connect(minter).issueCertificate(certificateParams());
+    });
+
+    it("Should allow admin to revoke a certificate", async function () {
+      await expect(certificate.connect(admin).revokeCertificate(1, "Fraudulent completion"))
+        .to.emit(certificate, "CertificateRevoked");
+
+      await expect(certificate.ownerOf(1)).to.be.revertedWithCustomError(certificate, "ERC721NonexistentToken");
+      expect(await certificate.balanceOf(student1.address)).to.equal(0);
+      expect(await certificate.isValidCertificate(1)).to.equal(false);
+
+      const info = await certificate.getCertificate(1);
+      expect(info.revoked).to.equal(true);
+      expect(info.revocationReason).to.equal("Fraudulent completion");
+      expect(info.revokedAt).to.be.greaterThan(0);
+    });
+
+    it("Should keep the completion from being certified again", async function () {
+      await certificate.connect(admin).revokeCertificate(1, "Fraudulent completion");
+
+      await expect(
+        certificate.connect(minter).issueCertificate(certificateParams())
+      ).to.be.revertedWith("EducCertificate: Certificate already issued");
+    });
+
+    it("Should not revoke twice or without a reason", async function () {
+      await expect(
+        certificate.connect(admin).revokeCertificate(1, "")
+      ).to.be.revertedWith("EducCertificate: Reason cannot be empty");
+
+      await certificate.connect(admin).revokeCertificate(1, "Fraudulent completion");
+      await expect(
+        certificate.connect(admin).revokeCertificate(1, "Again")
+      ).to.be.revertedWith("EducCertificate: Certificate already revoked");
+    });
+
+    it("Should not revoke unknown certificates", async function () {
+      await expect(
+        certificate.connect(admin).revokeCertificate(2, "Unknown")
+      ).to.be.revertedWith("EducCertificate: Certificate not found");
+    });
+
+    it("Should not allow non-admin to revoke certificates", async function () {
+      await expect(
+        certificate.connect(minter).revokeCertificate(1, "Fraudulent completion")
+      ).to.be.revertedWithCustomError(certificate, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Token URI", function () {
+    it("Should render on-chain JSON metadata", async function () {
+      await certificate.connect(minter).issueCertificate(certificateParams());
+
+      const metadata = decodeTokenURI(await certificate.tokenURI(1));
+      expect(metadata.name).to.equal("Introduction to Computer Science Certificate #1");
+      expect(metadata.image.startsWith("data:image/svg+xml;base64,")).to.be.true;
+
+      const attributes = Object.fromEntries(metadata.attributes.map((attribute) => [attribute.trait_type, attribute.value]));
+      expect(attributes["Course ID"]).to.equal("CS101");
+      expect(attributes["Educator"]).to.equal(educator.address);
+      expect(attributes["Course Version"]).to.equal(1);
+      expect(attributes["Metadata Hash"]).to.equal(METADATA_HASH);
+    });
+
+    it("Should escape course names in the JSON and the SVG image", async function () {
+      const courseName = 'Quotes " \\ and <tags> & "more"\n';
+      await certificate.connect(minter).issueCertificate(certificateParams({ courseName }));
+
+      const metadata = decodeTokenURI(await certificate.tokenURI(1));
+      expect(metadata.name).to.equal(`${courseName} Certificate #1`);
+
+      const svg = Buffer.from(metadata.image.split(",")[1], "base64").toString("utf8");
+      expect(svg).to.include("Quotes &quot; \\ and &lt;tags&gt; &amp; &quot;more&quot;");
+    });
+
+    it("Should not render revoked certificates", async function () {
+      await certificate.connect(minter).issueCertificate(certificateParams());
+      await certificate.connect(admin).revokeCertificate(1, "Fraudulent completion");
+
+      await expect(certificate.tokenURI(1)).to.be.revertedWithCustomError(certificate, "ERC721NonexistentToken");
+    });
+  });
+});
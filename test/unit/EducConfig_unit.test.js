@@ -311,8 +311,56 @@ describe("EducConfig", function () {
         // mintCooldownPeriod should still be the default
       }
     });
+
+    it("Should expose the current limits through the getters", async function () {
+      expect(await config.getMaxEducators()).to.equal(1000);
+      expect(await config.getMaxCoursesPerEducator()).to.equal(100);
+      expect(await config.getMaxMintAmount()).to.equal(ethers.parseEther("1000"));
+      expect(await config.getMintCooldownPeriod()).to.equal(2 * 60 * 60);
+
+      await config.connect(admin).updateConfig(800, 80, ethers.parseEther("2000"), 60);
+
+      expect(await config.getMaxEducators()).to.equal(800);
+      expect(await config.getMaxCoursesPerEducator()).to.equal(80);
+      expect(await config.getMaxMintAmount()).to.equal(ethers.parseEther("2000"));
+      expect(await config.getMintCooldownPeriod()).to.equal(60);
+    });
   });
-  
+
+  describe("Governance Configuration", function () {
+    it("Should initialize the voting period and quorum", async function () {
+      expect(await config.getVotingPeriod()).to.equal(50400);
+      expect(await config.getQuorumBps()).to.equal(400);
+    });
+
+    it("Should update the governance parameters and keep zero values", async function () {
+      await expect(config.connect(admin).updateGovernanceConfig(7200, 0))
+        .to.emit(config, EVENT_CONFIG_PARAMETER_CHANGED)
+        .withArgs("votingPeriod", 50400, 7200, admin.address)
+        .and.to.emit(config, EVENT_CONFIG_UPDATED);
+
+      expect(await config.getVotingPeriod()).to.equal(7200);
+      expect(await config.getQuorumBps()).to.equal(400);
+
+      await config.connect(admin).updateGovernanceConfig(0, 1000);
+      expect(await config.getVotingPeriod()).to.equal(7200);
+      expect(await config.getQuorumBps()).to.equal(1000);
+    });
+
+    it("Should reject out of range governance parameters", async function () {
+      await expect(
+        config.connect(admin).updateGovernanceConfig((await config.MAX_VOTING_PERIOD()) + 1n, 0)
+      ).to.be.revertedWith("EducConfig: Invalid parameter values");
+      await expect(
+        config.connect(admin).updateGovernanceConfig(0, 10001)
+      ).to.be.revertedWith("EducConfig: Invalid parameter values");
+    });
+
+    it("Should not allow non-admin to update the governance parameters", async function () {
+      await expect(config.connect(user1).updateGovernanceConfig(7200, 1000)).to.be.reverted;
+    });
+  });
+
   describe("Pausing", function () {
     it("Should allow admin to pause the contract", async function () {
       await config.connect(admin).pause();
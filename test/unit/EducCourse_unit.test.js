@@ -714,4 +714,125 @@ describe("EducCourse", function () {
       ).to.be.reverted;
     });
   });
-});
\ No newline at end of file
+
+  describe("Governance Course Management", function () {
+    const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+
+    function creationParams(courseId) {
+      return {
+        courseId,
+        courseName: "Governance Course",
+        rewardAmount: ethers.parseEther("50"),
+        metadataHash
+      };
+    }
+
+    it("Should let admin create a course owned by an educator", async function () {
+      await expect(course.connect(admin).createCourseForEducator(user1.address, creationParams("GOV101")))
+        .to.emit(course, EVENT_COURSE_CREATED);
+
+      const info = await course.getCourseInfo(user1.address, "GOV101");
+      expect(info.educator).to.equal(user1.address);
+      expect((await educator.getEducatorInfo(user1.address)).courseCount).to.equal(1);
+    });
+
+    it("Should let admin update a course owned by an educator", async function () {
+      await course.connect(admin).createCourseForEducator(user1.address, creationParams("GOV101"));
+
+      await course.connect(admin).updateCourseForEducator(user1.address, {
+        courseId: "GOV101",
+        courseName: "Renamed Course",
+        rewardAmount: 0,
+        isActive: true,
+        metadataHash: ethers.ZeroHash,
+        changeDescription: "Rename"
+      });
+
+      const info = await course.getCourseInfo(user1.address, "GOV101");
+      expect(info.courseName).to.equal("Renamed Course");
+
+      const history = await course.getCourseHistory(user1.address, "GOV101", 2);
+      expect(history.educator).to.equal(user1.address);
+      expect(history.updatedBy).to.equal(admin.address);
+    });
+
+    it("Should still require an active educator", async function () {
+      await expect(
+        course.connect(admin).createCourseForEducator(user2.address, creationParams("GOV101"))
+      ).to.be.revertedWith("EducCourse: Caller not an active educator");
+    });
+
+    it("Should not allow non-admin to manage courses for an educator", async function () {
+      await expect(
+        course.connect(user1).createCourseForEducator(user1.address, creationParams("GOV101"))
+      ).to.be.revertedWithCustomError(course, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Configured Limits", function () {
+    const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+    let config;
+
+    beforeEach(async function () {
+      const EducConfig = await ethers.getContractFactory("EducConfig");
+      config = await EducConfig.deploy(admin.address);
+      await course.setConfigContract(config.target);
+    });
+
+    it("Should only allow admin to set the config contract", async function () {
+      expect(await course.configContract()).to.equal(config.target);
+
+      await expect(
+        course.connect(user1).setConfigContract(config.target)
+      ).to.be.revertedWithCustomError(course, "AccessControlUnauthorizedAccount");
+      await expect(
+        course.setConfigContract(ethers.ZeroAddress)
+      ).to.be.revertedWith("EducCourse: Invalid config contract");
+    });
+
+    it("Should enforce the current maximum courses per educator", async function () {
+      await config.connect(admin).updateConfig(0, 1, 0, 0);
+
+      await course.connect(user1)["createCourse(string,string,uint256,bytes32)"]("CS101", "Intro", 100, metadataHash);
+      await expect(
+        course.connect(user1)["createCourse(string,string,uint256,bytes32)"]("CS102", "Data", 100, metadataHash)
+      ).to.be.revertedWith("EducCourse: Maximum courses per educator reached");
+
+      await config.connect(admin).updateConfig(0, 2, 0, 0);
+      await course.connect(user1)["createCourse(string,string,uint256,bytes32)"]("CS102", "Data", 100, metadataHash);
+      expect(await course.getTotalCourses()).to.equal(2);
+    });
+  });
+
+  describe("Granular Pausing", function () {
+    const PAUSE_FLAG_MINT = 1 << 0;
+    const PAUSE_FLAG_COURSE = 1 << 4;
+    const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+    let pauseControl;
+
+    beforeEach(async function () {
+      const EducPause = await ethers.getContractFactory("EducPause");
+      pauseControl = await EducPause.deploy(admin.address);
+      await course.setPauseControl(pauseControl.target);
+    });
+
+    it("Should block course creation and updates while courses are paused", async function () {
+      await course.connect(user1)["createCourse(string,string,uint256,bytes32)"]("CS101", "Intro", 100, metadataHash);
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_COURSE, true);
+
+      await expect(
+        course.connect(user1)["createCourse(string,string,uint256,bytes32)"]("CS102", "Data", 100, metadataHash)
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+      await expect(
+        course.connect(user1)["updateCourse(string,string,uint256,bool,bytes32,string)"]("CS101", "Intro", 200, true, metadataHash, "Reward")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+    });
+
+    it("Should allow course creation while other subsystems are paused", async function () {
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_MINT, true);
+
+      await course.connect(user1)["createCourse(string,string,uint256,bytes32)"]("CS101", "Intro", 100, metadataHash);
+      expect(await course.getTotalCourses()).to.equal(1);
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("EducEducator", function () {
   let EducEducator;
@@ -15,6 +16,7 @@ describe("EducEducator", function () {
   const EVENT_EDUCATOR_REGISTERED = "EducatorRegistered";
   const EVENT_EDUCATOR_STATUS_UPDATED = "EducatorStatusUpdated";
   const EVENT_EDUCATOR_MINT_RECORDED = "EducatorMintRecorded";
+  const EVENT_EDUCATOR_MINT_RELEASED = "EducatorMintReleased";
   const EVENT_EDUCATOR_COURSE_COUNT_INCREMENTED = "EducatorCourseCountIncremented";
 
   beforeEach(async function () {
@@ -331,6 +333,59 @@ describe("EducEducator", function () {
         educator.connect(admin).recordMint(user2.address, mintAmount)
       ).to.be.revertedWith("EducEducator: educator does not exist");
     });
+
+    it("Should release recorded mints back to the allowance", async function () {
+      await educator.connect(admin).recordMint(user1.address, ethers.parseEther("500"));
+
+      await expect(educator.connect(admin).releaseMint(user1.address, ethers.parseEther("200")))
+        .to.emit(educator, EVENT_EDUCATOR_MINT_RELEASED)
+        .withArgs(user1.address, ethers.parseEther("200"), ethers.parseEther("300"), anyValue);
+      expect(await educator.getEducatorTotalMinted(user1.address)).to.equal(ethers.parseEther("300"));
+
+      // Inactive educators get their allowance back as well
+      await educator.connect(admin).setEducatorStatus(user1.address, false, 0);
+      await educator.connect(admin).releaseMint(user1.address, ethers.parseEther("300"));
+      expect(await educator.getEducatorTotalMinted(user1.address)).to.equal(0);
+    });
+
+    it("Should not release more than the recorded mints", async function () {
+      await educator.connect(admin).recordMint(user1.address, ethers.parseEther("500"));
+
+      await expect(
+        educator.connect(admin).releaseMint(user1.address, ethers.parseEther("501"))
+      ).to.be.revertedWith("EducEducator: release exceeds total minted");
+      await expect(
+        educator.connect(user2).releaseMint(user1.address, 1n)
+      ).to.be.revertedWithCustomError(educator, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should enforce the mint cooldown between recorded rewards", async function () {
+      const mintAmount = ethers.parseEther("100");
+
+      await expect(educator.connect(admin).recordRewardMint(user1.address, mintAmount))
+        .to.emit(educator, EVENT_EDUCATOR_MINT_RECORDED)
+        .withArgs(user1.address, mintAmount, mintAmount, anyValue);
+      expect(await educator.getEducatorLastRewardTime(user1.address)).to.equal(await time.latest());
+
+      await expect(
+        educator.connect(admin).recordRewardMint(user1.address, mintAmount)
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+
+      // Without a config contract the SystemConstants two hours apply
+      await time.increase(2 * 60 * 60);
+      await educator.connect(admin).recordRewardMint(user1.address, mintAmount);
+      expect(await educator.getEducatorTotalMinted(user1.address)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should not start the mint cooldown on plain recorded mints", async function () {
+      await educator.connect(admin).recordMint(user1.address, ethers.parseEther("100"));
+      expect(await educator.getEducatorLastRewardTime(user1.address)).to.equal(0);
+
+      await educator.connect(admin).recordRewardMint(user1.address, ethers.parseEther("100"));
+      await expect(
+        educator.connect(user2).recordRewardMint(user1.address, 1n)
+      ).to.be.revertedWithCustomError(educator, "AccessControlUnauthorizedAccount");
+    });
   });
 
   describe("Course Count Management", function () {
@@ -501,4 +556,90 @@ describe("EducEducator", function () {
       ).to.be.revertedWithCustomError(educator, "AccessControlUnauthorizedAccount");
     });
   });
-});
\ No newline at end of file
+
+  describe("Configured Limits", function () {
+    let config;
+
+    beforeEach(async function () {
+      const EducConfig = await ethers.getContractFactory("EducConfig");
+      config = await EducConfig.deploy(admin.address);
+    });
+
+    it("Should only allow admin to set the config contract", async function () {
+      await expect(educator.connect(admin).setConfigContract(config.target))
+        .to.emit(educator, "ConfigContractSet")
+        .withArgs(config.target);
+      expect(await educator.configContract()).to.equal(config.target);
+
+      await expect(
+        educator.connect(user1).setConfigContract(config.target)
+      ).to.be.revertedWithCustomError(educator, "AccessControlUnauthorizedAccount");
+      await expect(
+        educator.connect(admin).setConfigContract(ethers.ZeroAddress)
+      ).to.be.revertedWith("EducEducator: address cannot be zero");
+    });
+
+    it("Should enforce the current maximum number of educators", async function () {
+      await educator.connect(admin).setConfigContract(config.target);
+      await config.connect(admin).updateConfig(2, 0, 0, 0);
+
+      await educator.connect(admin)["registerEducator(address,uint256)"](user1.address, ethers.parseEther("10000"));
+      await educator.connect(admin)["registerEducator(address,uint256)"](user2.address, ethers.parseEther("10000"));
+      await expect(
+        educator.connect(admin)["registerEducator(address,uint256)"](user3.address, ethers.parseEther("10000"))
+      ).to.be.revertedWith("EducEducator: max educators limit reached");
+
+      // Raising the limit takes effect without redeploying
+      await config.connect(admin).updateConfig(3, 0, 0, 0);
+      await educator.connect(admin)["registerEducator(address,uint256)"](user3.address, ethers.parseEther("10000"));
+      expect(await educator.getTotalEducators()).to.equal(3);
+    });
+
+    it("Should enforce the current mint cooldown", async function () {
+      await educator.connect(admin).setConfigContract(config.target);
+      await config.connect(admin).updateConfig(0, 0, 0, 60);
+      await educator.connect(admin)["registerEducator(address,uint256)"](user1.address, ethers.parseEther("10000"));
+
+      await educator.connect(admin).recordRewardMint(user1.address, ethers.parseEther("10"));
+      await expect(
+        educator.connect(admin).recordRewardMint(user1.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+
+      await time.increase(60);
+      await educator.connect(admin).recordRewardMint(user1.address, ethers.parseEther("10"));
+    });
+  });
+
+  describe("Granular Pausing", function () {
+    const PAUSE_FLAG_REGISTER = 1 << 3;
+    const PAUSE_FLAG_EDUCATOR = 1 << 5;
+    let pauseControl;
+
+    beforeEach(async function () {
+      const EducPause = await ethers.getContractFactory("EducPause");
+      pauseControl = await EducPause.deploy(admin.address);
+      await educator.setPauseControl(pauseControl.target);
+    });
+
+    it("Should block registration while registration or the educator subsystem is paused", async function () {
+      for (const flag of [PAUSE_FLAG_REGISTER, PAUSE_FLAG_EDUCATOR]) {
+        await pauseControl.setGranularPauseLegacy(flag, true);
+        await expect(
+          educator.connect(admin)["registerEducator(address,uint256)"](user1.address, ethers.parseEther("10000"))
+        ).to.be.revertedWith("EducPauseControlled: Function is paused");
+        await pauseControl.setGranularPauseLegacy(flag, false);
+      }
+
+      await educator.connect(admin)["registerEducator(address,uint256)"](user1.address, ethers.parseEther("10000"));
+      expect(await educator.isActiveEducator(user1.address)).to.equal(true);
+    });
+
+    it("Should still allow admins to deactivate educators", async function () {
+      await educator.connect(admin)["registerEducator(address,uint256)"](user1.address, ethers.parseEther("10000"));
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_EDUCATOR, true);
+
+      await educator.connect(admin)["setEducatorStatus(address,bool,uint256)"](user1.address, false, 0);
+      expect(await educator.isActiveEducator(user1.address)).to.equal(false);
+    });
+  });
+});
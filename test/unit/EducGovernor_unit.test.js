@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("EducGovernor", function () {
+  let token;
+  let config;
+  let multisig;
+  let governor;
+  let admin;
+  let signer1;
+  let signer2;
+  let signer3;
+  let voter1;
+  let voter2;
+
+  // Constants for roles
+  let ADMIN_ROLE;
+
+  // Constants
+  const VOTING_PERIOD = 20; // blocks
+  const VETO_PERIOD = 2 * 24 * 60 * 60; // 2 days in seconds
+  const INITIAL_SUPPLY = ethers.parseEther("10000000");
+
+  // Enum values of the OpenZeppelin ProposalState and vote support
+  const STATE = {
+    Pending: 0,
+    Active: 1,
+    Canceled: 2,
+    Defeated: 3,
+    Succeeded: 4,
+    Queued: 5,
+    Expired: 6,
+    Executed: 7
+  };
+  const VOTE = { Against: 0, For: 1, Abstain: 2 };
+
+  // A proposal raising the quorum to 5%, executed by the governor on EducConfig
+  function quorumProposal(description = "Raise the quorum to 5%") {
+    return {
+      targets: [config.target],
+      values: [0],
+      calldatas: [config.interface.encodeFunctionData("updateGovernanceConfig", [0, 500])],
+      description,
+      descriptionHash: ethers.id(description),
+    };
+  }
+
+  async function propose(action) {
+    await governor.connect(voter1).propose(action.targets, action.values, action.calldatas, action.description);
+    return governor.hashProposal(action.targets, action.values, action.calldatas, action.descriptionHash);
+  }
+
+  async function passVote(action) {
+    const proposalId = await propose(action);
+    await mine(2);
+    await governor.connect(voter1).castVote(proposalId, VOTE.For);
+    await mine(VOTING_PERIOD);
+    return proposalId;
+  }
+
+  function veto(signer, action) {
+    return governor.connect(signer).veto(action.targets, action.values, action.calldatas, action.descriptionHash);
+  }
+
+  beforeEach(async function () {
+    // Get signers
+    [admin, signer1, signer2, signer3, voter1, voter2] = await ethers.getSigners();
+
+    // Calculate role hashes
+    ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
+
+    // Deploy the token, config and multisig the governor reads
+    const EducToken = await ethers.getContractFactory("EducToken");
+    token = await EducToken.deploy(admin.address);
+
+    const EducConfig = await ethers.getContractFactory("EducConfig");
+    config = await EducConfig.deploy(admin.address);
+    await config.connect(admin).updateGovernanceConfig(VOTING_PERIOD, 0);
+
+    const EducMultisig = await ethers.getContractFactory("EducMultisig");
+    multisig = await EducMultisig.deploy([signer1.address, signer2.address, signer3.address], 2, admin.address);
+
+    const EducGovernor = await ethers.getContractFactory("EducGovernor");
+    governor = await EducGovernor.deploy(token.target, config.target, multisig.target);
+
+    // The governor executes its proposals on EducConfig
+    await config.connect(admin).grantRole(ADMIN_ROLE, governor.target);
+
+    // voter1 holds 5% of the supply, voter2 1%
+    await token.connect(admin).transfer(voter1.address, INITIAL_SUPPLY / 20n);
+    await token.connect(admin).transfer(voter2.address, INITIAL_SUPPLY / 100n);
+    await token.connect(voter1).delegate(voter1.address);
+    await token.connect(voter2).delegate(voter2.address);
+  });
+
+  describe("Deployment", function () {
+    it("Should read the voting settings from EducConfig", async function () {
+      expect(await governor.name()).to.equal("EducGovernor");
+      expect(await governor.votingDelay()).to.equal(1);
+      expect(await governor.votingPeriod()).to.equal(VOTING_PERIOD);
+      expect(await governor.proposalNeedsQueuing(0)).to.equal(true);
+
+      const block = await ethers.provider.getBlockNumber();
+      await mine();
+      expect(await governor.quorum(block)).to.equal((INITIAL_SUPPLY * 400n) / 10000n);
+    });
+
+    it("Should not allow zero addresses", async function () {
+      const EducGovernor = await ethers.getContractFactory("EducGovernor");
+
+      await expect(
+        EducGovernor.deploy(ethers.ZeroAddress, config.target, multisig.target)
+      ).to.be.revertedWith("EducGovernor: Invalid token");
+      await expect(
+        EducGovernor.deploy(token.target, ethers.ZeroAddress, multisig.target)
+      ).to.be.revertedWith("EducGovernor: Invalid config");
+      await expect(
+        EducGovernor.deploy(token.target, config.target, ethers.ZeroAddress)
+      ).to.be.revertedWith("EducGovernor: Invalid multisig");
+    });
+  });
+
+  describe("Voting", function () {
+    it("Should count the votes delegated at the snapshot block", async function () {
+      const action = quorumProposal();
+      const proposalId = await propose(action);
+      expect(await governor.state(proposalId)).to.equal(STATE.Pending);
+
+      await mine(2);
+      // Tokens delegated after the snapshot do not count
+      await token.connect(admin).delegate(admin.address);
+
+      await governor.connect(voter1).castVote(proposalId, VOTE.For);
+      await governor.connect(voter2).castVote(proposalId, VOTE.Against);
+      await governor.connect(admin).castVote(proposalId, VOTE.Against);
+
+      const [againstVotes, forVotes] = await governor.proposalVotes(proposalId);
+      expect(forVotes).to.equal(INITIAL_SUPPLY / 20n);
+      expect(againstVotes).to.equal(INITIAL_SUPPLY / 100n);
+      expect(await governor.state(proposalId)).to.equal(STATE.Active);
+    });
+
+    it("Should defeat proposals below the quorum", async function () {
+      const action = quorumProposal();
+      const proposalId = await propose(action);
+      await mine(2);
+
+      // 1% of the supply against a 4% quorum
+      await governor.connect(voter2).castVote(proposalId, VOTE.For);
+      await mine(VOTING_PERIOD);
+
+      expect(await governor.proposalQuorum(proposalId)).to.equal((INITIAL_SUPPLY * 400n) / 10000n);
+      expect(await governor.state(proposalId)).to.equal(STATE.Defeated);
+    });
+
+    it("Should keep the quorum and voting period a proposal was created with", async function () {
+      const action = quorumProposal();
+      const proposalId = await propose(action);
+      const deadline = await governor.proposalDeadline(proposalId);
+
+      // A 6% quorum and a longer period only apply to new proposals
+      await config.connect(admin).updateGovernanceConfig(VOTING_PERIOD * 10, 600);
+      await mine(2);
+      await governor.connect(voter1).castVote(proposalId, VOTE.For);
+      await mine(VOTING_PERIOD);
+
+      expect(await governor.proposalQuorumBps(proposalId)).to.equal(400);
+      expect(await governor.proposalDeadline(proposalId)).to.equal(deadline);
+      expect(await governor.state(proposalId)).to.equal(STATE.Succeeded);
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should execute queued proposals once the veto period elapsed", async function () {
+      const action = quorumProposal();
+      const proposalId = await passVote(action);
+      expect(await governor.state(proposalId)).to.equal(STATE.Succeeded);
+
+      await governor.queue(action.targets, action.values, action.calldatas, action.descriptionHash);
+      expect(await governor.state(proposalId)).to.equal(STATE.Queued);
+      expect(await governor.proposalEta(proposalId)).to.equal((await time.latest()) + VETO_PERIOD);
+
+      await expect(
+        governor.execute(action.targets, action.values, action.calldatas, action.descriptionHash)
+      ).to.be.revertedWith("EducGovernor: Veto period not elapsed");
+
+      await time.increase(VETO_PERIOD);
+      await expect(governor.execute(action.targets, action.values, action.calldatas, action.descriptionHash))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId);
+
+      expect(await governor.state(proposalId)).to.equal(STATE.Executed);
+      expect(await config.getQuorumBps()).to.equal(500);
+    });
+
+    it("Should not execute proposals that were not queued", async function () {
+      const action = quorumProposal();
+      await passVote(action);
+
+      await expect(
+        governor.execute(action.targets, action.values, action.calldatas, action.descriptionHash)
+      ).to.be.revertedWith("EducGovernor: Proposal not queued");
+    });
+  });
+
+  describe("Multisig Veto", function () {
+    it("Should cancel a queued proposal once the vetoes reach the threshold", async function () {
+      const action = quorumProposal();
+      const proposalId = await passVote(action);
+      await governor.queue(action.targets, action.values, action.calldatas, action.descriptionHash);
+
+      await expect(veto(signer1, action))
+        .to.emit(governor, "VetoCast")
+        .withArgs(proposalId, signer1.address, 1, (value) => value > 0n);
+      expect(await governor.state(proposalId)).to.equal(STATE.Queued);
+
+      await expect(veto(signer2, action))
+        .to.emit(governor, "ProposalVetoed")
+        .and.to.emit(governor, "ProposalCanceled")
+        .withArgs(proposalId);
+
+      expect(await governor.state(proposalId)).to.equal(STATE.Canceled);
+      expect(await governor.getVetoes(proposalId)).to.deep.equal([signer1.address, signer2.address]);
+      expect(await governor.hasVetoed(proposalId, signer2.address)).to.equal(true);
+
+      await time.increase(VETO_PERIOD);
+      await expect(
+        governor.execute(action.targets, action.values, action.calldatas, action.descriptionHash)
+      ).to.be.reverted;
+    });
+
+    it("Should allow vetoing proposals that are still being voted on", async function () {
+      const action = quorumProposal();
+      const proposalId = await propose(action);
+
+      await veto(signer1, action);
+      await veto(signer3, action);
+
+      expect(await governor.state(proposalId)).to.equal(STATE.Canceled);
+    });
+
+    it("Should only count the vetoes of current signers", async function () {
+      const action = quorumProposal();
+      const proposalId = await propose(action);
+
+      await veto(signer1, action);
+      await multisig.connect(admin).removeSigner(signer1.address);
+      expect(await governor.getVetoCount(proposalId)).to.equal(0);
+
+      await veto(signer2, action);
+      expect(await governor.getVetoCount(proposalId)).to.equal(1);
+      expect(await governor.state(proposalId)).to.equal(STATE.Active);
+    });
+
+    it("Should reject vetoes from non-signers and repeated vetoes", async function () {
+      const action = quorumProposal();
+      await propose(action);
+
+      await expect(veto(voter1, action)).to.be.revertedWith("EducGovernor: Caller not a signer");
+
+      await veto(signer1, action);
+      await expect(veto(signer1, action)).to.be.revertedWith("EducGovernor: Already vetoed");
+    });
+
+    it("Should not veto proposals that are defeated or unknown", async function () {
+      const action = quorumProposal();
+      const proposalId = await propose(action);
+      await mine(VOTING_PERIOD + 2);
+      expect(await governor.state(proposalId)).to.equal(STATE.Defeated);
+
+      await expect(veto(signer1, action)).to.be.revertedWith("EducGovernor: Proposal cannot be vetoed");
+      await expect(veto(signer1, quorumProposal("Unknown"))).to.be.reverted;
+    });
+  });
+});
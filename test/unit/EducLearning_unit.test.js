@@ -112,6 +112,9 @@ describe("EducLearning", function () {
     
     // Grant MINTER_ROLE to learning contract in token
     await token.grantRole(MINTER_ROLE, learning.target);
+
+    // EducEducator enforces the configured mint cooldown
+    await educator.setConfigContract(config.target);
     
     // Initialize the EducLearning contract
     await learning.initialize(
@@ -345,6 +348,160 @@ describe("EducLearning", function () {
     });
   });
 
+  describe("Completion Attestations", function () {
+    const ATTESTATION_TYPES = {
+      CompletionAttestation: [
+        { name: "student", type: "address" },
+        { name: "courseId", type: "string" },
+        { name: "courseVersion", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" }
+      ]
+    };
+
+    // Signs an attestation for CS101 version 1 that expires in a day
+    async function signAttestation(signer, overrides = {}) {
+      const attestation = {
+        student: studentAccount1.address,
+        courseId: "CS101",
+        courseVersion: 1,
+        nonce: 1,
+        expiry: (await time.latest()) + 24 * 60 * 60,
+        ...overrides
+      };
+      const domain = {
+        name: "EducLearning",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: learning.target
+      };
+      const signature = await signer.signTypedData(domain, ATTESTATION_TYPES, attestation);
+      return { attestation, signature };
+    }
+
+    it("Should let anyone claim a completion signed by the course educator", async function () {
+      const { attestation, signature } = await signAttestation(educatorAccount, { student: studentAccount2.address });
+
+      // studentAccount1 relays the claim of studentAccount2
+      await expect(learning.connect(studentAccount1).claimCompletion(attestation, signature))
+        .to.emit(learning, "CompletionClaimed")
+        .withArgs(studentAccount2.address, "CS101", educatorAccount.address, 1, studentAccount1.address, (value) => value > 0n)
+        .and.to.emit(learning, EVENT_COURSE_COMPLETION_PROCESSED)
+        .withArgs(studentAccount2.address, "CS101", educatorAccount.address, ethers.parseEther("50"), (value) => value > 0n);
+
+      expect(await student.hasCourseCompletion(studentAccount2.address, "CS101")).to.equal(true);
+      expect(await token.balanceOf(studentAccount2.address)).to.equal(ethers.parseEther("50"));
+      expect(await educator.getEducatorTotalMinted(educatorAccount.address)).to.equal(ethers.parseEther("50"));
+      expect((await course.getCourseInfo(educatorAccount.address, "CS101")).completionCount).to.equal(1);
+      expect(await learning.isAttestationNonceUsed(educatorAccount.address, 1)).to.equal(true);
+    });
+
+    it("Should expose the digest educators sign", async function () {
+      const { attestation, signature } = await signAttestation(educatorAccount);
+      const digest = await learning.hashCompletionAttestation(attestation);
+
+      expect(ethers.recoverAddress(digest, signature)).to.equal(educatorAccount.address);
+    });
+
+    it("Should not allow replaying an attestation", async function () {
+      const { attestation, signature } = await signAttestation(educatorAccount);
+      await learning.claimCompletion(attestation, signature);
+
+      await expect(
+        learning.claimCompletion(attestation, signature)
+      ).to.be.revertedWith("EducLearning: Attestation already used");
+    });
+
+    it("Should not allow claiming expired attestations", async function () {
+      const { attestation, signature } = await signAttestation(educatorAccount);
+      await time.increaseTo(attestation.expiry + 1);
+
+      await expect(
+        learning.claimCompletion(attestation, signature)
+      ).to.be.revertedWith("EducLearning: Attestation expired");
+    });
+
+    it("Should only accept attestations signed by an active educator who owns the course", async function () {
+      const forged = await signAttestation(studentAccount1);
+      await expect(
+        learning.claimCompletion(forged.attestation, forged.signature)
+      ).to.be.revertedWith("EducLearning: Signer not an active educator");
+
+      // Changing a signed field changes the recovered signer
+      const { attestation, signature } = await signAttestation(educatorAccount);
+      await expect(
+        learning.claimCompletion({ ...attestation, student: studentAccount2.address }, signature)
+      ).to.be.revertedWith("EducLearning: Signer not an active educator");
+
+      await expect(
+        learning.claimCompletion(attestation, "0x1234")
+      ).to.be.revertedWith("EducLearning: Invalid signature");
+
+      // An educator cannot attest the courses of another educator
+      await educator["registerEducator(address,uint256)"](admin.address, ethers.parseEther("10000"));
+      const foreign = await signAttestation(admin);
+      await expect(
+        learning.claimCompletion(foreign.attestation, foreign.signature)
+      ).to.be.revertedWith("EducLearning: Course not active");
+
+      await educator["setEducatorStatus(address,bool,uint256)"](educatorAccount.address, false, 0);
+      await expect(
+        learning.claimCompletion(attestation, signature)
+      ).to.be.revertedWith("EducLearning: Signer not an active educator");
+    });
+
+    it("Should not allow claiming attestations for another course version", async function () {
+      const { attestation, signature } = await signAttestation(educatorAccount);
+      await course.connect(educatorAccount)["updateCourse(string,string,uint256,bool,bytes32,string)"](
+        "CS101",
+        "Introduction to Computer Science II",
+        0,
+        true,
+        ethers.ZeroHash,
+        "New syllabus"
+      );
+
+      await expect(
+        learning.claimCompletion(attestation, signature)
+      ).to.be.revertedWith("EducLearning: Course version mismatch");
+    });
+
+    it("Should let educators cancel unclaimed attestations", async function () {
+      const { attestation, signature } = await signAttestation(educatorAccount);
+
+      await expect(learning.connect(educatorAccount).cancelAttestation(1))
+        .to.emit(learning, "AttestationCanceled")
+        .withArgs(educatorAccount.address, 1, (value) => value > 0n);
+
+      await expect(
+        learning.claimCompletion(attestation, signature)
+      ).to.be.revertedWith("EducLearning: Attestation already used");
+      await expect(
+        learning.connect(educatorAccount).cancelAttestation(1)
+      ).to.be.revertedWith("EducLearning: Attestation already used");
+    });
+
+    it("Should apply the limits of completeCourse", async function () {
+      await learning.connect(admin).setDailyMintingLimit(ethers.parseEther("49"));
+      const first = await signAttestation(educatorAccount);
+      await expect(
+        learning.claimCompletion(first.attestation, first.signature)
+      ).to.be.revertedWith("EducLearning: Daily mint limit exceeded");
+
+      await learning.connect(admin).setDailyMintingLimit(ethers.parseEther("1000"));
+      await learning.claimCompletion(first.attestation, first.signature);
+
+      // The reward cooldown does not hold back further completions
+      const second = await signAttestation(educatorAccount, { student: studentAccount2.address, nonce: 2 });
+      await learning.claimCompletion(second.attestation, second.signature);
+      expect(await token.balanceOf(studentAccount2.address)).to.equal(ethers.parseEther("50"));
+
+      await learning.connect(admin).pause();
+      const third = await signAttestation(educatorAccount, { student: admin.address, nonce: 3 });
+      await expect(learning.claimCompletion(third.attestation, third.signature)).to.be.reverted;
+    });
+  });
+
   describe("Additional Educational Rewards", function () {
 
     it("Should validate address in issueReward", async function () {
@@ -660,6 +817,225 @@ describe("EducLearning", function () {
     });
   });
 
+  describe("Certificates", function () {
+    let certificate;
+
+    beforeEach(async function () {
+      const EducCertificate = await ethers.getContractFactory("EducCertificate");
+      certificate = await EducCertificate.deploy(admin.address);
+      await certificate.grantRole(MINTER_ROLE, learning.target);
+    });
+
+    it("Should allow admin to set the certificate contract", async function () {
+      await expect(learning.connect(admin).setCertificateContract(certificate.target))
+        .to.emit(learning, "CertificateContractSet")
+        .withArgs(certificate.target);
+      expect(await learning.certificate()).to.equal(certificate.target);
+    });
+
+    it("Should not allow setting the zero certificate address", async function () {
+      await expect(
+        learning.connect(admin).setCertificateContract(ethers.ZeroAddress)
+      ).to.be.revertedWith("EducLearning: Certificate address invalid");
+    });
+
+    it("Should not allow non-admin to set the certificate contract", async function () {
+      await expect(
+        learning.connect(educatorAccount).setCertificateContract(certificate.target)
+      ).to.be.reverted;
+    });
+
+    it("Should not issue certificates before the certificate contract is set", async function () {
+      await learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101");
+      expect(await certificate.totalIssued()).to.equal(0);
+    });
+
+    it("Should issue a certificate for the completed course version", async function () {
+      await learning.connect(admin).setCertificateContract(certificate.target);
+      await course.connect(educatorAccount)["updateCourse(string,string,uint256,bool,bytes32,string)"](
+        "CS101",
+        "Computer Science Fundamentals",
+        0,
+        true,
+        ethers.ZeroHash,
+        "Rename"
+      );
+
+      await expect(learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101"))
+        .to.emit(certificate, "CertificateIssued");
+
+      const tokenId = await certificate.getCertificateId(studentAccount1.address, educatorAccount.address, "CS101");
+      expect(tokenId).to.equal(1);
+      expect(await certificate.ownerOf(tokenId)).to.equal(studentAccount1.address);
+
+      const info = await certificate.getCertificate(tokenId);
+      expect(info.courseName).to.equal("Computer Science Fundamentals");
+      expect(info.educator).to.equal(educatorAccount.address);
+      expect(info.courseVersion).to.equal(2);
+      expect(info.metadataHash).to.equal(ethers.keccak256(ethers.toUtf8Bytes("metadata")));
+    });
+
+    it("Should revert course completion when EducLearning cannot issue certificates", async function () {
+      await learning.connect(admin).setCertificateContract(certificate.target);
+      await certificate.revokeRole(MINTER_ROLE, learning.target);
+
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101")
+      ).to.be.reverted;
+      expect(await student.hasCourseCompletion(studentAccount1.address, "CS101")).to.be.false;
+    });
+  });
+
+  describe("Configured Mint Limits", function () {
+    const TWO_HOURS = 2 * 60 * 60;
+
+    it("Should reject rewards above the configured max mint amount", async function () {
+      await config.connect(admin).updateConfig(0, 0, ethers.parseEther("20"), 0);
+
+      await expect(
+        learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("21"), "Reward")
+      ).to.be.revertedWith("EducLearning: Amount exceeds max mint amount");
+      await expect(
+        learning.connect(educatorAccount).batchIssueRewards(
+          [studentAccount1.address, studentAccount2.address],
+          [ethers.parseEther("10"), ethers.parseEther("11")],
+          ["Reward", "Reward"]
+        )
+      ).to.be.revertedWith("EducLearning: Amount exceeds max mint amount");
+      // CS101 rewards 50 tokens
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101")
+      ).to.be.revertedWith("EducLearning: Amount exceeds max mint amount");
+
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("20"), "Reward");
+    });
+
+    it("Should enforce the mint cooldown between rewards of the same educator", async function () {
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward");
+      expect(await educator.getEducatorLastRewardTime(educatorAccount.address)).to.equal(await time.latest());
+
+      await expect(
+        learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward")
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+      await expect(
+        learning.connect(educatorAccount).batchIssueRewards([studentAccount2.address], [ethers.parseEther("10")], ["Reward"])
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+
+      // Course completions are not held back by the reward cooldown
+      await learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101");
+      await learning.connect(educatorAccount).completeCourse(studentAccount2.address, "CS101");
+
+      await time.increase(TWO_HOURS);
+      await learning.connect(educatorAccount).batchIssueRewards([studentAccount2.address], [ethers.parseEther("10")], ["Reward"]);
+    });
+
+    it("Should not start the cooldown on course completions", async function () {
+      await learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101");
+      expect(await educator.getEducatorLastRewardTime(educatorAccount.address)).to.equal(0);
+
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward");
+    });
+
+    it("Should apply config changes without redeploying", async function () {
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("50"), "Reward");
+      await expect(
+        learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward")
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+
+      await config.connect(admin).updateConfig(0, 0, 0, 1);
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward");
+      expect(await token.balanceOf(studentAccount1.address)).to.equal(ethers.parseEther("60"));
+    });
+  });
+
+  describe("Granular Pausing", function () {
+    const PAUSE_FLAG_MINT = 1 << 0;
+    const PAUSE_FLAG_BURN = 1 << 2;
+    const PAUSE_FLAG_COURSE = 1 << 4;
+    const PAUSE_FLAG_STUDENT = 1 << 6;
+
+    it("Should use the pause control passed to initialize", async function () {
+      expect(await learning.pauseControl()).to.equal(pauseControl.target);
+    });
+
+    it("Should block course completion and rewards while minting is paused", async function () {
+      await pauseControl.connect(admin).setGranularPauseLegacy(PAUSE_FLAG_MINT, true);
+
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+      await expect(
+        learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+      await expect(
+        learning.connect(educatorAccount).batchIssueRewards([studentAccount1.address], [ethers.parseEther("10")], ["Reward"])
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      await pauseControl.connect(admin).setGranularPauseLegacy(PAUSE_FLAG_MINT, false);
+      await learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101");
+      expect(await student.hasCourseCompletion(studentAccount1.address, "CS101")).to.be.true;
+    });
+
+    it("Should block course completion while the student subsystem is paused", async function () {
+      await pauseControl.connect(admin).setGranularPauseLegacy(PAUSE_FLAG_STUDENT, true);
+
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      // Rewards outside course completion are only gated by the mint flag
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("10"), "Reward");
+    });
+
+    it("Should block burning inactive tokens while burning is paused", async function () {
+      await learning.connect(educatorAccount).issueReward(studentAccount1.address, ethers.parseEther("100"), "Initial reward");
+      await time.increase(365 * 24 * 60 * 60 + 1);
+      await pauseControl.connect(admin).setGranularPauseLegacy(PAUSE_FLAG_BURN, true);
+
+      await expect(
+        learning.connect(admin).burnInactiveTokens(studentAccount1.address, ethers.parseEther("40"))
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+    });
+
+    it("Should not be affected by unrelated flags", async function () {
+      await pauseControl.connect(admin).setGranularPauseLegacy(PAUSE_FLAG_COURSE, true);
+
+      await learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101");
+      expect(await student.hasCourseCompletion(studentAccount1.address, "CS101")).to.be.true;
+    });
+
+    it("Should honour pause overrides for the calling educator", async function () {
+      await pauseControl.connect(admin).setGranularPauseLegacy(PAUSE_FLAG_MINT, true);
+      await pauseControl.connect(admin).setPauseOverride(educatorAccount.address, PAUSE_FLAG_MINT, true);
+
+      await learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101");
+      expect(await token.balanceOf(studentAccount1.address)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should block every gated function during a global emergency pause", async function () {
+      await pauseControl.connect(admin).setEmergencyPause(true);
+
+      await expect(
+        learning.connect(educatorAccount).completeCourse(studentAccount1.address, "CS101")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+    });
+
+    it("Should allow admin to replace the pause control", async function () {
+      const otherPauseControl = await EducPause.deploy(admin.address);
+
+      await expect(learning.connect(admin).setPauseControl(otherPauseControl.target))
+        .to.emit(learning, "PauseControlSet");
+      expect(await learning.pauseControl()).to.equal(otherPauseControl.target);
+
+      await expect(
+        learning.connect(educatorAccount).setPauseControl(otherPauseControl.target)
+      ).to.be.revertedWithCustomError(learning, "AccessControlUnauthorizedAccount");
+      await expect(
+        learning.connect(admin).setPauseControl(ethers.ZeroAddress)
+      ).to.be.revertedWith("EducPauseControlled: Invalid pause control address");
+    });
+  });
+
   describe("Pausing", function () {
     it("Should allow pauser to pause the contract", async function () {
       await learning.connect(admin).pause();
@@ -0,0 +1,228 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+describe("EducMigrationClaim", function () {
+  let migrationClaim;
+  let token;
+  let recovery;
+  let tree;
+  let claimDeadline;
+  let admin;
+  let treasury;
+  let holder1;
+  let holder2;
+  let holder3;
+  let relayer;
+
+  const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
+  const CLAIM_PERIOD = 30 * 24 * 60 * 60;
+
+  const amounts = {
+    holder1: ethers.parseEther("100"),
+    holder2: ethers.parseEther("250"),
+    holder3: ethers.parseEther("50"),
+  };
+  const totalAmount = amounts.holder1 + amounts.holder2 + amounts.holder3;
+
+  function proofFor(address) {
+    for (const [index, [leafAddress]] of tree.entries()) {
+      if (leafAddress === address) {
+        return tree.getProof(index);
+      }
+    }
+    throw new Error(`No leaf for ${address}`);
+  }
+
+  beforeEach(async function () {
+    [admin, treasury, holder1, holder2, holder3, relayer] = await ethers.getSigners();
+
+    const TokenFactory = await ethers.getContractFactory("EducTokenUpgradeable");
+    token = await upgrades.deployProxy(TokenFactory, [admin.address], {
+      initializer: "initialize(address)",
+      kind: "uups"
+    });
+    await token.waitForDeployment();
+
+    const MultisigFactory = await ethers.getContractFactory("EducMultisig");
+    const multisig = await MultisigFactory.deploy([admin.address], 1, admin.address);
+
+    const RecoveryFactory = await ethers.getContractFactory("EducEmergencyRecovery");
+    recovery = await RecoveryFactory.deploy(admin.address, treasury.address, token.target, multisig.target);
+
+    tree = StandardMerkleTree.of(
+      [
+        [holder1.address, amounts.holder1.toString()],
+        [holder2.address, amounts.holder2.toString()],
+        [holder3.address, amounts.holder3.toString()],
+      ],
+      ["address", "uint256"]
+    );
+
+    claimDeadline = (await time.latest()) + CLAIM_PERIOD;
+
+    const ClaimFactory = await ethers.getContractFactory("EducMigrationClaim");
+    migrationClaim = await ClaimFactory.deploy(
+      token.target,
+      tree.root,
+      claimDeadline,
+      recovery.target,
+      admin.address
+    );
+
+    await token.connect(admin).transfer(migrationClaim.target, totalAmount);
+  });
+
+  describe("Deployment", function () {
+    it("Should store the claim parameters", async function () {
+      expect(await migrationClaim.token()).to.equal(token.target);
+      expect(await migrationClaim.merkleRoot()).to.equal(tree.root);
+      expect(await migrationClaim.claimDeadline()).to.equal(claimDeadline);
+      expect(await migrationClaim.emergencyRecovery()).to.equal(recovery.target);
+      expect(await migrationClaim.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
+    });
+
+    it("Should emit MigrationClaimInitialized", async function () {
+      const ClaimFactory = await ethers.getContractFactory("EducMigrationClaim");
+      const deployed = await ClaimFactory.deploy(token.target, tree.root, claimDeadline, recovery.target, admin.address);
+
+      await expect(deployed.deploymentTransaction())
+        .to.emit(deployed, "MigrationClaimInitialized")
+        .withArgs(token.target, tree.root, claimDeadline, recovery.target);
+    });
+
+    it("Should reject invalid constructor parameters", async function () {
+      const ClaimFactory = await ethers.getContractFactory("EducMigrationClaim");
+
+      await expect(
+        ClaimFactory.deploy(ethers.ZeroAddress, tree.root, claimDeadline, recovery.target, admin.address)
+      ).to.be.revertedWith("EducMigrationClaim: token cannot be zero address");
+
+      await expect(
+        ClaimFactory.deploy(token.target, ethers.ZeroHash, claimDeadline, recovery.target, admin.address)
+      ).to.be.revertedWith("EducMigrationClaim: merkle root cannot be empty");
+
+      await expect(
+        ClaimFactory.deploy(token.target, tree.root, await time.latest(), recovery.target, admin.address)
+      ).to.be.revertedWith("EducMigrationClaim: deadline must be in the future");
+
+      await expect(
+        ClaimFactory.deploy(token.target, tree.root, claimDeadline, ethers.ZeroAddress, admin.address)
+      ).to.be.revertedWith("EducMigrationClaim: emergency recovery cannot be zero address");
+
+      await expect(
+        ClaimFactory.deploy(token.target, tree.root, claimDeadline, recovery.target, ethers.ZeroAddress)
+      ).to.be.revertedWith("EducMigrationClaim: admin cannot be zero address");
+    });
+  });
+
+  describe("Claiming", function () {
+    it("Should transfer the migrated balance to the holder", async function () {
+      await expect(migrationClaim.connect(holder1).claim(holder1.address, amounts.holder1, proofFor(holder1.address)))
+        .to.emit(migrationClaim, "MigrationClaimed")
+        .withArgs(holder1.address, amounts.holder1, holder1.address);
+
+      expect(await token.balanceOf(holder1.address)).to.equal(amounts.holder1);
+      expect(await migrationClaim.hasClaimed(holder1.address)).to.be.true;
+      expect(await migrationClaim.totalClaimed()).to.equal(amounts.holder1);
+    });
+
+    it("Should let anyone submit a claim on behalf of a holder", async function () {
+      await migrationClaim.connect(relayer).claim(holder2.address, amounts.holder2, proofFor(holder2.address));
+
+      expect(await token.balanceOf(holder2.address)).to.equal(amounts.holder2);
+      expect(await token.balanceOf(relayer.address)).to.equal(0);
+    });
+
+    it("Should not allow claiming twice", async function () {
+      const proof = proofFor(holder1.address);
+      await migrationClaim.claim(holder1.address, amounts.holder1, proof);
+
+      await expect(
+        migrationClaim.claim(holder1.address, amounts.holder1, proof)
+      ).to.be.revertedWith("EducMigrationClaim: already claimed");
+    });
+
+    it("Should reject a claim with a wrong amount or proof", async function () {
+      await expect(
+        migrationClaim.claim(holder1.address, amounts.holder2, proofFor(holder1.address))
+      ).to.be.revertedWith("EducMigrationClaim: invalid proof");
+
+      await expect(
+        migrationClaim.claim(relayer.address, amounts.holder1, proofFor(holder1.address))
+      ).to.be.revertedWith("EducMigrationClaim: invalid proof");
+    });
+
+    it("Should reject claims after the deadline", async function () {
+      await time.increaseTo(claimDeadline + 1);
+
+      await expect(
+        migrationClaim.claim(holder1.address, amounts.holder1, proofFor(holder1.address))
+      ).to.be.revertedWith("EducMigrationClaim: claim period has ended");
+    });
+
+    it("Should report whether a claim is available", async function () {
+      const proof = proofFor(holder3.address);
+      expect(await migrationClaim.canClaim(holder3.address, amounts.holder3, proof)).to.be.true;
+      expect(await migrationClaim.canClaim(holder3.address, amounts.holder1, proof)).to.be.false;
+
+      await migrationClaim.claim(holder3.address, amounts.holder3, proof);
+      expect(await migrationClaim.canClaim(holder3.address, amounts.holder3, proof)).to.be.false;
+    });
+  });
+
+  describe("Sweeping", function () {
+    it("Should sweep unclaimed tokens to the emergency recovery treasury after the deadline", async function () {
+      await migrationClaim.claim(holder1.address, amounts.holder1, proofFor(holder1.address));
+      await time.increaseTo(claimDeadline + 1);
+
+      const unclaimed = totalAmount - amounts.holder1;
+      await expect(migrationClaim.connect(admin).sweepUnclaimed())
+        .to.emit(migrationClaim, "UnclaimedTokensSwept")
+        .withArgs(treasury.address, unclaimed, admin.address);
+
+      expect(await token.balanceOf(treasury.address)).to.equal(unclaimed);
+      expect(await token.balanceOf(migrationClaim.target)).to.equal(0);
+    });
+
+    it("Should follow treasury updates on the emergency recovery contract", async function () {
+      const newTreasury = relayer;
+      const currentConfig = await recovery.config();
+      await recovery.connect(admin).updateConfig(
+        newTreasury.address,
+        currentConfig.systemContract,
+        currentConfig.cooldownPeriod,
+        currentConfig.approvalThreshold
+      );
+      await time.increaseTo(claimDeadline + 1);
+
+      await migrationClaim.connect(admin).sweepUnclaimed();
+
+      expect(await token.balanceOf(newTreasury.address)).to.equal(totalAmount);
+    });
+
+    it("Should not sweep before the deadline", async function () {
+      await expect(
+        migrationClaim.connect(admin).sweepUnclaimed()
+      ).to.be.revertedWith("EducMigrationClaim: claim period not ended");
+    });
+
+    it("Should not sweep an empty balance", async function () {
+      await time.increaseTo(claimDeadline + 1);
+      await migrationClaim.connect(admin).sweepUnclaimed();
+
+      await expect(
+        migrationClaim.connect(admin).sweepUnclaimed()
+      ).to.be.revertedWith("EducMigrationClaim: nothing to sweep");
+    });
+
+    it("Should only allow admins to sweep", async function () {
+      await time.increaseTo(claimDeadline + 1);
+
+      await expect(
+        migrationClaim.connect(holder1).sweepUnclaimed()
+      ).to.be.revertedWithCustomError(migrationClaim, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("EducProposal", function () {
   let EducMultisig;
@@ -18,6 +19,10 @@ describe("EducProposal", function () {
   
   // Constants
   const PROPOSAL_EXPIRATION_TIME = 7 * 24 * 60 * 60; // 7 days in seconds
+  const DEFAULT_EXECUTION_DELAY = 24 * 60 * 60; // 1 day in seconds
+  const SIGNER_EXECUTION_DELAY = 2 * 24 * 60 * 60; // 2 days in seconds
+  const CALL_EXECUTION_DELAY = 2 * 24 * 60 * 60; // 2 days in seconds
+  const EXECUTION_GRACE_PERIOD = 14 * 24 * 60 * 60; // 14 days in seconds
   
   // Enum values for InstructionType
   const INSTRUCTION_TYPE = {
@@ -30,7 +35,8 @@ describe("EducProposal", function () {
     RemoveSigner: 6,
     ChangeThreshold: 7,
     TransferFunds: 8,
-    EmergencyPause: 9
+    EmergencyPause: 9,
+    Call: 10
   };
   
   // Enum values for ProposalStatus
@@ -39,7 +45,9 @@ describe("EducProposal", function () {
     Active: 1,
     Executed: 2,
     Rejected: 3,
-    Expired: 4
+    Expired: 4,
+    Queued: 5,
+    Cancelled: 6
   };
   
   // Event signatures
@@ -48,6 +56,8 @@ describe("EducProposal", function () {
   const EVENT_PROPOSAL_REJECTED = "ProposalRejected";
   const EVENT_PROPOSAL_EXPIRED = "ProposalExpired";
   const EVENT_PROPOSAL_EXECUTED = "ProposalExecuted";
+  const EVENT_PROPOSAL_QUEUED = "ProposalQueued";
+  const EVENT_PROPOSAL_CANCELLED = "ProposalCancelled";
 
   beforeEach(async function () {
     // Get signers
@@ -367,6 +377,16 @@ describe("EducProposal", function () {
       expect(details[7]).to.equal(1); // rejectorCount
     });
     
+    it("Should return the instruction data and the voters", async function () {
+      await proposal.connect(signer1).approveProposal({ proposalId: 1 });
+      await proposal.connect(signer2).rejectProposal({ proposalId: 1 });
+
+      const [data, approvers, rejectors] = await proposal.getProposalVotes({ proposalId: 1 });
+      expect(data).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [user1.address]));
+      expect(approvers).to.deep.equal([signer1.address]);
+      expect(rejectors).to.deep.equal([signer2.address]);
+    });
+    
     it("Should emit ProposalRejected event", async function () {
       const voteParams = {
         proposalId: 1
@@ -516,7 +536,7 @@ describe("EducProposal", function () {
       await proposal.connect(signer1).createProposal(createParams);
     });
     
-    it("Should update proposal status when enough approvals are reached", async function () {
+    it("Should queue the proposal when enough approvals are reached", async function () {
       const voteParams = {
         proposalId: 1
       };
@@ -525,7 +545,8 @@ describe("EducProposal", function () {
       await proposal.connect(signer1).approveProposal(voteParams);
       
       // Second signer approval
-      await proposal.connect(signer2).approveProposal(voteParams);
+      await expect(proposal.connect(signer2).approveProposal(voteParams))
+        .to.emit(proposal, EVENT_PROPOSAL_QUEUED);
       
       // Check proposal status
       const detailsParams = {
@@ -533,20 +554,22 @@ describe("EducProposal", function () {
       };
       
       const details = await proposal.getProposalDetails(detailsParams);
-      // This should be EXECUTED state, but we may need to accept ACTIVE as well if execution fails due to permissions
-      expect([PROPOSAL_STATUS.Executed, PROPOSAL_STATUS.Active]).to.include(Number(details[2]));
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Queued);
+      expect(details[10] - details[9]).to.equal(SIGNER_EXECUTION_DELAY); // executableAt - queuedAt
+      expect(await multisig.isSigner(user1.address)).to.equal(false);
     });
     
-    it("Should attempt to execute when enough approvals", async function () {
+    it("Should execute once the execution delay has elapsed", async function () {
       const voteParams = {
         proposalId: 1
       };
       
-      // First signer approval
       await proposal.connect(signer1).approveProposal(voteParams);
+      await proposal.connect(signer2).approveProposal(voteParams);
+      await time.increase(SIGNER_EXECUTION_DELAY);
       
-      // Second signer approval - this should trigger execution attempt
-      const tx = await proposal.connect(signer2).approveProposal(voteParams);
+      // Anyone can execute a queued proposal
+      const tx = await proposal.connect(user1).execute(1);
       const receipt = await tx.wait();
       
       // Verify that execution was successful - user1 should now be a signer
@@ -595,6 +618,8 @@ describe("EducProposal", function () {
       
       await proposal.connect(signer1).approveProposal(voteParams);
       await proposal.connect(signer2).approveProposal(voteParams);
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await proposal.execute(proposalId);
       
       // Verify the threshold was changed
       expect(await multisig.threshold()).to.equal(newThreshold);
@@ -626,6 +651,8 @@ describe("EducProposal", function () {
       
       await proposal.connect(signer1).approveProposal(voteParams);
       await proposal.connect(signer3).approveProposal(voteParams);
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await proposal.execute(proposalId);
       
       // Verify signer2 was removed
       expect(await multisig.isSigner(signer2.address)).to.equal(false);
@@ -700,6 +727,8 @@ describe("EducProposal", function () {
       // Execute the proposal
       await proposal.connect(signer1).approveProposal(voteParams);
       await proposal.connect(signer2).approveProposal(voteParams);
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await proposal.execute(1);
       
       // Add a third signer
       await multisig.connect(admin).addSigner(signer3.address);
@@ -810,7 +839,12 @@ describe("EducProposal", function () {
       await proposal.connect(signer2).approveProposal(voteParams);
       
       // Check updated status
-      const newDetails = await proposal.getProposalDetails(statusParams);
+      let newDetails = await proposal.getProposalDetails(statusParams);
+      expect(newDetails[2]).to.equal(PROPOSAL_STATUS.Queued);
+
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await proposal.execute(1);
+      newDetails = await proposal.getProposalDetails(statusParams);
       expect(newDetails[2]).to.equal(PROPOSAL_STATUS.Executed);
     });
     
@@ -834,4 +868,531 @@ describe("EducProposal", function () {
       expect(details[2]).to.equal(PROPOSAL_STATUS.Expired);
     });
   });
+
+  describe("Instruction Schemas", function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    function createParams(instructionType, data) {
+      return {
+        instructionType,
+        data,
+        description: "Schema check",
+        requiredApprovals: 2
+      };
+    }
+
+    it("Should reject data that does not match the instruction schema", async function () {
+      await expect(
+        proposal.connect(signer1).createProposal(createParams(INSTRUCTION_TYPE.AddSigner, "0x"))
+      ).to.be.revertedWith("EducProposal: Invalid instruction data");
+      await expect(
+        proposal.connect(signer1).createProposal(
+          createParams(INSTRUCTION_TYPE.RegisterEducator, coder.encode(["address"], [user1.address]))
+        )
+      ).to.be.revertedWith("EducProposal: Invalid instruction data");
+      await expect(
+        proposal.connect(signer1).createProposal(
+          createParams(INSTRUCTION_TYPE.EmergencyPause, coder.encode(["bool", "bool"], [true, true]))
+        )
+      ).to.be.revertedWith("EducProposal: Invalid instruction data");
+    });
+
+    it("Should reject trailing bytes after dynamic instruction data", async function () {
+      const data = coder.encode(
+        ["address", "string", "string", "uint256", "bytes32"],
+        [user1.address, "CS101", "Intro", 1n, ethers.ZeroHash]
+      );
+
+      await expect(
+        proposal.connect(signer1).createProposal(
+          createParams(INSTRUCTION_TYPE.CreateCourse, ethers.concat([data, ethers.ZeroHash]))
+        )
+      ).to.be.revertedWith("EducProposal: Invalid instruction data");
+    });
+
+    it("Should reject thresholds that do not fit the multisig", async function () {
+      await expect(
+        proposal.connect(signer1).createProposal(
+          createParams(INSTRUCTION_TYPE.ChangeThreshold, coder.encode(["uint256"], [256]))
+        )
+      ).to.be.revertedWith("EducProposal: Invalid threshold");
+    });
+
+    it("Should revert execution when the target is not set", async function () {
+      await proposal.connect(signer1).createProposal(
+        createParams(INSTRUCTION_TYPE.EmergencyPause, coder.encode(["bool"], [true]))
+      );
+      await proposal.connect(signer1).approveProposal({ proposalId: 1 });
+
+      await expect(
+        proposal.connect(signer2).approveProposal({ proposalId: 1 })
+      ).to.be.revertedWith("EducProposal: Pause control target not set");
+
+      const details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Pending);
+    });
+  });
+
+  describe("Instruction Dispatch", function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const MINT_LIMIT = ethers.parseEther("1000");
+    const REWARD = ethers.parseEther("10");
+
+    let config;
+    let educator;
+    let course;
+    let pauseControl;
+    let treasury;
+    let token;
+
+    async function executeInstruction(instructionType, types, values) {
+      await proposal.connect(signer1).createProposal({
+        instructionType,
+        data: coder.encode(types, values),
+        description: "Governance instruction",
+        requiredApprovals: 2
+      });
+      const proposalId = await proposal.proposalCount();
+      await proposal.connect(signer1).approveProposal({ proposalId });
+      const approval = await proposal.connect(signer2).approveProposal({ proposalId });
+      const delay = await proposal.executionDelays(instructionType);
+      if (delay === 0n) {
+        return approval;
+      }
+      await time.increase(delay);
+      return proposal.execute(proposalId);
+    }
+
+    beforeEach(async function () {
+      const EMERGENCY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("EMERGENCY_ROLE"));
+
+      config = await (await ethers.getContractFactory("EducConfig")).deploy(admin.address);
+      educator = await (await ethers.getContractFactory("EducEducator")).deploy(admin.address);
+      course = await (await ethers.getContractFactory("EducCourse")).deploy(admin.address, educator.target);
+      pauseControl = await (await ethers.getContractFactory("EducPause")).deploy(admin.address);
+      treasury = await (await ethers.getContractFactory("EducTreasury")).deploy(proposal.target);
+      token = await (await ethers.getContractFactory("EducToken")).deploy(admin.address);
+
+      await educator.grantRole(ADMIN_ROLE, course.target);
+      await config.grantRole(ADMIN_ROLE, proposal.target);
+      await educator.grantRole(ADMIN_ROLE, proposal.target);
+      await course.grantRole(ADMIN_ROLE, proposal.target);
+      await pauseControl.grantRole(EMERGENCY_ROLE, proposal.target);
+
+      await proposal.connect(admin).setExecutionTargets({
+        config: config.target,
+        educator: educator.target,
+        course: course.target,
+        treasury: treasury.target,
+        pauseControl: pauseControl.target
+      });
+    });
+
+    it("Should only allow admin to set execution targets", async function () {
+      await expect(
+        proposal.connect(signer1).setExecutionTargets({
+          config: config.target,
+          educator: educator.target,
+          course: course.target,
+          treasury: treasury.target,
+          pauseControl: pauseControl.target
+        })
+      ).to.be.revertedWithCustomError(proposal, "AccessControlUnauthorizedAccount");
+
+      const targets = await proposal.executionTargets();
+      expect(targets.treasury).to.equal(treasury.target);
+    });
+
+    it("Should execute UpdateConfig on EducConfig", async function () {
+      await executeInstruction(
+        INSTRUCTION_TYPE.UpdateConfig,
+        ["uint16", "uint16", "uint256", "uint256"],
+        [500, 50, ethers.parseEther("500"), 3600]
+      );
+
+      expect(await config.getMaxEducators()).to.equal(500);
+      expect(await config.getMaxCoursesPerEducator()).to.equal(50);
+      expect(await config.getMaxMintAmount()).to.equal(ethers.parseEther("500"));
+      expect(await config.getMintCooldownPeriod()).to.equal(3600);
+    });
+
+    it("Should execute RegisterEducator and UpdateEducatorStatus on EducEducator", async function () {
+      await executeInstruction(INSTRUCTION_TYPE.RegisterEducator, ["address", "uint256"], [user1.address, MINT_LIMIT]);
+      expect(await educator.isActiveEducator(user1.address)).to.equal(true);
+      expect(await educator.getEducatorMintLimit(user1.address)).to.equal(MINT_LIMIT);
+
+      await executeInstruction(
+        INSTRUCTION_TYPE.UpdateEducatorStatus,
+        ["address", "bool", "uint256"],
+        [user1.address, false, 0]
+      );
+      expect(await educator.isActiveEducator(user1.address)).to.equal(false);
+    });
+
+    it("Should execute CreateCourse and UpdateCourse on behalf of an educator", async function () {
+      const metadataHash = ethers.keccak256(ethers.toUtf8Bytes("metadata"));
+      await educator.connect(admin)["registerEducator(address,uint256)"](user1.address, MINT_LIMIT);
+
+      await executeInstruction(
+        INSTRUCTION_TYPE.CreateCourse,
+        ["address", "string", "string", "uint256", "bytes32"],
+        [user1.address, "GOV101", "Governance Basics", REWARD, metadataHash]
+      );
+
+      let info = await course.getCourseInfo(user1.address, "GOV101");
+      expect(info.educator).to.equal(user1.address);
+      expect(info.courseName).to.equal("Governance Basics");
+      expect(info.rewardAmount).to.equal(REWARD);
+      expect((await educator.getEducatorInfo(user1.address)).courseCount).to.equal(1);
+
+      await executeInstruction(
+        INSTRUCTION_TYPE.UpdateCourse,
+        ["address", "string", "string", "uint256", "bool", "bytes32", "string"],
+        [user1.address, "GOV101", "", REWARD * 2n, false, ethers.ZeroHash, "Doubled reward"]
+      );
+
+      info = await course.getCourseInfo(user1.address, "GOV101");
+      expect(info.rewardAmount).to.equal(REWARD * 2n);
+      expect(info.isActive).to.equal(false);
+      expect(info.version).to.equal(2);
+
+      const history = await course.getCourseHistory(user1.address, "GOV101", 2);
+      expect(history.educator).to.equal(user1.address);
+      expect(history.updatedBy).to.equal(proposal.target);
+    });
+
+    it("Should execute TransferFunds from the treasury", async function () {
+      const amount = ethers.parseEther("25");
+      await token.connect(admin).transfer(treasury.target, amount);
+
+      await expect(
+        executeInstruction(
+          INSTRUCTION_TYPE.TransferFunds,
+          ["address", "address", "uint256"],
+          [token.target, user1.address, amount]
+        )
+      ).to.emit(treasury, "FundsTransferred");
+
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+      expect(await treasury.getBalance(token.target)).to.equal(0);
+    });
+
+    it("Should execute EmergencyPause on EducPause", async function () {
+      await executeInstruction(INSTRUCTION_TYPE.EmergencyPause, ["bool"], [true]);
+      expect(await pauseControl.isPaused()).to.equal(true);
+
+      await executeInstruction(INSTRUCTION_TYPE.EmergencyPause, ["bool"], [false]);
+      expect(await pauseControl.isPaused()).to.equal(false);
+    });
+
+    it("Should revert the execution when the target call fails", async function () {
+      await proposal.connect(signer1).createProposal({
+        instructionType: INSTRUCTION_TYPE.UpdateEducatorStatus,
+        data: coder.encode(["address", "bool", "uint256"], [user1.address, false, 0]),
+        description: "Deactivate unknown educator",
+        requiredApprovals: 2
+      });
+      await proposal.connect(signer1).approveProposal({ proposalId: 1 });
+      await proposal.connect(signer2).approveProposal({ proposalId: 1 });
+      await time.increase(DEFAULT_EXECUTION_DELAY);
+
+      await expect(proposal.execute(1)).to.be.revertedWith("EducEducator: educator does not exist");
+
+      const details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Queued);
+    });
+  });
+
+  describe("Timelock", function () {
+    let GUARDIAN_ROLE;
+
+    beforeEach(async function () {
+      GUARDIAN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("GUARDIAN_ROLE"));
+
+      await proposal.connect(signer1).createProposal({
+        instructionType: INSTRUCTION_TYPE.AddSigner,
+        data: ethers.AbiCoder.defaultAbiCoder().encode(["address"], [user1.address]),
+        description: "Add a new signer",
+        requiredApprovals: 2
+      });
+      await proposal.connect(signer1).approveProposal({ proposalId: 1 });
+      await proposal.connect(signer2).approveProposal({ proposalId: 1 });
+    });
+
+    it("Should set the default execution delays", async function () {
+      expect(await proposal.executionDelays(INSTRUCTION_TYPE.UpdateConfig)).to.equal(DEFAULT_EXECUTION_DELAY);
+      expect(await proposal.executionDelays(INSTRUCTION_TYPE.AddSigner)).to.equal(SIGNER_EXECUTION_DELAY);
+      expect(await proposal.executionDelays(INSTRUCTION_TYPE.RemoveSigner)).to.equal(SIGNER_EXECUTION_DELAY);
+      expect(await proposal.executionDelays(INSTRUCTION_TYPE.ChangeThreshold)).to.equal(SIGNER_EXECUTION_DELAY);
+      expect(await proposal.executionDelays(INSTRUCTION_TYPE.EmergencyPause)).to.equal(0);
+      expect(await proposal.hasRole(GUARDIAN_ROLE, admin.address)).to.equal(true);
+    });
+
+    it("Should not execute before the execution delay has elapsed", async function () {
+      await time.increase(SIGNER_EXECUTION_DELAY - 10);
+
+      await expect(proposal.execute(1)).to.be.revertedWith("EducProposal: Execution delay not elapsed");
+    });
+
+    it("Should not execute proposals that are not queued", async function () {
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await proposal.execute(1);
+
+      await expect(proposal.execute(1)).to.be.revertedWith("EducProposal: Proposal not queued");
+      await expect(proposal.execute(2)).to.be.revertedWith("EducProposal: Proposal not queued");
+    });
+
+    it("Should let a guardian cancel a queued proposal", async function () {
+      await expect(proposal.connect(admin).cancel(1))
+        .to.emit(proposal, EVENT_PROPOSAL_CANCELLED);
+
+      const details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Cancelled);
+
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await expect(proposal.execute(1)).to.be.revertedWith("EducProposal: Proposal not queued");
+      expect(await multisig.isSigner(user1.address)).to.equal(false);
+    });
+
+    it("Should not let non-guardians cancel proposals", async function () {
+      await expect(
+        proposal.connect(signer1).cancel(1)
+      ).to.be.revertedWithCustomError(proposal, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should not cancel executed proposals", async function () {
+      await time.increase(SIGNER_EXECUTION_DELAY);
+      await proposal.execute(1);
+
+      await expect(proposal.connect(admin).cancel(1)).to.be.revertedWith("EducProposal: Proposal not queued");
+    });
+
+    // Changes an execution delay through an executed Call proposal
+    async function setExecutionDelayThroughGovernance(instructionType, delay) {
+      await proposal.connect(signer1).createProposal({
+        instructionType: INSTRUCTION_TYPE.Call,
+        data: ethers.AbiCoder.defaultAbiCoder().encode(
+          ["address[]", "uint256[]", "bytes[]"],
+          [[proposal.target], [0], [proposal.interface.encodeFunctionData("setExecutionDelay", [instructionType, delay])]]
+        ),
+        description: "Change an execution delay",
+        requiredApprovals: 2
+      });
+      const proposalId = await proposal.proposalCount();
+      await proposal.connect(signer1).approveProposal({ proposalId });
+      await proposal.connect(signer2).approveProposal({ proposalId });
+      await time.increase(CALL_EXECUTION_DELAY);
+      return proposal.execute(proposalId);
+    }
+
+    it("Should change the execution delay of an instruction type through governance", async function () {
+      await expect(setExecutionDelayThroughGovernance(INSTRUCTION_TYPE.AddSigner, 3600))
+        .to.emit(proposal, "ExecutionDelaySet")
+        .withArgs(INSTRUCTION_TYPE.AddSigner, 3600, anyValue);
+      expect(await proposal.executionDelays(INSTRUCTION_TYPE.AddSigner)).to.equal(3600);
+
+      // Queued proposals keep their delay
+      const details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[10] - details[9]).to.equal(SIGNER_EXECUTION_DELAY); // executableAt - queuedAt
+
+      await expect(
+        proposal.connect(admin).setExecutionDelay(INSTRUCTION_TYPE.AddSigner, 0)
+      ).to.be.revertedWith("EducProposal: Caller not governance");
+      await expect(
+        proposal.connect(signer1).setExecutionDelay(INSTRUCTION_TYPE.AddSigner, 0)
+      ).to.be.revertedWith("EducProposal: Caller not governance");
+    });
+
+    it("Should not set an execution delay longer than the maximum", async function () {
+      await expect(
+        setExecutionDelayThroughGovernance(INSTRUCTION_TYPE.AddSigner, 31 * 24 * 60 * 60)
+      ).to.be.revertedWith("EducProposal: Delay too long");
+    });
+
+    it("Should execute on approval when the delay is zero", async function () {
+      await setExecutionDelayThroughGovernance(INSTRUCTION_TYPE.ChangeThreshold, 0);
+      await proposal.connect(signer1).createProposal({
+        instructionType: INSTRUCTION_TYPE.ChangeThreshold,
+        data: ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [1]),
+        description: "Change threshold to 1",
+        requiredApprovals: 2
+      });
+      const proposalId = await proposal.proposalCount();
+      await proposal.connect(signer1).approveProposal({ proposalId });
+
+      await expect(proposal.connect(signer2).approveProposal({ proposalId }))
+        .to.emit(proposal, EVENT_PROPOSAL_EXECUTED);
+      expect(await multisig.threshold()).to.equal(1);
+    });
+
+    it("Should execute until the end of the execution grace period", async function () {
+      await time.increase(SIGNER_EXECUTION_DELAY + EXECUTION_GRACE_PERIOD - 10);
+
+      await proposal.execute(1);
+      expect(await multisig.isSigner(user1.address)).to.equal(true);
+    });
+
+    it("Should expire a queued proposal once its execution grace period has elapsed", async function () {
+      await time.increase(SIGNER_EXECUTION_DELAY + EXECUTION_GRACE_PERIOD);
+
+      await expect(proposal.execute(1)).to.be.revertedWith("EducProposal: Execution grace period elapsed");
+
+      await expect(proposal.checkProposalStatus({ proposalId: 1 }))
+        .to.emit(proposal, EVENT_PROPOSAL_EXPIRED)
+        .withArgs(1, anyValue);
+      const details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Expired);
+      await expect(proposal.execute(1)).to.be.revertedWith("EducProposal: Proposal not queued");
+      expect(await multisig.isSigner(user1.address)).to.equal(false);
+    });
+
+    it("Should not expire a queued proposal within its execution grace period", async function () {
+      await time.increase(SIGNER_EXECUTION_DELAY);
+
+      await proposal.checkProposalStatus({ proposalId: 1 });
+      const details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Queued);
+    });
+  });
+
+  describe("Call Proposals", function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const CALL_SCHEMA = ["address[]", "uint256[]", "bytes[]"];
+
+    let config;
+
+    async function createCall(targets, values, calldatas) {
+      await proposal.connect(signer1).createProposal({
+        instructionType: INSTRUCTION_TYPE.Call,
+        data: coder.encode(CALL_SCHEMA, [targets, values, calldatas]),
+        description: "Arbitrary calls",
+        requiredApprovals: 2
+      });
+      const proposalId = await proposal.proposalCount();
+      await proposal.connect(signer1).approveProposal({ proposalId });
+      await proposal.connect(signer2).approveProposal({ proposalId });
+      await time.increase(CALL_EXECUTION_DELAY);
+      return proposalId;
+    }
+
+    function allowTarget(target) {
+      return proposal.interface.encodeFunctionData("setCallTargetAllowed", [target, true]);
+    }
+
+    beforeEach(async function () {
+      config = await (await ethers.getContractFactory("EducConfig")).deploy(admin.address);
+      await config.grantRole(ethers.ZeroHash, proposal.target);
+      await config.grantRole(ADMIN_ROLE, proposal.target);
+    });
+
+    it("Should require the multisig threshold of approvals for Call proposals", async function () {
+      const data = coder.encode(CALL_SCHEMA, [[proposal.target], [0], [allowTarget(config.target)]]);
+
+      await expect(
+        proposal.connect(signer1).createProposal({
+          instructionType: INSTRUCTION_TYPE.Call,
+          data,
+          description: "Arbitrary calls",
+          requiredApprovals: 1
+        })
+      ).to.be.revertedWith("EducProposal: Call requires threshold approvals");
+    });
+
+    it("Should require the raised threshold of approvals before queueing a Call proposal", async function () {
+      const data = coder.encode(CALL_SCHEMA, [[proposal.target], [0], [allowTarget(config.target)]]);
+      await proposal.connect(signer1).createProposal({
+        instructionType: INSTRUCTION_TYPE.Call,
+        data,
+        description: "Arbitrary calls",
+        requiredApprovals: 2
+      });
+      await multisig.connect(admin).addSigner(signer3.address);
+      await multisig.connect(admin).changeThreshold(3);
+
+      await proposal.connect(signer1).approveProposal({ proposalId: 1 });
+      await proposal.connect(signer2).approveProposal({ proposalId: 1 });
+      let details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Pending);
+
+      await expect(proposal.connect(signer3).approveProposal({ proposalId: 1 }))
+        .to.emit(proposal, EVENT_PROPOSAL_QUEUED);
+      details = await proposal.getProposalDetails({ proposalId: 1 });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Queued);
+      expect(details[8]).to.equal(3); // requiredApprovals met when queued
+    });
+
+    it("Should reject malformed Call data", async function () {
+      const createCallProposal = (data) =>
+        proposal.connect(signer1).createProposal({
+          instructionType: INSTRUCTION_TYPE.Call,
+          data,
+          description: "Arbitrary calls",
+          requiredApprovals: 2
+        });
+
+      await expect(
+        createCallProposal(coder.encode(CALL_SCHEMA, [[], [], []]))
+      ).to.be.revertedWith("EducProposal: Invalid call count");
+      await expect(
+        createCallProposal(coder.encode(CALL_SCHEMA, [[config.target], [], ["0x"]]))
+      ).to.be.revertedWith("EducProposal: Call length mismatch");
+      await expect(
+        createCallProposal(ethers.concat([coder.encode(CALL_SCHEMA, [[config.target], [0], ["0x"]]), ethers.ZeroHash]))
+      ).to.be.revertedWith("EducProposal: Invalid instruction data");
+    });
+
+    it("Should only let governance manage the call target allowlist", async function () {
+      await expect(
+        proposal.connect(admin).setCallTargetAllowed(config.target, true)
+      ).to.be.revertedWith("EducProposal: Caller not governance");
+    });
+
+    it("Should allow a target and call it atomically in one proposal", async function () {
+      const grantRole = config.interface.encodeFunctionData("grantRole", [ADMIN_ROLE, user1.address]);
+      const proposalId = await createCall(
+        [proposal.target, config.target],
+        [0, 0],
+        [allowTarget(config.target), grantRole]
+      );
+
+      await expect(proposal.execute(proposalId))
+        .to.emit(proposal, "CallTargetAllowed")
+        .withArgs(config.target, true, anyValue)
+        .and.to.emit(proposal, "CallExecuted")
+        .withArgs(proposalId, 1, config.target, 0, grantRole, "0x");
+
+      expect(await proposal.allowedCallTargets(config.target)).to.equal(true);
+      expect(await config.hasRole(ADMIN_ROLE, user1.address)).to.equal(true);
+    });
+
+    it("Should not call targets outside the allowlist", async function () {
+      const proposalId = await createCall(
+        [config.target],
+        [0],
+        [config.interface.encodeFunctionData("grantRole", [ADMIN_ROLE, user1.address])]
+      );
+
+      await expect(proposal.execute(proposalId)).to.be.revertedWith("EducProposal: Call target not allowed");
+    });
+
+    it("Should bubble up the revert of a failing action and roll back the others", async function () {
+      const proposalId = await createCall(
+        [proposal.target, config.target],
+        [0, 0],
+        [allowTarget(config.target), config.interface.encodeFunctionData("updateConfig", [65535, 0, 0, 0])]
+      );
+
+      await expect(proposal.execute(proposalId)).to.be.revertedWith("EducConfig: Invalid parameter values");
+
+      expect(await proposal.allowedCallTargets(config.target)).to.equal(false);
+      const details = await proposal.getProposalDetails({ proposalId });
+      expect(details[2]).to.equal(PROPOSAL_STATUS.Queued);
+    });
+
+    it("Should not send more native value than the proposal holds", async function () {
+      const proposalId = await createCall([proposal.target], [ethers.parseEther("1")], ["0x"]);
+
+      await expect(proposal.execute(proposalId)).to.be.revertedWithCustomError(proposal, "InsufficientBalance");
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,344 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildRewardTree } = require("../../scripts/utils/merkle");
+
+describe("EducRewardDistributor", function () {
+  let distributor;
+  let token;
+  let educator;
+  let student;
+  let tree;
+  let claimDeadline;
+  let admin;
+  let educatorAccount;
+  let student1;
+  let student2;
+  let student3;
+  let relayer;
+
+  const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const MINT_LIMIT = ethers.parseEther("1000");
+  const CLAIM_PERIOD = 30 * 24 * 60 * 60;
+  const TWO_HOURS = 2 * 60 * 60;
+
+  let rewards;
+  let totalAmount;
+
+  function claimArgs(address) {
+    for (const [index, [leafAddress, amount, reason]] of tree.entries()) {
+      if (leafAddress === address) {
+        return [address, amount, reason, tree.getProof(index)];
+      }
+    }
+    throw new Error(`No leaf for ${address}`);
+  }
+
+  async function commitEpoch() {
+    claimDeadline = (await time.latest()) + CLAIM_PERIOD;
+    await distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, claimDeadline);
+    return 1;
+  }
+
+  beforeEach(async function () {
+    [admin, educatorAccount, student1, student2, student3, relayer] = await ethers.getSigners();
+
+    token = await (await ethers.getContractFactory("EducToken")).deploy(admin.address);
+    educator = await (await ethers.getContractFactory("EducEducator")).deploy(admin.address);
+    student = await (await ethers.getContractFactory("EducStudent")).deploy(admin.address);
+
+    const DistributorFactory = await ethers.getContractFactory("EducRewardDistributor");
+    distributor = await DistributorFactory.deploy(token.target, educator.target, student.target, admin.address);
+
+    await token.connect(admin).grantRole(MINTER_ROLE, distributor.target);
+    await educator.connect(admin).grantRole(ADMIN_ROLE, distributor.target);
+    await student.connect(admin).grantRole(ADMIN_ROLE, distributor.target);
+
+    await educator.connect(admin)["registerEducator(address,uint256)"](educatorAccount.address, MINT_LIMIT);
+
+    rewards = [
+      { address: student1.address, amount: ethers.parseEther("100"), reason: "Top of the cohort" },
+      { address: student2.address, amount: ethers.parseEther("50"), reason: "Project submission" },
+      { address: student3.address, amount: ethers.parseEther("25"), reason: "Attendance" },
+    ];
+    totalAmount = rewards.reduce((sum, reward) => sum + reward.amount, 0n);
+    tree = buildRewardTree(rewards);
+  });
+
+  describe("Deployment", function () {
+    it("Should store the contract references and admin roles", async function () {
+      expect(await distributor.token()).to.equal(token.target);
+      expect(await distributor.educator()).to.equal(educator.target);
+      expect(await distributor.student()).to.equal(student.target);
+      expect(await distributor.hasRole(ADMIN_ROLE, admin.address)).to.be.true;
+      expect(await distributor.epochCount()).to.equal(0);
+    });
+
+    it("Should reject zero addresses", async function () {
+      const DistributorFactory = await ethers.getContractFactory("EducRewardDistributor");
+      await expect(
+        DistributorFactory.deploy(ethers.ZeroAddress, educator.target, student.target, admin.address)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid token address");
+      await expect(
+        DistributorFactory.deploy(token.target, educator.target, student.target, ethers.ZeroAddress)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid admin address");
+    });
+  });
+
+  describe("Epoch Commitment", function () {
+    it("Should commit an epoch and reserve its total from the educator's allowance", async function () {
+      claimDeadline = (await time.latest()) + CLAIM_PERIOD;
+
+      await expect(distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, claimDeadline))
+        .to.emit(distributor, "EpochCommitted")
+        .withArgs(1, educatorAccount.address, tree.root, totalAmount, claimDeadline);
+
+      const epoch = await distributor.getEpoch(1);
+      expect(epoch.educator).to.equal(educatorAccount.address);
+      expect(epoch.merkleRoot).to.equal(tree.root);
+      expect(epoch.totalAmount).to.equal(totalAmount);
+      expect(epoch.claimedAmount).to.equal(0);
+      expect(epoch.maxClaimAmount).to.equal(ethers.parseEther("100000"));
+      expect(epoch.expired).to.be.false;
+      expect(await distributor.epochCount()).to.equal(1);
+      expect(await educator.getEducatorTotalMinted(educatorAccount.address)).to.equal(totalAmount);
+    });
+
+    it("Should only let active educators commit within their mint limit", async function () {
+      claimDeadline = (await time.latest()) + CLAIM_PERIOD;
+
+      await expect(
+        distributor.connect(relayer).commitEpoch(tree.root, totalAmount, claimDeadline)
+      ).to.be.revertedWith("EducRewardDistributor: Caller not an active educator");
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, MINT_LIMIT + 1n, claimDeadline)
+      ).to.be.revertedWith("EducEducator: mint limit exceeded");
+
+      await educator.connect(admin).setEducatorStatus(educatorAccount.address, false, 0);
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, claimDeadline)
+      ).to.be.revertedWith("EducRewardDistributor: Caller not an active educator");
+    });
+
+    it("Should reject empty roots, zero totals and invalid deadlines", async function () {
+      const now = await time.latest();
+      claimDeadline = now + CLAIM_PERIOD;
+
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(ethers.ZeroHash, totalAmount, claimDeadline)
+      ).to.be.revertedWith("EducRewardDistributor: Merkle root cannot be empty");
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, 0, claimDeadline)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid total amount");
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, now)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid claim deadline");
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, now + 366 * 24 * 60 * 60)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid claim deadline");
+    });
+  });
+
+  describe("Claims", function () {
+    let epochId;
+
+    beforeEach(async function () {
+      epochId = await commitEpoch();
+    });
+
+    it("Should mint a student's reward and register the student", async function () {
+      const [address, amount, reason, proof] = claimArgs(student1.address);
+      expect(await distributor.canClaim(epochId, address, amount, reason, proof)).to.be.true;
+
+      await expect(distributor.connect(student1).claim(epochId, address, amount, reason, proof))
+        .to.emit(distributor, "RewardClaimed")
+        .withArgs(epochId, student1.address, rewards[0].amount, reason, student1.address);
+
+      expect(await token.balanceOf(student1.address)).to.equal(rewards[0].amount);
+      expect(await student.isStudent(student1.address)).to.be.true;
+      expect(await distributor.hasClaimed(epochId, student1.address)).to.be.true;
+      expect((await distributor.getEpoch(epochId)).claimedAmount).to.equal(rewards[0].amount);
+    });
+
+    it("Should let anyone claim on behalf of a student", async function () {
+      await distributor.connect(relayer).claim(epochId, ...claimArgs(student2.address));
+
+      expect(await token.balanceOf(student2.address)).to.equal(rewards[1].amount);
+      expect(await token.balanceOf(relayer.address)).to.equal(0);
+    });
+
+    it("Should reject second claims and tampered rewards", async function () {
+      const [address, amount, reason, proof] = claimArgs(student1.address);
+      await distributor.claim(epochId, address, amount, reason, proof);
+
+      await expect(
+        distributor.claim(epochId, address, amount, reason, proof)
+      ).to.be.revertedWith("EducRewardDistributor: Reward already claimed");
+
+      const [address2, amount2, reason2, proof2] = claimArgs(student2.address);
+      await expect(
+        distributor.claim(epochId, address2, BigInt(amount2) + 1n, reason2, proof2)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid proof");
+      await expect(
+        distributor.claim(epochId, address2, amount2, "Another reason", proof2)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid proof");
+      await expect(
+        distributor.claim(epochId, relayer.address, amount2, reason2, proof2)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid proof");
+      await expect(
+        distributor.claim(2, address2, amount2, reason2, proof2)
+      ).to.be.revertedWith("EducRewardDistributor: Epoch not found");
+    });
+
+    it("Should cap claims at the committed total", async function () {
+      // An epoch committed below the sum of its tree cannot pay out more than its total
+      await time.increase(TWO_HOURS);
+      await distributor.connect(educatorAccount).commitEpoch(tree.root, rewards[0].amount, claimDeadline);
+      await distributor.claim(2, ...claimArgs(student1.address));
+
+      const args = claimArgs(student2.address);
+      expect(await distributor.canClaim(2, ...args)).to.be.false;
+      await expect(distributor.claim(2, ...args)).to.be.revertedWith("EducRewardDistributor: Epoch total exceeded");
+    });
+
+    it("Should close claims after the deadline", async function () {
+      const args = claimArgs(student1.address);
+      await time.increaseTo(claimDeadline + 1);
+
+      expect(await distributor.canClaim(epochId, ...args)).to.be.false;
+      await expect(distributor.claim(epochId, ...args)).to.be.revertedWith(
+        "EducRewardDistributor: Claim period has ended"
+      );
+    });
+
+    it("Should not claim while paused", async function () {
+      await distributor.connect(admin).pause();
+      await expect(distributor.claim(epochId, ...claimArgs(student1.address))).to.be.revertedWithCustomError(
+        distributor,
+        "EnforcedPause"
+      );
+
+      await distributor.connect(admin).unpause();
+      await distributor.claim(epochId, ...claimArgs(student1.address));
+    });
+  });
+
+  describe("Config Limits", function () {
+    let config;
+
+    beforeEach(async function () {
+      config = await (await ethers.getContractFactory("EducConfig")).deploy(admin.address);
+      await expect(distributor.connect(admin).setConfigContract(config.target))
+        .to.emit(distributor, "ConfigContractSet")
+        .withArgs(config.target);
+      // The mint cooldown is kept by EducEducator
+      await educator.connect(admin).setConfigContract(config.target);
+    });
+
+    it("Should only let admins set a config contract", async function () {
+      expect(await distributor.configContract()).to.equal(config.target);
+      await expect(
+        distributor.connect(educatorAccount).setConfigContract(config.target)
+      ).to.be.revertedWithCustomError(distributor, "AccessControlUnauthorizedAccount");
+      await expect(
+        distributor.connect(admin).setConfigContract(ethers.ZeroAddress)
+      ).to.be.revertedWith("EducRewardDistributor: Invalid config address");
+    });
+
+    it("Should enforce the mint cooldown between epochs of the same educator", async function () {
+      await config.connect(admin).updateConfig(0, 0, 0, 60 * 60);
+      await commitEpoch();
+      expect(await educator.getEducatorLastRewardTime(educatorAccount.address)).to.equal(await time.latest());
+
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, claimDeadline)
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+
+      await time.increase(60 * 60);
+      await distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, claimDeadline);
+      expect(await distributor.epochCount()).to.equal(2);
+    });
+
+    it("Should share the mint cooldown with the educator's other rewards", async function () {
+      // A reward recorded elsewhere, e.g. by EducLearning.issueReward, starts the same cooldown
+      await educator.connect(admin).recordRewardMint(educatorAccount.address, ethers.parseEther("10"));
+
+      await expect(
+        distributor.connect(educatorAccount).commitEpoch(tree.root, totalAmount, claimDeadline)
+      ).to.be.revertedWith("EducEducator: mint cooldown not elapsed");
+
+      await time.increase(TWO_HOURS);
+      await commitEpoch();
+    });
+
+    it("Should cap each claim at the max mint amount in force when the epoch was committed", async function () {
+      await config.connect(admin).updateConfig(0, 0, rewards[1].amount, 0);
+      const epochId = await commitEpoch();
+      expect((await distributor.getEpoch(epochId)).maxClaimAmount).to.equal(rewards[1].amount);
+
+      // Raising the limit later does not change the committed epoch
+      await config.connect(admin).updateConfig(0, 0, MINT_LIMIT, 0);
+
+      const args = claimArgs(student1.address);
+      expect(await distributor.canClaim(epochId, ...args)).to.be.false;
+      await expect(distributor.claim(epochId, ...args)).to.be.revertedWith(
+        "EducRewardDistributor: Amount exceeds max mint amount"
+      );
+
+      await distributor.claim(epochId, ...claimArgs(student2.address));
+      expect(await token.balanceOf(student2.address)).to.equal(rewards[1].amount);
+    });
+  });
+
+  describe("Expiry", function () {
+    let epochId;
+
+    beforeEach(async function () {
+      epochId = await commitEpoch();
+      await distributor.claim(epochId, ...claimArgs(student1.address));
+    });
+
+    it("Should release the unclaimed amount back to the educator's allowance", async function () {
+      const unclaimed = totalAmount - rewards[0].amount;
+      await time.increaseTo(claimDeadline + 1);
+
+      await expect(distributor.connect(relayer).expireEpoch(epochId))
+        .to.emit(distributor, "EpochExpired")
+        .withArgs(epochId, educatorAccount.address, unclaimed, anyValue)
+        .and.to.emit(educator, "EducatorMintReleased");
+
+      expect((await distributor.getEpoch(epochId)).expired).to.be.true;
+      expect(await educator.getEducatorTotalMinted(educatorAccount.address)).to.equal(rewards[0].amount);
+
+      // The released allowance funds the next epoch
+      claimDeadline = (await time.latest()) + CLAIM_PERIOD;
+      await distributor
+        .connect(educatorAccount)
+        .commitEpoch(tree.root, MINT_LIMIT - rewards[0].amount, claimDeadline);
+    });
+
+    it("Should only expire an epoch once its deadline has passed", async function () {
+      await expect(distributor.expireEpoch(epochId)).to.be.revertedWith(
+        "EducRewardDistributor: Claim period not ended"
+      );
+
+      await time.increaseTo(claimDeadline + 1);
+      await distributor.expireEpoch(epochId);
+      await expect(distributor.expireEpoch(epochId)).to.be.revertedWith(
+        "EducRewardDistributor: Epoch already expired"
+      );
+      await expect(distributor.expireEpoch(2)).to.be.revertedWith("EducRewardDistributor: Epoch not found");
+    });
+  });
+
+  describe("Reward Tree", function () {
+    it("Should reject duplicate students, zero amounts and empty reasons", function () {
+      expect(() => buildRewardTree([])).to.throw("without rewards");
+      expect(() => buildRewardTree([rewards[0], { ...rewards[0], reason: "Again" }])).to.throw("more than once");
+      expect(() => buildRewardTree([{ ...rewards[0], amount: 0n }])).to.throw("must be positive");
+      expect(() => buildRewardTree([{ ...rewards[0], reason: "" }])).to.throw("needs a reason");
+    });
+  });
+});
@@ -581,4 +581,46 @@ describe("EducStudent", function () {
       ).to.be.reverted;
     });
   });
-});
\ No newline at end of file
+
+  describe("Granular Pausing", function () {
+    const PAUSE_FLAG_REGISTER = 1 << 3;
+    const PAUSE_FLAG_STUDENT = 1 << 6;
+    let pauseControl;
+
+    beforeEach(async function () {
+      const EducPause = await ethers.getContractFactory("EducPause");
+      pauseControl = await EducPause.deploy(admin.address);
+      await student.setPauseControl(pauseControl.target);
+    });
+
+    it("Should block registration while registration or the student subsystem is paused", async function () {
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_REGISTER, true);
+      await expect(
+        student.connect(admin)["registerStudent(address)"](user1.address)
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_REGISTER, false);
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_STUDENT, true);
+      await expect(
+        student.connect(admin)["registerStudent(address)"](user1.address)
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+    });
+
+    it("Should block activity recording while the student subsystem is paused", async function () {
+      await student.connect(admin)["registerStudent(address)"](user1.address);
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_STUDENT, true);
+
+      await expect(
+        student.connect(educator)["recordCourseCompletion(address,string,uint256)"](user1.address, "CS101", 100)
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+    });
+
+    it("Should honour pause overrides for the caller", async function () {
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_STUDENT, true);
+      await pauseControl.setPauseOverride(admin.address, PAUSE_FLAG_STUDENT, true);
+
+      await student.connect(admin)["registerStudent(address)"](user1.address);
+      expect(await student.isStudent(user1.address)).to.equal(true);
+    });
+  });
+});
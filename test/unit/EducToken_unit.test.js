@@ -1,6 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { time, mine } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("EducToken", function () {
   let EducToken;
@@ -509,7 +509,82 @@ describe("EducToken", function () {
       ).to.be.reverted;
     });
   });
-  
+
+  describe("Voting Power", function () {
+    it("Should count votes only once delegated", async function () {
+      const amount = ethers.parseEther("1000");
+      await token.connect(admin).transfer(user1.address, amount);
+      expect(await token.getVotes(user1.address)).to.equal(0);
+
+      await expect(token.connect(user1).delegate(user1.address))
+        .to.emit(token, "DelegateChanged")
+        .withArgs(user1.address, ethers.ZeroAddress, user1.address);
+      expect(await token.getVotes(user1.address)).to.equal(amount);
+
+      await token.connect(user1).delegate(user2.address);
+      expect(await token.getVotes(user1.address)).to.equal(0);
+      expect(await token.getVotes(user2.address)).to.equal(amount);
+    });
+
+    it("Should move votes with transfers and mints", async function () {
+      await token.connect(user1).delegate(user1.address);
+      await token.connect(user2).delegate(user2.address);
+
+      await token.connect(minter)["mint(address,uint256)"](user1.address, ethers.parseEther("500"));
+      await token.connect(user1).transfer(user2.address, ethers.parseEther("200"));
+
+      expect(await token.getVotes(user1.address)).to.equal(ethers.parseEther("300"));
+      expect(await token.getVotes(user2.address)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should checkpoint past votes and total supply by block", async function () {
+      await token.connect(user1).delegate(user1.address);
+      await token.connect(minter)["mint(address,uint256)"](user1.address, ethers.parseEther("100"));
+      const firstBlock = await ethers.provider.getBlockNumber();
+
+      await token.connect(minter)["mint(address,uint256)"](user1.address, ethers.parseEther("100"));
+      await mine();
+
+      expect(await token.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+      expect(await token.getPastVotes(user1.address, firstBlock)).to.equal(ethers.parseEther("100"));
+      expect(await token.getPastTotalSupply(firstBlock)).to.equal(INITIAL_SUPPLY + ethers.parseEther("100"));
+      expect(await token.getVotes(user1.address)).to.equal(ethers.parseEther("200"));
+    });
+  });
+
+  describe("Trusted Forwarder", function () {
+    it("Should set and clear the trusted forwarder", async function () {
+      expect(await token.trustedForwarder()).to.equal(ethers.ZeroAddress);
+      expect(await token.isTrustedForwarder(ethers.ZeroAddress)).to.equal(false);
+
+      await expect(token.connect(admin).setTrustedForwarder(user3.address))
+        .to.emit(token, "TrustedForwarderSet")
+        .withArgs(ethers.ZeroAddress, user3.address, admin.address, (value) => value > 0n);
+      expect(await token.isTrustedForwarder(user3.address)).to.equal(true);
+
+      await token.connect(admin).setTrustedForwarder(ethers.ZeroAddress);
+      expect(await token.isTrustedForwarder(user3.address)).to.equal(false);
+    });
+
+    it("Should attribute calls from the forwarder to the appended signer", async function () {
+      await token.connect(admin).transfer(user1.address, ethers.parseEther("100"));
+      await token.connect(admin).setTrustedForwarder(user3.address);
+
+      // user3 acts as the forwarder and appends user1 as the signer
+      const data = token.interface.encodeFunctionData("transfer", [user2.address, ethers.parseEther("40")]);
+      await user3.sendTransaction({ to: token.target, data: ethers.concat([data, user1.address]) });
+
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("60"));
+      expect(await token.balanceOf(user2.address)).to.equal(ethers.parseEther("40"));
+    });
+
+    it("Should not allow non-admin to set the trusted forwarder", async function () {
+      await expect(
+        token.connect(user1).setTrustedForwarder(user1.address)
+      ).to.be.reverted;
+    });
+  });
+
   describe("Student Contract Integration", function () {
     it("Should correctly set the student contract", async function () {
       // Deploy a new student contract
@@ -625,4 +700,60 @@ describe("EducToken", function () {
       expect(await token.isAccountInactive(user1.address)).to.equal(false);
     });
   });
-});
\ No newline at end of file
+
+  describe("Granular Pausing", function () {
+    const PAUSE_FLAG_MINT = 1 << 0;
+    const PAUSE_FLAG_TRANSFER = 1 << 1;
+    const PAUSE_FLAG_BURN = 1 << 2;
+    let pauseControl;
+
+    beforeEach(async function () {
+      const EducPause = await ethers.getContractFactory("EducPause");
+      pauseControl = await EducPause.deploy(admin.address);
+      await token.setPauseControl(pauseControl.target);
+    });
+
+    it("Should only allow admin to set the pause control", async function () {
+      await expect(
+        token.connect(user1).setPauseControl(pauseControl.target)
+      ).to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+      expect(await token.pauseControl()).to.equal(pauseControl.target);
+    });
+
+    it("Should block minting while minting is paused", async function () {
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_MINT, true);
+
+      await expect(
+        token.connect(minter)["mint(address,uint256)"](user1.address, ethers.parseEther("100"))
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+      await expect(
+        token.connect(minter)["mintReward(address,uint256,string)"](user1.address, ethers.parseEther("100"), "Reward")
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      // Transfers are a separate subsystem
+      await token.transfer(user1.address, ethers.parseEther("100"));
+    });
+
+    it("Should block transfers and burns under their own flags", async function () {
+      await token.transfer(user1.address, ethers.parseEther("100"));
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_TRANSFER | PAUSE_FLAG_BURN, true);
+
+      await expect(
+        token.connect(user1).transfer(user2.address, ethers.parseEther("10"))
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+      await expect(
+        token.connect(user1).burn(ethers.parseEther("10"))
+      ).to.be.revertedWith("EducPauseControlled: Function is paused");
+
+      await token.connect(minter)["mint(address,uint256)"](user1.address, ethers.parseEther("100"));
+    });
+
+    it("Should honour pause overrides for the caller", async function () {
+      await pauseControl.setGranularPauseLegacy(PAUSE_FLAG_MINT, true);
+      await pauseControl.setPauseOverride(minter.address, PAUSE_FLAG_MINT, true);
+
+      await token.connect(minter)["mint(address,uint256)"](user1.address, ethers.parseEther("100"));
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+    });
+  });
+});